@@ -13,6 +13,7 @@
 import { registerSettings } from './module/config/settings.js';
 import { MigratorUI } from './module/apps/migrator-ui.js';
 import { registerQuenchTests } from './module/testing/quench-tests.js';
+import { TransformRegistry } from './module/services/transform-registry.js';
 
 /**
  * Module initialization
@@ -42,8 +43,12 @@ Hooks.once('ready', async () => {
   // Expose API for testing and debugging
   game.modules.get('l5r4-migrator').api = {
     MigratorUI,
-    openMigrator: () => new MigratorUI().render(true)
+    openMigrator: () => new MigratorUI().render(true),
+    transforms: TransformRegistry
   };
+
+  // Let other modules add homebrew transform rules
+  Hooks.callAll('l5r4-migrator.registerTransforms', TransformRegistry);
 });
 
 /**
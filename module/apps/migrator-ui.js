@@ -10,17 +10,54 @@
  * - Export from legacy l5r4 system
  * - Validation with readiness report
  * - Import to l5r4-enhanced system
+ * - ID conflict preview and policy choice before import
+ * - Dry-run preview of each document's payload and changes
+ * - Per-document error report with JSON/CSV download
+ * - Post-import check of each created document against the payload sent
+ * - Rollback of the documents an import created
+ * - Resume of an interrupted import of the loaded export file
  * - Progress tracking and error reporting
  */
 
 import { BackupService } from '../services/backup-service.js';
+import { CheckpointService } from '../services/checkpoint-service.js';
 import { ExportService } from '../services/export-service.js';
 import { ValidationService } from '../services/validation-service.js';
 import { ImportService } from '../services/import-service.js';
+import { flattenValidationTree } from '../utils/error-report.js';
+import { applyImportFilter, FILTER_COLLECTIONS } from '../utils/import-filter.js';
 import { Logger } from '../utils/logger.js';
 
 const { ApplicationV2, HandlebarsApplicationMixin, DialogV2 } = foundry.applications.api;
 
+/**
+ * Headings for each kind of change in the dry-run preview, in display order
+ */
+const PREVIEW_CHANGE_LABELS = {
+  types: 'Type changes',
+  renamed: 'Renamed fields',
+  defaults: 'Added defaults',
+  coerced: 'Coerced values',
+  icons: 'Icon rewrites',
+  changed: 'Other changes',
+  removed: 'Removed fields'
+};
+
+/**
+ * Longest value shown in the preview before it is shortened
+ */
+const PREVIEW_VALUE_LENGTH = 80;
+
+/**
+ * Escape text for display inside dialog HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+  return String(text).replace(/[&<>"']/g, (c) => entities[c]);
+}
+
 /**
  * Main migration UI application
  * @extends ApplicationV2
@@ -48,6 +85,8 @@ export class MigratorUI extends HandlebarsApplicationMixin(ApplicationV2) {
       export: MigratorUI.prototype._onExport,
       validate: MigratorUI.prototype._onValidate,
       import: MigratorUI.prototype._onImport,
+      previewImport: MigratorUI.prototype._onPreviewImport,
+      resumeImport: MigratorUI.prototype._onResumeImport,
       uploadFile: MigratorUI.prototype._onUploadFile
     }
   };
@@ -65,6 +104,13 @@ export class MigratorUI extends HandlebarsApplicationMixin(ApplicationV2) {
     super(options);
     this.exportData = null;
     this.validationResult = null;
+    this.importOptions = {
+      createBioItems: false,
+      verifyIcons: true,
+      folderOverflow: 'reparent',
+      sync: false,
+      deleteRemoved: false
+    };
   }
 
   /**
@@ -97,8 +143,20 @@ export class MigratorUI extends HandlebarsApplicationMixin(ApplicationV2) {
       };
     }
 
+    // Unfinished import of the loaded export file
+    const checkpoint = this.exportData ? CheckpointService.findResumable(this.exportData) : null;
+    let resumableImport = null;
+    if (checkpoint) {
+      resumableImport = {
+        startedAt: new Date(checkpoint.startedAt).toLocaleString(),
+        phase: checkpoint.phase ?? 'setup',
+        processed: Object.values(checkpoint.collections).reduce((sum, c) => sum + c.processed, 0)
+      };
+    }
+
     return {
       ...context,
+      importFilter: this._prepareFilterChoices(),
       systemId: game.system.id,
       worldName: game.world.title,
       isL5R4: game.system.id === 'l5r4',
@@ -106,10 +164,118 @@ export class MigratorUI extends HandlebarsApplicationMixin(ApplicationV2) {
       hasExportData: !!this.exportData,
       hasValidation: !!this.validationResult,
       validationReady: this.validationResult?.valid || false,
-      schemaDetection: schemaDisplay
+      schemaDetection: schemaDisplay,
+      importOptions: this.importOptions,
+      resumableImport
     };
   }
 
+  /**
+   * List what the loaded export holds, for the selective import controls
+   * @private
+   * @returns {Object|null} Collections with counts, folders (labelled with their path),
+   *   and actor and item subtypes; null without export data
+   */
+  _prepareFilterChoices() {
+    if (!this.exportData) {
+      return null;
+    }
+
+    const collections = FILTER_COLLECTIONS.filter((key) => this.exportData[key]?.length).map((key) => ({
+      key,
+      count: this.exportData[key].length
+    }));
+
+    const folders = this.exportData.folders ?? [];
+    const byId = new Map(folders.map((f) => [f._id, f]));
+    const folderPath = (folder) => {
+      const names = [folder.name];
+      for (let parent = byId.get(folder.folder); parent && names.length < 10; parent = byId.get(parent.folder)) {
+        names.unshift(parent.name);
+      }
+      return names.join(' › ');
+    };
+    const folderChoices = folders
+      .map((f) => ({ id: f._id, label: `${folderPath(f)} (${f.type})` }))
+      .sort((a, b) => a.label.localeCompare(b.label));
+
+    const subtypes = (key) => [...new Set((this.exportData[key] ?? []).map((d) => d.type).filter(Boolean))].sort();
+
+    return { collections, folders: folderChoices, actorTypes: subtypes('actors'), itemTypes: subtypes('items') };
+  }
+
+  /**
+   * Read the selective import controls into a filter spec
+   * @private
+   * @returns {Object|null} Filter spec (see import-filter.js), or null when everything is selected
+   */
+  _readImportFilter() {
+    const form = this.element?.querySelector('.import-filter');
+    if (!form) {
+      return null;
+    }
+
+    const checked = (name) => [...form.querySelectorAll(`input[name="${name}"]:checked`)].map((i) => i.value);
+    const selected = (name) =>
+      [...(form.querySelector(`select[name="${name}"]`)?.selectedOptions ?? [])].map((o) => o.value);
+    const filter = {};
+
+    const collections = checked('filter.collections');
+    if (collections.length < form.querySelectorAll('input[name="filter.collections"]').length) {
+      filter.collections = collections;
+    }
+    for (const [key, name] of [
+      ['actors', 'filter.actorTypes'],
+      ['items', 'filter.itemTypes']
+    ]) {
+      const types = selected(name);
+      if (types.length) {
+        filter.types = { ...filter.types, [key]: types };
+      }
+    }
+    const folders = selected('filter.folders');
+    if (folders.length) {
+      filter.folders = folders;
+    }
+    const names = (form.querySelector('input[name="filter.names"]')?.value ?? '')
+      .split(',')
+      .map((n) => n.trim())
+      .filter(Boolean);
+    if (names.length) {
+      filter.names = names;
+    }
+
+    return Object.keys(filter).length ? filter : null;
+  }
+
+  /**
+   * Read import options from the form checkboxes and selects
+   * @private
+   * @returns {Object} Import options
+   */
+  _readImportOptions() {
+    const options = { ...this.importOptions };
+    for (const key of Object.keys(options)) {
+      const input = this.element?.querySelector(`[name="${key}"]`);
+      if (input) {
+        options[key] = input.type === 'checkbox' ? input.checked : input.value;
+      }
+    }
+    this.importOptions = options;
+    return options;
+  }
+
+  /**
+   * Turn the sync import options into the sync conflict policy
+   * Without sync, `deleteRemoved` has no effect and is dropped.
+   * @private
+   * @param {Object} options - Import options read from the form
+   * @returns {Object} Import options
+   */
+  _withSyncOptions({ sync, deleteRemoved, ...options }) {
+    return sync ? { ...options, conflictPolicy: 'sync', deleteRemoved } : options;
+  }
+
   /**
    * Handle backup button click
    */
@@ -155,6 +321,14 @@ export class MigratorUI extends HandlebarsApplicationMixin(ApplicationV2) {
 
       ui.notifications.info(`Exported ${result.stats.actors} actors, ${result.stats.items} items`);
 
+      if (result.packReport?.length) {
+        const skipped = result.packReport.filter((p) => p.status === 'skipped').length;
+        ui.notifications.warn(
+          `${skipped} compendium pack(s) not exported, ${result.packReport.length - skipped} locked. Check console for details.`
+        );
+        Logger.warn('Compendium packs needing attention:', result.packReport);
+      }
+
       if (result.validation.results.actors.invalid > 0 || result.validation.results.items.invalid > 0) {
         ui.notifications.warn('Some documents have validation warnings. Check console for details.');
         Logger.warn('Validation issues found:', result.validation);
@@ -214,6 +388,9 @@ export class MigratorUI extends HandlebarsApplicationMixin(ApplicationV2) {
       return;
     }
 
+    const importOptions = this._withSyncOptions(this._readImportOptions());
+    const filter = this._readImportFilter();
+
     if (!this.validationResult?.valid) {
       const confirm = await DialogV2.confirm({
         window: { title: 'Import Warning' },
@@ -238,7 +415,7 @@ export class MigratorUI extends HandlebarsApplicationMixin(ApplicationV2) {
           'new-v13': 'New v13 (camelCase)',
           mixed: 'Mixed (Partially migrated)',
           unknown: 'Unknown'
-        }[detection.state] || detection.state;
+        }[detection.state] || escapeHTML(detection.state);
 
       const actionLabel = detection.needsTransform
         ? '✓ Schema transformation will be applied'
@@ -257,19 +434,32 @@ export class MigratorUI extends HandlebarsApplicationMixin(ApplicationV2) {
       `;
     }
 
-    // Final confirmation
+    // Documents whose IDs already exist in this world
+    let conflicts;
+    try {
+      conflicts = ImportService.detectConflicts(applyImportFilter(this.exportData, filter).data);
+    } catch (error) {
+      ui.notifications.error(`Invalid import filter: ${error.message}`);
+      return;
+    }
+    const conflictInfo =
+      conflicts.total > 0 ? this._renderConflictPreview(conflicts, importOptions.conflictPolicy) : '';
+
+    // Final confirmation (returns the chosen conflict policy when there are conflicts)
     const confirmImport = await DialogV2.confirm({
       window: { title: 'Confirm Import' },
       content: `
         <h3>⚠️ Import Confirmation</h3>
         <p>This will import migration data into the current world.</p>
-        <p><strong>World:</strong> ${game.world.title}</p>
+        <p><strong>World:</strong> ${escapeHTML(game.world.title)}</p>
         <p><strong>System:</strong> ${game.system.id}</p>
         ${detectionInfo}
+        ${conflictInfo}
         <hr>
         <p style="color: #d9534f;"><strong>⚠️ Important:</strong> It is <strong>strongly recommended</strong> to create a backup first.</p>
         <p>Continue with import?</p>
       `,
+      yes: { callback: (event, button) => button.form?.elements.conflictPolicy?.value ?? true },
       rejectClose: false,
       modal: true
     });
@@ -277,34 +467,188 @@ export class MigratorUI extends HandlebarsApplicationMixin(ApplicationV2) {
     if (!confirmImport) {
       return;
     }
+    if (typeof confirmImport === 'string') {
+      importOptions.conflictPolicy = confirmImport;
+    }
 
     Logger.info('Starting import...');
     ui.notifications.info('Starting import process...');
 
+    await this._runImport({
+      dryRun: false,
+      skipFolders: false,
+      skipScenes: false,
+      skipJournals: false,
+      ...importOptions,
+      ...(filter ? { filter } : {})
+    });
+  }
+
+  /**
+   * Handle preview button click
+   * Runs the import as a dry run and lists what it would write for each document.
+   */
+  async _onPreviewImport(_event, _target) {
+    if (!this.exportData) {
+      ui.notifications.warn('Please export or upload data first.');
+      return;
+    }
+
+    const filter = this._readImportFilter();
     try {
       const result = await ImportService.importWorld(this.exportData, {
-        dryRun: false,
-        skipFolders: false,
-        skipScenes: false,
-        skipJournals: false
+        ...this._withSyncOptions(this._readImportOptions()),
+        ...(filter ? { filter } : {}),
+        dryRun: true
       });
+      this._showImportPreview(result);
+    } catch (error) {
+      ui.notifications.error(`Preview failed: ${error.message}`);
+      Logger.error('Import preview failed:', error);
+    }
+  }
+
+  /**
+   * Handle resume import button click
+   * Continues an interrupted import of the loaded export file from its checkpoint.
+   */
+  async _onResumeImport(_event, _target) {
+    const checkpoint = this.exportData ? CheckpointService.findResumable(this.exportData) : null;
+    if (!checkpoint) {
+      ui.notifications.warn('No unfinished import found for this export file.');
+      return;
+    }
+
+    const rows = Object.entries(checkpoint.collections)
+      .map(([key, progress]) => `<li>${escapeHTML(key)}: ${progress.processed} documents</li>`)
+      .join('');
+
+    const confirmResume = await DialogV2.confirm({
+      window: { title: 'Resume Import' },
+      content: `
+        <p>An import of this export file started ${new Date(checkpoint.startedAt).toLocaleString()} did not finish.</p>
+        <p><strong>Stopped during:</strong> ${escapeHTML(checkpoint.phase ?? 'setup')}</p>
+        <ul>${rows}</ul>
+        <p>Documents already handled will be skipped. Continue the import?</p>
+      `,
+      rejectClose: false,
+      modal: true
+    });
+
+    if (!confirmResume) {
+      return;
+    }
 
-      const total =
-        result.stats.actors.created +
-        result.stats.items.created +
-        result.stats.scenes.created +
-        result.stats.journals.created +
-        result.stats.folders.created;
+    Logger.info('Resuming import...');
+    ui.notifications.info('Resuming import...');
+
+    await this._runImport({ resume: checkpoint });
+  }
+
+  /**
+   * Run an import and report the outcome
+   * @private
+   * @param {Object} options - Import options
+   */
+  async _runImport(options) {
+    // A resumed import keeps the policy it started with
+    const conflictPolicy = options.resume?.options?.conflictPolicy ?? options.conflictPolicy;
+    try {
+      const result =
+        conflictPolicy === 'sync'
+          ? await ImportService.syncWorld(this.exportData, options)
+          : await ImportService.importWorld(this.exportData, options);
+
+      const total = Object.values(result.stats).reduce((sum, s) => sum + s.created, 0);
 
       ui.notifications.info(`Import complete! Created ${total} documents.`);
+      if (result.errors?.length) {
+        ui.notifications.warn(`${result.errors.length} documents failed to import. See the results for details.`);
+      }
+      if (result.idRemap?.duplicates?.length) {
+        ui.notifications.warn(
+          `${result.idRemap.duplicates.length} documents had duplicate IDs; links to them still point at the first document.`
+        );
+      }
       Logger.info('Import successful:', result.stats);
 
       // Show detailed results
       this._showImportResults(result);
     } catch (error) {
-      ui.notifications.error('Import failed. See console for details.');
+      if (error.rollback) {
+        ui.notifications.error(
+          `Import failed. Rolled back ${error.rollback.deleted} created documents. See console for details.`
+        );
+      } else {
+        ui.notifications.error('Import failed. See console for details.');
+      }
       Logger.error('Import failed:', error);
     }
+
+    // Refresh the resume button
+    await this.render();
+  }
+
+  /**
+   * Render the ID conflict preview and policy choice for the import confirmation
+   * @private
+   * @param {Object} conflicts - Result of ImportService.detectConflicts
+   * @param {string} [selected='skip'] - Policy selected initially
+   * @returns {string} HTML
+   */
+  _renderConflictPreview(conflicts, selected = 'skip') {
+    const MAX_LISTED = 10;
+    const labels = {
+      folders: 'Folders',
+      actors: 'Actors',
+      items: 'Items',
+      scenes: 'Scenes',
+      journals: 'Journals',
+      tables: 'Roll Tables',
+      macros: 'Macros',
+      playlists: 'Playlists',
+      cards: 'Card Stacks',
+      combats: 'Combat Encounters'
+    };
+    const policies = {
+      skip: 'Skip (keep the existing document)',
+      overwrite: 'Overwrite (delete and recreate)',
+      update: 'Update the existing document in place',
+      copy: 'Import as a copy with a new ID',
+      sync: 'Sync (update only the fields that changed)'
+    };
+
+    const sections = Object.entries(conflicts.collections)
+      .filter(([, list]) => list.length > 0)
+      .map(([key, list]) => {
+        const names = list
+          .slice(0, MAX_LISTED)
+          .map(
+            (c) =>
+              `<li>${escapeHTML(c.name)}${c.existingName !== c.name ? ` (existing: ${escapeHTML(c.existingName)})` : ''}</li>`
+          )
+          .join('');
+        const more = list.length > MAX_LISTED ? `<li><em>…and ${list.length - MAX_LISTED} more</em></li>` : '';
+        return `<p><strong>${labels[key] ?? escapeHTML(key)}:</strong> ${list.length}</p><ul>${names}${more}</ul>`;
+      })
+      .join('');
+    const policyOptions = Object.entries(policies)
+      .map(([value, label]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`)
+      .join('');
+
+    return `
+      <div style="background: #fcf8e3; padding: 1em; margin: 1em 0; border-radius: 4px;">
+        <h4 style="margin-top: 0;">⚠️ ${conflicts.total} Document(s) Already Exist</h4>
+        <p>These documents have the same ID as documents already in this world:</p>
+        ${sections}
+        <div class="form-group">
+          <label for="l5r4-conflict-policy">When an ID already exists:</label>
+          <select id="l5r4-conflict-policy" name="conflictPolicy">
+            ${policyOptions}
+          </select>
+        </div>
+      </div>
+    `;
   }
 
   /**
@@ -357,7 +701,7 @@ export class MigratorUI extends HandlebarsApplicationMixin(ApplicationV2) {
           info: '✅'
         }[r.priority];
 
-        return `<li>${icon} <strong>${r.message}</strong><br><em>${r.action}</em></li>`;
+        return `<li>${icon} <strong>${escapeHTML(r.message)}</strong><br><em>${escapeHTML(r.action)}</em></li>`;
       })
       .join('');
 
@@ -372,7 +716,7 @@ export class MigratorUI extends HandlebarsApplicationMixin(ApplicationV2) {
           'new-v13': 'New v13 (camelCase)',
           mixed: 'Mixed (Partially migrated)',
           unknown: 'Unknown'
-        }[detection.state] || detection.state;
+        }[detection.state] || escapeHTML(detection.state);
 
       const actionLabel = detection.needsTransform
         ? 'Schema transformation will be applied'
@@ -441,6 +785,237 @@ export class MigratorUI extends HandlebarsApplicationMixin(ApplicationV2) {
         'as-is': '✓ As-Is (New v13 → Enhanced, no transformation)'
       }[result.path] || result.path;
 
+    // List effect change keys that still point at paths missing from the target schema
+    let unknownEffectKeysHtml = '';
+    if (result.unknownEffectKeys?.length) {
+      const rows = result.unknownEffectKeys
+        .map(
+          (e) =>
+            `<li><strong>${escapeHTML(e.name)}</strong> › ${escapeHTML(e.effectName ?? e.effectId)}: <code>${escapeHTML(e.key)}</code></li>`
+        )
+        .join('');
+      unknownEffectKeysHtml = `
+        <h4>⚠️ Effect Keys Needing Review</h4>
+        <p>These effect changes target fields not declared by ${game.system.id}:</p>
+        <ul>${rows}</ul>
+      `;
+    }
+
+    // List legacy references left in script macros
+    let macroWarningsHtml = '';
+    if (result.macroWarnings?.length) {
+      const rows = result.macroWarnings
+        .map(
+          (w) =>
+            `<li><strong>${escapeHTML(w.name)}</strong> (line ${w.line}): <code>${escapeHTML(w.match)}</code> - ${escapeHTML(w.message)}</li>`
+        )
+        .join('');
+      macroWarningsHtml = `
+        <h4>⚠️ Macros Needing Review</h4>
+        <p>These script macros still refer to the legacy l5r4 system:</p>
+        <ul>${rows}</ul>
+      `;
+    }
+
+    // List compendium links and asset paths that still point at the legacy system
+    let systemReferencesHtml = '';
+    if (result.systemReferences?.unresolved.length) {
+      const rows = result.systemReferences.unresolved
+        .map(
+          (r) =>
+            `<li><strong>${escapeHTML(r.name ?? r.id)}</strong> (${escapeHTML(r.collection)}): <code>${escapeHTML(r.reference)}</code> - ${escapeHTML(r.reason)}</li>`
+        )
+        .join('');
+      systemReferencesHtml = `
+        <h4>⚠️ Unresolved Links</h4>
+        <p>These links and images still point at the legacy l5r4 system:</p>
+        <ul>${rows}</ul>
+      `;
+    }
+
+    // List icons missing from the target system and scene assets left pointing at the legacy system
+    let missingAssetsHtml = '';
+    const missingIcons = result.missingAssets ?? [];
+    const missingSceneAssets = stats.scenes?.assets?.missing ?? [];
+    if (missingIcons.length || missingSceneAssets.length) {
+      const iconRows = missingIcons
+        .map(
+          (a) =>
+            `<li><code>${escapeHTML(a.path)}</code> - <code>${escapeHTML(a.expected)}</code> not found (${a.count} documents)</li>`
+        )
+        .join('');
+      const sceneRows = missingSceneAssets
+        .map(
+          (a) =>
+            `<li><strong>${escapeHTML(a.sceneName)}</strong> › ${escapeHTML(a.field)}: <code>${escapeHTML(a.path)}</code></li>`
+        )
+        .join('');
+      missingAssetsHtml = `
+        <h4>⚠️ Missing Assets</h4>
+        ${iconRows ? `<p>These icons have no match in ${game.system.id} and keep their original path:</p><ul>${iconRows}</ul>` : ''}
+        ${sceneRows ? `<p>These scene assets point at the legacy l5r4 system and will break once it is uninstalled:</p><ul>${sceneRows}</ul>` : ''}
+      `;
+    }
+
+    // Documents the import filter kept, per collection
+    const filterSummary = Object.entries(result.filter ?? {})
+      .map(([key, f]) => `${f.kept} of ${f.kept + f.dropped} ${escapeHTML(key)}`)
+      .join(', ');
+
+    // List every folder fitted into the depth limit and where its documents went
+    let folderOverflowHtml = '';
+    if (result.folderOverflow?.decisions.length) {
+      const rows = result.folderOverflow.decisions
+        .map((d) => {
+          const target = d.targetName ? escapeHTML(d.targetName) : 'the top level';
+          const action =
+            d.action === 'merged'
+              ? `merged into <strong>${target}</strong>`
+              : `collapsed under <strong>${target}</strong>`;
+          return `<li>${escapeHTML(d.path)}: ${action} (${d.documents} documents)</li>`;
+        })
+        .join('');
+      folderOverflowHtml = `
+        <h4>Folders Nested Too Deep</h4>
+        <ul>${rows}</ul>
+      `;
+    }
+
+    // List every document that failed to transform or create, with its validation failures
+    let documentErrorsHtml = '';
+    if (result.errors?.length) {
+      const rows = result.errors
+        .map((e) => {
+          const fields = flattenValidationTree(e.validation)
+            .map((f) => `<li><code>${escapeHTML(f.path)}</code>: ${escapeHTML(f.message)}</li>`)
+            .join('');
+          return `
+            <li>
+              <strong>${escapeHTML(e.name ?? e.id)}</strong> (${escapeHTML(e.collection)}${e.type ? ` › ${escapeHTML(e.type)}` : ''}, ${e.phase}):
+              ${escapeHTML(e.message)}
+              ${fields ? `<ul>${fields}</ul>` : ''}
+            </li>
+          `;
+        })
+        .join('');
+      documentErrorsHtml = `
+        <h4>❌ ${result.errors.length} Document(s) Failed</h4>
+        <ul>${rows}</ul>
+        <p>
+          <button type="button" data-error-report="json"><i class="fas fa-download"></i> Download JSON</button>
+          <button type="button" data-error-report="csv"><i class="fas fa-download"></i> Download CSV</button>
+        </p>
+      `;
+    }
+
+    // List documents Foundry stored differently than the import sent them
+    let verificationHtml = '';
+    const verification = result.verification;
+    if (verification?.documents.length || verification?.notFound.length) {
+      const shown = (v) => escapeHTML(JSON.stringify(v) ?? String(v));
+      const rows = verification.documents
+        .map((d) => {
+          const lines = [
+            ...d.dropped.map((path) => `<li>Dropped <code>${escapeHTML(path)}</code></li>`),
+            ...d.changed.map(
+              (c) =>
+                `<li>Changed <code>${escapeHTML(c.path)}</code>: <code>${shown(c.sent)}</code> → <code>${shown(c.stored)}</code></li>`
+            ),
+            ...d.missingEmbedded.map((e) => `<li>Missing ${e.collection}: ${escapeHTML(e.name ?? e.id)}</li>`)
+          ].join('');
+          return `<li><strong>${escapeHTML(d.name ?? d.id)}</strong> (${escapeHTML(d.collection)}, ${d.action})<ul>${lines}</ul></li>`;
+        })
+        .join('');
+      const notFound = verification.notFound
+        .map(
+          (d) =>
+            `<li><strong>${escapeHTML(d.name ?? d.id)}</strong> (${escapeHTML(d.collection)}) - not found after import</li>`
+        )
+        .join('');
+      verificationHtml = `
+        <h4>⚠️ Stored Differently Than Sent</h4>
+        <p>Foundry changed these documents while creating them; check their sheets:</p>
+        <ul>${rows}${notFound}</ul>
+      `;
+    }
+
+    // List compendium packs that were skipped or failed
+    let packsHtml = '';
+    const packIssues = stats.packs?.packs.filter((p) => p.reason) ?? [];
+    if (packIssues.length) {
+      const rows = packIssues
+        .map((p) => `<li><strong>${escapeHTML(p.label)}</strong> (${escapeHTML(p.type)}): ${escapeHTML(p.reason)}</li>`)
+        .join('');
+      packsHtml = `
+        <h4>⚠️ Compendium Packs Not Imported</h4>
+        <ul>${rows}</ul>
+      `;
+    }
+
+    // Per-collection counts and creation time
+    const formatDuration = (ms) => (ms === undefined ? '—' : `${(ms / 1000).toFixed(1)}s`);
+    const collectionRows = [
+      ['Folders', stats.folders],
+      ['Actors', stats.actors],
+      ['Items', stats.items],
+      ['Scenes', stats.scenes],
+      ['Journals', stats.journals],
+      ['Roll Tables', stats.tables],
+      ['Macros', stats.macros],
+      ['Playlists', stats.playlists],
+      ['Card Stacks', stats.cards],
+      ['Combat Encounters', stats.combats],
+      ['Compendium Documents', stats.packs]
+    ]
+      .filter(([, s]) => s)
+      .map(
+        ([label, s]) =>
+          `<tr><td>${label}</td><td>${s.attempted}</td><td>${s.created}</td><td>${s.failed}</td><td>${formatDuration(s.durationMs)}</td></tr>`
+      )
+      .join('');
+
+    // Documents imported under a new ID
+    let idRemapHtml = '';
+    if (result.idRemap?.entries.length) {
+      const rows = result.idRemap.entries
+        .map(
+          (e) =>
+            `<tr><td>${e.documentName}</td><td>${escapeHTML(e.name)}</td><td><code>${escapeHTML(e.oldId)}</code></td><td><code>${escapeHTML(e.newId)}</code></td><td>${e.reason}</td></tr>`
+        )
+        .join('');
+      const duplicates = result.idRemap.duplicates ?? [];
+      const duplicateNote = duplicates.length
+        ? `<p><strong>⚠️ ${duplicates.length} document(s) reused an ID from earlier in the export.</strong> References to those IDs could not be told apart, so they still point at the first document with the ID. Check links meant for: ${duplicates.map((e) => escapeHTML(e.name)).join(', ')}.</p>`
+        : '';
+      idRemapHtml = `
+        <h4>Documents Given New IDs</h4>
+        <p>${result.idRemap.references} reference(s) to these documents were updated.</p>
+        ${duplicateNote}
+        <table>
+          <tr><th>Type</th><th>Name</th><th>Old ID</th><th>New ID</th><th>Reason</th></tr>
+          ${rows}
+        </table>
+      `;
+    }
+
+    // Summarize transform rules by how many documents each fired on
+    let rulesFiredHtml = '';
+    if (result.rulesFired?.length) {
+      const counts = {};
+      for (const entry of result.rulesFired) {
+        for (const rule of entry.rules) {
+          counts[rule] = (counts[rule] ?? 0) + 1;
+        }
+      }
+      const rows = Object.entries(counts)
+        .map(([rule, count]) => `<li><code>${escapeHTML(rule)}</code>: ${count}</li>`)
+        .join('');
+      rulesFiredHtml = `
+        <h4>Transform Rules Applied</h4>
+        <ul>${rows}</ul>
+      `;
+    }
+
     const content = `
       <div class="l5r4-import-results">
         <h3>✅ Import Complete</h3>
@@ -448,30 +1023,178 @@ export class MigratorUI extends HandlebarsApplicationMixin(ApplicationV2) {
         <p><strong>Import Path:</strong> ${pathLabel}</p>
         
         <table>
-          <tr><th>Type</th><th>Attempted</th><th>Created</th><th>Failed</th></tr>
-          <tr><td>Folders</td><td>${stats.folders.attempted}</td><td>${stats.folders.created}</td><td>${stats.folders.failed}</td></tr>
-          <tr><td>Actors</td><td>${stats.actors.attempted}</td><td>${stats.actors.created}</td><td>${stats.actors.failed}</td></tr>
-          <tr><td>Items</td><td>${stats.items.attempted}</td><td>${stats.items.created}</td><td>${stats.items.failed}</td></tr>
-          <tr><td>Scenes</td><td>${stats.scenes.attempted}</td><td>${stats.scenes.created}</td><td>${stats.scenes.failed}</td></tr>
-          <tr><td>Journals</td><td>${stats.journals.attempted}</td><td>${stats.journals.created}</td><td>${stats.journals.failed}</td></tr>
+          <tr><th>Type</th><th>Attempted</th><th>Created</th><th>Failed</th><th>Time</th></tr>
+          ${collectionRows}
         </table>
         
         ${stats.actors.transformed ? `<p style="margin-top: 1em;"><em>✓ Transformed ${stats.actors.transformed} actors and ${stats.items.transformed} items</em></p>` : ''}
+        ${stats.scenes.tokensTransformed ? `<p><em>✓ Transformed ${stats.scenes.tokensTransformed} unlinked tokens across ${stats.scenes.tokens.filter((t) => t.tokensTransformed > 0).length} scenes</em></p>` : ''}
+        ${stats.scenes?.assets?.rewritten.length ? `<p><em>✓ Migrated ${stats.scenes.assets.rewritten.length} scene textures and icons to ${game.system.id}</em></p>` : ''}
         ${result.path === 'as-is' ? '<p style="margin-top: 1em;"><em>✓ Data imported as-is, preserving all customizations</em></p>' : ''}
+        ${result.bioItems ? `<p><em>✓ Linked clan/family/school items on ${result.bioItems.actorsLinked} characters (${result.bioItems.created} new items created)</em></p>` : ''}
+        ${result.filledDefaults?.length ? `<p><em>✓ Filled ${result.filledDefaults.reduce((sum, d) => sum + d.paths.length, 0)} missing fields on ${result.filledDefaults.length} documents from the ${game.system.id} schema</em></p>` : ''}
+        ${filterSummary ? `<p><em>✓ Import filter selected ${filterSummary}</em></p>` : ''}
+        ${result.flags?.documents ? `<p><em>✓ Moved flags on ${result.flags.documents} documents to the ${game.system.id} namespace</em></p>` : ''}
+        ${result.conflicts?.detected ? `<p><em>✓ Resolved ${result.conflicts.detected} ID conflicts (${result.conflictPolicy}): ${result.conflicts.skipped} skipped, ${result.conflicts.overwritten} overwritten, ${result.conflicts.updated} updated, ${result.conflicts.copied} copied</em></p>` : ''}
+        ${result.systemReferences?.rewritten ? `<p><em>✓ Pointed ${result.systemReferences.rewritten} compendium links and images at ${game.system.id}</em></p>` : ''}
+        ${stats.macros?.rewritten ? `<p><em>✓ Rewrote legacy field names in ${stats.macros.rewritten} script macros</em></p>` : ''}
+        ${result.sync ? `<p><em>✓ Synced: ${result.sync.created} created, ${result.sync.updated} updated, ${result.sync.unchanged} unchanged, ${result.sync.deleted} deleted, ${result.sync.failed} failed</em></p>` : ''}
+        ${result.users?.updated ? `<p><em>✓ Applied flags to ${result.users.updated} users</em></p>` : ''}
+        ${verification?.checked ? `<p><em>✓ Verified ${verification.checked} written documents against their payloads (${verification.documents.length} with differences)</em></p>` : ''}
+        ${idRemapHtml}
+        ${folderOverflowHtml}
+        ${documentErrorsHtml}
+        ${verificationHtml}
+        ${rulesFiredHtml}
+        ${unknownEffectKeysHtml}
+        ${macroWarningsHtml}
+        ${systemReferencesHtml}
+        ${missingAssetsHtml}
+        ${packsHtml}
       </div>
     `;
 
+    const buttons = [
+      {
+        action: 'ok',
+        icon: 'fa-check',
+        label: 'OK',
+        default: true
+      }
+    ];
+    if (!result.dryRun && result.created?.length) {
+      buttons.push({
+        action: 'rollback',
+        icon: 'fa-undo',
+        label: 'Roll Back Import',
+        callback: () => this._onRollback(result)
+      });
+    }
+
     new DialogV2({
       window: { title: 'Import Results' },
       content,
-      buttons: [
-        {
-          action: 'ok',
-          icon: 'fa-check',
-          label: 'OK',
-          default: true
-        }
-      ]
+      buttons
+    })
+      .render(true)
+      .then((dialog) => {
+        // The download buttons sit in the content so the dialog stays open after a download
+        dialog.element
+          ?.querySelectorAll('[data-error-report]')
+          .forEach((button) =>
+            button.addEventListener('click', () =>
+              ImportService.downloadErrorReport(result.errors, button.dataset.errorReport)
+            )
+          );
+      });
+  }
+
+  /**
+   * Show a dry run's per-document preview
+   * Documents are grouped by collection; each opens to its changes by kind and the full payload.
+   * @private
+   * @param {Object} result - Dry-run import result with `preview`
+   */
+  _showImportPreview(result) {
+    const value = (v) => {
+      const text = typeof v === 'string' ? v : (JSON.stringify(v) ?? String(v));
+      const short = text.length > PREVIEW_VALUE_LENGTH ? `${text.slice(0, PREVIEW_VALUE_LENGTH)}…` : text;
+      return `<code>${escapeHTML(short)}</code>`;
+    };
+    // Renames have no path; defaults and removals carry a single value
+    const change = (c) => {
+      if (c.path === undefined) {
+        return `<code>${escapeHTML(c.from)}</code> → <code>${escapeHTML(c.to)}</code>`;
+      }
+      return 'value' in c
+        ? `<code>${escapeHTML(c.path)}</code> = ${value(c.value)}`
+        : `<code>${escapeHTML(c.path)}</code>: ${value(c.from)} → ${value(c.to)}`;
+    };
+
+    const renderEntry = (entry) => {
+      const kinds = Object.entries(PREVIEW_CHANGE_LABELS)
+        .filter(([kind]) => entry.diff[kind]?.length)
+        .map(
+          ([kind, label]) =>
+            `<p><strong>${label}</strong></p><ul>${entry.diff[kind].map((c) => `<li>${change(c)}</li>`).join('')}</ul>`
+        )
+        .join('');
+      const payload = escapeHTML(JSON.stringify(entry.payload, null, 2));
+      return `
+        <details>
+          <summary>${escapeHTML(entry.name ?? entry.id)} — ${entry.action} (${entry.changes} changes)</summary>
+          ${kinds || '<p><em>No changes</em></p>'}
+          <details><summary>Payload</summary><pre>${payload}</pre></details>
+        </details>
+      `;
+    };
+
+    const groups = new Map();
+    for (const entry of result.preview ?? []) {
+      if (!groups.has(entry.collection)) {
+        groups.set(entry.collection, []);
+      }
+      groups.get(entry.collection).push(entry);
+    }
+    const sections = [...groups]
+      .map(
+        ([collection, entries]) => `
+          <details>
+            <summary><strong>${escapeHTML(collection)}</strong> (${entries.length})</summary>
+            ${entries.map(renderEntry).join('')}
+          </details>
+        `
+      )
+      .join('');
+
+    new DialogV2({
+      window: { title: 'Import Preview', resizable: true },
+      position: { width: 700 },
+      content: `
+        <div class="l5r4-import-preview">
+          <h3>🔍 Dry Run: Nothing Was Imported</h3>
+          <p>Open a document to see what the import would write for it. Documents whose IDs already exist
+          in this world are left out unless a conflict policy other than skip is chosen at import.</p>
+          ${sections || '<p><em>No documents would be imported.</em></p>'}
+        </div>
+      `,
+      buttons: [{ action: 'ok', icon: 'fa-check', label: 'OK', default: true }]
     }).render(true);
   }
+
+  /**
+   * Delete the documents an import created, after confirmation
+   * @private
+   * @param {Object} result - Import result with its created document log
+   */
+  async _onRollback(result) {
+    const packs = result.created.filter((entry) => entry.collection === 'packs').length;
+    const packNote = packs > 0 ? `, including <strong>${packs}</strong> compendium packs and their contents` : '';
+    const confirm = await DialogV2.confirm({
+      window: { title: 'Roll Back Import' },
+      content: `
+        <p>This will delete the <strong>${result.created.length}</strong> documents created by this import${packNote}.</p>
+        <p>Documents that already existed in the world are not affected.</p>
+        <p>Continue?</p>
+      `,
+      rejectClose: false,
+      modal: true
+    });
+
+    if (!confirm) {
+      return;
+    }
+
+    try {
+      const stats = await ImportService.rollbackImport(result.created);
+      result.created = [];
+      ui.notifications.info(`Rollback complete: deleted ${stats.deleted} documents.`);
+      if (stats.failed > 0) {
+        ui.notifications.warn(`${stats.failed} documents could not be deleted. See console for details.`);
+      }
+    } catch (error) {
+      ui.notifications.error('Rollback failed. See console for details.');
+      Logger.error('Rollback failed:', error);
+    }
+  }
 }
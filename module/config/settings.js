@@ -49,4 +49,20 @@ export function registerSettings() {
     default: 'info',
     requiresReload: false
   });
+
+  // Hidden setting - checkpoint of an unfinished import (see CheckpointService)
+  game.settings.register('l5r4-migrator', 'importCheckpoint', {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: null
+  });
+
+  // Hidden setting - IDs imported by each sync, by source world (see ImportService.syncWorld)
+  game.settings.register('l5r4-migrator', 'syncState', {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {}
+  });
 }
@@ -27,6 +27,7 @@
  *   "journals": [...],
  *   "folders": [...],
  *   "playlists": [...],
+ *   "macros": [...],
  *   "settings": {...}
  * }
  * ```
@@ -47,6 +48,7 @@ export class BackupService {
    * @param {boolean} options.includeScenes - Include scenes (default: true)
    * @param {boolean} options.includeJournals - Include journal entries (default: true)
    * @param {boolean} options.includePlaylists - Include playlists (default: false)
+   * @param {boolean} options.includeMacros - Include macros (default: true)
    * @param {string} options.filename - Custom filename (default: auto-generated)
    * @returns {Promise<Object>} Backup result with path and metadata
    */
@@ -56,6 +58,7 @@ export class BackupService {
       includeScenes = true,
       includeJournals = true,
       includePlaylists = false,
+      includeMacros = true,
       filename = null
     } = options;
 
@@ -67,7 +70,8 @@ export class BackupService {
         includeSettings,
         includeScenes,
         includeJournals,
-        includePlaylists
+        includePlaylists,
+        includeMacros
       });
 
       // Generate filename
@@ -145,6 +149,11 @@ export class BackupService {
       data.playlists = game.playlists?.contents.map((p) => p.toObject()) || [];
     }
 
+    if (options.includeMacros) {
+      Logger.debug('Collecting macros...');
+      data.macros = game.macros?.contents.map((m) => m.toObject()) || [];
+    }
+
     // Always include folders for organization
     Logger.debug('Collecting folders...');
     data.folders = game.folders.contents.map((f) => f.toObject());
@@ -162,7 +171,8 @@ export class BackupService {
       scenes: data.scenes?.length || 0,
       journals: data.journals?.length || 0,
       folders: data.folders?.length || 0,
-      playlists: data.playlists?.length || 0
+      playlists: data.playlists?.length || 0,
+      macros: data.macros?.length || 0
     };
 
     return data;
@@ -266,8 +276,8 @@ export class BackupService {
     }
 
     const stats = {
-      deleted: { actors: 0, items: 0, scenes: 0, journals: 0, folders: 0 },
-      created: { actors: 0, items: 0, scenes: 0, journals: 0, folders: 0 },
+      deleted: { actors: 0, items: 0, scenes: 0, journals: 0, macros: 0, folders: 0 },
+      created: { actors: 0, items: 0, scenes: 0, journals: 0, macros: 0, folders: 0 },
       errors: []
     };
 
@@ -348,7 +358,22 @@ export class BackupService {
         }
       }
 
-      // Step 7: Restore settings (optional, careful!)
+      // Step 7: Restore macros (optional)
+      if (backupData.macros?.length) {
+        Logger.info(`Restoring ${backupData.macros.length} macros...`);
+        for (const macroData of backupData.macros) {
+          try {
+            // eslint-disable-next-line no-undef
+            await Macro.create(macroData);
+            stats.created.macros++;
+          } catch (error) {
+            Logger.warn(`Failed to restore macro ${macroData.name}`, error);
+            stats.errors.push({ type: 'macro', id: macroData._id, error: error.message });
+          }
+        }
+      }
+
+      // Step 8: Restore settings (optional, careful!)
       if (restoreSettings && backupData.settings) {
         Logger.info('Restoring world settings...');
         await this._restoreSettings(backupData.settings);
@@ -381,7 +406,7 @@ export class BackupService {
    * @returns {Promise<Object>} Deletion statistics
    */
   static async _deleteExistingData() {
-    const stats = { actors: 0, items: 0, scenes: 0, journals: 0, folders: 0 };
+    const stats = { actors: 0, items: 0, scenes: 0, journals: 0, macros: 0, folders: 0 };
 
     // Delete in reverse dependency order
     const actorIds = game.actors.contents.map((a) => a.id);
@@ -408,6 +433,13 @@ export class BackupService {
       stats.journals = journalIds.length;
     }
 
+    const macroIds = game.macros?.contents.map((m) => m.id) ?? [];
+    if (macroIds.length) {
+      // eslint-disable-next-line no-undef
+      await Macro.deleteDocuments(macroIds);
+      stats.macros = macroIds.length;
+    }
+
     const folderIds = game.folders.contents.map((f) => f.id);
     if (folderIds.length) {
       await Folder.deleteDocuments(folderIds);
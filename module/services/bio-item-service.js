@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Bio Item Service
+ *
+ * Converts legacy clan/school strings on PCs into l5r4-enhanced bio items.
+ * Original l5r4 stores `system.clan` and `system.school` as plain text; l5r4-enhanced
+ * uses embedded `clan`, `family` and `school` items linked through actor flags.
+ *
+ * **Linking Strategy:**
+ * - Clan and school: matched by name against world items (export data, then target world),
+ *   or created as new world items when no match exists
+ * - Family: legacy data has no family field, so the actor name's prefix is matched
+ *   against existing family items only (e.g., "Hida Kisada" → "Hida")
+ * - A copy of each item is embedded on the actor and its UUID stored in
+ *   `flags['l5r4-enhanced'].clanItemUuid` / `familyItemUuid` / `schoolItemUuid`
+ * - The embedded copy's ID is derived from the actor ID and bio type, so a re-import or
+ *   sync of the same actor produces the same ID and UUID links
+ * - Embedded family copies keep their Active Effects, so family trait bonuses apply
+ *
+ * Runs on export data before the actor transform, so the links are part of the
+ * create payload. Actors already holding a bio item of a type are left alone.
+ */
+
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Target system ID used as the flag namespace
+ */
+const TARGET_SYSTEM_ID = 'l5r4-enhanced';
+
+/**
+ * Bio item types and their actor flag keys
+ */
+const BIO_TYPES = {
+  clan: 'clanItemUuid',
+  family: 'familyItemUuid',
+  school: 'schoolItemUuid'
+};
+
+/**
+ * Characters of a Foundry document ID
+ */
+const ID_CHARS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+/**
+ * Length of a Foundry document ID
+ */
+const ID_LENGTH = 16;
+
+/**
+ * Service for building bio items from legacy actor strings
+ */
+export class BioItemService {
+  /**
+   * Build clan/family/school bio items for PCs in export data
+   * Returns copies; the input data is not modified.
+   *
+   * @param {Array<Object>} actors - Actor data from the export
+   * @param {Array<Object>} items - World item data from the export
+   * @param {Object} options - Options
+   * @param {Array<Object>} options.existingItems - Item data already in the target world (default: game.items)
+   * @returns {{actors: Array<Object>, items: Array<Object>, stats: Object}} Updated actors,
+   *   new world items to import, and linking statistics
+   */
+  static buildBioItems(actors, items = [], options = {}) {
+    const existingItems = options.existingItems ?? this._getWorldItems();
+    const stats = { actorsLinked: 0, matched: 0, created: 0, links: [] };
+    const createdItems = [];
+
+    // Name lookup: export items win over items already in the target world
+    const lookup = new Map();
+    for (const item of [...existingItems, ...items]) {
+      if (item && BIO_TYPES[item.type] && item.name) {
+        lookup.set(this._key(item.type, item.name), item);
+      }
+    }
+
+    const updatedActors = actors.map((actor) => {
+      if (!actor || actor.type !== 'pc' || !actor.system) {
+        return actor;
+      }
+
+      const updated = foundry.utils.duplicate(actor);
+      updated.items = Array.isArray(updated.items) ? updated.items : [];
+      let linked = false;
+
+      for (const type of Object.keys(BIO_TYPES)) {
+        const name = this._resolveName(updated, type, lookup);
+        if (!name) {
+          continue;
+        }
+
+        let source = lookup.get(this._key(type, name));
+        let matched = true;
+        if (!source) {
+          if (type === 'family') {
+            continue;
+          }
+          source = this._createWorldItem(type, name);
+          lookup.set(this._key(type, name), source);
+          createdItems.push(source);
+          stats.created++;
+          matched = false;
+          Logger.info(`Created ${type} item '${name}' from legacy actor data`);
+        } else {
+          stats.matched++;
+        }
+
+        const embedded = this._link(updated, type, source);
+        if (embedded) {
+          linked = true;
+          stats.links.push({ actorId: updated._id, actorName: updated.name, type, name: source.name, matched });
+        }
+      }
+
+      if (linked) {
+        stats.actorsLinked++;
+      }
+      return updated;
+    });
+
+    return { actors: updatedActors, items: createdItems, stats };
+  }
+
+  /**
+   * Resolve the bio item name for an actor and type
+   * @private
+   * @returns {string|null} Item name, or null if nothing to link
+   */
+  static _resolveName(actor, type, lookup) {
+    // Respect existing embedded bio items
+    if (actor.items.some((i) => i?.type === type)) {
+      return null;
+    }
+
+    if (type === 'family') {
+      const actorName = String(actor.name ?? '').toLowerCase();
+      const family = [...lookup.values()].find(
+        (i) => i.type === 'family' && actorName.startsWith(`${String(i.name).trim().toLowerCase()} `)
+      );
+      return family?.name ?? null;
+    }
+
+    const value = actor.system[type];
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+  }
+
+  /**
+   * Embed a copy of a bio item on the actor and store its UUID flag
+   * @private
+   * @returns {Object} Embedded item data
+   */
+  static _link(actor, type, source) {
+    const { _id, folder: _folder, sort: _sort, ...data } = foundry.utils.duplicate(source);
+    const embedded = { ...data, _id: actor._id ? this._embeddedId(actor._id, type) : foundry.utils.randomID() };
+    actor.items.push(embedded);
+
+    actor.flags ??= {};
+    actor.flags[TARGET_SYSTEM_ID] ??= {};
+    const flags = actor.flags[TARGET_SYSTEM_ID];
+
+    // Embedded UUIDs need the actor ID, which is only stable with keepId
+    if (actor._id) {
+      flags[BIO_TYPES[type]] = `Actor.${actor._id}.Item.${embedded._id}`;
+    } else {
+      Logger.warn(`Actor '${actor.name}' has no ID; ${type} item embedded without a UUID link`);
+    }
+
+    if (type === 'family') {
+      flags.familyName = source.name;
+      flags.familyBaseName = String(actor.name ?? '')
+        .slice(source.name.length)
+        .trim();
+    }
+
+    return embedded;
+  }
+
+  /**
+   * Derive the ID of an actor's embedded bio item from the actor ID and bio type
+   * FNV-1a over the seed, continued for each character, so the same actor and type
+   * always give the same ID.
+   * @private
+   * @param {string} actorId - Actor ID
+   * @param {string} type - Bio item type
+   * @returns {string} 16-character document ID
+   */
+  static _embeddedId(actorId, type) {
+    const seed = `${actorId}.${type}`;
+    let hash = 0x811c9dc5;
+    let id = '';
+    while (id.length < ID_LENGTH) {
+      for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      hash ^= id.length;
+      id += ID_CHARS[(hash >>> 0) % ID_CHARS.length];
+    }
+    return id;
+  }
+
+  /**
+   * Create world item data for a bio item
+   * @private
+   */
+  static _createWorldItem(type, name) {
+    return {
+      _id: foundry.utils.randomID(),
+      name,
+      type,
+      system: { description: '' }
+    };
+  }
+
+  /**
+   * Get item data already in the target world
+   * @private
+   */
+  static _getWorldItems() {
+    return (game.items?.contents ?? []).map((i) => (typeof i.toObject === 'function' ? i.toObject() : i));
+  }
+
+  /**
+   * Build a case-insensitive lookup key
+   * @private
+   */
+  static _key(type, name) {
+    return `${type}:${String(name).trim().toLowerCase()}`;
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Import Checkpoint Service
+ *
+ * Persists import progress in a hidden world setting so an import interrupted by a
+ * browser refresh or server hiccup can be resumed instead of started over.
+ *
+ * **Checkpoint Shape:**
+ * - `exportHash` - Hash of the export data, so a checkpoint only resumes the same file
+ * - `status` - "in-progress" until the import finishes (the checkpoint is then cleared)
+ * - `phase` - Collection being imported ("folders", "actors", ..., "users")
+ * - `collections` - Per collection: documents handled so far and the last one's ID
+ * - `options` - Import options, reused when resuming
+ * - `idRemap` - New IDs assigned to duplicates and copies, reused when resuming
+ * - `resumeFrom` - Progress of the interrupted run this one resumes
+ *
+ * Documents are handled in a deterministic order, so resuming skips the first
+ * `processed` documents of each collection. If the document at that boundary doesn't
+ * match the recorded `lastId`, only documents whose ID already exists are skipped.
+ */
+
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Module ID used as the settings namespace
+ */
+const MODULE_ID = 'l5r4-migrator';
+
+/**
+ * Setting key for the checkpoint
+ */
+const SETTING_KEY = 'importCheckpoint';
+
+/**
+ * Checkpoint format version
+ */
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Export hashes by data object, so repeated lookups don't re-hash large exports
+ */
+const hashCache = new WeakMap();
+
+/**
+ * Service for saving and resuming import checkpoints
+ */
+export class CheckpointService {
+  /**
+   * Hash export data (FNV-1a over its JSON)
+   *
+   * @param {Object} data - Export data
+   * @returns {string} Hex hash
+   */
+  static hashExport(data) {
+    if (data && typeof data === 'object' && hashCache.has(data)) {
+      return hashCache.get(data);
+    }
+
+    const json = JSON.stringify(data) ?? '';
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < json.length; i++) {
+      hash ^= json.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    const hex = (hash >>> 0).toString(16).padStart(8, '0');
+
+    if (data && typeof data === 'object') {
+      hashCache.set(data, hex);
+    }
+    return hex;
+  }
+
+  /**
+   * Start a checkpoint for an import run and persist it
+   *
+   * @param {Object} data - Export data being imported
+   * @param {Object} options - Import options (functions and `resume` are not stored)
+   * @param {Object|null} resume - Checkpoint of the interrupted run being resumed
+   * @param {Array<Object>} idRemap - Remap table of this run (see remapDocumentIds)
+   * @returns {Promise<Object>} The new checkpoint
+   */
+  static async start(data, options = {}, resume = null, idRemap = []) {
+    const storedOptions = Object.fromEntries(
+      Object.entries(options).filter(([key, value]) => key !== 'resume' && typeof value !== 'function')
+    );
+
+    const checkpoint = {
+      version: CHECKPOINT_VERSION,
+      exportHash: this.hashExport(data),
+      status: 'in-progress',
+      phase: null,
+      startedAt: resume?.startedAt ?? Date.now(),
+      updatedAt: Date.now(),
+      options: storedOptions,
+      collections: {},
+      idRemap,
+      resumeFrom: resume ? foundry.utils.duplicate(resume.collections) : null
+    };
+
+    await this.save(checkpoint);
+    return checkpoint;
+  }
+
+  /**
+   * Load the stored checkpoint
+   *
+   * @returns {Object|null} Checkpoint, or null if none is stored
+   */
+  static load() {
+    try {
+      const checkpoint = game.settings.get(MODULE_ID, SETTING_KEY);
+      return checkpoint && typeof checkpoint === 'object' && checkpoint.exportHash ? checkpoint : null;
+    } catch (_e) {
+      return null;
+    }
+  }
+
+  /**
+   * Persist a checkpoint
+   *
+   * @param {Object} checkpoint - Checkpoint to store
+   * @returns {Promise<void>}
+   */
+  static async save(checkpoint) {
+    checkpoint.updatedAt = Date.now();
+    try {
+      await game.settings.set(MODULE_ID, SETTING_KEY, checkpoint);
+    } catch (error) {
+      Logger.warn('Failed to save import checkpoint:', error);
+    }
+  }
+
+  /**
+   * Remove the stored checkpoint
+   *
+   * @returns {Promise<void>}
+   */
+  static async clear() {
+    try {
+      await game.settings.set(MODULE_ID, SETTING_KEY, null);
+    } catch (error) {
+      Logger.warn('Failed to clear import checkpoint:', error);
+    }
+  }
+
+  /**
+   * Find an unfinished checkpoint for this export data
+   *
+   * @param {Object} data - Loaded export data
+   * @returns {Object|null} Resumable checkpoint, or null
+   */
+  static findResumable(data) {
+    const checkpoint = this.load();
+    if (!checkpoint || checkpoint.status !== 'in-progress' || checkpoint.version !== CHECKPOINT_VERSION) {
+      return null;
+    }
+    return checkpoint.exportHash === this.hashExport(data) ? checkpoint : null;
+  }
+
+  /**
+   * Drop the documents of a collection that the resumed run already handled
+   * May be called several times per collection (e.g., once per folder level).
+   *
+   * @param {Object} checkpoint - Checkpoint of the current run
+   * @param {string} key - Export collection key
+   * @param {Array<Object>} docs - Documents about to be written, in import order
+   * @param {Function} exists - Called with an ID; true if the document is in the world
+   * @returns {{pending: Array<Object>, skipped: number}} Documents still to write
+   */
+  static skipCompleted(checkpoint, key, docs, exists = () => false) {
+    checkpoint.phase = key;
+    const progress = (checkpoint.collections[key] ??= { processed: 0, lastId: null });
+    const done = checkpoint.resumeFrom?.[key];
+    if (!done?.processed) {
+      return { pending: docs, skipped: 0 };
+    }
+
+    const skip = Math.max(0, Math.min(docs.length, done.processed - progress.processed));
+    let skipped = docs.slice(0, skip);
+    let pending = docs.slice(skip);
+
+    // The boundary document must match; otherwise only skip what already exists
+    const atBoundary = skip > 0 && progress.processed + skip === done.processed;
+    if (atBoundary && done.lastId && docs[skip - 1]?._id !== done.lastId) {
+      Logger.warn(`Checkpoint for ${key} doesn't match the export order; skipping existing documents only`);
+      skipped = docs.filter((d) => d?._id && exists(d._id));
+      pending = docs.filter((d) => !skipped.includes(d));
+    }
+
+    if (skipped.length > 0) {
+      progress.processed += skipped.length;
+      progress.lastId = skipped[skipped.length - 1]._id ?? progress.lastId;
+      Logger.info(`Resuming ${key}: skipped ${skipped.length} documents handled by the previous run`);
+    }
+
+    return { pending, skipped: skipped.length };
+  }
+
+  /**
+   * Record a handled chunk of documents and persist the checkpoint
+   *
+   * @param {Object} checkpoint - Checkpoint of the current run
+   * @param {string} key - Export collection key
+   * @param {Array<Object>} chunk - Documents just written (created, updated, skipped or failed)
+   * @returns {Promise<void>}
+   */
+  static async advance(checkpoint, key, chunk) {
+    const progress = (checkpoint.collections[key] ??= { processed: 0, lastId: null });
+    progress.processed += chunk.length;
+    progress.lastId = chunk[chunk.length - 1]?._id ?? progress.lastId;
+    await this.save(checkpoint);
+  }
+}
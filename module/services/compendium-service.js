@@ -0,0 +1,320 @@
+/**
+ * @fileoverview Compendium Pack Service
+ *
+ * Exports the world-owned compendium packs of the legacy world and recreates them
+ * in the target world.
+ *
+ * **Export:**
+ * - Actor, Item, JournalEntry and RollTable packs owned by the world are exported with
+ *   their metadata, folders and documents
+ * - Packs owned by a module or system are not exported; they are listed in the report
+ * - Locked world packs are exported and listed in the report (the lock is not copied)
+ *
+ * **Import:**
+ * - Each pack is created as `world.<name>` unless it already exists
+ * - Existing packs that are locked or hold another document type are skipped and reported
+ * - Folders are created parents first, then documents in batches (keeping their IDs);
+ *   documents already in the pack are left alone, so re-running an import is safe
+ * - The caller can transform each document first (the with-transform path does this
+ *   for Actor and Item packs)
+ * - Created packs, and the folders and documents created in packs that already existed,
+ *   are recorded in the caller's `created` log so the world import's rollback removes them
+ * - Failed packs, folders and documents are recorded in the caller's error report
+ *
+ * Pack contents are not part of the world import's checkpoint.
+ */
+
+import { createErrorEntry } from '../utils/error-report.js';
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Pack document types the migrator handles
+ */
+export const PACK_TYPES = ['Actor', 'Item', 'JournalEntry', 'RollTable'];
+
+/**
+ * Default number of documents per createDocuments call
+ */
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+ * Service for exporting and importing compendium packs
+ */
+export class CompendiumService {
+  /**
+   * Export world-owned packs
+   *
+   * @returns {Promise<{packs: Array<Object>, report: Array<Object>}>} Exported packs
+   *   ({ metadata, folders, documents }) and the packs that need attention
+   *   ({ pack, label, type, status: "exported"|"skipped", reason })
+   */
+  static async exportPacks() {
+    const packs = [];
+    const report = [];
+
+    for (const pack of game.packs ?? []) {
+      const { id, name, label, type, packageType, packageName, ownership, flags } = pack.metadata;
+      if (!PACK_TYPES.includes(type)) {
+        continue;
+      }
+
+      if (packageType !== 'world') {
+        report.push({ pack: id, label, type, status: 'skipped', reason: `Owned by ${packageType} "${packageName}"` });
+        continue;
+      }
+
+      const documents = (await pack.getDocuments()).map((doc) => doc.toObject());
+      const folders = pack.folders?.contents.map((folder) => folder.toObject()) ?? [];
+      packs.push({ metadata: { name, label, type, ownership, flags }, folders, documents });
+
+      if (pack.locked) {
+        report.push({ pack: id, label, type, status: 'exported', reason: 'Locked' });
+      }
+    }
+
+    if (report.length > 0) {
+      Logger.warn(`${report.length} compendium pack(s) need attention`, report);
+    }
+    Logger.info(`Exported ${packs.length} world compendium packs`);
+
+    return { packs, report };
+  }
+
+  /**
+   * Recreate exported packs in this world
+   *
+   * @param {Array<Object>} packs - Exported packs ({ metadata, folders, documents })
+   * @param {Object} options - Import options
+   * @param {boolean} options.dryRun - Count documents without creating packs or documents
+   * @param {number} options.batchSize - Documents per createDocuments call
+   * @param {Function} options.transform - Called with (type, docData); returns the data to create
+   * @param {Array<Object>} options.created - Log to record creations in, for rollback: created packs
+   *   ({ collection: "packs", id, name }) and contents created in existing packs
+   *   ({ collection: "packContents", pack, documentName, id, name })
+   * @param {Array<Object>} options.errors - Error report to append failed packs, folders and
+   *   documents to (see createErrorEntry; `collection` is the pack ID)
+   * @returns {Promise<Object>} Totals ({ attempted, created, skipped, failed }) and per-pack
+   *   results in `packs` ({ pack, label, type, status, reason?, attempted, created, skipped, failed })
+   */
+  static async importPacks(packs, options = {}) {
+    const { dryRun = false, batchSize = DEFAULT_BATCH_SIZE, transform = null, created = [], errors = [] } = options;
+    const stats = { attempted: 0, created: 0, skipped: 0, failed: 0, packs: [] };
+
+    for (const { metadata = {}, folders = [], documents = [] } of packs ?? []) {
+      const entry = {
+        pack: `world.${metadata.name}`,
+        label: metadata.label ?? metadata.name,
+        type: metadata.type,
+        status: 'imported',
+        attempted: documents.length,
+        created: 0,
+        skipped: 0,
+        failed: 0
+      };
+      stats.packs.push(entry);
+      stats.attempted += documents.length;
+
+      const pack = await this._resolvePack(metadata, entry, dryRun, errors);
+      if (pack && entry.status === 'created') {
+        created.push({ collection: 'packs', id: pack.collection, name: entry.label });
+      }
+      if (entry.status === 'skipped' || entry.status === 'failed') {
+        entry[entry.status] = documents.length;
+        stats[entry.status] += documents.length;
+        Logger.warn(`Skipped compendium pack ${entry.label}: ${entry.reason}`);
+        continue;
+      }
+
+      // Contents of a pack this import created go with the pack on rollback
+      const log = entry.status === 'created' ? null : created;
+      const context = { dryRun, batchSize, transform, created: log, errors };
+      const missingFolders = await this._importPackFolders(pack, folders, entry, context);
+      await this._importPackDocuments(pack, documents, entry, { ...context, missingFolders });
+      stats.created += entry.created;
+      stats.skipped += entry.skipped;
+      stats.failed += entry.failed;
+    }
+
+    Logger.info(
+      `Compendium import complete: ${stats.created}/${stats.attempted} documents created in ${stats.packs.length} packs`
+    );
+    return stats;
+  }
+
+  /**
+   * Find or create the target pack, marking the entry skipped or failed when it can't be used
+   * @private
+   * @param {Object} metadata - Exported pack metadata
+   * @param {Object} entry - Per-pack result
+   * @param {boolean} dryRun - Don't create the pack
+   * @param {Array<Object>} errors - Error report to append a failed pack creation to
+   * @returns {Promise<Object|null>} Target pack (null on a dry run when it doesn't exist yet)
+   */
+  static async _resolvePack(metadata, entry, dryRun, errors = []) {
+    if (!PACK_TYPES.includes(metadata.type)) {
+      Object.assign(entry, { status: 'skipped', reason: `Unsupported pack type ${metadata.type}` });
+      return null;
+    }
+
+    const existing = game.packs?.get(entry.pack);
+    if (existing?.locked) {
+      Object.assign(entry, { status: 'skipped', reason: 'Target pack is locked' });
+      return null;
+    }
+    if (existing && existing.metadata.type !== metadata.type) {
+      Object.assign(entry, { status: 'skipped', reason: `Target pack holds ${existing.metadata.type} documents` });
+      return null;
+    }
+    if (existing || dryRun) {
+      entry.status = existing ? 'imported' : 'created';
+      return existing ?? null;
+    }
+
+    try {
+      const { name, label, type, ownership, flags } = metadata;
+      const pack = await foundry.documents.collections.CompendiumCollection.createCompendium({
+        name,
+        label,
+        type,
+        ...(ownership ? { ownership } : {}),
+        ...(flags ? { flags } : {})
+      });
+      entry.status = 'created';
+      return pack;
+    } catch (error) {
+      Object.assign(entry, { status: 'failed', reason: error.message });
+      errors.push(
+        createErrorEntry({ name: entry.label, type: metadata.type }, error, { collection: entry.pack, phase: 'create' })
+      );
+      Logger.error(`Failed to create compendium pack ${entry.label}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Create a pack's folders, parents first, leaving folders the pack already has
+   * When the batch fails, folders are created one by one so one bad folder doesn't take the rest.
+   * @private
+   * @param {Object|null} pack - Target pack
+   * @param {Array<Object>} folders - Exported folder data
+   * @param {Object} entry - Per-pack result
+   * @param {Object} options - { dryRun, created, errors }
+   * @returns {Promise<Set<string>>} IDs of the folders that could not be created
+   */
+  static async _importPackFolders(pack, folders, entry, options) {
+    const { dryRun, created, errors } = options;
+    const missing = new Set();
+    const pending = folders.filter((folder) => !pack?.folders?.get?.(folder._id));
+    if (dryRun || !pack || pending.length === 0) {
+      return missing;
+    }
+
+    const byId = new Map(pending.map((folder) => [folder._id, folder]));
+    const depth = (folder, seen = new Set()) => {
+      const parent = byId.get(folder.folder);
+      if (!parent || seen.has(parent._id)) {
+        return 0;
+      }
+      seen.add(parent._id);
+      return depth(parent, seen) + 1;
+    };
+    const sorted = [...pending].sort((a, b) => depth(a) - depth(b));
+    const context = { pack: pack.collection, keepId: true };
+    const record = (folder) =>
+      created?.push({
+        collection: 'packContents',
+        pack: pack.collection,
+        documentName: 'Folder',
+        id: folder._id,
+        name: folder.name
+      });
+
+    try {
+      await Folder.createDocuments(sorted, context);
+      sorted.forEach(record);
+    } catch (batchError) {
+      Logger.warn(`Failed to create folders in compendium pack ${pack.collection}, retrying one by one:`, batchError);
+      for (const folder of sorted) {
+        try {
+          await Folder.create(folder, context);
+          record(folder);
+        } catch (error) {
+          missing.add(folder._id);
+          errors?.push(createErrorEntry(folder, error, { collection: entry.pack, phase: 'create' }));
+          Logger.error(`Failed to create folder ${folder.name} in compendium pack ${entry.label}:`, error);
+        }
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * Create a pack's documents in batches, falling back to one by one when a batch fails
+   * @private
+   * @param {Object|null} pack - Target pack
+   * @param {Array<Object>} documents - Exported document data
+   * @param {Object} entry - Per-pack result to fill in
+   * @param {Object} options - { dryRun, batchSize, transform, created, errors, missingFolders }; documents
+   *   in a folder listed in `missingFolders` are created at the pack root
+   * @returns {Promise<void>}
+   */
+  static async _importPackDocuments(pack, documents, entry, options) {
+    const { dryRun, batchSize, transform, created, errors, missingFolders = new Set() } = options;
+    const fail = (docData, error, phase) =>
+      errors?.push(createErrorEntry(docData, error, { collection: entry.pack, phase }));
+
+    const pending = [];
+    for (const docData of documents) {
+      if (docData?._id && pack?.index?.has?.(docData._id)) {
+        entry.skipped++;
+        continue;
+      }
+      try {
+        const data = transform ? transform(entry.type, docData) : docData;
+        pending.push(missingFolders.has(data?.folder) ? { ...data, folder: null } : data);
+      } catch (error) {
+        entry.failed++;
+        fail(docData, error, 'transform');
+        Logger.error(`Failed to transform ${docData?.name} for compendium pack ${entry.label}:`, error);
+      }
+    }
+
+    if (dryRun || !pack) {
+      entry.created += pending.length;
+      return;
+    }
+
+    const DocumentClass = pack.documentClass;
+    const context = { pack: pack.collection, keepId: true };
+    const size = Math.max(1, Math.floor(batchSize) || DEFAULT_BATCH_SIZE);
+    const record = (docData, doc) =>
+      created?.push({
+        collection: 'packContents',
+        pack: pack.collection,
+        documentName: entry.type,
+        id: doc?.id ?? doc?._id ?? docData._id,
+        name: docData.name
+      });
+
+    for (let i = 0; i < pending.length; i += size) {
+      const batch = pending.slice(i, i + size);
+      try {
+        const docs = await DocumentClass.createDocuments(batch, context);
+        batch.forEach((docData, index) => record(docData, docs?.[index]));
+        entry.created += batch.length;
+      } catch (batchError) {
+        Logger.warn(`${entry.label} batch ${i / size + 1} failed, retrying one by one:`, batchError);
+        for (const docData of batch) {
+          try {
+            record(docData, await DocumentClass.create(docData, context));
+            entry.created++;
+          } catch (error) {
+            entry.failed++;
+            fail(docData, error, 'create');
+            Logger.error(`Failed to import ${docData.name} into compendium pack ${entry.label}:`, error);
+          }
+        }
+      }
+    }
+  }
+}
@@ -9,6 +9,7 @@
  * - Preserves embedded items on actors
  * - Preserves Active Effects
  * - Preserves all flags and custom data
+ * - Exports world-owned compendium packs (see CompendiumService)
  * - Returns data ready for validation and transformation
  *
  * **Data Integrity:**
@@ -19,6 +20,7 @@
  */
 
 import { Logger } from '../utils/logger.js';
+import { CompendiumService } from './compendium-service.js';
 import { validateActorData, validateItemData } from '../utils/validators.js';
 
 /**
@@ -32,16 +34,29 @@ export class ExportService {
    * @param {boolean} options.includeScenes - Include scenes (default: true)
    * @param {boolean} options.includeJournals - Include journal entries (default: true)
    * @param {boolean} options.includeTables - Include roll tables (default: true)
+   * @param {boolean} options.includeUsers - Include user flags, e.g. sort preferences (default: true)
+   * @param {boolean} options.includeMacros - Include macros (default: true)
+   * @param {boolean} options.includePlaylists - Include playlists (default: true)
+   * @param {boolean} options.includeCards - Include card stacks (default: true)
+   * @param {boolean} options.includeCombats - Include combat encounters (default: true)
+   * @param {boolean} options.includePacks - Include world-owned compendium packs (default: true)
    * @param {boolean} options.validate - Validate exported data (default: true)
    * @param {Array<string>} options.actorIds - Specific actor IDs to export (default: all)
    * @param {Array<string>} options.itemIds - Specific item IDs to export (default: all)
-   * @returns {Promise<Object>} Export result with data and metadata
+   * @returns {Promise<Object>} Export result with data and metadata, plus `packReport`: compendium
+   *   packs that were skipped (owned by a module or system) or exported while locked
    */
   static async exportWorld(options = {}) {
     const {
       includeScenes = true,
       includeJournals = true,
       includeTables = true,
+      includeUsers = true,
+      includeMacros = true,
+      includePlaylists = true,
+      includeCards = true,
+      includeCombats = true,
+      includePacks = true,
       validate = true,
       actorIds = null,
       itemIds = null
@@ -64,6 +79,12 @@ export class ExportService {
       scenes: [],
       journals: [],
       tables: [],
+      users: [],
+      macros: [],
+      playlists: [],
+      cards: [],
+      combats: [],
+      packs: [],
       folders: [],
       validation: {
         enabled: validate,
@@ -145,6 +166,48 @@ export class ExportService {
         exportData.tables = game.tables.contents.map((t) => t.toObject());
       }
 
+      // Export user flags if requested (users themselves aren't migrated)
+      if (includeUsers) {
+        const users = game.users?.contents ?? [];
+        Logger.info(`Exporting flags for ${users.length} users...`);
+        exportData.users = users.map((u) => this._exportUser(u));
+      }
+
+      // Export macros if requested (their folders are exported with the others below)
+      if (includeMacros) {
+        const macros = game.macros?.contents ?? [];
+        Logger.info(`Exporting ${macros.length} macros...`);
+        exportData.macros = macros.map((m) => m.toObject());
+      }
+
+      // Export playlists, card stacks and combat encounters if requested
+      if (includePlaylists) {
+        const playlists = game.playlists?.contents ?? [];
+        Logger.info(`Exporting ${playlists.length} playlists...`);
+        exportData.playlists = playlists.map((p) => p.toObject());
+      }
+
+      if (includeCards) {
+        const cards = game.cards?.contents ?? [];
+        Logger.info(`Exporting ${cards.length} card stacks...`);
+        exportData.cards = cards.map((c) => c.toObject());
+      }
+
+      if (includeCombats) {
+        const combats = game.combats?.contents ?? [];
+        Logger.info(`Exporting ${combats.length} combat encounters...`);
+        exportData.combats = combats.map((c) => c.toObject());
+      }
+
+      // Export world compendium packs if requested; other packs are only reported
+      let packReport = [];
+      if (includePacks) {
+        Logger.info('Exporting world compendium packs...');
+        const exported = await CompendiumService.exportPacks();
+        exportData.packs = exported.packs;
+        packReport = exported.report;
+      }
+
       // Always export folders for organization
       Logger.info(`Exporting ${game.folders.contents.length} folders...`);
       exportData.folders = game.folders.contents.map((f) => f.toObject());
@@ -156,6 +219,12 @@ export class ExportService {
         scenes: exportData.scenes.length,
         journals: exportData.journals.length,
         tables: exportData.tables.length,
+        users: exportData.users.length,
+        macros: exportData.macros.length,
+        playlists: exportData.playlists.length,
+        cards: exportData.cards.length,
+        combats: exportData.combats.length,
+        packs: exportData.packs.length,
         folders: exportData.folders.length
       };
 
@@ -178,7 +247,8 @@ export class ExportService {
         success: true,
         data: exportData,
         stats: exportData.metadata.stats,
-        validation: exportData.validation
+        validation: exportData.validation,
+        packReport
       };
     } catch (error) {
       Logger.error('World export failed', error);
@@ -231,6 +301,18 @@ export class ExportService {
     return itemData;
   }
 
+  /**
+   * Export a user's identity and flags
+   * Only the fields needed to match the user in the target world are kept.
+   * @private
+   * @param {User} user - User to export
+   * @returns {Object} User data ({ _id, name, flags })
+   */
+  static _exportUser(user) {
+    const { _id, name, flags } = user.toObject();
+    return { _id, name, flags: flags ?? {} };
+  }
+
   /**
    * Export specific actors by ID
    *
@@ -9,21 +9,50 @@
  * - Route to appropriate import path:
  *   - Original: Apply transformations (snake_case → camelCase, bow conversion, add fields)
  *   - New v13: Import as-is without transformations
+ * - Move legacy flags into the target system's namespace (both paths)
  * - Create documents in target world
+ * - Create documents in batches, falling back to one-by-one on batch failure
+ * - Resolve ID conflicts with documents already in the world (skip, overwrite, update, copy)
+ * - Give duplicate and copied documents new IDs, rewriting references to them
+ * - Record every created document so the run can be rolled back (automatically on fatal error)
+ * - Save a checkpoint after each batch so an interrupted import can be resumed
+ * - Sync a newer export into an earlier import, updating only changed fields (syncWorld)
+ * - Import macros with their ownership mapped to matching users; rewrite legacy field
+ *   names in script macros and report other legacy references
+ * - Recreate world compendium packs, transforming Actor and Item packs (CompendiumService)
  * - Handle individual failures gracefully
  * - Provide comprehensive statistics
  *
  * **Transformation Pipeline (Original only):**
+ * Steps 1-3 run as named rules in TransformRegistry (see BUILTIN_TRANSFORMS),
+ * so other modules can add or replace rules.
  * 1. Apply SCHEMA_MAP transformations
  * 2. Convert bow → weapon
- * 3. Add new fields (bonuses, woundsPenaltyMod, etc.)
- * 4. Validate transformed data
- * 5. Create document in Foundry
+ * 3. Add new fields (bonuses, woundsPenaltyMod, etc.), then fill anything else the
+ *    target schema declares with its defaults
+ * 4. Rewrite ActiveEffect change keys and transform unlinked token deltas in scenes
+ * 5. Validate transformed data
+ * 6. Create document in Foundry
  */
 
+import { diffDocument } from '../utils/diff-utils.js';
+import { createErrorEntry, toErrorReportCsv } from '../utils/error-report.js';
+import { DEFAULT_FLAG_KEY_MAP, remapFlagNamespace } from '../utils/flag-utils.js';
+import { flattenFolderOverflow, FOLDER_OVERFLOW_STRATEGIES } from '../utils/folder-utils.js';
+import { applyImportFilter, hasImportFilter } from '../utils/import-filter.js';
+import { hasDifferences, verifyDocument } from '../utils/import-verification.js';
+import { REMAP_COLLECTIONS, remapDocumentIds } from '../utils/id-remap.js';
 import { Logger } from '../utils/logger.js';
+import { analyzeMacroScript } from '../utils/macro-utils.js';
 import { copyPath, getByPath, setByPath } from '../utils/path-utils.js';
+import { countChanges, diffTransformed } from '../utils/preview-diff.js';
+import { rewriteDocumentReferences, TARGET_SYSTEM_ID } from '../utils/system-references.js';
+import { fillMissingDefaults, getTargetSystemModel, targetPathExists } from '../utils/target-schema.js';
+import { BioItemService } from './bio-item-service.js';
+import { CheckpointService } from './checkpoint-service.js';
+import { CompendiumService } from './compendium-service.js';
 import { SchemaStateDetectionService } from './schema-state-detection-service.js';
+import { TransformRegistry } from './transform-registry.js';
 
 /**
  * Icon migration map
@@ -50,6 +79,12 @@ const ICON_MIGRATION_MAP = {
   'ninja.png': 'npc.webp'
 };
 
+/**
+ * Icon folder of the target system, and the subfolders it sorts some icons into
+ */
+const ICON_ROOT = 'systems/l5r4-enhanced/assets/icons';
+const ICON_SUBFOLDERS = ['rings', 'status', 'traits'];
+
 /**
  * Resolve which new icon to use based on old filename and item type
  * Some old icons were reused for multiple types, so we need type context
@@ -103,6 +138,123 @@ const SCHEMA_MAP = [
   { docType: 'Item', type: 'armor', from: 'system.specialRues', to: 'system.specialRules' }
 ];
 
+/**
+ * Weapon system defaults (mirrors l5r4-enhanced template.json `Item.weapon`)
+ * Filled in when a weapon's field is missing or an empty string.
+ */
+export const WEAPON_DEFAULTS = {
+  damageRoll: 0,
+  damageKeep: 0,
+  size: 'medium',
+  damageFormula: '',
+  explodesOn: 10,
+  associatedSkill: '',
+  fallbackTrait: 'agi',
+  isBow: false,
+  str: 1,
+  range: 100,
+  arrow: 'willow'
+};
+
+/**
+ * Bow → weapon conversion defaults (mirrors l5r4-enhanced's migrateBowsToWeapons)
+ * `forced` fields always overwrite; `fallback` fields replace falsy values.
+ * The fallback values also apply to weapons already flagged `isBow`.
+ */
+export const BOW_DEFAULTS = {
+  forced: { isBow: true, damageKeep: 0 },
+  fallback: { str: 1, range: 100, arrow: 'willow', explodesOn: 10, associatedSkill: '', fallbackTrait: 'ref' }
+};
+
+/**
+ * NPC wound level order (matches l5r4-enhanced's WOUND_LEVEL_ORDER)
+ */
+const WOUND_LEVEL_ORDER = ['healthy', 'nicked', 'grazed', 'hurt', 'injured', 'crippled', 'down', 'out'];
+
+/**
+ * Default number of documents per createDocuments call
+ */
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+ * Deepest folder depth Foundry accepts, counting root folders as depth 0
+ * Foundry counts root folders as level 1 and allows CONST.FOLDER_MAX_DEPTH levels.
+ */
+const MAX_FOLDER_DEPTH = (globalThis.CONST?.FOLDER_MAX_DEPTH ?? 4) - 1;
+
+/**
+ * Asset fields of scene data, by embedded collection ('' for the scene itself)
+ * Token fields use the token's actor type for type-specific icons.
+ */
+const SCENE_ASSET_FIELDS = {
+  '': ['background.src', 'foreground', 'fog.overlay', 'thumb'],
+  tokens: ['texture.src', 'ring.subject.texture', 'delta.img'],
+  tiles: ['texture.src'],
+  notes: ['texture.src'],
+  drawings: ['texture']
+};
+
+/**
+ * How to handle documents whose ID already exists in the target world
+ * - skip: leave the existing document alone
+ * - overwrite: delete the existing document and recreate it from the import data
+ * - update: update the existing document in place
+ * - copy: create the import data as a new document with a new ID; references to it
+ *   elsewhere in the export are rewritten to the new ID
+ * - sync: update only the fields that differ from the existing document (see syncWorld)
+ */
+export const CONFLICT_POLICIES = ['skip', 'overwrite', 'update', 'copy', 'sync'];
+
+/**
+ * Default conflict policy
+ */
+const DEFAULT_CONFLICT_POLICY = 'skip';
+
+/**
+ * Module ID used as the settings namespace
+ */
+const MODULE_ID = 'l5r4-migrator';
+
+/**
+ * Import option that skips each optional export collection
+ */
+const SKIP_OPTIONS = {
+  folders: 'skipFolders',
+  scenes: 'skipScenes',
+  journals: 'skipJournals',
+  tables: 'skipTables',
+  macros: 'skipMacros',
+  playlists: 'skipPlaylists',
+  cards: 'skipCards',
+  combats: 'skipCombats'
+};
+
+/**
+ * World collection names by export data key
+ */
+const WORLD_COLLECTIONS = {
+  folders: 'folders',
+  actors: 'actors',
+  items: 'items',
+  scenes: 'scenes',
+  journals: 'journal',
+  tables: 'tables',
+  macros: 'macros',
+  playlists: 'playlists',
+  cards: 'cards',
+  combats: 'combats'
+};
+
+/**
+ * Collections imported unchanged on both paths, after the others (combats refer to
+ * scenes and actors). Their folders are imported with the rest.
+ */
+const ADDITIONAL_COLLECTIONS = [
+  { key: 'playlists', label: 'playlists' },
+  { key: 'cards', label: 'card stacks' },
+  { key: 'combats', label: 'combat encounters' }
+];
+
 /**
  * Service for importing world data with transformations
  */
@@ -118,11 +270,76 @@ export class ImportService {
    * @param {boolean} options.skipScenes - Skip scene import
    * @param {boolean} options.skipJournals - Skip journal import
    * @param {boolean} options.skipTables - Skip roll table import
+   * @param {boolean} options.skipMacros - Skip macro import
+   * @param {boolean} options.skipPlaylists - Skip playlist import
+   * @param {boolean} options.skipCards - Skip card stack import
+   * @param {boolean} options.skipCombats - Skip combat encounter import
+   * @param {boolean} options.skipPacks - Skip compendium pack import
    * @param {boolean} options.skipDetection - Skip schema detection (force transform path)
-   * @returns {Promise<Object>} Import result with statistics
+   * @param {number} options.batchSize - Documents per createDocuments call (default: 100)
+   * @param {string} options.conflictPolicy - How to handle IDs that already exist in this world:
+   *   "skip", "overwrite", "update", "copy" or "sync" (default: "skip"). Folders are updated instead of overwritten.
+   * @param {boolean} options.rollbackOnError - Delete the documents created so far if the import
+   *   fails with a fatal error (default: true). The rollback result is attached to the error as `rollback`.
+   * @param {Object} options.resume - Checkpoint of an interrupted import of the same data
+   *   (see CheckpointService.findResumable). Its stored options apply unless overridden, and
+   *   documents the interrupted run already handled are skipped.
+   * @param {Array<Object>} options.idRemap - Remap table of an earlier import of the same source,
+   *   so duplicates get the same new IDs again (a resumed checkpoint's table takes precedence)
+   * @param {boolean} options.skipUsers - Skip applying exported user flags to matching users
+   * @param {boolean} options.createBioItems - Build clan/family/school items from legacy PC strings
+   *   (with-transform path only)
+   * @param {Object} options.flagKeyMap - Flag namespace map ({ source, target, keys }),
+   *   defaults to DEFAULT_FLAG_KEY_MAP (l5r4 → l5r4-enhanced)
+   * @param {string} options.folderOverflow - How to fit folders nested deeper than Foundry allows:
+   *   "reparent" (default; their documents move to the deepest allowed ancestor), "collapse"
+   *   (they become path-named folders at the deepest allowed level) or "skip" (not imported)
+   * @param {Object} options.filter - Import only part of the export: collections, subtypes,
+   *   folder subtrees and name patterns (see import-filter.js); the folders the selected
+   *   documents need are kept. Per-collection counts are returned in `result.filter`
+   * @param {boolean} options.verifyIcons - Check migrated icon paths against the target system's
+   *   icon folders (see loadIconIndex); mapped icons that don't exist keep their original path
+   *   and are listed in `result.missingAssets`
+   * @param {Object<string, string>} options.compendiumMap - Target pack for legacy system packs
+   *   ({ "l5r4.<name>": "<package>.<name>" }); unlisted packs map to the same name in l5r4-enhanced
+   * @param {boolean} options.verify - Compare each created document with the payload sent for it
+   *   once the import is done (default: true); the report is returned in `result.verification`
+   *   (see verifyImport)
+   * @returns {Promise<Object>} Import result with statistics. `errors` has an entry for each document
+   *   that failed to transform or create (see error-report.js). Dry runs add `preview`: each world
+   *   document's payload and its diff against the export (see _buildPreview). `idRemap` lists
+   *   the documents given new IDs (`entries`), the references rewritten (`references`) and the
+   *   duplicates among them (`duplicates`), whose references still point at the first document
    */
   static async importWorld(data, options = {}) {
-    const { dryRun = false, skipDetection = false } = options;
+    const { resume = null } = options;
+    if (resume) {
+      if (resume.exportHash !== CheckpointService.hashExport(data)) {
+        throw new Error('Import checkpoint does not match this export data.');
+      }
+      options = { ...resume.options, ...options };
+    }
+
+    const {
+      dryRun = false,
+      skipDetection = false,
+      skipUsers = false,
+      flagKeyMap = DEFAULT_FLAG_KEY_MAP,
+      conflictPolicy = DEFAULT_CONFLICT_POLICY,
+      rollbackOnError = true,
+      verifyIcons = false,
+      folderOverflow = 'reparent',
+      verify = true
+    } = options;
+
+    if (!CONFLICT_POLICIES.includes(conflictPolicy)) {
+      throw new Error(`Unknown conflict policy '${conflictPolicy}' (expected ${CONFLICT_POLICIES.join(', ')})`);
+    }
+    if (!FOLDER_OVERFLOW_STRATEGIES.includes(folderOverflow)) {
+      throw new Error(
+        `Unknown folder overflow strategy '${folderOverflow}' (expected ${FOLDER_OVERFLOW_STRATEGIES.join(', ')})`
+      );
+    }
 
     Logger.info('Starting world import...');
 
@@ -145,14 +362,735 @@ export class ImportService {
       throw new Error('Mixed schema detected. World appears to be partially migrated.');
     }
 
+    // Resolve migrated icons against the files the target system ships
+    const iconIndex = verifyIcons ? await this.loadIconIndex() : null;
+
+    // Narrow the export to the selected documents and the folders they need
+    const { data: selectedData, stats: filterStats } = applyImportFilter(data, options.filter);
+    if (hasImportFilter(options.filter)) {
+      const kept = Object.entries(filterStats).map(([key, { kept: count }]) => `${count} ${key}`);
+      Logger.info(`Import filter selected ${kept.join(', ')}`);
+    }
+
+    // Move legacy flags into the target namespace (applies to both import paths)
+    const { data: flaggedData, stats: flagStats } = this._remapWorldFlags(selectedData, flagKeyMap);
+    if (flagStats.documents > 0) {
+      Logger.info(`Remapped flags on ${flagStats.documents} documents (${flagKeyMap.source} → ${flagKeyMap.target})`);
+    }
+
+    // Point compendium links and asset paths in text at the target system
+    const { data: linkedData, stats: referenceStats } = this._rewriteSystemReferences(
+      flaggedData,
+      options.compendiumMap,
+      iconIndex
+    );
+    if (referenceStats.rewritten > 0) {
+      Logger.info(`Rewrote ${referenceStats.rewritten} legacy system references in document text`);
+    }
+    if (referenceStats.unresolved.length > 0) {
+      Logger.warn(`${referenceStats.unresolved.length} legacy system references could not be resolved`);
+    }
+
+    // New IDs for duplicates (and conflicts under the copy policy), with references rewritten
+    const {
+      data: remappedData,
+      entries: remapEntries,
+      references
+    } = remapDocumentIds(linkedData, {
+      isTaken: (key, id) => conflictPolicy === 'copy' && Boolean(game[WORLD_COLLECTIONS[key]]?.get?.(id)),
+      previous: resume?.idRemap ?? options.idRemap
+    });
+    if (remapEntries.length > 0) {
+      Logger.info(`Assigned new IDs to ${remapEntries.length} documents, rewrote ${references} references`);
+    }
+    const duplicates = remapEntries.filter((e) => e.reason === 'duplicate');
+    if (duplicates.length > 0) {
+      Logger.warn(
+        `${duplicates.length} documents reuse an ID from earlier in the export; references to those IDs still point at the first document`,
+        duplicates
+      );
+    }
+
+    // Fit folders nested deeper than Foundry allows, moving their documents along
+    const { data: importData, decisions: folderDecisions } = flattenFolderOverflow(remappedData, {
+      strategy: folderOverflow,
+      maxDepth: MAX_FOLDER_DEPTH
+    });
+    if (folderDecisions.length > 0) {
+      Logger.info(`Fitted ${folderDecisions.length} over-deep folders into the depth limit (${folderOverflow})`);
+    }
+
+    // Persist progress so an interrupted import can be resumed
+    const checkpoint = dryRun ? null : await CheckpointService.start(data, options, resume, remapEntries);
+    if (resume) {
+      Logger.info(`Resuming import started ${new Date(resume.startedAt).toLocaleString()}`);
+    }
+
     // Route to appropriate import method
-    if (detection.needsTransform) {
-      Logger.info('Importing with schema transformation (Original → Enhanced)');
-      return await this._importWithTransform(data, { ...options, detection });
+    const created = [];
+    const changelog = [];
+    const errors = [];
+    const preview = dryRun ? [] : null;
+    const sent = dryRun || !verify ? null : [];
+    const pathOptions = {
+      ...options,
+      conflictPolicy,
+      created,
+      changelog,
+      errors,
+      checkpoint,
+      preview,
+      sent,
+      iconIndex,
+      detection
+    };
+    let result;
+    let resumable = false;
+    try {
+      if (detection.needsTransform) {
+        Logger.info('Importing with schema transformation (Original → Enhanced)');
+        result = await this._importWithTransform(importData, pathOptions);
+      } else {
+        Logger.info('Importing as-is (New v13 → Enhanced, no transformation)');
+        result = await this._importAsIs(importData, pathOptions);
+      }
+
+      result.created = created;
+      result.changelog = changelog;
+      result.errors.push(...errors);
+      result.resumed = Boolean(resume);
+      result.flags = flagStats;
+      result.systemReferences = referenceStats;
+      result.idRemap = { entries: remapEntries, references, duplicates };
+      result.folderOverflow = { strategy: folderOverflow, decisions: folderDecisions };
+      if (hasImportFilter(options.filter)) {
+        result.filter = filterStats;
+      }
+      if (preview) {
+        result.preview = this._buildPreview(preview, selectedData, remapEntries, flagKeyMap);
+      }
+
+      // Summarize ID conflicts across collections
+      result.conflictPolicy = conflictPolicy;
+      result.conflicts = { detected: 0, skipped: 0, overwritten: 0, updated: 0, copied: 0 };
+      for (const stats of Object.values(result.stats)) {
+        for (const [key, value] of Object.entries(stats.conflicts ?? {})) {
+          result.conflicts[key] += value;
+        }
+      }
+      // Copies were already given new IDs by the remap step
+      const copied = remapEntries.filter((e) => e.reason === 'conflict').length;
+      result.conflicts.detected += copied;
+      result.conflicts.copied += copied;
+      if (result.conflicts.detected > 0) {
+        Logger.info(`Resolved ${result.conflicts.detected} ID conflict(s) with policy '${conflictPolicy}'`);
+      }
+
+      // World compendium packs; Actor and Item documents go through the same transforms
+      if (!options.skipPacks && importData.packs?.length) {
+        Logger.info(`Importing ${importData.packs.length} compendium packs...`);
+        if (checkpoint) {
+          checkpoint.phase = 'packs';
+          await CheckpointService.save(checkpoint);
+        }
+        const report = this._createTransformReport();
+        result.stats.packs = await CompendiumService.importPacks(importData.packs, {
+          dryRun,
+          batchSize: options.batchSize,
+          created,
+          errors: result.errors,
+          transform: detection.needsTransform
+            ? (type, docData) => this._transformPackDocument(type, docData, report, iconIndex)
+            : null
+        });
+        if (detection.needsTransform) {
+          result.unknownEffectKeys.push(...report.unknownEffectKeys);
+          result.filledDefaults.push(...report.filledDefaults);
+          result.rulesFired.push(...report.rulesFired);
+        }
+      }
+
+      // Users aren't created, so their flags are applied to matching users in this world
+      if (!skipUsers && importData.users?.length) {
+        Logger.info(`Applying flags for ${importData.users.length} users...`);
+        if (checkpoint) {
+          checkpoint.phase = 'users';
+          await CheckpointService.save(checkpoint);
+        }
+        result.users = await this._importUserFlags(importData.users, dryRun, flagKeyMap);
+      }
+
+      // Catch fields the DataModel dropped or coerced on create
+      if (sent) {
+        result.verification = this.verifyImport(sent);
+      }
+
+      if (iconIndex) {
+        result.missingAssets = [...iconIndex.missing.values()];
+        if (result.missingAssets.length > 0) {
+          Logger.warn(`${result.missingAssets.length} mapped icons were not found in ${ICON_ROOT}`);
+        }
+      }
+    } catch (error) {
+      if (rollbackOnError && created.length > 0) {
+        Logger.warn(`Import failed; rolling back ${created.length} created documents`);
+        error.rollback = await this.rollbackImport(created);
+      } else {
+        resumable = true;
+      }
+      throw error;
+    } finally {
+      // Keep the checkpoint only for a failed run whose documents are still there;
+      // a finished or rolled-back import leaves nothing to resume
+      if (checkpoint) {
+        if (resumable) {
+          await CheckpointService.save(checkpoint);
+        } else {
+          await CheckpointService.clear();
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Bring this world up to date with a newer export of the same source world
+   * Imports with the "sync" conflict policy: existing documents get only the fields that
+   * changed, and missing ones are created. The IDs each sync imported are kept per source
+   * world in a hidden setting, so with `deleteRemoved` the documents an earlier sync imported
+   * that are gone from the export are deleted. Collections skipped by the options, or absent
+   * from the export, are left alone, and a sync with an import filter deletes nothing.
+   *
+   * @param {Object} data - Validated export data
+   * @param {Object} options - Import options (see importWorld; the conflict policy is always "sync")
+   * @param {boolean} options.deleteRemoved - Delete documents removed at the source since the
+   *   last sync (default: false)
+   * @param {Object} options.resume - Checkpoint of an interrupted sync to continue; its stored
+   *   options, including `deleteRemoved`, apply
+   * @returns {Promise<Object>} Import result, including the per-document `changelog` and a
+   *   `sync` summary ({ created, updated, unchanged, deleted, failed })
+   */
+  static async syncWorld(data, options = {}) {
+    const { deleteRemoved = false, ...importOptions } = options.resume
+      ? { ...options.resume.options, ...options }
+      : options;
+    const sourceId = data?.metadata?.worldId ?? 'unknown';
+    const states = this._loadSyncStates();
+    const previous = states[sourceId] ?? null;
+
+    // deleteRemoved is only kept in the checkpoint, for a resumed sync
+    const result = await this.importWorld(data, {
+      ...importOptions,
+      deleteRemoved,
+      conflictPolicy: 'sync',
+      idRemap: previous?.idRemap
+    });
+
+    // A filtered sync only saw part of the export, so it adds to the recorded IDs and
+    // can't tell which documents were removed at the source
+    const filtered = hasImportFilter(importOptions.filter);
+    const { data: syncedData } = applyImportFilter(data, importOptions.filter);
+    const synced = this._syncedIds(syncedData, result.idRemap.entries, importOptions, previous?.collections);
+    if (filtered) {
+      for (const [key, ids] of Object.entries(previous?.collections ?? {})) {
+        synced[key] = [...new Set([...ids, ...(synced[key] ?? [])])];
+      }
+    }
+    if (deleteRemoved && previous && filtered) {
+      Logger.warn('Removed documents are not deleted by a filtered sync');
+    } else if (deleteRemoved && previous) {
+      await this._deleteRemoved(previous.collections, synced, result);
+    }
+
+    result.sync = { created: 0, updated: 0, unchanged: 0, deleted: 0, failed: 0 };
+    for (const entry of result.changelog) {
+      if (entry.action in result.sync) {
+        result.sync[entry.action]++;
+      }
+    }
+
+    if (!result.dryRun) {
+      states[sourceId] = { syncedAt: Date.now(), collections: synced, idRemap: result.idRemap.entries };
+      try {
+        await game.settings.set(MODULE_ID, 'syncState', states);
+      } catch (error) {
+        Logger.warn('Failed to save sync state:', error);
+      }
+    }
+
+    const { created, updated, unchanged, deleted, failed } = result.sync;
+    Logger.info(
+      `Sync complete: ${created} created, ${updated} updated, ${unchanged} unchanged, ${deleted} deleted, ${failed} failed`
+    );
+    return result;
+  }
+
+  /**
+   * Load the sync state of every source world synced into this world
+   * @private
+   * @returns {Object<string, Object>} State ({ syncedAt, collections, idRemap }) by source world ID
+   */
+  static _loadSyncStates() {
+    try {
+      const states = game.settings.get(MODULE_ID, 'syncState');
+      return states && typeof states === 'object' ? { ...states } : {};
+    } catch (_e) {
+      return {};
+    }
+  }
+
+  /**
+   * Check whether a sync covers an export collection
+   * @private
+   */
+  static _isSynced(key, data, options) {
+    return Array.isArray(data?.[key]) && !options[SKIP_OPTIONS[key]];
+  }
+
+  /**
+   * List the world IDs a sync imported, per export collection
+   * Duplicates are listed under the new ID they were given. Collections the sync didn't
+   * cover keep the IDs recorded by the previous sync.
+   * @private
+   * @param {Object} data - Export data
+   * @param {Array<Object>} entries - Remap table of the sync
+   * @param {Object} options - Import options
+   * @param {Object} previous - IDs recorded by the previous sync
+   * @returns {Object<string, string[]>} IDs by export collection key
+   */
+  static _syncedIds(data, entries, options, previous = {}) {
+    const newIds = new Map(entries.map((e) => [`${e.collection}:${e.index}`, e.newId]));
+    const ids = {};
+
+    for (const key of Object.keys(WORLD_COLLECTIONS)) {
+      if (!this._isSynced(key, data, options)) {
+        if (previous?.[key]) {
+          ids[key] = previous[key];
+        }
+        continue;
+      }
+      ids[key] = data[key].map((doc, index) => newIds.get(`${key}:${index}`) ?? doc?._id).filter(Boolean);
+    }
+
+    return ids;
+  }
+
+  /**
+   * Delete documents the previous sync imported that the current export no longer has
+   * Collections are handled in reverse import order, and each deletion is added to the
+   * result changelog (only logged on a dry run).
+   * @private
+   * @param {Object<string, string[]>} previous - IDs recorded by the previous sync
+   * @param {Object<string, string[]>} current - IDs of the current sync (see _syncedIds)
+   * @param {Object} result - Import result
+   * @returns {Promise<void>}
+   */
+  static async _deleteRemoved(previous, current, result) {
+    for (const key of Object.keys(WORLD_COLLECTIONS).reverse()) {
+      // Collections the sync didn't cover carry the previous IDs, so nothing is removed there
+      if (!previous?.[key]) {
+        continue;
+      }
+
+      const collection = game[WORLD_COLLECTIONS[key]];
+      const keep = new Set(current[key] ?? []);
+      const docs = previous[key]
+        .filter((id) => !keep.has(id))
+        .map((id) => collection?.get?.(id))
+        .filter(Boolean);
+      if (docs.length === 0) {
+        continue;
+      }
+
+      const entries = docs.map((doc) => ({ collection: key, id: doc.id ?? doc._id, name: doc.name }));
+      if (result.dryRun) {
+        entries.forEach((entry) => result.changelog.push({ ...entry, action: 'deleted' }));
+        continue;
+      }
+
+      try {
+        await collection.documentClass.deleteDocuments(entries.map((e) => e.id));
+        entries.forEach((entry) => result.changelog.push({ ...entry, action: 'deleted' }));
+        Logger.info(`Deleted ${entries.length} ${key} removed at the source`);
+      } catch (error) {
+        entries.forEach((entry) => result.changelog.push({ ...entry, action: 'failed', error: error.message }));
+        Logger.error(`Failed to delete ${entries.length} removed ${key}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Find export documents whose ID already exists in this world
+   * Used to preview conflicts before choosing a conflict policy.
+   *
+   * @param {Object} data - Export data
+   * @returns {{total: number, collections: Object<string, Array<{_id: string, name: string, existingName: string}>>}}
+   *   Conflicts per export collection (folders, actors, items, scenes, journals, tables)
+   */
+  static detectConflicts(data) {
+    const conflicts = { total: 0, collections: {} };
+
+    for (const [key, collectionName] of Object.entries(WORLD_COLLECTIONS)) {
+      const collection = game[collectionName];
+      const found = (data?.[key] ?? [])
+        .filter((doc) => doc?._id)
+        .map((doc) => ({ doc, existing: collection?.get?.(doc._id) }))
+        .filter(({ existing }) => existing)
+        .map(({ doc, existing }) => ({ _id: doc._id, name: doc.name, existingName: existing.name }));
+
+      conflicts.collections[key] = found;
+      conflicts.total += found.length;
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Delete the documents an import run created
+   * Documents are deleted in reverse creation order, so compendium packs go first, then
+   * scenes, journals and tables before the actors and items they may reference, and child
+   * folders before their parents. Packs the run created are deleted with their contents;
+   * folders and documents it added to existing packs are deleted from them.
+   * Documents that existed before the run (skipped, updated or overwritten) are never in
+   * the log, and documents already deleted by hand are counted as missing.
+   *
+   * @param {Array<Object>} created - Created document log from an import result (`result.created`)
+   * @returns {Promise<{attempted: number, deleted: number, missing: number, failed: number}>}
+   *   Rollback statistics
+   */
+  static async rollbackImport(created) {
+    const stats = { attempted: created.length, deleted: 0, missing: 0, failed: 0 };
+
+    // Consecutive runs of the same collection (and pack), newest first
+    const groupKey = (entry) => [entry.collection, entry.pack, entry.documentName].join('|');
+    const groups = [];
+    for (const entry of [...created].reverse()) {
+      const last = groups[groups.length - 1];
+      if (last?.key === groupKey(entry)) {
+        last.entries.push(entry);
+      } else {
+        groups.push({ key: groupKey(entry), collection: entry.collection, entries: [entry] });
+      }
+    }
+
+    for (const { collection: key, entries } of groups) {
+      if (key === 'packs') {
+        await this._rollbackPacks(entries, stats);
+        continue;
+      }
+
+      const { collection, DocumentClass, context } = this._rollbackTarget(entries[0]);
+      const ids = entries.map((e) => e.id).filter((id) => collection?.get?.(id) || collection?.has?.(id));
+      stats.missing += entries.length - ids.length;
+      if (ids.length === 0) {
+        continue;
+      }
+
+      try {
+        await (context ? DocumentClass.deleteDocuments(ids, context) : DocumentClass.deleteDocuments(ids));
+        stats.deleted += ids.length;
+      } catch (error) {
+        stats.failed += ids.length;
+        Logger.error(`Failed to roll back ${ids.length} ${entries[0].pack ?? key}:`, error);
+      }
+    }
+
+    Logger.info(`Rollback complete: ${stats.deleted}/${stats.attempted} documents deleted`);
+    return stats;
+  }
+
+  /**
+   * Find where a created-log entry lives: a world collection or a compendium pack
+   * @private
+   * @param {Object} entry - Created-log entry
+   * @returns {{collection: Object|undefined, DocumentClass: Function|undefined, context: Object|null}}
+   *   Collection to check for the document, the class that deletes it and the pack delete context
+   */
+  static _rollbackTarget(entry) {
+    if (entry.collection !== 'packContents') {
+      const collection = game[WORLD_COLLECTIONS[entry.collection]];
+      return { collection, DocumentClass: collection?.documentClass, context: null };
+    }
+
+    const pack = game.packs?.get(entry.pack);
+    return entry.documentName === 'Folder'
+      ? { collection: pack?.folders, DocumentClass: Folder, context: { pack: entry.pack } }
+      : { collection: pack?.index, DocumentClass: pack?.documentClass, context: { pack: entry.pack } };
+  }
+
+  /**
+   * Delete compendium packs an import created, with their contents
+   * @private
+   */
+  static async _rollbackPacks(entries, stats) {
+    for (const { id } of entries) {
+      const pack = game.packs?.get(id);
+      if (!pack) {
+        stats.missing++;
+        continue;
+      }
+      try {
+        await pack.deleteCompendium();
+        stats.deleted++;
+      } catch (error) {
+        stats.failed++;
+        Logger.error(`Failed to roll back compendium pack ${id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Compare written documents with the payloads the import sent for them
+   * Re-reads each created, overwritten or updated document's `toObject()` and reports the
+   * payload paths Foundry's DataModel dropped or stored differently, and embedded items or
+   * effects that weren't created. Updated documents are checked against the update data.
+   *
+   * @param {Array<Object>} sent - Payload log ({ collection, id, name, action, payload })
+   * @returns {{checked: number, notFound: Array<Object>, documents: Array<Object>}} Number of
+   *   documents checked, the ones no longer in the world ({ collection, id, name, action }) and
+   *   one entry per document with differences ({ collection, id, name, action, dropped, changed,
+   *   missingEmbedded })
+   */
+  static verifyImport(sent) {
+    const report = { checked: 0, notFound: [], documents: [] };
+
+    for (const { collection: key, id, name, action = 'created', payload } of sent) {
+      const stored = game[WORLD_COLLECTIONS[key]]?.get?.(id);
+      if (!stored) {
+        report.notFound.push({ collection: key, id, name, action });
+        continue;
+      }
+
+      report.checked++;
+      const differences = verifyDocument(payload, stored.toObject?.() ?? stored);
+      if (hasDifferences(differences)) {
+        report.documents.push({ collection: key, id, name, action, ...differences });
+      }
+    }
+
+    if (report.documents.length > 0 || report.notFound.length > 0) {
+      Logger.warn(
+        `Verification: ${report.documents.length} of ${report.checked} documents were stored differently than sent` +
+          (report.notFound.length ? `, ${report.notFound.length} not found` : '')
+      );
     } else {
-      Logger.info('Importing as-is (New v13 → Enhanced, no transformation)');
-      return await this._importAsIs(data, { ...options, detection });
+      Logger.info(`Verification: all ${report.checked} documents stored as sent`);
+    }
+    return report;
+  }
+
+  /**
+   * Download an import's per-document error report
+   *
+   * @param {Array<Object>} errors - Error entries from an import result (`result.errors`)
+   * @param {string} format - "json" or "csv"
+   */
+  static downloadErrorReport(errors, format = 'json') {
+    const filename = `l5r4-import-errors-${game.world.id}-${Date.now()}.${format}`;
+    const content = format === 'csv' ? toErrorReportCsv(errors) : JSON.stringify(errors, null, 2);
+
+    // eslint-disable-next-line no-undef
+    saveDataToFile(content, format === 'csv' ? 'text/csv' : 'application/json', filename);
+    Logger.info(`Import error report downloaded: ${filename}`);
+  }
+
+  /**
+   * Pair each dry-run payload with its export document and diff the two
+   * Documents given a new ID by the remap step are found through the remap table.
+   * @private
+   * @param {Array<Object>} entries - Payloads collected by _createInBatches
+   * @param {Object} data - Export data the import started from (after the import filter)
+   * @param {Array<Object>} remapEntries - ID remap table
+   * @param {Object} keyMap - Flag namespace map, so moved flags show as renames
+   * @returns {Array<Object>} Entries with `diff` (see diffTransformed) and `changes` (total count)
+   */
+  static _buildPreview(entries, data, remapEntries, keyMap = DEFAULT_FLAG_KEY_MAP) {
+    const renames = [
+      ...SCHEMA_MAP.map(({ from, to }) => ({ from, to })),
+      ...Object.entries(keyMap.keys ?? {}).map(([from, to]) => ({
+        from: `flags.${keyMap.source}.${from}`,
+        to: `flags.${keyMap.target}.${to}`
+      }))
+    ];
+    const remapped = new Map(remapEntries.map((e) => [`${e.collection}.${e.newId}`, e]));
+
+    return entries.map((entry) => {
+      const docs = data[entry.collection] ?? [];
+      const remap = remapped.get(`${entry.collection}.${entry.id}`);
+      const source = remap ? docs[remap.index] : docs.find((doc) => doc?._id === entry.id);
+      const diff = diffTransformed(source ?? {}, entry.payload, renames);
+      return { ...entry, diff, changes: countChanges(diff) };
+    });
+  }
+
+  /**
+   * Move mapped flags from the source namespace to the target namespace
+   * Covers actors, world items, their embedded items and effects, unlinked token
+   * deltas in scenes, Actor and Item compendium documents, and exported users. Returns copies; the input is not modified.
+   * @private
+   * @param {Object} data - Export data
+   * @param {Object} keyMap - Flag namespace map ({ source, target, keys })
+   * @returns {{data: Object, stats: {documents: number, keys: Object<string, number>}}}
+   *   Updated data and per-key remap counts
+   */
+  static _remapWorldFlags(data, keyMap = DEFAULT_FLAG_KEY_MAP) {
+    const stats = { documents: 0, keys: {} };
+    const remap = (doc) => this._remapDocumentFlags(doc, keyMap, stats);
+    const updated = { ...data };
+
+    if (Array.isArray(data.actors)) {
+      updated.actors = data.actors.map(remap);
+    }
+    if (Array.isArray(data.items)) {
+      updated.items = data.items.map(remap);
+    }
+    if (Array.isArray(data.users)) {
+      updated.users = data.users.map(remap);
+    }
+    if (Array.isArray(data.packs)) {
+      updated.packs = data.packs.map((pack) =>
+        ['Actor', 'Item'].includes(pack?.metadata?.type) && Array.isArray(pack.documents)
+          ? { ...pack, documents: pack.documents.map(remap) }
+          : pack
+      );
+    }
+    if (Array.isArray(data.scenes)) {
+      updated.scenes = data.scenes.map((scene) => {
+        if (!Array.isArray(scene?.tokens)) {
+          return scene;
+        }
+        const tokens = scene.tokens.map((token) => (token?.delta ? { ...token, delta: remap(token.delta) } : token));
+        return { ...scene, tokens };
+      });
+    }
+
+    return { data: updated, stats };
+  }
+
+  /**
+   * Rewrite compendium links and asset paths that point at the legacy system
+   * Asset paths go through the icon mapping; compendium links are matched to documents
+   * in the target system's packs by ID, then by name. Returns copies; the input is not modified.
+   * @private
+   * @param {Object} data - Export data
+   * @param {Object<string, string>} packMap - Target pack for legacy packs ({ "l5r4.<name>": "<pack id>" })
+   * @param {Object|null} iconIndex - Icons to verify asset paths against (see loadIconIndex)
+   * @returns {{data: Object, stats: {rewritten: number, unresolved: Array<Object>}}} Updated data,
+   *   the number of references rewritten, and the unresolved ones
+   *   ({ collection, id, name, reference, reason })
+   */
+  static _rewriteSystemReferences(data, packMap = {}, iconIndex = null) {
+    const resolvers = {
+      compendium: (link) => this._resolveCompendiumLink(link, packMap),
+      asset: (path) => {
+        const migrated = this._migrateIconPath(path, null, iconIndex);
+        return migrated === path ? null : migrated;
+      }
+    };
+    return rewriteDocumentReferences(data, resolvers, Object.keys(REMAP_COLLECTIONS));
+  }
+
+  /**
+   * Find the target document for a legacy system compendium link
+   * @private
+   * @param {Object} link - Parsed link ({ pack, type, id, label }); `id` may be a document name
+   * @param {Object<string, string>} packMap - Target pack for legacy packs
+   * @returns {{uuid: string}|{reason: string}} Target UUID, or why it couldn't be found
+   */
+  static _resolveCompendiumLink({ pack, type, id, label }, packMap = {}) {
+    const packId = packMap?.[`l5r4.${pack}`] ?? `${TARGET_SYSTEM_ID}.${pack}`;
+    const target = game.packs?.get(packId);
+    if (!target) {
+      return { reason: `Compendium ${packId} not found` };
+    }
+
+    const documentName = target.documentName ?? target.metadata?.type;
+    if (type && documentName && type !== documentName) {
+      return { reason: `Compendium ${packId} holds ${documentName} documents, not ${type}` };
+    }
+
+    const entries = Array.from(target.index?.values?.() ?? []);
+    const entry =
+      target.index?.get?.(id) ??
+      entries.find((e) => e.name === id) ??
+      (label ? entries.find((e) => e.name === label) : undefined);
+    if (!entry) {
+      return { reason: `No document ${label ? `"${label}"` : id} in ${packId}` };
+    }
+
+    return { uuid: `Compendium.${packId}.${documentName}.${entry._id}` };
+  }
+
+  /**
+   * Remap flags on a document and its embedded items and effects
+   * @private
+   * @param {Object} doc - Document data (actor, item, effect, token delta or user)
+   * @param {Object} keyMap - Flag namespace map
+   * @param {Object} stats - Remap statistics to update
+   * @returns {Object} Updated document data (the same object if nothing changed)
+   */
+  static _remapDocumentFlags(doc, keyMap, stats) {
+    if (!doc || typeof doc !== 'object') {
+      return doc;
+    }
+
+    let updated = doc;
+    const { flags, remapped } = remapFlagNamespace(doc.flags, keyMap);
+    if (remapped.length > 0) {
+      updated = { ...updated, flags };
+      stats.documents++;
+      for (const key of remapped) {
+        stats.keys[key] = (stats.keys[key] ?? 0) + 1;
+      }
+    }
+
+    for (const field of ['items', 'effects']) {
+      if (Array.isArray(updated[field])) {
+        updated = {
+          ...updated,
+          [field]: updated[field].map((child) => this._remapDocumentFlags(child, keyMap, stats))
+        };
+      }
     }
+
+    return updated;
+  }
+
+  /**
+   * Apply exported user flags to matching users in this world
+   * Users are matched by ID, then by name. Only the target namespace is written.
+   * @private
+   * @param {Array<Object>} userData - Exported users ({ _id, name, flags })
+   * @param {boolean} dryRun - Simulate without updating
+   * @param {Object} keyMap - Flag namespace map
+   * @returns {Promise<Object>} Statistics ({ attempted, updated, skipped, failed })
+   */
+  static async _importUserFlags(userData, dryRun, keyMap = DEFAULT_FLAG_KEY_MAP) {
+    const stats = { attempted: userData.length, updated: 0, skipped: 0, failed: 0 };
+
+    for (const source of userData) {
+      const flags = source?.flags?.[keyMap.target];
+      const user = game.users?.get?.(source?._id) ?? game.users?.getName?.(source?.name);
+
+      if (!flags || Object.keys(flags).length === 0 || !user) {
+        stats.skipped++;
+        Logger.debug(`Skipped user flags for ${source?.name}: ${user ? 'no flags' : 'no matching user'}`);
+        continue;
+      }
+
+      try {
+        if (!dryRun) {
+          await user.update({ flags: { [keyMap.target]: flags } });
+        }
+        stats.updated++;
+      } catch (error) {
+        stats.failed++;
+        Logger.warn(`Failed to apply flags for user ${source.name}:`, error);
+      }
+    }
+
+    return stats;
   }
 
   /**
@@ -167,8 +1105,30 @@ export class ImportService {
       skipScenes = false,
       skipJournals = false,
       skipTables = false,
+      skipMacros = false,
+      createBioItems = false,
+      batchSize = DEFAULT_BATCH_SIZE,
+      conflictPolicy = DEFAULT_CONFLICT_POLICY,
+      created = [],
+      changelog = [],
+      errors = [],
+      checkpoint = null,
+      preview = null,
+      sent = null,
+      iconIndex = null,
       detection
     } = options;
+    const createOptions = {
+      batchSize,
+      conflictPolicy,
+      created,
+      changelog,
+      errors,
+      checkpoint,
+      preview,
+      sent,
+      iconIndex
+    };
 
     const result = {
       success: true,
@@ -181,46 +1141,102 @@ export class ImportService {
         items: { attempted: 0, created: 0, failed: 0, transformed: 0 },
         scenes: { attempted: 0, created: 0, failed: 0 },
         journals: { attempted: 0, created: 0, failed: 0 },
-        tables: { attempted: 0, created: 0, failed: 0 }
+        tables: { attempted: 0, created: 0, failed: 0 },
+        macros: { attempted: 0, created: 0, failed: 0 },
+        playlists: { attempted: 0, created: 0, failed: 0 },
+        cards: { attempted: 0, created: 0, failed: 0 },
+        combats: { attempted: 0, created: 0, failed: 0 }
       },
+      unknownEffectKeys: [],
+      macroWarnings: [],
+      filledDefaults: [],
+      rulesFired: [],
       errors: []
     };
 
     try {
+      let actors = data.actors ?? [];
+      let items = data.items ?? [];
+
+      // Build clan/family/school items from legacy strings before actors are transformed
+      if (createBioItems && actors.length) {
+        Logger.info('Building clan/family/school items from legacy actor data...');
+        const bio = BioItemService.buildBioItems(actors, items);
+        actors = bio.actors;
+        items = [...items, ...bio.items];
+        result.bioItems = bio.stats;
+        Logger.info(
+          `Linked bio items on ${bio.stats.actorsLinked} actors (${bio.stats.matched} matched, ${bio.stats.created} created)`
+        );
+      }
+
       // Import folders first
       if (!skipFolders && data.folders?.length) {
         Logger.info(`Importing ${data.folders.length} folders...`);
-        result.stats.folders = await this._importFolders(data.folders, dryRun);
+        result.stats.folders = await this._importFolders(data.folders, dryRun, createOptions);
       }
 
       // Import actors with transformations
-      if (data.actors?.length) {
-        Logger.info(`Importing ${data.actors.length} actors...`);
-        result.stats.actors = await this.importActors(data.actors, dryRun);
+      if (actors.length) {
+        Logger.info(`Importing ${actors.length} actors...`);
+        result.stats.actors = await this.importActors(actors, dryRun, createOptions);
       }
 
       // Import world items with transformations
-      if (data.items?.length) {
-        Logger.info(`Importing ${data.items.length} items...`);
-        result.stats.items = await this.importItems(data.items, dryRun);
+      if (items.length) {
+        Logger.info(`Importing ${items.length} items...`);
+        result.stats.items = await this.importItems(items, dryRun, createOptions);
       }
 
       // Import scenes
       if (!skipScenes && data.scenes?.length) {
         Logger.info(`Importing ${data.scenes.length} scenes...`);
-        result.stats.scenes = await this._importScenes(data.scenes, dryRun);
+        result.stats.scenes = await this._importScenes(data.scenes, dryRun, {
+          ...createOptions,
+          transform: true,
+          actors: data.actors
+        });
       }
 
       // Import journals
       if (!skipJournals && data.journals?.length) {
         Logger.info(`Importing ${data.journals.length} journals...`);
-        result.stats.journals = await this._importJournals(data.journals, dryRun);
+        result.stats.journals = await this._importJournals(data.journals, dryRun, createOptions);
       }
 
       // Import roll tables
       if (!skipTables && data.tables?.length) {
         Logger.info(`Importing ${data.tables.length} roll tables...`);
-        result.stats.tables = await this._importTables(data.tables, dryRun);
+        result.stats.tables = await this._importTables(data.tables, dryRun, createOptions);
+      }
+
+      // Import macros
+      if (!skipMacros && data.macros?.length) {
+        Logger.info(`Importing ${data.macros.length} macros...`);
+        result.stats.macros = await this._importMacros(data.macros, dryRun, { ...createOptions, users: data.users });
+        result.macroWarnings = result.stats.macros.warnings;
+      }
+
+      // Import playlists, card stacks and combat encounters
+      await this._importAdditionalCollections(data, dryRun, options, createOptions, result.stats);
+
+      // Collect effect change keys that don't match the target schema
+      result.unknownEffectKeys = Object.values(result.stats).flatMap((s) => s.unknownEffectKeys ?? []);
+      if (result.unknownEffectKeys.length > 0) {
+        Logger.warn(
+          `${result.unknownEffectKeys.length} effect change key(s) target paths not declared by the target schema`,
+          result.unknownEffectKeys
+        );
+      }
+
+      // Collect the transform rules that fired on each document
+      result.rulesFired = Object.values(result.stats).flatMap((s) => s.rulesFired ?? []);
+
+      // Collect fields filled from the target schema's defaults
+      result.filledDefaults = Object.values(result.stats).flatMap((s) => s.filledDefaults ?? []);
+      if (result.filledDefaults.length > 0) {
+        const paths = result.filledDefaults.reduce((sum, d) => sum + d.paths.length, 0);
+        Logger.info(`Filled ${paths} missing field(s) on ${result.filledDefaults.length} documents from target schema`);
       }
 
       // Calculate totals
@@ -255,8 +1271,29 @@ export class ImportService {
       skipScenes = false,
       skipJournals = false,
       skipTables = false,
+      skipMacros = false,
+      batchSize = DEFAULT_BATCH_SIZE,
+      conflictPolicy = DEFAULT_CONFLICT_POLICY,
+      created = [],
+      changelog = [],
+      errors = [],
+      checkpoint = null,
+      preview = null,
+      sent = null,
+      iconIndex = null,
       detection
     } = options;
+    const createOptions = {
+      batchSize,
+      conflictPolicy,
+      created,
+      changelog,
+      errors,
+      checkpoint,
+      preview,
+      sent,
+      iconIndex
+    };
 
     const result = {
       success: true,
@@ -269,8 +1306,13 @@ export class ImportService {
         items: { attempted: 0, created: 0, failed: 0 },
         scenes: { attempted: 0, created: 0, failed: 0 },
         journals: { attempted: 0, created: 0, failed: 0 },
-        tables: { attempted: 0, created: 0, failed: 0 }
+        tables: { attempted: 0, created: 0, failed: 0 },
+        macros: { attempted: 0, created: 0, failed: 0 },
+        playlists: { attempted: 0, created: 0, failed: 0 },
+        cards: { attempted: 0, created: 0, failed: 0 },
+        combats: { attempted: 0, created: 0, failed: 0 }
       },
+      macroWarnings: [],
       errors: []
     };
 
@@ -278,39 +1320,55 @@ export class ImportService {
       // Import folders first
       if (!skipFolders && data.folders?.length) {
         Logger.info(`Importing ${data.folders.length} folders as-is...`);
-        result.stats.folders = await this._importFolders(data.folders, dryRun);
+        result.stats.folders = await this._importFolders(data.folders, dryRun, createOptions);
       }
 
       // Import actors without transformation
       if (data.actors?.length) {
         Logger.info(`Importing ${data.actors.length} actors as-is...`);
-        result.stats.actors = await this._importDocumentsAsIs(Actor, data.actors, dryRun);
+        result.stats.actors = await this._importDocumentsAsIs(Actor, data.actors, dryRun, {
+          ...createOptions,
+          collection: 'actors'
+        });
       }
 
       // Import world items without transformation
       if (data.items?.length) {
         Logger.info(`Importing ${data.items.length} items as-is...`);
-        result.stats.items = await this._importDocumentsAsIs(Item, data.items, dryRun);
+        result.stats.items = await this._importDocumentsAsIs(Item, data.items, dryRun, {
+          ...createOptions,
+          collection: 'items'
+        });
       }
 
       // Import scenes
       if (!skipScenes && data.scenes?.length) {
         Logger.info(`Importing ${data.scenes.length} scenes as-is...`);
-        result.stats.scenes = await this._importScenes(data.scenes, dryRun);
+        result.stats.scenes = await this._importScenes(data.scenes, dryRun, { ...createOptions, actors: data.actors });
       }
 
       // Import journals
       if (!skipJournals && data.journals?.length) {
         Logger.info(`Importing ${data.journals.length} journal entries as-is...`);
-        result.stats.journals = await this._importJournals(data.journals, dryRun);
+        result.stats.journals = await this._importJournals(data.journals, dryRun, createOptions);
       }
 
       // Import roll tables
       if (!skipTables && data.tables?.length) {
         Logger.info(`Importing ${data.tables.length} roll tables as-is...`);
-        result.stats.tables = await this._importTables(data.tables, dryRun);
+        result.stats.tables = await this._importTables(data.tables, dryRun, createOptions);
+      }
+
+      // Import macros
+      if (!skipMacros && data.macros?.length) {
+        Logger.info(`Importing ${data.macros.length} macros...`);
+        result.stats.macros = await this._importMacros(data.macros, dryRun, { ...createOptions, users: data.users });
+        result.macroWarnings = result.stats.macros.warnings;
       }
 
+      // Import playlists, card stacks and combat encounters
+      await this._importAdditionalCollections(data, dryRun, options, createOptions, result.stats);
+
       // Calculate totals
       const totalAttempted = Object.values(result.stats).reduce((sum, s) => sum + s.attempted, 0);
       const totalCreated = Object.values(result.stats).reduce((sum, s) => sum + s.created, 0);
@@ -335,28 +1393,362 @@ export class ImportService {
    * Import documents without any transformation
    * Used for New v13 data that's already in the correct schema
    * @private
+   * @param {Function} DocumentClass - Document class
+   * @param {Array<Object>} dataArray - Document data to import
+   * @param {boolean} dryRun - Simulate without creating
+   * @param {Object} options - Creation options ({ batchSize, conflictPolicy, collection })
    */
-  static async _importDocumentsAsIs(DocumentClass, dataArray, dryRun) {
+  static async _importDocumentsAsIs(DocumentClass, dataArray, dryRun, options = {}) {
+    const start = Date.now();
     const stats = {
       attempted: dataArray.length,
       created: 0,
       failed: 0
     };
 
-    for (const docData of dataArray) {
-      try {
-        if (!dryRun) {
-          await DocumentClass.create(docData, { keepId: true });
+    const counts = await this._createInBatches(DocumentClass, dataArray, {
+      ...options,
+      dryRun,
+      onError: (docData, error) => Logger.error(`Failed to import ${DocumentClass.name} ${docData.name}:`, error)
+    });
+    this._addCreateCounts(stats, counts);
+    stats.durationMs = Date.now() - start;
+
+    return stats;
+  }
+
+  /**
+   * Create documents in chunked createDocuments calls
+   * When a batch fails, its documents are retried one by one so each failure is
+   * reported individually and the rest of the batch is still created.
+   * Documents whose ID already exists in the world collection are handled by the conflict
+   * policy, and every document created is recorded in `created` for rollback.
+   * @private
+   * @param {Function} DocumentClass - Document class (Actor, Item, Scene, ...)
+   * @param {Array<Object>} docs - Document data ready for creation
+   * @param {Object} options - Creation options
+   * @param {boolean} options.dryRun - Count documents without creating them
+   * @param {number} options.batchSize - Documents per createDocuments call
+   * @param {string} options.collection - Export collection key ("actors", "folders", ...), used to
+   *   find the world collection checked for ID conflicts
+   * @param {string} options.conflictPolicy - Conflict policy (see CONFLICT_POLICIES)
+   * @param {Array<Object>} options.created - Log of created documents ({ collection, id, name }) to append to
+   * @param {Object} options.checkpoint - Import checkpoint, advanced after each batch
+   * @param {Array<Object>} options.changelog - Per-document changelog ({ collection, id, name, action })
+   *   to append to: created, updated (with changed paths), unchanged or failed (with the error)
+   * @param {Array<Object>} options.errors - Error report to append an entry to for each failed document
+   *   (see createErrorEntry, phase "create")
+   * @param {Function} options.onError - Called with (docData, error) for each failed document
+   * @param {Array<Object>} options.sent - List to append the payload of each document written to
+   *   ({ collection, id, name, action: "created"|"overwritten"|"updated", payload }), for verification;
+   *   for updates the payload is the update data
+   * @param {Array<Object>} options.preview - Dry runs only: list to append what each document would
+   *   become to ({ collection, id, name, action: "create"|"overwrite"|"update"|"unchanged", payload })
+   * @returns {Promise<{created: number, failed: number, conflicts?: Object}>} Creation counts,
+   *   plus conflict counts when any conflicts were found
+   */
+  static async _createInBatches(DocumentClass, docs, options = {}) {
+    const {
+      dryRun = false,
+      batchSize = DEFAULT_BATCH_SIZE,
+      collection: collectionKey = null,
+      conflictPolicy = DEFAULT_CONFLICT_POLICY,
+      created = [],
+      checkpoint = null,
+      changelog = null,
+      errors = null,
+      preview = null,
+      sent = null,
+      onError = () => {}
+    } = options;
+    const counts = { created: 0, failed: 0 };
+    const conflicts = { detected: 0, skipped: 0, overwritten: 0, updated: 0, copied: 0 };
+    const log = (docData, action, extra = {}) =>
+      changelog?.push({ collection: collectionKey, id: docData._id, name: docData.name, action, ...extra });
+    const collection = collectionKey ? game[WORLD_COLLECTIONS[collectionKey]] : null;
+    const size = Math.max(1, Math.floor(batchSize) || DEFAULT_BATCH_SIZE);
+
+    // Resume: leave out the documents an interrupted run already handled
+    let pending = docs;
+    if (checkpoint && collectionKey && !dryRun) {
+      const resumed = CheckpointService.skipCompleted(checkpoint, collectionKey, docs, (id) =>
+        Boolean(collection?.get?.(id))
+      );
+      pending = resumed.pending;
+      if (resumed.skipped > 0) {
+        counts.resumed = resumed.skipped;
+      }
+    }
+
+    for (let i = 0; i < pending.length; i += size) {
+      const batch = pending.slice(i, i + size);
+      const plan = this._resolveConflicts(batch, collection, conflictPolicy);
+      for (const [key, value] of Object.entries(plan.conflicts)) {
+        conflicts[key] += value;
+      }
+
+      // Updates from a sync carry only the changed fields; report errors against the full data
+      const failed = new Set();
+      const source = (docData) => plan.changes.get(docData)?.docData ?? docData;
+      const logChanges = () => {
+        plan.unchanged.forEach((docData) => log(docData, 'unchanged'));
+        for (const [update, { docData, paths }] of plan.changes) {
+          if (!failed.has(update)) {
+            log(docData, 'updated', { changes: paths });
+          }
         }
-        stats.created++;
-        Logger.debug(`Imported ${DocumentClass.name} as-is: ${docData.name}`);
+      };
+
+      if (dryRun) {
+        counts.created += plan.toCreate.length + plan.toOverwrite.length;
+        conflicts.updated += plan.toUpdate.length;
+        [...plan.toCreate, ...plan.toOverwrite].forEach((docData) => log(docData, 'created'));
+        logChanges();
+        if (preview) {
+          const add = (docData, action) =>
+            preview.push({ collection: collectionKey, id: docData._id, name: docData.name, action, payload: docData });
+          plan.toCreate.forEach((docData) => add(docData, 'create'));
+          plan.toOverwrite.forEach((docData) => add(docData, 'overwrite'));
+          plan.toUpdate.forEach((docData) => add(source(docData), 'update'));
+          plan.unchanged.forEach((docData) => add(docData, 'unchanged'));
+        }
+        continue;
+      }
+
+      await this._writeBatch(DocumentClass, plan, {
+        collection,
+        label: `${DocumentClass.name} batch ${i / size + 1}`,
+        counts,
+        conflicts,
+        onCreate: (docData, doc) => {
+          const id = doc?.id ?? doc?._id ?? docData._id;
+          if (id) {
+            created.push({ collection: collectionKey, id, name: docData.name });
+          }
+          log({ ...docData, _id: id }, 'created');
+        },
+        onWrite: (docData, doc, action) => {
+          const id = doc?.id ?? doc?._id ?? docData._id;
+          sent?.push({ collection: collectionKey, id, name: source(docData).name, action, payload: docData });
+        },
+        onError: (docData, error) => {
+          failed.add(docData);
+          log(source(docData), 'failed', { error: error.message });
+          errors?.push(createErrorEntry(source(docData), error, { collection: collectionKey, phase: 'create' }));
+          onError(source(docData), error);
+        }
+      });
+      logChanges();
+
+      if (checkpoint && collectionKey) {
+        await CheckpointService.advance(checkpoint, collectionKey, batch);
+      }
+    }
+
+    if (conflicts.detected > 0) {
+      counts.conflicts = conflicts;
+      Logger.info(
+        `${conflicts.detected} ${DocumentClass.name} ID conflict(s) resolved with policy '${conflictPolicy}'`
+      );
+    }
+
+    return counts;
+  }
+
+  /**
+   * Write one batch of documents according to its conflict plan
+   * Creates new documents in one createDocuments call (one by one if it fails), recreates
+   * overwritten ones and updates existing ones in place.
+   * @private
+   * @param {Function} DocumentClass - Document class
+   * @param {Object} plan - Plan from {@link ImportService._resolveConflicts}
+   * @param {Object} context - Write context
+   * @param {Object|null} context.collection - World collection, used for per-document updates
+   * @param {string} context.label - Batch label for log messages
+   * @param {Object} context.counts - Creation counts to update ({ created, failed })
+   * @param {Object} context.conflicts - Conflict counts to update
+   * @param {Function} context.onCreate - Called with (docData, doc) for each new document
+   * @param {Function} context.onWrite - Called with (docData, doc, action) for every document written:
+   *   "created", "overwritten" or "updated" (docData is the update data for updates)
+   * @param {Function} context.onError - Called with (docData, error) for each failed document
+   */
+  static async _writeBatch(DocumentClass, plan, context) {
+    const { collection, label, counts, conflicts, onCreate, onWrite = () => {}, onError } = context;
+    const { toCreate, toOverwrite, toUpdate } = plan;
+
+    // Overwrite: delete the existing documents so they can be recreated with the same ID
+    // Recreated documents replace ones that already existed, so they aren't recorded for rollback;
+    // each existing document is snapshotted first and restored if its replacement can't be created
+    const overwritten = new Set();
+    const snapshots = new Map();
+    if (toOverwrite.length) {
+      for (const docData of toOverwrite) {
+        const existing = collection?.get?.(docData._id);
+        snapshots.set(docData, existing?.toObject?.() ?? null);
+      }
+      try {
+        await DocumentClass.deleteDocuments(toOverwrite.map((d) => d._id));
+        toOverwrite.forEach((docData) => overwritten.add(docData));
       } catch (error) {
-        stats.failed++;
-        Logger.error(`Failed to import ${DocumentClass.name} ${docData.name}:`, error);
+        conflicts.overwritten -= toOverwrite.length;
+        counts.failed += toOverwrite.length;
+        toOverwrite.forEach((docData) => onError(docData, error));
       }
     }
 
-    return stats;
+    const written = (docData, doc) => {
+      const overwrite = overwritten.has(docData);
+      if (!overwrite) {
+        onCreate(docData, doc);
+      }
+      onWrite(docData, doc, overwrite ? 'overwritten' : 'created');
+    };
+
+    const toWrite = [...toCreate, ...overwritten];
+    if (toWrite.length) {
+      try {
+        const docs = await DocumentClass.createDocuments(toWrite, { keepId: true });
+        toWrite.forEach((docData, index) => written(docData, docs?.[index]));
+        counts.created += toWrite.length;
+        Logger.debug(`Created ${toWrite.length} ${DocumentClass.name} documents (${label})`);
+      } catch (batchError) {
+        Logger.warn(`${label} failed, retrying one by one:`, batchError);
+        for (const docData of toWrite) {
+          try {
+            const doc = await DocumentClass.create(docData, { keepId: true });
+            written(docData, doc);
+            counts.created++;
+          } catch (error) {
+            counts.failed++;
+            onError(docData, error);
+            if (overwritten.has(docData)) {
+              conflicts.overwritten--;
+              await this._restoreOverwritten(DocumentClass, docData, snapshots.get(docData));
+            }
+          }
+        }
+      }
+    }
+
+    // Update: apply the import data to the existing documents in place
+    if (toUpdate.length) {
+      try {
+        await DocumentClass.updateDocuments(toUpdate);
+        toUpdate.forEach((docData) => onWrite(docData, null, 'updated'));
+        conflicts.updated += toUpdate.length;
+      } catch (batchError) {
+        Logger.warn(`${label} update failed, retrying one by one:`, batchError);
+        for (const docData of toUpdate) {
+          try {
+            await collection.get(docData._id).update(docData);
+            onWrite(docData, null, 'updated');
+            conflicts.updated++;
+          } catch (error) {
+            counts.failed++;
+            onError(docData, error);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Recreate a document deleted for an overwrite whose replacement failed
+   * @private
+   * @param {Function} DocumentClass - Document class
+   * @param {Object} docData - Replacement data that failed
+   * @param {Object|null} snapshot - The deleted document's data
+   * @returns {Promise<void>}
+   */
+  static async _restoreOverwritten(DocumentClass, docData, snapshot) {
+    if (!snapshot) {
+      Logger.error(`${docData.name} [${docData._id}] was deleted for an overwrite and could not be restored`);
+      return;
+    }
+    try {
+      await DocumentClass.create(snapshot, { keepId: true });
+      Logger.warn(`Restored the existing ${docData.name} [${docData._id}] after its replacement failed`);
+    } catch (error) {
+      Logger.error(`Failed to restore ${docData.name} [${docData._id}] after its replacement failed:`, error);
+    }
+  }
+
+  /**
+   * Split documents by how they will be written under a conflict policy
+   * `conflicts.updated` is filled in once updates succeed. Copies already have new IDs from
+   * the remap step (see remapDocumentIds), so a document that still conflicts under the copy
+   * policy is skipped.
+   * Under the sync policy, updates hold only the changed fields (`changes` maps each update
+   * to its full data and changed paths) and unchanged documents are counted as skipped.
+   * @private
+   * @param {Array<Object>} docs - Document data
+   * @param {Object|null} collection - World collection checked for existing IDs (game.actors, ...)
+   * @param {string} policy - Conflict policy
+   * @returns {{toCreate: Array<Object>, toOverwrite: Array<Object>, toUpdate: Array<Object>,
+   *   unchanged: Array<Object>, changes: Map<Object, Object>, conflicts: Object}}
+   */
+  static _resolveConflicts(docs, collection, policy) {
+    const plan = {
+      toCreate: [],
+      toOverwrite: [],
+      toUpdate: [],
+      unchanged: [],
+      changes: new Map(),
+      conflicts: { detected: 0, skipped: 0, overwritten: 0, updated: 0, copied: 0 }
+    };
+
+    for (const docData of docs) {
+      if (!docData?._id || !collection?.get?.(docData._id)) {
+        plan.toCreate.push(docData);
+        continue;
+      }
+
+      plan.conflicts.detected++;
+      if (policy === 'skip') {
+        plan.conflicts.skipped++;
+        Logger.debug(`Skipped ${docData.name} [${docData._id}]: ID already exists`);
+      } else if (policy === 'overwrite') {
+        plan.conflicts.overwritten++;
+        plan.toOverwrite.push(docData);
+      } else if (policy === 'update') {
+        plan.toUpdate.push(docData);
+      } else if (policy === 'sync') {
+        const existing = collection.get(docData._id);
+        const { changes, paths } = diffDocument(existing.toObject?.() ?? existing, docData);
+        if (paths.length === 0) {
+          plan.conflicts.skipped++;
+          plan.unchanged.push(docData);
+        } else {
+          const update = { _id: docData._id, ...changes };
+          plan.toUpdate.push(update);
+          plan.changes.set(update, { docData, paths });
+        }
+      } else {
+        plan.conflicts.skipped++;
+        Logger.warn(`Skipped ${docData.name} [${docData._id}]: ID already exists and was not remapped for a copy`);
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Add creation counts from {@link ImportService._createInBatches} to collection stats
+   * @private
+   */
+  static _addCreateCounts(stats, counts) {
+    stats.created += counts.created;
+    stats.failed += counts.failed;
+    if (counts.resumed) {
+      stats.resumed = (stats.resumed ?? 0) + counts.resumed;
+    }
+
+    if (counts.conflicts) {
+      stats.conflicts ??= { detected: 0, skipped: 0, overwritten: 0, updated: 0, copied: 0 };
+      for (const [key, value] of Object.entries(counts.conflicts)) {
+        stats.conflicts[key] += value;
+      }
+    }
   }
 
   /**
@@ -364,36 +1756,46 @@ export class ImportService {
    *
    * @param {Array<Object>} actorData - Actor data to import
    * @param {boolean} dryRun - Simulate without creating
+   * @param {Object} options - Creation options
+   * @param {number} options.batchSize - Documents per createDocuments call
+   * @param {Object|null} options.iconIndex - Icons to verify migrated icon paths against (see loadIconIndex)
    * @returns {Promise<Object>} Import statistics
    */
-  static async importActors(actorData, dryRun = false) {
+  static async importActors(actorData, dryRun = false, options = {}) {
+    const { iconIndex = null, ...createOptions } = options;
+    const start = Date.now();
     const stats = {
       attempted: actorData.length,
       created: 0,
       failed: 0,
       transformed: 0
     };
+    const report = this._createTransformReport();
+    const transformedActors = [];
 
     for (const actor of actorData) {
       try {
         // Transform actor data
-        const transformed = this._transformActor(actor);
+        transformedActors.push(this._transformActor(actor, { report, iconIndex }));
         stats.transformed++;
-
-        // Create actor in Foundry
-        if (!dryRun) {
-          await Actor.create(transformed, { keepId: true });
-        }
-
-        stats.created++;
-        Logger.debug(`Imported actor: ${actor.name}`);
       } catch (error) {
         stats.failed++;
+        createOptions.errors?.push(createErrorEntry(actor, error, { collection: 'actors', phase: 'transform' }));
         Logger.error(`Failed to import actor ${actor.name}:`, error);
       }
     }
 
-    return stats;
+    // Create actors in Foundry
+    const counts = await this._createInBatches(Actor, transformedActors, {
+      ...createOptions,
+      dryRun,
+      collection: 'actors',
+      onError: (actor, error) => Logger.error(`Failed to import actor ${actor.name}:`, error)
+    });
+    this._addCreateCounts(stats, counts);
+    stats.durationMs = Date.now() - start;
+
+    return { ...stats, ...report };
   }
 
   /**
@@ -401,44 +1803,59 @@ export class ImportService {
    *
    * @param {Array<Object>} itemData - Item data to import
    * @param {boolean} dryRun - Simulate without creating
+   * @param {Object} options - Creation options
+   * @param {number} options.batchSize - Documents per createDocuments call
+   * @param {Object|null} options.iconIndex - Icons to verify migrated icon paths against (see loadIconIndex)
    * @returns {Promise<Object>} Import statistics
    */
-  static async importItems(itemData, dryRun = false) {
+  static async importItems(itemData, dryRun = false, options = {}) {
+    const { iconIndex = null, ...createOptions } = options;
+    const start = Date.now();
     const stats = {
       attempted: itemData.length,
       created: 0,
       failed: 0,
       transformed: 0
     };
+    const report = this._createTransformReport();
+    const transformedItems = [];
 
     for (const item of itemData) {
       try {
         // Transform item data (includes bow → weapon conversion)
-        const transformed = this._transformItem(item);
+        transformedItems.push(this._transformItem(item, { report, iconIndex }));
         stats.transformed++;
-
-        // Create item in Foundry
-        if (!dryRun) {
-          await Item.create(transformed, { keepId: true });
-        }
-
-        stats.created++;
-        Logger.debug(`Imported item: ${item.name}`);
       } catch (error) {
         stats.failed++;
+        createOptions.errors?.push(createErrorEntry(item, error, { collection: 'items', phase: 'transform' }));
         Logger.error(`Failed to import item ${item.name}:`, error);
       }
     }
 
-    return stats;
+    // Create items in Foundry
+    const counts = await this._createInBatches(Item, transformedItems, {
+      ...createOptions,
+      dryRun,
+      collection: 'items',
+      onError: (item, error) => Logger.error(`Failed to import item ${item.name}:`, error)
+    });
+    this._addCreateCounts(stats, counts);
+    stats.durationMs = Date.now() - start;
+
+    return { ...stats, ...report };
   }
 
   /**
    * Migrate icon path from old system to new system
    * ONLY migrates exact default PNG filenames, preserves everything else
    * @private
+   * @param {string} oldPath - Icon path
+   * @param {string|null} docType - Document subtype, for icons reused across types
+   * @param {Object|null} iconIndex - Icons to verify the new path against (see loadIconIndex); mapped
+   *   icons that don't exist keep their path and are counted in `iconIndex.missing`
+   * @returns {string} Migrated path, or the original one
    */
-  static _migrateIconPath(oldPath, docType = null) {
+  static _migrateIconPath(oldPath, docType = null, iconIndex = null) {
     if (!oldPath || typeof oldPath !== 'string') {
       return oldPath;
     }
@@ -460,202 +1877,527 @@ export class ImportService {
     const parts = oldPath.split('/');
     let filename = parts[parts.length - 1];
 
-    // Strip query parameters (e.g., "image.png?12345" -> "image.png")
-    const queryIndex = filename.indexOf('?');
-    if (queryIndex !== -1) {
-      filename = filename.substring(0, queryIndex);
+    // Strip query parameters (e.g., "image.png?12345" -> "image.png")
+    const queryIndex = filename.indexOf('?');
+    if (queryIndex !== -1) {
+      filename = filename.substring(0, queryIndex);
+    }
+
+    // ONLY migrate .png files that match exact defaults
+    // Do NOT migrate .webp files (already in new format or custom)
+    if (!filename.endsWith('.png')) {
+      return oldPath;
+    }
+
+    // Check if this is a default icon we should migrate
+    let newFilename = null;
+
+    // Check type-specific override first
+    if (docType && ICON_TYPE_OVERRIDES[filename]?.[docType]) {
+      newFilename = ICON_TYPE_OVERRIDES[filename][docType];
+    } else if (ICON_MIGRATION_MAP[filename]) {
+      newFilename = ICON_MIGRATION_MAP[filename];
+    }
+
+    // When verifying, only use icons the target system actually has (in any icon folder)
+    if (newFilename && iconIndex) {
+      const verifiedPath = iconIndex.files.get(newFilename);
+      if (!verifiedPath) {
+        const expected = `${ICON_ROOT}/${newFilename}`;
+        const entry = iconIndex.missing.get(oldPath) ?? { path: oldPath, expected, count: 0 };
+        entry.count++;
+        iconIndex.missing.set(oldPath, entry);
+        Logger.warn(`Icon preserved (${expected} not found): ${oldPath}`);
+        return oldPath;
+      }
+      Logger.info(`Icon migrated: ${oldPath} -> ${verifiedPath}`);
+      return verifiedPath;
+    }
+
+    // If we found a mapping, return new path
+    if (newFilename) {
+      const newPath = `${ICON_ROOT}/${newFilename}`;
+      Logger.info(`Icon migrated: ${oldPath} -> ${newPath}`);
+      return newPath;
+    }
+
+    // Not a default icon - preserve as-is (likely custom/external asset)
+    Logger.info(`Icon preserved (custom PNG/other): ${oldPath}`);
+    return oldPath;
+  }
+
+  /**
+   * Browse the target system's icon folder and its subfolders once, so migrated icon
+   * paths can be checked against the files that exist. Icons in the top folder win
+   * over subfolders with the same filename. Folders that can't be browsed count as empty.
+   *
+   * @returns {Promise<{files: Map<string, string>, missing: Map<string, Object>}>} Filename →
+   *   path of every icon found, and an empty map for the icons found missing
+   */
+  static async loadIconIndex() {
+    const files = new Map();
+    const FilePickerClass = foundry.applications?.apps?.FilePicker?.implementation ?? globalThis.FilePicker;
+
+    for (const folder of [ICON_ROOT, ...ICON_SUBFOLDERS.map((sub) => `${ICON_ROOT}/${sub}`)]) {
+      try {
+        const { files: paths = [] } = await FilePickerClass.browse('data', folder);
+        for (const path of paths) {
+          const filename = path.slice(path.lastIndexOf('/') + 1);
+          if (!files.has(filename)) {
+            files.set(filename, path.startsWith(`${folder}/`) ? path : `${folder}/${filename}`);
+          }
+        }
+      } catch (error) {
+        Logger.warn(`Failed to browse icon folder ${folder}:`, error);
+      }
+    }
+
+    Logger.info(`Found ${files.size} icons in ${ICON_ROOT}`);
+    return { files, missing: new Map() };
+  }
+
+  /**
+   * Transform actor data to new schema
+   * @private
+   * @param {Object} actorData - Actor data to transform
+   * @param {Object} options - Transform options
+   * @param {Object|null} options.report - Transform report to collect effect key details into
+   * @param {Object|null} options.iconIndex - Icons to verify migrated icon paths against (see loadIconIndex)
+   */
+  static _transformActor(actorData, options = {}) {
+    const { report = null, iconIndex = null } = options;
+    const transformed = foundry.utils.duplicate(actorData);
+
+    // Run the transform rule pipeline (icons, renames, coercion, new fields, schema defaults)
+    const fired = TransformRegistry.apply(transformed, {
+      docType: 'Actor',
+      source: actorData,
+      actorType: null,
+      report,
+      iconIndex
+    });
+    this._recordRulesFired(report, 'Actor', transformed, fired);
+
+    // Transform embedded items
+    if (transformed.items && Array.isArray(transformed.items)) {
+      transformed.items = transformed.items.map((item) =>
+        this._transformItem(item, { actorType: transformed.type, report, iconIndex })
+      );
+    }
+
+    // Rewrite effect change keys that target legacy actor fields
+    if (Array.isArray(transformed.effects)) {
+      const owner = { documentName: 'Actor', id: transformed._id, name: transformed.name };
+      transformed.effects = transformed.effects.map((effect) =>
+        this._transformEffect(effect, { docType: 'Actor', type: transformed.type }, report, owner)
+      );
+    }
+
+    return transformed;
+  }
+
+  /**
+   * Create an empty transform report
+   * Collects details about a transform run that don't belong in the documents themselves
+   * @private
+   * @returns {{effectKeysRewritten: number, unknownEffectKeys: Array<Object>, filledDefaults: Array<Object>,
+   *   rulesFired: Array<Object>}}
+   */
+  static _createTransformReport() {
+    return { effectKeysRewritten: 0, unknownEffectKeys: [], filledDefaults: [], rulesFired: [] };
+  }
+
+  /**
+   * Record which transform rules fired on a document
+   * @private
+   * @param {Object|null} report - Transform report
+   * @param {string} documentName - "Actor" or "Item"
+   * @param {Object} docData - Transformed document data
+   * @param {string[]} rules - IDs of the rules that fired
+   */
+  static _recordRulesFired(report, documentName, docData, rules) {
+    if (report && rules.length > 0) {
+      report.rulesFired.push({ documentName, id: docData._id, name: docData.name, rules });
+    }
+  }
+
+  /**
+   * Fill system fields missing from a document with the target schema's defaults
+   * Uses the active system's DataModels or template, so new fields in future
+   * target releases are covered without migrator changes. Mutates the given data.
+   * @private
+   * @param {Object} docData - Document data (actor or item)
+   * @param {string} docType - "Actor" or "Item"
+   * @param {Object|null} report - Transform report to record filled paths into
+   * @returns {string[]} Filled paths (e.g., "system.cost")
+   */
+  static _fillSchemaDefaults(docData, docType, report = null) {
+    const defaults = getTargetSystemModel(docType, docData.type);
+    if (!defaults) {
+      return [];
     }
 
-    // ONLY migrate .png files that match exact defaults
-    // Do NOT migrate .webp files (already in new format or custom)
-    if (!filename.endsWith('.png')) {
-      return oldPath;
+    docData.system ??= {};
+    const paths = fillMissingDefaults(docData.system, defaults);
+    if (paths.length > 0 && report) {
+      report.filledDefaults.push({ documentName: docType, id: docData._id, name: docData.name, paths });
     }
 
-    // Check if this is a default icon we should migrate
-    let newFilename = null;
+    return paths;
+  }
 
-    // Check type-specific override first
-    if (docType && ICON_TYPE_OVERRIDES[filename]?.[docType]) {
-      newFilename = ICON_TYPE_OVERRIDES[filename][docType];
-    } else if (ICON_MIGRATION_MAP[filename]) {
-      newFilename = ICON_MIGRATION_MAP[filename];
+  /**
+   * Rewrite a single ActiveEffect change key using SCHEMA_MAP rules
+   * Matches the full key or any sub-path of a renamed field.
+   * @private
+   * @param {string} key - Change key (e.g., "system.armor.armor_tn")
+   * @param {string} docType - Document type the change applies to
+   * @param {string|null} type - Document subtype, or null to match rules of any subtype
+   * @returns {string} Rewritten key (unchanged if no rule matches)
+   */
+  static _rewriteEffectKey(key, docType, type) {
+    if (typeof key !== 'string') {
+      return key;
     }
 
-    // If we found a mapping, return new path
-    if (newFilename) {
-      const newPath = `systems/l5r4-enhanced/assets/icons/${newFilename}`;
-      Logger.info(`Icon migrated: ${oldPath} -> ${newPath}`);
-      return newPath;
-    }
+    const rule = SCHEMA_MAP.find(
+      (r) =>
+        r.docType === docType &&
+        (type === null || r.type === '*' || r.type === type) &&
+        (key === r.from || key.startsWith(`${r.from}.`))
+    );
 
-    // Not a default icon - preserve as-is (likely custom/external asset)
-    Logger.info(`Icon preserved (custom PNG/other): ${oldPath}`);
-    return oldPath;
+    return rule ? rule.to + key.slice(rule.from.length) : key;
   }
 
   /**
-   * Transform actor data to new schema
+   * Rewrite an ActiveEffect's change keys that target legacy field paths
+   * Keys still pointing at `system.*` paths the target schema doesn't declare are
+   * added to the report for manual review.
    * @private
+   * @param {Object} effect - Effect data to transform
+   * @param {Object} target - Document the changes apply to
+   * @param {string} target.docType - "Actor" or "Item"
+   * @param {string|null} target.type - Subtype, or null if unknown (e.g., world item transferring to any actor)
+   * @param {Object|null} report - Transform report to collect details into
+   * @param {Object} owner - Document holding the effect ({ documentName, id, name }), for the report
+   * @returns {Object} Transformed effect
    */
-  static _transformActor(actorData) {
-    const transformed = foundry.utils.duplicate(actorData);
-
-    // Migrate actor icon
-    if (transformed.img) {
-      transformed.img = this._migrateIconPath(transformed.img, transformed.type);
+  static _transformEffect(effect, target, report = null, owner = {}) {
+    if (!effect || !Array.isArray(effect.changes)) {
+      return effect;
     }
 
-    // Apply schema transformations
-    const actorRules = SCHEMA_MAP.filter(
-      (rule) => rule.docType === 'Actor' && (rule.type === '*' || rule.type === transformed.type)
-    );
+    const changes = effect.changes.map((change) => {
+      if (!change || typeof change.key !== 'string') {
+        return change;
+      }
 
-    for (const rule of actorRules) {
-      if (getByPath(transformed, rule.from) !== undefined) {
-        copyPath(transformed, rule.from, rule.to, true);
+      const key = this._rewriteEffectKey(change.key, target.docType, target.type);
+      if (key !== change.key) {
+        Logger.debug(`Effect key rewritten on ${owner.name}: ${change.key} -> ${key}`);
+        if (report) {
+          report.effectKeysRewritten++;
+        }
       }
-    }
 
-    // Type coercion: Fix string values that should be numbers
-    // Common issue in source system: numeric fields stored as strings
-    if (transformed.system) {
-      // Fix wounds.mod
-      if (typeof transformed.system.wounds?.mod === 'string') {
-        const modNum = parseInt(transformed.system.wounds.mod, 10);
-        if (!isNaN(modNum)) {
-          transformed.system.wounds.mod = modNum;
+      if (report && key.startsWith('system.')) {
+        const exists = targetPathExists(target.docType, target.type, key.slice('system.'.length));
+        if (exists === false) {
+          report.unknownEffectKeys.push({
+            documentName: owner.documentName,
+            id: owner.id,
+            name: owner.name,
+            effectId: effect._id,
+            effectName: effect.name,
+            key
+          });
         }
       }
 
-      // Fix wealth fields
-      if (transformed.system.wealth) {
-        ['koku', 'bu', 'zeni'].forEach((field) => {
-          if (typeof transformed.system.wealth[field] === 'string') {
-            const num = parseInt(transformed.system.wealth[field], 10);
-            if (!isNaN(num)) {
-              transformed.system.wealth[field] = num;
-            }
-          }
-        });
+      return key === change.key ? change : { ...change, key };
+    });
+
+    return { ...effect, changes };
+  }
+
+  /**
+   * Apply SCHEMA_MAP rename rules matching the document type and subtype
+   * Mutates the given data in place
+   * @private
+   * @returns {number} Number of fields renamed
+   */
+  static _applySchemaMap(docData, docType) {
+    const rules = SCHEMA_MAP.filter(
+      (rule) => rule.docType === docType && (rule.type === '*' || rule.type === docData.type)
+    );
+
+    let renamed = 0;
+    for (const rule of rules) {
+      if (getByPath(docData, rule.from) !== undefined) {
+        copyPath(docData, rule.from, rule.to, true);
+        renamed++;
       }
     }
 
-    // Add new fields for l5r4-enhanced
-    if (transformed.type === 'pc') {
-      // Add bonuses structure if missing
-      if (!transformed.system.bonuses) {
-        setByPath(transformed, 'system.bonuses', { skill: {}, trait: {}, ring: {} });
-      }
+    return renamed;
+  }
+
+  /**
+   * Coerce actor numeric fields stored as strings
+   * Common issue in source system: numeric fields stored as strings
+   * @private
+   */
+  static _coerceActorFields(actorData) {
+    if (!actorData.system) {
+      return;
+    }
 
-      // Add woundsPenaltyMod if missing
-      if (transformed.system.woundsPenaltyMod === undefined) {
-        setByPath(transformed, 'system.woundsPenaltyMod', 0);
+    // Fix wounds.mod
+    if (typeof actorData.system.wounds?.mod === 'string') {
+      const modNum = parseInt(actorData.system.wounds.mod, 10);
+      if (!isNaN(modNum)) {
+        actorData.system.wounds.mod = modNum;
       }
     }
 
-    if (transformed.type === 'npc') {
-      // Add woundMode for NPCs
-      if (!transformed.system.woundMode) {
-        setByPath(transformed, 'system.woundMode', 'manual');
+    // Fix wealth fields
+    if (actorData.system.wealth) {
+      ['koku', 'bu', 'zeni'].forEach((field) => {
+        if (typeof actorData.system.wealth[field] === 'string') {
+          const num = parseInt(actorData.system.wealth[field], 10);
+          if (!isNaN(num)) {
+            actorData.system.wealth[field] = num;
+          }
+        }
+      });
+    }
+
+    // Fix NPC wound fields: legacy NPCs store "3" and "-5"
+    if (actorData.type === 'npc') {
+      if (typeof actorData.system.nrWoundLvls === 'string') {
+        actorData.system.nrWoundLvls = parseInt(actorData.system.nrWoundLvls, 10) || 1;
       }
 
-      // Add fear rating
-      if (!transformed.system.fear) {
-        setByPath(transformed, 'system.fear', { rank: 0 });
+      for (const table of ['woundLevels', 'manualWoundLevels']) {
+        const levels = actorData.system[table];
+        if (!levels || typeof levels !== 'object') {
+          continue;
+        }
+        for (const level of Object.values(levels)) {
+          if (!level || typeof level !== 'object') {
+            continue;
+          }
+          if (typeof level.penalty === 'string' || (typeof level.penalty === 'number' && level.penalty < 0)) {
+            level.penalty = Math.abs(parseInt(level.penalty, 10) || 0);
+          }
+          if (typeof level.value === 'string') {
+            level.value = parseInt(level.value, 10) || 0;
+          }
+        }
       }
     }
+  }
 
-    // Migrate token icon if present
-    if (transformed.prototypeToken?.texture?.src) {
-      transformed.prototypeToken.texture.src = this._migrateIconPath(
-        transformed.prototypeToken.texture.src,
-        transformed.type
-      );
+  /**
+   * Build all eight NPC manual wound level entries from legacy wound levels
+   * Every entry is created so actor preparation doesn't fill gaps with template defaults.
+   * A level is active when its threshold is above zero.
+   * @private
+   * @param {Object} woundLevels - Legacy wound levels keyed by level name
+   * @returns {Object} Manual wound levels ({ [level]: { value, penalty, active } })
+   */
+  static _buildManualWoundLevels(woundLevels) {
+    const manualWoundLevels = {};
+
+    for (const key of WOUND_LEVEL_ORDER) {
+      const level = woundLevels?.[key];
+      const value = level ? parseInt(level.value, 10) || 0 : 0;
+      const penalty = level ? Math.abs(parseInt(level.penalty, 10) || 0) : 0;
+      manualWoundLevels[key] = { value, penalty, active: value > 0 };
     }
 
-    // Transform embedded items
-    if (transformed.items && Array.isArray(transformed.items)) {
-      transformed.items = transformed.items.map((item) => this._transformItem(item));
+    return manualWoundLevels;
+  }
+
+  /**
+   * Transform an unlinked token's ActorDelta to new schema
+   * The delta's system data runs through the Actor transform rules with `delta: true` in the
+   * context, so only renames and coercion apply; new-field defaults are left to the base actor
+   * so the delta doesn't override them. A legacy NPC wound table in the delta also rebuilds
+   * the delta's manual wound levels. Embedded delta items replace the base actor's items and
+   * get the full item transform.
+   * @private
+   * @param {Object} delta - Token delta data
+   * @param {string|null} actorType - Base actor type ('pc', 'npc') if known
+   * @param {Object|null} report - Transform report to collect effect key details into
+   * @param {Object} owner - Token the delta belongs to ({ documentName, id, name }), for the report
+   * @param {Object|null} iconIndex - Icons to verify migrated icon paths against (see loadIconIndex)
+   * @returns {Object} Transformed delta
+   */
+  static _transformTokenDelta(delta, actorType = null, report = null, owner = {}, iconIndex = null) {
+    const transformed = foundry.utils.duplicate(delta);
+
+    if (transformed.system && typeof transformed.system === 'object') {
+      // Rules are matched on the base actor type; unknown types only get universal rules
+      const pseudoActor = { type: actorType ?? '*', system: transformed.system };
+      const fired = TransformRegistry.apply(pseudoActor, {
+        docType: 'Actor',
+        source: delta,
+        actorType: null,
+        report,
+        iconIndex,
+        delta: true
+      });
+      this._recordRulesFired(report, owner.documentName ?? 'Token', { _id: owner.id, name: owner.name }, fired);
+      transformed.system = pseudoActor.system;
+    }
+
+    if (Array.isArray(transformed.items)) {
+      transformed.items = transformed.items.map((item) => this._transformItem(item, { actorType, report, iconIndex }));
+    }
+
+    if (Array.isArray(transformed.effects)) {
+      transformed.effects = transformed.effects.map((effect) =>
+        this._transformEffect(effect, { docType: 'Actor', type: actorType }, report, owner)
+      );
     }
 
     return transformed;
   }
 
   /**
-   * Transform item data to new schema
-   * Includes bow → weapon conversion and icon migration
+   * Transform scene data by migrating each unlinked token's actor delta
+   * Linked tokens read from the world actor and are left untouched.
    * @private
+   * @param {Object} sceneData - Scene data to transform
+   * @param {Map<string, string>} actorTypes - Map of actor ID → actor type
+   * @param {Object|null} report - Transform report to collect effect key details into
+   * @param {Object|null} iconIndex - Icons to verify migrated icon paths against (see loadIconIndex)
+   * @returns {{scene: Object, tokensTransformed: number}} Transformed scene and token count
    */
-  static _transformItem(itemData) {
-    const transformed = foundry.utils.duplicate(itemData);
+  static _transformScene(sceneData, actorTypes = new Map(), report = null, iconIndex = null) {
+    const scene = foundry.utils.duplicate(sceneData);
+    let tokensTransformed = 0;
 
-    // Migrate item icon
-    if (transformed.img) {
-      transformed.img = this._migrateIconPath(transformed.img, transformed.type);
+    if (!Array.isArray(scene.tokens)) {
+      return { scene, tokensTransformed };
     }
 
-    // Handle bow → weapon conversion
-    if (transformed.type === 'bow') {
-      transformed.type = 'weapon';
-      setByPath(transformed, 'system.isBow', true);
-
-      // Normalize size casing
-      if (transformed.system.size) {
-        transformed.system.size = transformed.system.size.toLowerCase();
+    scene.tokens = scene.tokens.map((token) => {
+      if (!token || token.actorLink || !token.delta || typeof token.delta !== 'object') {
+        return token;
       }
 
-      Logger.debug(`Converted bow '${transformed.name}' to weapon with isBow flag`);
-    }
+      tokensTransformed++;
+      return {
+        ...token,
+        delta: this._transformTokenDelta(
+          token.delta,
+          actorTypes.get(token.actorId) ?? null,
+          report,
+          { documentName: 'Token', id: token._id, name: token.name },
+          iconIndex
+        )
+      };
+    });
 
-    // Apply schema transformations
-    const itemRules = SCHEMA_MAP.filter(
-      (rule) => rule.docType === 'Item' && (rule.type === '*' || rule.type === transformed.type)
-    );
+    return { scene, tokensTransformed };
+  }
+
+  /**
+   * Migrate asset paths in scene data that point at the legacy system
+   * Covers the background, foreground and fog overlay, token textures (and unlinked
+   * token delta images, including delta items), tiles, map notes and drawings.
+   * Paths still inside the legacy system directory afterwards have no replacement.
+   * @private
+   * @param {Object} sceneData - Scene data
+   * @param {Map<string, string>} actorTypes - Map of actor ID → actor type
+   * @param {Object|null} iconIndex - Icons to verify migrated icon paths against (see loadIconIndex)
+   * @returns {{scene: Object, rewritten: Array<Object>, missing: Array<Object>}} Scene data
+   *   (a copy when anything changed), the rewritten assets ({ field, from, to }) and the
+   *   ones left pointing at the legacy system ({ field, path })
+   */
+  static _migrateSceneAssets(sceneData, actorTypes = new Map(), iconIndex = null) {
+    const scene = foundry.utils.duplicate(sceneData);
+    const rewritten = [];
+    const missing = [];
+
+    const migrate = (doc, path, field, docType) => {
+      const from = getByPath(doc, path);
+      if (typeof from !== 'string' || from.length === 0) {
+        return;
+      }
+      const to = this._migrateIconPath(from, docType, iconIndex);
+      if (to !== from) {
+        setByPath(doc, path, to);
+        rewritten.push({ field, from, to });
+      } else if (from.startsWith('systems/l5r4/')) {
+        missing.push({ field, path: from });
+      }
+    };
 
-    for (const rule of itemRules) {
-      if (getByPath(transformed, rule.from) !== undefined) {
-        copyPath(transformed, rule.from, rule.to, true);
+    for (const [collection, paths] of Object.entries(SCENE_ASSET_FIELDS)) {
+      const docs = collection ? scene[collection] : [scene];
+      if (!Array.isArray(docs)) {
+        continue;
       }
-    }
 
-    // Type coercion: Fix string values that should be numbers
-    if (transformed.type === 'skill') {
-      // Fix rank if it's a string
-      if (typeof transformed.system?.rank === 'string') {
-        const rankNum = parseInt(transformed.system.rank, 10);
-        if (!isNaN(rankNum)) {
-          transformed.system.rank = rankNum;
+      docs.forEach((doc, index) => {
+        if (!doc || typeof doc !== 'object') {
+          return;
+        }
+        const docType = collection === 'tokens' ? (actorTypes.get(doc.actorId) ?? null) : null;
+        const prefix = collection ? `${collection}.${doc._id ?? index}.` : '';
+        for (const path of paths) {
+          migrate(doc, path, `${prefix}${path}`, docType);
         }
-      }
-    }
 
-    // Add new fields for skills
-    if (transformed.type === 'skill') {
-      if (transformed.system.freeRanks === undefined) {
-        setByPath(transformed, 'system.freeRanks', 0);
-      }
-      if (transformed.system.freeEmphasis === undefined) {
-        setByPath(transformed, 'system.freeEmphasis', 0);
-      }
+        // Unlinked token delta items replace the base actor's items
+        (doc.delta?.items ?? []).forEach((item, i) => {
+          migrate(doc, `delta.items.${i}.img`, `${prefix}delta.items.${item?._id ?? i}.img`, item?.type);
+        });
+      });
     }
 
-    // Add new fields for weapons
-    if (transformed.type === 'weapon') {
-      if (!transformed.system.associatedSkill) {
-        setByPath(transformed, 'system.associatedSkill', '');
-      }
-      if (!transformed.system.fallbackTrait) {
-        setByPath(transformed, 'system.fallbackTrait', 'agi');
-      }
-      if (transformed.system.isBow === undefined) {
-        setByPath(transformed, 'system.isBow', false);
-      }
+    return { scene: rewritten.length > 0 ? scene : sceneData, rewritten, missing };
+  }
 
-      // Normalize size casing
-      if (transformed.system.size) {
-        transformed.system.size = transformed.system.size.toLowerCase();
-      }
+  /**
+   * Transform item data to new schema
+   * Includes bow → weapon conversion and icon migration
+   * @private
+   * @param {Object} itemData - Item data to transform
+   * @param {Object} options - Transform options
+   * @param {string|null} options.actorType - Owning actor type for embedded items, null for world items
+   * @param {Object|null} options.report - Transform report to collect effect key details into
+   * @param {Object|null} options.iconIndex - Icons to verify migrated icon paths against (see loadIconIndex)
+   */
+  static _transformItem(itemData, options = {}) {
+    const { actorType = null, report = null, iconIndex = null } = options;
+    const transformed = foundry.utils.duplicate(itemData);
+
+    // Run the transform rule pipeline (icons, bow conversion, renames, new fields, schema defaults)
+    const fired = TransformRegistry.apply(transformed, {
+      docType: 'Item',
+      source: itemData,
+      actorType,
+      report,
+      iconIndex
+    });
+    this._recordRulesFired(report, 'Item', transformed, fired);
+
+    // Rewrite effect change keys: transferred effects modify the owning actor,
+    // non-transferred effects modify the item itself
+    if (Array.isArray(transformed.effects)) {
+      const owner = { documentName: 'Item', id: transformed._id, name: transformed.name };
+      transformed.effects = transformed.effects.map((effect) => {
+        const target =
+          effect?.transfer === false
+            ? { docType: 'Item', type: transformed.type }
+            : { docType: 'Actor', type: actorType };
+        return this._transformEffect(effect, target, report, owner);
+      });
     }
 
     return transformed;
@@ -664,49 +2406,56 @@ export class ImportService {
   /**
    * Import folders
    * Sort by folder path depth to ensure parents are created before children
-   * Skips folders that exceed Foundry's 4-level depth limit
+   * Skips folders that exceed Foundry's 4-level depth limit (importWorld fits them
+   * into the limit first unless its folderOverflow option is "skip")
+   * Existing folders are updated rather than overwritten, since deleting a folder
+   * would move its contents out of it.
    * @private
+   * @param {Array<Object>} folderData - Folder data to import
+   * @param {boolean} dryRun - Simulate without creating
+   * @param {Object} options - Creation options ({ batchSize, conflictPolicy })
    */
-  static async _importFolders(folderData, dryRun) {
+  static async _importFolders(folderData, dryRun, options = {}) {
+    const { conflictPolicy = DEFAULT_CONFLICT_POLICY, ...createOptions } = options;
+    const start = Date.now();
     const stats = { attempted: folderData.length, created: 0, failed: 0, skipped: 0 };
-    const MAX_FOLDER_DEPTH = 4;
-
-    // Sort folders by depth (parent-first)
-    // Folders without a parent come first, then by folder depth
-    const sortedFolders = [...folderData].sort((a, b) => {
-      const depthA = this._getFolderDepth(a, folderData);
-      const depthB = this._getFolderDepth(b, folderData);
-      return depthA - depthB;
-    });
 
-    for (const folder of sortedFolders) {
-      try {
-        // Check folder depth before creation
-        const depth = this._getFolderDepth(folder, folderData);
-
-        if (depth > MAX_FOLDER_DEPTH) {
-          stats.skipped++;
-          stats.failed++;
-          Logger.warn(
-            `Failed to import folder ${folder.name} [${folder.type}]: Error: You may not nest Folders more than ${MAX_FOLDER_DEPTH} levels deep.`
-          );
-          continue;
-        }
+    // Group folders by depth so each level is created after its parents
+    const levels = new Map();
+    for (const folder of folderData) {
+      const depth = this._getFolderDepth(folder, folderData);
 
-        if (!dryRun) {
-          await Folder.create(folder, { keepId: true });
-        }
-        stats.created++;
-      } catch (error) {
+      if (depth > MAX_FOLDER_DEPTH) {
+        stats.skipped++;
         stats.failed++;
-        Logger.warn(`Failed to import folder ${folder.name}:`, error);
+        Logger.warn(
+          `Failed to import folder ${folder.name} [${folder.type}]: Error: You may not nest Folders more than ${MAX_FOLDER_DEPTH + 1} levels deep.`
+        );
+        continue;
+      }
+
+      if (!levels.has(depth)) {
+        levels.set(depth, []);
       }
+      levels.get(depth).push(folder);
+    }
+
+    for (const depth of [...levels.keys()].sort((a, b) => a - b)) {
+      const counts = await this._createInBatches(Folder, levels.get(depth), {
+        ...createOptions,
+        conflictPolicy: conflictPolicy === 'overwrite' ? 'update' : conflictPolicy,
+        dryRun,
+        collection: 'folders',
+        onError: (folder, error) => Logger.warn(`Failed to import folder ${folder.name}:`, error)
+      });
+      this._addCreateCounts(stats, counts);
     }
 
     if (stats.skipped > 0) {
-      Logger.warn(`Skipped ${stats.skipped} folder(s) that exceeded the ${MAX_FOLDER_DEPTH}-level depth limit`);
+      Logger.warn(`Skipped ${stats.skipped} folder(s) that exceeded the ${MAX_FOLDER_DEPTH + 1}-level depth limit`);
     }
 
+    stats.durationMs = Date.now() - start;
     return stats;
   }
 
@@ -743,44 +2492,95 @@ export class ImportService {
 
   /**
    * Import scenes
+   * On the with-transform path, unlinked token deltas are migrated first and
+   * per-scene token counts are reported in `stats.tokens`. On both paths, asset
+   * paths inside the legacy system directory are then migrated (see _migrateSceneAssets).
    * @private
+   * @param {Array<Object>} sceneData - Scene data to import
+   * @param {boolean} dryRun - Simulate without creating
+   * @param {Object} options - Scene import options
+   * @param {boolean} options.transform - Transform unlinked token deltas
+   * @param {Array<Object>} options.actors - Source actors, used to resolve token actor types
+   * @param {Object|null} options.iconIndex - Icons to verify migrated asset paths against (see loadIconIndex)
+   * @param {number} options.batchSize - Documents per createDocuments call
+   * @returns {Promise<Object>} Statistics, including the legacy system assets that were
+   *   rewritten and the ones left pointing at a missing path in `assets` ({ rewritten, missing })
    */
-  static async _importScenes(sceneData, dryRun) {
-    const stats = { attempted: sceneData.length, created: 0, failed: 0 };
+  static async _importScenes(sceneData, dryRun, options = {}) {
+    const { transform = false, actors = [], iconIndex = null, ...createOptions } = options;
+    const start = Date.now();
+    const stats = { attempted: sceneData.length, created: 0, failed: 0, assets: { rewritten: [], missing: [] } };
+    const actorTypes = new Map((actors ?? []).filter((a) => a?._id).map((a) => [a._id, a.type]));
+
+    const report = transform ? this._createTransformReport() : null;
+    const scenes = [];
+
+    if (transform) {
+      stats.tokensTransformed = 0;
+      stats.tokens = [];
+    }
 
-    for (const scene of sceneData) {
+    for (const sourceScene of sceneData) {
       try {
-        if (!dryRun) {
-          await Scene.create(scene, { keepId: true });
+        let scene = sourceScene;
+        if (transform) {
+          const { scene: transformedScene, tokensTransformed } = this._transformScene(
+            sourceScene,
+            actorTypes,
+            report,
+            iconIndex
+          );
+          scene = transformedScene;
+          stats.tokensTransformed += tokensTransformed;
+          stats.tokens.push({ sceneId: scene._id, sceneName: scene.name, tokensTransformed });
         }
-        stats.created++;
+
+        // Textures and icons inside the legacy system directory (both paths)
+        const assets = this._migrateSceneAssets(scene, actorTypes, iconIndex);
+        scene = assets.scene;
+        const owner = { sceneId: scene._id, sceneName: scene.name };
+        stats.assets.rewritten.push(...assets.rewritten.map((entry) => ({ ...owner, ...entry })));
+        stats.assets.missing.push(...assets.missing.map((entry) => ({ ...owner, ...entry })));
+        scenes.push(scene);
       } catch (error) {
         stats.failed++;
-        Logger.warn(`Failed to import scene ${scene.name}:`, error);
+        createOptions.errors?.push(createErrorEntry(sourceScene, error, { collection: 'scenes', phase: 'transform' }));
+        Logger.warn(`Failed to import scene ${sourceScene.name}:`, error);
       }
     }
 
-    return stats;
+    if (stats.assets.missing.length > 0) {
+      Logger.warn(`${stats.assets.missing.length} scene assets still point at the legacy system`, stats.assets.missing);
+    }
+
+    const counts = await this._createInBatches(Scene, scenes, {
+      ...createOptions,
+      dryRun,
+      collection: 'scenes',
+      onError: (scene, error) => Logger.warn(`Failed to import scene ${scene.name}:`, error)
+    });
+    this._addCreateCounts(stats, counts);
+    stats.durationMs = Date.now() - start;
+
+    return report ? { ...stats, ...report } : stats;
   }
 
   /**
    * Import journals
    * @private
    */
-  static async _importJournals(journalData, dryRun) {
+  static async _importJournals(journalData, dryRun, options = {}) {
+    const start = Date.now();
     const stats = { attempted: journalData.length, created: 0, failed: 0 };
 
-    for (const journal of journalData) {
-      try {
-        if (!dryRun) {
-          await JournalEntry.create(journal, { keepId: true });
-        }
-        stats.created++;
-      } catch (error) {
-        stats.failed++;
-        Logger.warn(`Failed to import journal ${journal.name}:`, error);
-      }
-    }
+    const counts = await this._createInBatches(JournalEntry, journalData, {
+      ...options,
+      dryRun,
+      collection: 'journals',
+      onError: (journal, error) => Logger.warn(`Failed to import journal ${journal.name}:`, error)
+    });
+    this._addCreateCounts(stats, counts);
+    stats.durationMs = Date.now() - start;
 
     return stats;
   }
@@ -789,22 +2589,359 @@ export class ImportService {
    * Import roll tables
    * @private
    */
-  static async _importTables(tableData, dryRun) {
+  static async _importTables(tableData, dryRun, options = {}) {
+    const start = Date.now();
     const stats = { attempted: tableData.length, created: 0, failed: 0 };
 
-    for (const table of tableData) {
-      try {
-        if (!dryRun) {
-          // eslint-disable-next-line no-undef
-          await RollTable.create(table, { keepId: true });
-        }
-        stats.created++;
-      } catch (error) {
-        stats.failed++;
-        Logger.warn(`Failed to import roll table ${table.name}:`, error);
+    // eslint-disable-next-line no-undef
+    const counts = await this._createInBatches(RollTable, tableData, {
+      ...options,
+      dryRun,
+      collection: 'tables',
+      onError: (table, error) => Logger.warn(`Failed to import roll table ${table.name}:`, error)
+    });
+    this._addCreateCounts(stats, counts);
+    stats.durationMs = Date.now() - start;
+
+    return stats;
+  }
+
+  /**
+   * Transform a compendium document like its world counterpart (Actor and Item packs)
+   * @private
+   * @param {string} type - Pack document type
+   * @param {Object} docData - Document data
+   * @param {Object} report - Transform report
+   * @param {Object|null} iconIndex - Icons to verify migrated icon paths against (see loadIconIndex)
+   * @returns {Object} Transformed data (other types are returned unchanged)
+   */
+  static _transformPackDocument(type, docData, report, iconIndex = null) {
+    if (type === 'Actor') {
+      return this._transformActor(docData, { report, iconIndex });
+    }
+    if (type === 'Item') {
+      return this._transformItem(docData, { report, iconIndex });
+    }
+    return docData;
+  }
+
+  /**
+   * Import the collections in ADDITIONAL_COLLECTIONS that the options don't skip
+   * @private
+   * @param {Object} data - Export data
+   * @param {boolean} dryRun - Simulate without creating
+   * @param {Object} options - Import options (skipPlaylists, skipCards, skipCombats)
+   * @param {Object} createOptions - Creation options ({ batchSize, conflictPolicy, ... })
+   * @param {Object} stats - Per-collection statistics to fill in
+   * @returns {Promise<void>}
+   */
+  static async _importAdditionalCollections(data, dryRun, options, createOptions, stats) {
+    for (const { key, label } of ADDITIONAL_COLLECTIONS) {
+      const docs = data[key];
+      if (options[SKIP_OPTIONS[key]] || !docs?.length) {
+        continue;
+      }
+
+      const DocumentClass = game[WORLD_COLLECTIONS[key]]?.documentClass;
+      if (!DocumentClass) {
+        Logger.warn(`Skipped ${docs.length} ${label}: this world has no ${key} collection`);
+        continue;
+      }
+
+      Logger.info(`Importing ${docs.length} ${label}...`);
+      stats[key] = await this._importDocumentsAsIs(DocumentClass, docs, dryRun, { ...createOptions, collection: key });
+    }
+  }
+
+  /**
+   * Import macros
+   * Author and ownership are mapped to the matching users of this world (by ID, then
+   * name, as for user flags); unmatched users are dropped and an unmatched author becomes
+   * the importing user. Script macros get legacy field names rewritten, and the legacy
+   * references that couldn't be rewritten are listed in `stats.warnings`.
+   * @private
+   * @param {Array<Object>} macroData - Macro data to import
+   * @param {boolean} dryRun - Simulate without creating
+   * @param {Object} options - Creation options ({ batchSize, conflictPolicy, users })
+   */
+  static async _importMacros(macroData, dryRun, options = {}) {
+    const { users = [], ...createOptions } = options;
+    const start = Date.now();
+    const stats = { attempted: macroData.length, created: 0, failed: 0, rewritten: 0, warnings: [] };
+    const userIds = this._matchUsers(users);
+
+    const macros = macroData.map((macro) => {
+      const docData = { ...macro, ...this._mapMacroUsers(macro, userIds) };
+      if (docData.type !== 'script') {
+        return docData;
+      }
+
+      const analysis = analyzeMacroScript(docData.command);
+      if (analysis.rewrites.length > 0) {
+        docData.command = analysis.command;
+        stats.rewritten++;
       }
+      for (const warning of analysis.warnings) {
+        stats.warnings.push({ id: macro._id, name: macro.name, ...warning });
+      }
+      return docData;
+    });
+
+    if (stats.rewritten > 0) {
+      Logger.info(`Rewrote legacy field names in ${stats.rewritten} macro(s)`);
+    }
+    if (stats.warnings.length > 0) {
+      Logger.warn(`${stats.warnings.length} legacy reference(s) in macros need review`, stats.warnings);
     }
 
+    // eslint-disable-next-line no-undef
+    const counts = await this._createInBatches(Macro, macros, {
+      ...createOptions,
+      dryRun,
+      collection: 'macros',
+      onError: (macro, error) => Logger.warn(`Failed to import macro ${macro.name}:`, error)
+    });
+    this._addCreateCounts(stats, counts);
+    stats.durationMs = Date.now() - start;
+
     return stats;
   }
+
+  /**
+   * Match exported users to users of this world, by ID then name
+   * @private
+   * @param {Array<Object>} users - Exported users ({ _id, name })
+   * @returns {Map<string, string>} Target user ID by source user ID
+   */
+  static _matchUsers(users) {
+    const ids = new Map();
+    for (const source of users ?? []) {
+      const user = game.users?.get?.(source?._id) ?? game.users?.getName?.(source?.name);
+      if (user) {
+        ids.set(source._id, user.id);
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Map a macro's author and ownership to users of this world
+   * @private
+   * @param {Object} macro - Macro data
+   * @param {Map<string, string>} userIds - Target user ID by source user ID
+   * @returns {{author: string, ownership?: Object}} Fields to replace
+   */
+  static _mapMacroUsers(macro, userIds) {
+    const mapUser = (id) => userIds.get(id) ?? (game.users?.get?.(id) ? id : null);
+    const mapped = { author: mapUser(macro.author) ?? game.user?.id ?? macro.author };
+
+    if (macro.ownership) {
+      mapped.ownership = {};
+      for (const [id, level] of Object.entries(macro.ownership)) {
+        const target = id === 'default' ? id : mapUser(id);
+        if (target) {
+          mapped.ownership[target] = Math.max(level, mapped.ownership[target] ?? level);
+        }
+      }
+    }
+
+    return mapped;
+  }
 }
+
+/**
+ * Built-in transform rules, in pipeline order
+ * Registered with TransformRegistry so custom rules can be placed around them.
+ */
+const BUILTIN_TRANSFORMS = [
+  // Actor pipeline
+  {
+    id: 'actor-icons',
+    docType: 'Actor',
+    description: 'Migrate default actor and prototype token icons from PNG to WEBP',
+    condition: (actor) => Boolean(actor.img || actor.prototypeToken?.texture?.src),
+    apply: (actor, { iconIndex }) => {
+      const { img } = actor;
+      const src = actor.prototypeToken?.texture?.src;
+      if (img) {
+        actor.img = ImportService._migrateIconPath(img, actor.type, iconIndex);
+      }
+      if (src) {
+        actor.prototypeToken.texture.src = ImportService._migrateIconPath(src, actor.type, iconIndex);
+      }
+      return actor.img !== img || actor.prototypeToken?.texture?.src !== src;
+    }
+  },
+  {
+    id: 'actor-schema-map',
+    docType: 'Actor',
+    description: 'Rename legacy snake_case actor fields (SCHEMA_MAP)',
+    apply: (actor) => ImportService._applySchemaMap(actor, 'Actor') > 0
+  },
+  {
+    id: 'actor-coercion',
+    docType: 'Actor',
+    description: 'Convert numeric actor fields stored as strings',
+    condition: (actor) => Boolean(actor.system),
+    apply: (actor) => {
+      const before = JSON.stringify(actor.system);
+      ImportService._coerceActorFields(actor);
+      return JSON.stringify(actor.system) !== before;
+    }
+  },
+  {
+    id: 'pc-new-fields',
+    docType: 'Actor',
+    type: 'pc',
+    description: 'Add bonuses and woundsPenaltyMod to PCs',
+    condition: (actor, { delta }) => !delta && (!actor.system?.bonuses || actor.system.woundsPenaltyMod === undefined),
+    apply: (actor) => {
+      if (!actor.system?.bonuses) {
+        setByPath(actor, 'system.bonuses', { skill: {}, trait: {}, ring: {} });
+      }
+      if (actor.system.woundsPenaltyMod === undefined) {
+        setByPath(actor, 'system.woundsPenaltyMod', 0);
+      }
+    }
+  },
+  {
+    id: 'npc-new-fields',
+    docType: 'Actor',
+    type: 'npc',
+    description: "Add NPC wound settings and fear, matching l5r4-enhanced's migrateLegacyNpcWounds",
+    condition: (actor, { delta }) =>
+      !delta &&
+      (!actor.system?.woundMode ||
+        actor.system.woundsMultiplier === undefined ||
+        actor.system.woundsPenaltyMod === undefined ||
+        !actor.system.fear),
+    apply: (actor) => {
+      if (!actor.system?.woundMode) {
+        setByPath(actor, 'system.woundMode', 'manual');
+      }
+      if (actor.system.woundsMultiplier === undefined) {
+        setByPath(actor, 'system.woundsMultiplier', 2);
+      }
+      if (actor.system.woundsPenaltyMod === undefined) {
+        setByPath(actor, 'system.woundsPenaltyMod', 0);
+      }
+      if (!actor.system.fear) {
+        setByPath(actor, 'system.fear', { rank: 0 });
+      }
+    }
+  },
+  {
+    // Keeps hand-tuned stat blocks from being reset to template defaults on first load;
+    // a delta only gets them when it overrides the legacy wound table
+    id: 'npc-manual-wounds',
+    docType: 'Actor',
+    type: 'npc',
+    description: 'Build all eight manual wound levels from the legacy wound table',
+    condition: (actor, { source, delta }) =>
+      (source?.system?.wound_lvl !== undefined || (!delta && !actor.system?.manualWoundLevels)) &&
+      Boolean(actor.system?.woundLevels),
+    apply: (actor) => {
+      actor.system.manualWoundLevels = ImportService._buildManualWoundLevels(actor.system.woundLevels);
+    }
+  },
+  {
+    id: 'actor-schema-defaults',
+    docType: 'Actor',
+    description: 'Fill fields declared by the target schema with their defaults',
+    condition: (actor, { delta }) => !delta,
+    apply: (actor, { report }) => ImportService._fillSchemaDefaults(actor, 'Actor', report).length > 0
+  },
+
+  // Item pipeline
+  {
+    id: 'item-icon',
+    docType: 'Item',
+    description: 'Migrate default item icons from PNG to WEBP',
+    condition: (item) => Boolean(item.img),
+    apply: (item, { iconIndex }) => {
+      const { img } = item;
+      item.img = ImportService._migrateIconPath(img, item.type, iconIndex);
+      return item.img !== img;
+    }
+  },
+  {
+    id: 'bow-to-weapon',
+    docType: 'Item',
+    type: 'bow',
+    description: "Convert bows to weapons with isBow, matching l5r4-enhanced's migrateBowsToWeapons",
+    apply: (item) => {
+      item.type = 'weapon';
+      item.system ??= {};
+      Object.assign(item.system, BOW_DEFAULTS.forced);
+      for (const [key, value] of Object.entries(BOW_DEFAULTS.fallback)) {
+        item.system[key] = item.system[key] || value;
+      }
+      Logger.debug(`Converted bow '${item.name}' to weapon with isBow flag`);
+    }
+  },
+  {
+    id: 'item-schema-map',
+    docType: 'Item',
+    description: 'Rename legacy snake_case and misspelled item fields (SCHEMA_MAP)',
+    apply: (item) => ImportService._applySchemaMap(item, 'Item') > 0
+  },
+  {
+    id: 'skill-coercion',
+    docType: 'Item',
+    type: 'skill',
+    description: 'Convert skill rank stored as a string',
+    condition: (item) => typeof item.system?.rank === 'string',
+    apply: (item) => {
+      const rankNum = parseInt(item.system.rank, 10);
+      if (isNaN(rankNum)) {
+        return false;
+      }
+      item.system.rank = rankNum;
+    }
+  },
+  {
+    id: 'skill-new-fields',
+    docType: 'Item',
+    type: 'skill',
+    description: 'Add freeRanks and freeEmphasis to skills',
+    condition: (item) => item.system?.freeRanks === undefined || item.system.freeEmphasis === undefined,
+    apply: (item) => {
+      if (item.system?.freeRanks === undefined) {
+        setByPath(item, 'system.freeRanks', 0);
+      }
+      if (item.system.freeEmphasis === undefined) {
+        setByPath(item, 'system.freeEmphasis', 0);
+      }
+    }
+  },
+  {
+    // Bows roll Reflexes, other weapons Agility
+    id: 'weapon-defaults',
+    docType: 'Item',
+    type: 'weapon',
+    description: 'Fill missing weapon fields (WEAPON_DEFAULTS) and normalize size casing',
+    apply: (item) => {
+      item.system ??= {};
+      const before = JSON.stringify(item.system);
+      const defaults = item.system.isBow ? { ...WEAPON_DEFAULTS, ...BOW_DEFAULTS.fallback } : WEAPON_DEFAULTS;
+      for (const [key, value] of Object.entries(defaults)) {
+        const current = item.system[key];
+        if (current === undefined || current === null || current === '') {
+          item.system[key] = value;
+        }
+      }
+      if (item.system.size) {
+        item.system.size = item.system.size.toLowerCase();
+      }
+      return JSON.stringify(item.system) !== before;
+    }
+  },
+  {
+    id: 'item-schema-defaults',
+    docType: 'Item',
+    description: 'Fill fields declared by the target schema with their defaults',
+    apply: (item, { report }) => ImportService._fillSchemaDefaults(item, 'Item', report).length > 0
+  }
+];
+
+TransformRegistry.registerBuiltIns(BUILTIN_TRANSFORMS);
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Transform Registry
+ *
+ * Ordered registry of named transform rules applied to actors and items on the
+ * with-transform import path. The built-in migration steps (icon migration, bow
+ * conversion, SCHEMA_MAP renames, coercion, new fields, schema defaults) are
+ * registered by ImportService; tables can add their own homebrew rules.
+ *
+ * **Rule Shape:**
+ * - `id` - Unique name, recorded in the import result when the rule fires
+ * - `docType` - "Actor" or "Item"
+ * - `type` - Subtype filter: "*", a subtype, or an array of subtypes (default: "*")
+ * - `description` - Human-readable summary
+ * - `condition(doc, context)` - Optional; the rule is skipped when it returns false
+ * - `apply(doc, context)` - Mutates the document copy; returning `false` reports "no change"
+ *
+ * The type filter is checked against the document's current type, so rules after
+ * `bow-to-weapon` see converted bows as weapons.
+ *
+ * **Context:** `{ docType, source, actorType, report, iconIndex }` - `source` is the untransformed
+ * document data, `actorType` the owning actor's type for embedded items (else null),
+ * `iconIndex` the target system's icons when the import verifies icon paths (else null).
+ * `delta` is true when the document is an unlinked token's ActorDelta (`{ type, system }`,
+ * typed by the base actor), which holds only overridden fields; rules that add fields skip it.
+ *
+ * @example
+ * // Register from another module
+ * Hooks.on('l5r4-migrator.registerTransforms', (transforms) => {
+ *   transforms.register({
+ *     id: 'homebrew-advantage-points',
+ *     docType: 'Item',
+ *     type: 'advantage',
+ *     description: 'Rename houseRulePoints to cost',
+ *     condition: (item) => item.system.houseRulePoints !== undefined,
+ *     apply: (item) => {
+ *       item.system.cost = item.system.houseRulePoints;
+ *       delete item.system.houseRulePoints;
+ *     }
+ *   }, { before: 'item-schema-defaults' });
+ * });
+ */
+
+import { Logger } from '../utils/logger.js';
+
+/**
+ * Supported document types
+ */
+const DOC_TYPES = ['Actor', 'Item'];
+
+/**
+ * Built-in rules, restored by {@link TransformRegistry.reset}
+ */
+const builtInRules = [];
+
+/**
+ * Active rules in pipeline order
+ */
+let rules = [];
+
+/**
+ * Registry of transform rules for the with-transform import path
+ */
+export class TransformRegistry {
+  /**
+   * Register a transform rule
+   * Appended to the end of the pipeline unless `before` or `after` is given.
+   *
+   * @param {Object} rule - Transform rule (see file overview for the shape)
+   * @param {Object} options - Registration options
+   * @param {string} options.before - Insert before the rule with this ID
+   * @param {string} options.after - Insert after the rule with this ID
+   * @param {boolean} options.replace - Replace an existing rule with the same ID in place
+   * @returns {Object} The registered rule
+   * @throws {Error} If the rule is invalid, its ID is taken, or the anchor rule doesn't exist
+   */
+  static register(rule, options = {}) {
+    const { before = null, after = null, replace = false } = options;
+    const normalized = this._normalize(rule);
+
+    const existing = rules.findIndex((r) => r.id === normalized.id);
+    if (existing !== -1) {
+      if (!replace) {
+        throw new Error(`Transform rule '${normalized.id}' is already registered`);
+      }
+      rules[existing] = normalized;
+      Logger.info(`Replaced transform rule: ${normalized.id}`);
+      return normalized;
+    }
+
+    const anchor = before ?? after;
+    if (anchor) {
+      const index = rules.findIndex((r) => r.id === anchor);
+      if (index === -1) {
+        throw new Error(`Cannot place transform rule '${normalized.id}': rule '${anchor}' is not registered`);
+      }
+      rules.splice(before ? index : index + 1, 0, normalized);
+    } else {
+      rules.push(normalized);
+    }
+
+    Logger.info(`Registered transform rule: ${normalized.id}`);
+    return normalized;
+  }
+
+  /**
+   * Remove a transform rule
+   *
+   * @param {string} id - Rule ID
+   * @returns {boolean} True if a rule was removed
+   */
+  static unregister(id) {
+    const index = rules.findIndex((r) => r.id === id);
+    if (index === -1) {
+      return false;
+    }
+    rules.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * List registered rules in pipeline order
+   *
+   * @param {string} [docType] - Only list rules for this document type
+   * @returns {Array<{id: string, docType: string, type: string|string[], description: string, builtIn: boolean}>}
+   */
+  static list(docType = null) {
+    return rules
+      .filter((r) => !docType || r.docType === docType)
+      .map(({ id, docType: ruleDocType, type, description }) => ({
+        id,
+        docType: ruleDocType,
+        type,
+        description,
+        builtIn: builtInRules.some((b) => b.id === id)
+      }));
+  }
+
+  /**
+   * Run all matching rules on a document, in order
+   *
+   * @param {Object} doc - Document data copy to transform (mutated in place)
+   * @param {Object} context - Transform context ({ docType, source, actorType, report, iconIndex, delta })
+   * @returns {string[]} IDs of the rules that fired
+   * @throws {Error} If a rule throws; the message names the rule
+   */
+  static apply(doc, context) {
+    const fired = [];
+
+    for (const rule of [...rules]) {
+      if (rule.docType !== context.docType || !this._matchesType(rule, doc.type)) {
+        continue;
+      }
+
+      try {
+        if (rule.condition && !rule.condition(doc, context)) {
+          continue;
+        }
+        if (rule.apply(doc, context) !== false) {
+          fired.push(rule.id);
+        }
+      } catch (error) {
+        throw new Error(`Transform rule '${rule.id}' failed: ${error.message}`, { cause: error });
+      }
+    }
+
+    return fired;
+  }
+
+  /**
+   * Register the built-in rules
+   * Called once by ImportService when it loads.
+   *
+   * @param {Array<Object>} ruleList - Built-in rules in pipeline order
+   */
+  static registerBuiltIns(ruleList) {
+    for (const rule of ruleList) {
+      const normalized = this._normalize(rule);
+      builtInRules.push(normalized);
+      rules.push(normalized);
+    }
+  }
+
+  /**
+   * Restore the built-in rules, dropping any custom registrations
+   */
+  static reset() {
+    rules = [...builtInRules];
+  }
+
+  /**
+   * Validate a rule and fill optional fields
+   * @private
+   */
+  static _normalize(rule) {
+    if (!rule || typeof rule.id !== 'string' || !rule.id) {
+      throw new Error('Transform rule requires a string id');
+    }
+    if (!DOC_TYPES.includes(rule.docType)) {
+      throw new Error(`Transform rule '${rule.id}' has invalid docType '${rule.docType}' (expected Actor or Item)`);
+    }
+    if (typeof rule.apply !== 'function') {
+      throw new Error(`Transform rule '${rule.id}' requires an apply function`);
+    }
+    if (rule.condition !== undefined && typeof rule.condition !== 'function') {
+      throw new Error(`Transform rule '${rule.id}' condition must be a function`);
+    }
+
+    return {
+      id: rule.id,
+      docType: rule.docType,
+      type: rule.type ?? '*',
+      description: rule.description ?? '',
+      condition: rule.condition ?? null,
+      apply: rule.apply
+    };
+  }
+
+  /**
+   * Check a rule's subtype filter against a document type
+   * @private
+   */
+  static _matchesType(rule, type) {
+    if (rule.type === '*') {
+      return true;
+    }
+    return Array.isArray(rule.type) ? rule.type.includes(type) : rule.type === type;
+  }
+}
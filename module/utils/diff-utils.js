@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Document Diff Utilities
+ *
+ * Compares incoming document data with an existing document so sync imports can
+ * update only the fields that changed.
+ *
+ * Only fields present in the incoming data are compared, so defaults the target
+ * world added to the existing document don't count as changes. Arrays (embedded
+ * items, effects, tokens) are compared element by element with the same rule and
+ * written whole when anything in them changed.
+ */
+
+/**
+ * Fields never compared or written by a sync, at any depth
+ * Ownership refers to users of the source world, and `_stats` is bookkeeping.
+ */
+export const SYNC_IGNORED_FIELDS = ['_id', '_stats', 'ownership'];
+
+/**
+ * Collect the fields of incoming data that differ from an existing document.
+ *
+ * @param {Object} existing - Existing document data (e.g., `doc.toObject()`)
+ * @param {Object} incoming - Incoming document data
+ * @param {string[]} [ignore=SYNC_IGNORED_FIELDS] - Field names to skip
+ * @returns {{changes: Object, paths: string[]}} Nested update data and the changed paths
+ *
+ * @example
+ * diffDocument({ name: 'Kisada', system: { honor: 2, glory: 1 } }, { name: 'Kisada', system: { honor: 3 } });
+ * // { changes: { system: { honor: 3 } }, paths: ['system.honor'] }
+ */
+export function diffDocument(existing, incoming, ignore = SYNC_IGNORED_FIELDS) {
+  const paths = [];
+  const changes = diffObjects(existing ?? {}, incoming ?? {}, '', paths, ignore);
+  return { changes, paths };
+}
+
+/**
+ * Recursively diff plain objects
+ * @private
+ */
+function diffObjects(existing, incoming, prefix, paths, ignore) {
+  const changes = {};
+
+  for (const [key, value] of Object.entries(incoming)) {
+    if (ignore.includes(key) || value === undefined) {
+      continue;
+    }
+    const path = prefix ? `${prefix}.${key}` : key;
+    const current = existing?.[key];
+
+    if (isPlainObject(value) && isPlainObject(current)) {
+      const nested = diffObjects(current, value, path, paths, ignore);
+      if (Object.keys(nested).length > 0) {
+        changes[key] = nested;
+      }
+    } else if (!matches(current, value, ignore)) {
+      changes[key] = value;
+      paths.push(path);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Check that every field of an incoming value equals the existing value
+ * @private
+ */
+function matches(existing, incoming, ignore) {
+  if (Array.isArray(incoming)) {
+    return (
+      Array.isArray(existing) &&
+      existing.length === incoming.length &&
+      incoming.every((value, i) => matches(existing[i], value, ignore))
+    );
+  }
+  if (isPlainObject(incoming)) {
+    return (
+      isPlainObject(existing) &&
+      Object.entries(incoming).every(
+        ([key, value]) => ignore.includes(key) || value === undefined || matches(existing[key], value, ignore)
+      )
+    );
+  }
+  return existing === incoming;
+}
+
+/**
+ * Check for a non-array object
+ * @private
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
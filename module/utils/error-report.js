@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Import Error Report Utilities
+ *
+ * Builds the structured entry recorded for each document an import could not transform
+ * or create, and turns a list of entries into a downloadable CSV file.
+ *
+ * **Entry format:**
+ * `{ collection, id, name, type, phase: "transform"|"create", message, validation }`, where
+ * `validation` is the Foundry DataModel validation failure tree when the error carries one
+ * (DataModelValidationError), or null.
+ *
+ * **Validation tree:** `{ message?, fields?: { <field>: node }, elements?: [{ id, name, failure: node }] }`;
+ * leaf nodes also keep the `invalidValue`.
+ */
+
+/**
+ * CSV columns, in order
+ */
+export const ERROR_REPORT_COLUMNS = ['collection', 'id', 'name', 'type', 'phase', 'message', 'validation'];
+
+/**
+ * Build the error entry for a failed document
+ *
+ * @param {Object} docData - Document data that failed
+ * @param {Error} error - Error thrown by the transform or by document creation
+ * @param {Object} context - Where the failure happened
+ * @param {string} context.collection - Export collection key ("actors", "items", ...)
+ * @param {string} context.phase - Pipeline phase ("transform" or "create")
+ * @returns {Object} Error entry (see file overview)
+ *
+ * @example
+ * createErrorEntry(actor, error, { collection: 'actors', phase: 'create' });
+ * // { collection: 'actors', id: 'abc', name: 'Hida Kisada', type: 'pc', phase: 'create',
+ * //   message: 'Actor validation errors: ...', validation: { fields: { system: { ... } } } }
+ */
+export function createErrorEntry(docData, error, { collection, phase }) {
+  return {
+    collection,
+    id: docData?._id ?? null,
+    name: docData?.name ?? null,
+    type: docData?.type ?? null,
+    phase,
+    message: error?.message ?? String(error),
+    validation: getValidationTree(error)
+  };
+}
+
+/**
+ * Serialize the DataModel validation failure an error carries
+ *
+ * @param {Error} error - Error thrown by Foundry
+ * @returns {Object|null} Validation tree, or null when the error has no validation failure
+ */
+export function getValidationTree(error) {
+  const failure = typeof error?.getFailure === 'function' ? error.getFailure() : null;
+  return failure ? serializeFailure(failure) : null;
+}
+
+/**
+ * List the leaf failures of a validation tree with their field paths
+ *
+ * @param {Object|null} tree - Validation tree
+ * @param {string} prefix - Path of the tree's root (for recursion)
+ * @returns {Array<{path: string, message: string}>} Leaf failures
+ *
+ * @example
+ * flattenValidationTree({ fields: { system: { fields: { rank: { message: 'must be a number' } } } } });
+ * // [{ path: 'system.rank', message: 'must be a number' }]
+ */
+export function flattenValidationTree(tree, prefix = '') {
+  if (!tree) {
+    return [];
+  }
+
+  const children = [
+    ...Object.entries(tree.fields ?? {}),
+    ...(tree.elements ?? []).map((element) => [element.id ?? element.name, element.failure])
+  ];
+  if (children.length === 0) {
+    return [{ path: prefix, message: tree.message ?? 'invalid' }];
+  }
+  return children.flatMap(([key, node]) => flattenValidationTree(node, prefix ? `${prefix}.${key}` : String(key)));
+}
+
+/**
+ * Render error entries as CSV
+ * The validation tree becomes one "path: message" list per row.
+ *
+ * @param {Array<Object>} entries - Error entries
+ * @returns {string} CSV text with a header row
+ */
+export function toErrorReportCsv(entries) {
+  const validation = (entry) =>
+    flattenValidationTree(entry.validation)
+      .map((f) => `${f.path}: ${f.message}`)
+      .join('; ');
+  const rows = entries.map((entry) =>
+    ERROR_REPORT_COLUMNS.map((column) => (column === 'validation' ? validation(entry) : (entry[column] ?? '')))
+  );
+  return [ERROR_REPORT_COLUMNS, ...rows].map((row) => row.map(csvCell).join(',')).join('\n');
+}
+
+/**
+ * Convert a DataModelValidationFailure into plain data
+ * @private
+ */
+function serializeFailure(failure) {
+  const node = {};
+  if (failure.message) {
+    node.message = failure.message;
+  }
+  const fields = Object.entries(failure.fields ?? {});
+  if (fields.length > 0) {
+    node.fields = Object.fromEntries(fields.map(([key, child]) => [key, serializeFailure(child)]));
+  }
+  if (failure.elements?.length) {
+    node.elements = failure.elements.map(({ id, name, failure: child }) => ({
+      id,
+      name,
+      failure: serializeFailure(child)
+    }));
+  }
+  // Only leaves keep the invalid value; a parent's would repeat the whole document
+  if (!node.fields && !node.elements && failure.invalidValue !== undefined) {
+    node.invalidValue = failure.invalidValue;
+  }
+  return node;
+}
+
+/**
+ * Quote a CSV cell when it holds a separator, quote or line break
+ * @private
+ */
+function csvCell(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Flag Namespace Utilities
+ *
+ * Moves document flags from the legacy system's namespace to the target system's.
+ * Both l5r4 and l5r4-enhanced store their flags under their own system ID
+ * (`flags.l5r4.xpManual` vs `flags['l5r4-enhanced'].xpManual`), so flags written by
+ * the source system are invisible to the target system after import.
+ *
+ * Only keys listed in the key map are moved. Unlisted keys in the source namespace
+ * and flags belonging to other modules are left untouched.
+ */
+
+/**
+ * Default flag namespace map (l5r4 → l5r4-enhanced)
+ * `keys` maps source flag keys to target flag keys.
+ */
+export const DEFAULT_FLAG_KEY_MAP = {
+  source: 'l5r4',
+  target: 'l5r4-enhanced',
+  keys: {
+    // Actor flags
+    xpManual: 'xpManual',
+    xpSpent: 'xpSpent',
+    xpRetroactiveVersion: 'xpRetroactiveVersion',
+    fullDefenseRoll: 'fullDefenseRoll',
+
+    // User flags
+    sortByActor: 'sortByActor'
+  }
+};
+
+/**
+ * Move mapped flag keys from the source namespace to the target namespace.
+ * Values already present under the target key win; the source value is then left in place.
+ * An emptied source namespace is removed. Returns a copy; the input is not modified.
+ *
+ * @param {Object} flags - Document flags object
+ * @param {Object} keyMap - Flag namespace map ({ source, target, keys })
+ * @returns {{flags: Object, remapped: string[]}} Updated flags and the source keys that were moved
+ *
+ * @example
+ * remapFlagNamespace({ l5r4: { xpManual: [] }, dice: { x: 1 } });
+ * // { flags: { 'l5r4-enhanced': { xpManual: [] }, dice: { x: 1 } }, remapped: ['xpManual'] }
+ */
+export function remapFlagNamespace(flags, keyMap = DEFAULT_FLAG_KEY_MAP) {
+  const { source, target, keys = {} } = keyMap;
+  const sourceFlags = flags?.[source];
+
+  if (!sourceFlags || typeof sourceFlags !== 'object' || source === target) {
+    return { flags, remapped: [] };
+  }
+
+  const sourceCopy = { ...sourceFlags };
+  const targetCopy = { ...(flags[target] ?? {}) };
+  const remapped = [];
+
+  for (const [fromKey, toKey] of Object.entries(keys)) {
+    if (!(fromKey in sourceCopy) || targetCopy[toKey] !== undefined) {
+      continue;
+    }
+    targetCopy[toKey] = sourceCopy[fromKey];
+    delete sourceCopy[fromKey];
+    remapped.push(fromKey);
+  }
+
+  if (remapped.length === 0) {
+    return { flags, remapped };
+  }
+
+  const result = { ...flags, [target]: targetCopy };
+  if (Object.keys(sourceCopy).length === 0) {
+    delete result[source];
+  } else {
+    result[source] = sourceCopy;
+  }
+
+  return { flags: result, remapped };
+}
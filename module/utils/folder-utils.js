@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Folder Depth Utilities
+ *
+ * Fits export folders that are nested deeper than Foundry allows into the allowed depth,
+ * instead of dropping them and leaving their documents pointing at a missing folder.
+ *
+ * **Overflow strategies:**
+ * - `reparent`: over-deep folders are not created; their documents move into the deepest
+ *   allowed ancestor (the ancestor at the maximum depth)
+ * - `collapse`: each over-deep folder is moved up to the maximum depth and renamed after
+ *   its full path (e.g., "Crab › Hida › Bushi › Elite"), keeping its documents
+ * - `skip`: folders are left as they are (the folder import skips over-deep ones)
+ *
+ * Depth counts parent levels: root folders are at depth 0.
+ */
+
+import { REMAP_COLLECTIONS } from './id-remap.js';
+
+/**
+ * Supported overflow strategies
+ */
+export const FOLDER_OVERFLOW_STRATEGIES = ['reparent', 'collapse', 'skip'];
+
+/**
+ * Separator between folder names in a collapsed folder's name
+ */
+export const FOLDER_PATH_SEPARATOR = ' › ';
+
+/**
+ * Fit over-deep folders into the allowed depth and reassign documents to match
+ * Returns copies when anything changed; the input is not modified.
+ *
+ * @param {Object} data - Export data
+ * @param {Object} options - Flatten options
+ * @param {string} options.strategy - Overflow strategy (see FOLDER_OVERFLOW_STRATEGIES)
+ * @param {number} options.maxDepth - Deepest allowed folder depth
+ * @returns {{data: Object, decisions: Array<Object>}} Updated data and one decision per
+ *   over-deep folder ({ folderId, name, type, path, depth, action: "merged"|"collapsed",
+ *   targetId, targetName, documents })
+ *
+ * @example
+ * flattenFolderOverflow(data, { strategy: 'collapse', maxDepth: 3 });
+ * // { data, decisions: [{ folderId: 'f5', name: 'Elite', path: 'Crab › Hida › Bushi › Elite', action: 'collapsed', ... }] }
+ */
+export function flattenFolderOverflow(data, options = {}) {
+  const { strategy = 'reparent', maxDepth } = options;
+  const folders = Array.isArray(data?.folders) ? data.folders : [];
+  if (strategy === 'skip' || folders.length === 0) {
+    return { data, decisions: [] };
+  }
+  if (!FOLDER_OVERFLOW_STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `Unknown folder overflow strategy '${strategy}' (expected ${FOLDER_OVERFLOW_STRATEGIES.join(', ')})`
+    );
+  }
+
+  const byId = new Map(folders.filter((f) => f?._id).map((f) => [f._id, f]));
+  const decisions = [];
+  const moves = new Map();
+
+  for (const folder of folders) {
+    const chain = ancestorChain(folder, byId);
+    const depth = chain.length - 1;
+    if (depth <= maxDepth) {
+      continue;
+    }
+
+    const path = chain.map((f) => f.name).join(FOLDER_PATH_SEPARATOR);
+    // reparent: the ancestor at the maximum depth takes the documents;
+    // collapse: the folder moves under the ancestor one level above that
+    const target = strategy === 'reparent' ? chain[maxDepth] : chain[maxDepth - 1];
+    const decision = {
+      folderId: folder._id,
+      name: folder.name,
+      type: folder.type,
+      path,
+      depth,
+      action: strategy === 'reparent' ? 'merged' : 'collapsed',
+      targetId: target?._id ?? null,
+      targetName: target?.name ?? null,
+      documents: 0
+    };
+    decisions.push(decision);
+    moves.set(folder._id, decision);
+  }
+
+  if (decisions.length === 0) {
+    return { data, decisions };
+  }
+
+  const updated = { ...data };
+  updated.folders = folders.flatMap((folder) => {
+    const decision = moves.get(folder?._id);
+    if (!decision) {
+      return [folder];
+    }
+    if (decision.action === 'merged') {
+      return [];
+    }
+    return [{ ...folder, name: decision.path, folder: decision.targetId }];
+  });
+
+  for (const key of Object.keys(REMAP_COLLECTIONS)) {
+    if (key === 'folders' || !Array.isArray(data[key])) {
+      continue;
+    }
+    updated[key] = data[key].map((doc) => {
+      const decision = moves.get(doc?.folder);
+      if (!decision) {
+        return doc;
+      }
+      decision.documents++;
+      return decision.action === 'merged' ? { ...doc, folder: decision.targetId } : doc;
+    });
+  }
+
+  return { data: updated, decisions };
+}
+
+/**
+ * List a folder's ancestors from the root down to the folder itself
+ * Stops at a parent missing from the export or a cycle.
+ * @private
+ */
+function ancestorChain(folder, byId) {
+  const chain = [folder];
+  const seen = new Set([folder?._id]);
+  let parent = byId.get(folder?.folder);
+  while (parent && !seen.has(parent._id)) {
+    chain.unshift(parent);
+    seen.add(parent._id);
+    parent = byId.get(parent.folder);
+  }
+  return chain;
+}
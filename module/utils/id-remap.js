@@ -0,0 +1,252 @@
+/**
+ * @fileoverview ID Remapping Utilities
+ *
+ * Gives export documents new IDs when they can't keep their own, and rewrites
+ * the references that point at them so links survive the import.
+ *
+ * **When a document gets a new ID:**
+ * - `conflict`: the caller reports the ID as taken (e.g., by the "copy" conflict policy).
+ *   Every reference to the old ID in the export is rewritten to the new one.
+ * - `duplicate`: a later document in the same collection reuses an ID. References are
+ *   ambiguous, so they keep pointing at the first document with that ID.
+ *
+ * **Rewritten references:**
+ * - `folder` on every document that can be in a folder
+ * - Scene token `actorId`, note `entryId`, scene `journal` and `playlist`
+ * - Combat `scene` and combatant `actorId` / `sceneId`
+ * - Roll table result `documentId` (by `documentCollection`)
+ * - World document UUIDs in any string: `@UUID[Actor.xxx]` links, `documentUuid`,
+ *   and flags such as `clanItemUuid` / `familyItemUuid` (`Actor.xxx.Item.yyy`)
+ * - Legacy `@Actor[xxx]` style content links
+ *
+ * Compendium UUIDs (`Compendium.pack.Actor.xxx`) and embedded document IDs are left alone.
+ */
+
+/**
+ * Document name for each export collection
+ */
+export const REMAP_COLLECTIONS = {
+  folders: 'Folder',
+  actors: 'Actor',
+  items: 'Item',
+  scenes: 'Scene',
+  journals: 'JournalEntry',
+  tables: 'RollTable',
+  macros: 'Macro',
+  playlists: 'Playlist',
+  cards: 'Cards',
+  combats: 'Combat'
+};
+
+/**
+ * World document UUID, not preceded by a compendium prefix
+ */
+const UUID_PATTERN =
+  /(?<![\w.])(Folder|Actor|Item|Scene|JournalEntry|RollTable|Macro|Playlist|Cards|Combat)\.([A-Za-z0-9]+)/g;
+
+/**
+ * Legacy content link (`@Actor[id]{label}`)
+ */
+const LEGACY_LINK_PATTERN = /@(Actor|Item|Scene|JournalEntry|RollTable|Macro|Playlist|Cards)\[([A-Za-z0-9]+)\]/g;
+
+/**
+ * Assign new IDs to conflicting and duplicate export documents and rewrite references to them.
+ * Returns a copy when anything changed; the input is not modified.
+ *
+ * @param {Object} data - Export data
+ * @param {Object} options - Options
+ * @param {Function} options.isTaken - Called with (collectionKey, id); return true to give
+ *   the document a new ID (default: nothing is taken)
+ * @param {Array<Object>} options.previous - Remap table of an earlier run on the same data;
+ *   its new IDs are reused so a resumed import assigns the same IDs
+ * @returns {{data: Object, entries: Array<Object>, references: number}} Updated data, the remap
+ *   table ({ collection, documentName, name, index, oldId, newId, reason }) and the number of
+ *   references rewritten
+ *
+ * @example
+ * remapDocumentIds(data, { isTaken: (key, id) => key === 'actors' && game.actors.has(id) });
+ * // { data, entries: [{ collection: 'actors', oldId: 'abc', newId: 'xyz', reason: 'conflict', ... }], references: 3 }
+ */
+export function remapDocumentIds(data, options = {}) {
+  const { isTaken = () => false, previous = [] } = options;
+  const reused = new Map(previous.map((e) => [`${e.collection}:${e.index}:${e.oldId}`, e.newId]));
+  const entries = [];
+  const maps = {};
+  const assignments = {};
+
+  for (const [key, documentName] of Object.entries(REMAP_COLLECTIONS)) {
+    const seen = new Set();
+    maps[documentName] = new Map();
+    assignments[key] = new Map();
+
+    (data?.[key] ?? []).forEach((doc, index) => {
+      if (!doc?._id) {
+        return;
+      }
+
+      let reason = null;
+      if (seen.has(doc._id)) {
+        reason = 'duplicate';
+      } else if (isTaken(key, doc._id)) {
+        reason = 'conflict';
+      }
+      seen.add(doc._id);
+
+      if (!reason) {
+        return;
+      }
+
+      const newId = reused.get(`${key}:${index}:${doc._id}`) ?? foundry.utils.randomID();
+      assignments[key].set(index, newId);
+      entries.push({ collection: key, documentName, name: doc.name, index, oldId: doc._id, newId, reason });
+
+      // References can only follow an ID that belongs to a single document
+      if (reason === 'conflict') {
+        maps[documentName].set(doc._id, newId);
+      }
+    });
+  }
+
+  if (entries.length === 0) {
+    return { data, entries, references: 0 };
+  }
+
+  const counter = { references: 0 };
+  const remap = (documentName, id) => {
+    const newId = maps[documentName]?.get(id);
+    if (!newId) {
+      return id;
+    }
+    counter.references++;
+    return newId;
+  };
+
+  const updated = { ...data };
+  for (const key of [...Object.keys(REMAP_COLLECTIONS), 'users']) {
+    if (!Array.isArray(data[key])) {
+      continue;
+    }
+    updated[key] = data[key].map((doc, index) => {
+      if (!doc || typeof doc !== 'object') {
+        return doc;
+      }
+      const copy = rewriteStrings(doc, maps, counter);
+      const newId = assignments[key]?.get(index);
+      if (newId) {
+        copy._id = newId;
+      }
+      rewriteReferenceFields(key, copy, remap);
+      return copy;
+    });
+  }
+
+  return { data: updated, entries, references: counter.references };
+}
+
+/**
+ * Rewrite world document UUIDs and legacy content links in a string
+ *
+ * @param {string} text - Text to rewrite
+ * @param {Object<string, Map<string, string>>} maps - Old → new IDs by document name
+ * @returns {{text: string, count: number}} Rewritten text and number of references changed
+ *
+ * @example
+ * rewriteUuidReferences('See @UUID[Actor.abc]{Kisada}', { Actor: new Map([['abc', 'xyz']]) });
+ * // { text: 'See @UUID[Actor.xyz]{Kisada}', count: 1 }
+ */
+export function rewriteUuidReferences(text, maps) {
+  let count = 0;
+  const replace = (format) => (match, documentName, id) => {
+    const newId = maps[documentName]?.get(id);
+    if (!newId) {
+      return match;
+    }
+    count++;
+    return format(documentName, newId);
+  };
+
+  const rewritten = text
+    .replace(
+      UUID_PATTERN,
+      replace((documentName, id) => `${documentName}.${id}`)
+    )
+    .replace(
+      LEGACY_LINK_PATTERN,
+      replace((documentName, id) => `@${documentName}[${id}]`)
+    );
+
+  return { text: rewritten, count };
+}
+
+/**
+ * Deep-copy a value, rewriting UUID references in every string
+ * @private
+ */
+function rewriteStrings(value, maps, counter) {
+  if (typeof value === 'string') {
+    const { text, count } = rewriteUuidReferences(value, maps);
+    counter.references += count;
+    return text;
+  }
+  if (Array.isArray(value)) {
+    return value.map((v) => rewriteStrings(v, maps, counter));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, rewriteStrings(v, maps, counter)]));
+  }
+  return value;
+}
+
+/**
+ * Rewrite bare ID reference fields on a copied document
+ * @private
+ */
+function rewriteReferenceFields(key, doc, remap) {
+  if (typeof doc.folder === 'string') {
+    doc.folder = remap('Folder', doc.folder);
+  }
+
+  if (key === 'scenes') {
+    if (typeof doc.journal === 'string') {
+      doc.journal = remap('JournalEntry', doc.journal);
+    }
+    if (typeof doc.playlist === 'string') {
+      doc.playlist = remap('Playlist', doc.playlist);
+    }
+    for (const token of doc.tokens ?? []) {
+      if (typeof token?.actorId === 'string') {
+        token.actorId = remap('Actor', token.actorId);
+      }
+    }
+    for (const note of doc.notes ?? []) {
+      if (typeof note?.entryId === 'string') {
+        note.entryId = remap('JournalEntry', note.entryId);
+      }
+    }
+  }
+
+  if (key === 'combats') {
+    if (typeof doc.scene === 'string') {
+      doc.scene = remap('Scene', doc.scene);
+    }
+    for (const combatant of doc.combatants ?? []) {
+      if (typeof combatant?.actorId === 'string') {
+        combatant.actorId = remap('Actor', combatant.actorId);
+      }
+      if (typeof combatant?.sceneId === 'string') {
+        combatant.sceneId = remap('Scene', combatant.sceneId);
+      }
+    }
+  }
+
+  if (key === 'tables') {
+    for (const result of doc.results ?? []) {
+      if (
+        typeof result?.documentId === 'string' &&
+        Object.values(REMAP_COLLECTIONS).includes(result.documentCollection)
+      ) {
+        result.documentId = remap(result.documentCollection, result.documentId);
+      }
+    }
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Import Filter Utilities
+ *
+ * Narrows an export down to the documents a selective import should bring over,
+ * e.g. only the "Scorpion Campaign" folder into a fresh world.
+ *
+ * **Filter spec** (every part is optional; a document must match all given parts):
+ * - `collections`: export collection keys to import (`actors`, `items`, `scenes`, …)
+ * - `types`: allowed subtypes per collection (`{ actors: ['npc'], items: ['weapon', 'armor'] }`)
+ * - `folders`: folder IDs or names whose subtrees (including descendants) to import
+ * - `names`: name patterns; `*` and `?` wildcards, case-insensitive, or a `/regex/flags` string
+ *
+ * Folders aren't filtered directly: the folders the selected documents sit in (and
+ * their ancestors) are kept, as are the folders inside selected subtrees. Compendium
+ * packs and users are left alone.
+ */
+
+import { REMAP_COLLECTIONS } from './id-remap.js';
+
+/**
+ * Export collections a filter applies to (folders follow the documents)
+ */
+export const FILTER_COLLECTIONS = Object.keys(REMAP_COLLECTIONS).filter((key) => key !== 'folders');
+
+/**
+ * Check whether a filter spec selects anything less than the whole export
+ *
+ * @param {Object|null} filter - Filter spec
+ * @returns {boolean} True when any part of the filter is set
+ */
+export function hasImportFilter(filter) {
+  if (!filter || typeof filter !== 'object') {
+    return false;
+  }
+  const { collections, types, folders, names } = filter;
+  return (
+    Array.isArray(collections) ||
+    Object.values(types ?? {}).some((list) => Array.isArray(list)) ||
+    (Array.isArray(folders) && folders.length > 0) ||
+    (Array.isArray(names) && names.length > 0)
+  );
+}
+
+/**
+ * Keep only the documents a filter spec selects, plus the folders they need
+ * Returns copies of the filtered collections; the input is not modified.
+ *
+ * @param {Object} data - Export data
+ * @param {Object|null} filter - Filter spec (see file overview)
+ * @returns {{data: Object, stats: Object<string, {kept: number, dropped: number}>}} Filtered
+ *   data and per-collection counts (including folders)
+ * @throws {Error} If a selected folder isn't in the export or a name pattern is invalid
+ *
+ * @example
+ * applyImportFilter(data, { folders: ['Scorpion Campaign'], types: { actors: ['pc'] } });
+ * // { data: { folders: [...], actors: [...], ... }, stats: { actors: { kept: 4, dropped: 37 }, ... } }
+ */
+export function applyImportFilter(data, filter) {
+  if (!hasImportFilter(filter)) {
+    return { data, stats: {} };
+  }
+
+  const { collections = null, types = {}, folders = [], names = [] } = filter;
+  const allFolders = Array.isArray(data?.folders) ? data.folders : [];
+  const byId = new Map(allFolders.filter((f) => f?._id).map((f) => [f._id, f]));
+  const subtree = selectSubtrees(folders ?? [], allFolders, byId);
+  const patterns = (names ?? []).map(toPattern);
+
+  const updated = { ...data };
+  const stats = {};
+  const neededFolders = new Set();
+
+  for (const key of FILTER_COLLECTIONS) {
+    if (!Array.isArray(data?.[key])) {
+      continue;
+    }
+
+    const allowedTypes = types?.[key];
+    const kept = data[key].filter((doc) => {
+      if (collections && !collections.includes(key)) {
+        return false;
+      }
+      if (Array.isArray(allowedTypes) && !allowedTypes.includes(doc?.type)) {
+        return false;
+      }
+      if (subtree && !subtree.has(doc?.folder)) {
+        return false;
+      }
+      return patterns.length === 0 || patterns.some((pattern) => pattern.test(doc?.name ?? ''));
+    });
+
+    for (const doc of kept) {
+      addWithAncestors(byId.get(doc?.folder), byId, neededFolders);
+    }
+
+    updated[key] = kept;
+    stats[key] = { kept: kept.length, dropped: data[key].length - kept.length };
+  }
+
+  if (allFolders.length > 0) {
+    // Empty folders inside a selected subtree are kept when their document type is imported
+    const importedTypes = new Set(
+      FILTER_COLLECTIONS.filter((key) => !collections || collections.includes(key)).map((key) => REMAP_COLLECTIONS[key])
+    );
+    for (const folder of allFolders) {
+      if (subtree?.has(folder?._id) && importedTypes.has(folder.type)) {
+        addWithAncestors(folder, byId, neededFolders);
+      }
+    }
+    updated.folders = allFolders.filter((folder) => neededFolders.has(folder?._id));
+    stats.folders = { kept: updated.folders.length, dropped: allFolders.length - updated.folders.length };
+  }
+
+  return { data: updated, stats };
+}
+
+/**
+ * Collect the IDs of the selected folders and all their descendants
+ * @private
+ * @returns {Set<string>|null} Folder IDs, or null when no folders are selected
+ */
+function selectSubtrees(selected, allFolders, byId) {
+  if (selected.length === 0) {
+    return null;
+  }
+
+  const ids = new Set();
+  for (const idOrName of selected) {
+    const roots = byId.has(idOrName) ? [byId.get(idOrName)] : allFolders.filter((f) => f?.name === idOrName);
+    if (roots.length === 0) {
+      throw new Error(`Folder '${idOrName}' is not in the export`);
+    }
+    for (const root of roots) {
+      ids.add(root._id);
+    }
+  }
+
+  // Add descendants until no new folder joins
+  let added = true;
+  while (added) {
+    added = false;
+    for (const folder of allFolders) {
+      if (folder?._id && !ids.has(folder._id) && ids.has(folder.folder)) {
+        ids.add(folder._id);
+        added = true;
+      }
+    }
+  }
+  return ids;
+}
+
+/**
+ * Add a folder and its ancestors to a set of folder IDs
+ * @private
+ */
+function addWithAncestors(folder, byId, ids) {
+  for (let current = folder; current && !ids.has(current._id); current = byId.get(current.folder)) {
+    ids.add(current._id);
+  }
+}
+
+/**
+ * Turn a name pattern into a regular expression
+ * @private
+ */
+function toPattern(pattern) {
+  const source = String(pattern);
+  const regex = source.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    try {
+      // A global flag would make test() stateful between documents
+      return new RegExp(regex[1], regex[2].replace('g', ''));
+    } catch (error) {
+      throw new Error(`Invalid name pattern '${source}': ${error.message}`);
+    }
+  }
+  const escaped = source
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
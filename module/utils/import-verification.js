@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Import Verification Utilities
+ *
+ * Compares the payload the migrator sent to `create` with what Foundry stored, to catch
+ * fields the DataModel silently dropped or coerced (unknown keys, type casts, invalid values).
+ *
+ * **Reported per document:**
+ * - `dropped`: payload paths missing from the stored document
+ * - `changed`: payload values stored differently ({ path, sent, stored })
+ * - `missingEmbedded`: embedded items or effects that weren't stored ({ path, collection, id, name })
+ *
+ * Fields Foundry adds (defaults) are not reported, and the fields a sync ignores
+ * (SYNC_IGNORED_FIELDS: `_stats` and `ownership`, which Foundry rewrites on create) are
+ * skipped at every depth. Arrays whose elements have an `_id` are matched by ID, other
+ * arrays element by element.
+ */
+
+import { SYNC_IGNORED_FIELDS } from './diff-utils.js';
+
+/**
+ * Array fields that hold embedded documents
+ */
+export const EMBEDDED_COLLECTIONS = ['items', 'effects'];
+
+/**
+ * Compare a sent payload with the stored document
+ *
+ * @param {Object} payload - Data passed to createDocuments
+ * @param {Object} stored - The created document's `toObject()`
+ * @param {string[]} [ignore=SYNC_IGNORED_FIELDS] - Field names to skip at any depth
+ * @returns {{dropped: Array<string>, changed: Array<Object>, missingEmbedded: Array<Object>}}
+ *   Differences (see file overview)
+ *
+ * @example
+ * verifyDocument({ system: { rank: '2', legacy: 1 } }, { system: { rank: 2 } });
+ * // { dropped: ['system.legacy'], changed: [{ path: 'system.rank', sent: '2', stored: 2 }], missingEmbedded: [] }
+ */
+export function verifyDocument(payload, stored, ignore = SYNC_IGNORED_FIELDS) {
+  const report = { dropped: [], changed: [], missingEmbedded: [] };
+  compare(payload, stored, '', report, ignore);
+  return report;
+}
+
+/**
+ * Check whether a verification report found any difference
+ *
+ * @param {Object} report - Result of verifyDocument
+ * @returns {boolean} True when something was dropped, changed or missing
+ */
+export function hasDifferences(report) {
+  return report.dropped.length > 0 || report.changed.length > 0 || report.missingEmbedded.length > 0;
+}
+
+/**
+ * Walk the sent value and record where the stored value differs
+ * @private
+ */
+function compare(sent, kept, path, report, ignore) {
+  if (sent === undefined) {
+    return;
+  }
+  if (kept === undefined) {
+    if (!isEmptyContainer(sent)) {
+      report.dropped.push(path);
+    }
+    return;
+  }
+
+  if (Array.isArray(sent)) {
+    if (!Array.isArray(kept)) {
+      report.changed.push({ path, sent, stored: kept });
+      return;
+    }
+    compareArray(sent, kept, path, report, ignore);
+    return;
+  }
+
+  if (isObject(sent)) {
+    if (!isObject(kept)) {
+      report.changed.push({ path, sent, stored: kept });
+      return;
+    }
+    for (const [key, value] of Object.entries(sent)) {
+      if (!ignore.includes(key)) {
+        compare(value, kept[key], path ? `${path}.${key}` : key, report, ignore);
+      }
+    }
+    return;
+  }
+
+  if (sent !== kept) {
+    report.changed.push({ path, sent, stored: kept });
+  }
+}
+
+/**
+ * Compare array elements by `_id` where they have one, otherwise by position
+ * @private
+ */
+function compareArray(sent, kept, path, report, ignore) {
+  const key = path.split('.').pop();
+  const byId = new Map(kept.filter((el) => el?._id).map((el) => [el._id, el]));
+
+  sent.forEach((element, index) => {
+    if (!element?._id) {
+      compare(element, kept[index], `${path}.${index}`, report, ignore);
+      return;
+    }
+
+    const elementPath = `${path}.${element._id}`;
+    const match = byId.get(element._id);
+    if (match) {
+      compare(element, match, elementPath, report, ignore);
+    } else if (EMBEDDED_COLLECTIONS.includes(key)) {
+      report.missingEmbedded.push({ path: elementPath, collection: key, id: element._id, name: element.name ?? null });
+    } else {
+      report.dropped.push(elementPath);
+    }
+  });
+}
+
+/**
+ * @private
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Empty objects and arrays carry no data, so losing one isn't reported
+ * @private
+ */
+function isEmptyContainer(value) {
+  return value !== null && typeof value === 'object' && Object.keys(value).length === 0;
+}
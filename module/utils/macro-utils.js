@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Macro Script Analysis Utilities
+ *
+ * Scans script macros for references to the legacy l5r4 system and rewrites
+ * the cases that have a one-to-one replacement in l5r4-enhanced.
+ *
+ * **Rewritten automatically:**
+ * - Full `system.<path>` access to renamed data fields (`actor.system.wound_lvl` →
+ *   `actor.system.woundLevels`, also inside path strings such as `"system.armor.armor_tn"`)
+ *
+ * **Reported as warnings (need a manual look):**
+ * - `game.l5r4` and `CONFIG.l5r4` (system API and config objects)
+ * - The `"l5r4"` system ID in string literals (flag scopes, `game.system.id` checks)
+ * - Renamed fields accessed any other way (`system["wound_lvl"]`, `const init = actor.system.initiative;
+ *   init.roll_mod`), since the field name alone doesn't say which document type it belongs to
+ */
+
+/**
+ * Legacy data paths and their l5r4-enhanced replacements (the paths in SCHEMA_MAP)
+ */
+export const MACRO_PATH_RENAMES = {
+  'system.wounds.heal_rate': 'system.wounds.healRate',
+  'system.wound_lvl': 'system.woundLevels',
+  'system.armor.armor_tn': 'system.armor.armorTn',
+  'system.armor_tn': 'system.armorTn',
+  'system.initiative.roll_mod': 'system.initiative.rollMod',
+  'system.initiative.keep_mod': 'system.initiative.keepMod',
+  'system.initiative.total_mod': 'system.initiative.totalMod',
+  'system.shadow_taint': 'system.shadowTaint',
+  'system.mastery_3': 'system.mastery3',
+  'system.mastery_5': 'system.mastery5',
+  'system.mastery_7': 'system.mastery7',
+  'system.insight_bonus': 'system.insightBonus',
+  'system.roll_bonus': 'system.rollBonus',
+  'system.keep_bonus': 'system.keepBonus',
+  'system.total_bonus': 'system.totalBonus',
+  'system.equiped': 'system.equipped',
+  'system.specialRues': 'system.specialRules'
+};
+
+/**
+ * Renamed field names (last path segment), for the references that can't be rewritten
+ */
+const FIELD_RENAMES = Object.fromEntries(
+  Object.entries(MACRO_PATH_RENAMES).map(([from, to]) => [from.split('.').pop(), to.split('.').pop()])
+);
+
+/**
+ * Legacy references that can't be rewritten safely
+ */
+const LEGACY_WARNINGS = [
+  { pattern: /\bgame\.l5r4\b(?!-)/g, message: 'Uses the legacy system API (game.l5r4)' },
+  { pattern: /\bCONFIG\.l5r4\b(?!-)/g, message: 'Uses the legacy system config (CONFIG.l5r4)' },
+  { pattern: /(['"`])l5r4\1/g, message: 'Refers to the legacy system ID "l5r4" (flag scope or system check)' }
+];
+
+const FIELD_NAMES = Object.keys(FIELD_RENAMES).join('|');
+
+/**
+ * Full `system.<path>` access to a renamed field
+ */
+const SYSTEM_PATH_PATTERN = new RegExp(
+  `\\b(${Object.keys(MACRO_PATH_RENAMES)
+    .map((path) => path.replaceAll('.', '\\.'))
+    .join('|')})\\b`,
+  'g'
+);
+
+/**
+ * Any other mention of a renamed field
+ */
+const BARE_FIELD_PATTERN = new RegExp(`\\b(${FIELD_NAMES})\\b`, 'g');
+
+/**
+ * Rewrite safe legacy references in a macro script and list the rest
+ *
+ * @param {string} command - Macro script
+ * @returns {{command: string, rewrites: Array<{from: string, to: string, count: number}>,
+ *   warnings: Array<{line: number, match: string, message: string}>}} Rewritten script,
+ *   the replacements made, and the legacy references left for review (1-based lines)
+ *
+ * @example
+ * analyzeMacroScript('const tn = actor.system.armor_tn;\nCONFIG.l5r4.skills');
+ * // { command: 'const tn = actor.system.armorTn;\nCONFIG.l5r4.skills',
+ * //   rewrites: [{ from: 'system.armor_tn', to: 'system.armorTn', count: 1 }],
+ * //   warnings: [{ line: 2, match: 'CONFIG.l5r4', message: 'Uses the legacy system config (CONFIG.l5r4)' }] }
+ */
+export function analyzeMacroScript(command) {
+  if (typeof command !== 'string' || command.length === 0) {
+    return { command, rewrites: [], warnings: [] };
+  }
+
+  const counts = new Map();
+  const rewritten = command.replace(SYSTEM_PATH_PATTERN, (path) => {
+    counts.set(path, (counts.get(path) ?? 0) + 1);
+    return MACRO_PATH_RENAMES[path];
+  });
+  const rewrites = [...counts].map(([from, count]) => ({ from, to: MACRO_PATH_RENAMES[from], count }));
+
+  const warnings = [];
+  rewritten.split('\n').forEach((text, i) => {
+    for (const { pattern, message } of LEGACY_WARNINGS) {
+      for (const match of text.matchAll(pattern)) {
+        warnings.push({ line: i + 1, match: match[0], message });
+      }
+    }
+    for (const match of text.matchAll(BARE_FIELD_PATTERN)) {
+      warnings.push({
+        line: i + 1,
+        match: match[0],
+        message: `Refers to the renamed field "${match[0]}" (now "${FIELD_RENAMES[match[0]]}")`
+      });
+    }
+  });
+
+  return { command: rewritten, rewrites, warnings };
+}
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Dry-Run Preview Diff Utilities
+ *
+ * Compares an export document with the payload an import would write, sorted into
+ * the kinds of change the migration makes, so a dry run can show exactly what will
+ * happen to each document.
+ *
+ * **Change kinds:**
+ * - `renamed`: fields moved by a rename rule (SCHEMA_MAP, flag namespace)
+ * - `defaults`: fields the payload adds
+ * - `coerced`: values whose type changed (e.g., `"3"` → `3`)
+ * - `types`: document type changes (e.g., `bow` → `weapon`), including embedded items
+ * - `icons`: image and texture paths that changed
+ * - `changed`: any other changed value (rewritten links, recomputed wound tables, …)
+ * - `removed`: fields the payload drops
+ *
+ * Embedded documents are compared element by element, keyed by `_id` where they have one.
+ */
+
+import { getByPath, setByPath, deleteByPath } from './path-utils.js';
+
+/**
+ * Field path endings that hold images
+ */
+const ICON_PATHS = ['img', 'texture.src'];
+
+/**
+ * Compare a source document with its import payload
+ *
+ * @param {Object} source - Export document data
+ * @param {Object} payload - Data the import would write
+ * @param {Array<{from: string, to: string}>} renames - Rename rules to recognize; applied to
+ *   the document and each of its embedded `items`
+ * @returns {{renamed: Array, defaults: Array, coerced: Array, types: Array, icons: Array,
+ *   changed: Array, removed: Array}} Changes by kind (`renamed`: { from, to }; `defaults` and
+ *   `removed`: { path, value }; the rest: { path, from, to })
+ *
+ * @example
+ * diffTransformed(
+ *   { type: 'bow', img: 'bow.png', system: { mastery_3: 'x' } },
+ *   { type: 'weapon', img: 'systems/l5r4-enhanced/assets/icons/bow.webp', system: { mastery3: 'x', isBow: true } },
+ *   [{ from: 'system.mastery_3', to: 'system.mastery3' }]
+ * );
+ * // { renamed: [{ from: 'system.mastery_3', to: 'system.mastery3' }], defaults: [{ path: 'system.isBow', value: true }],
+ * //   types: [{ path: 'type', from: 'bow', to: 'weapon' }], icons: [{ path: 'img', ... }], ... }
+ */
+export function diffTransformed(source, payload, renames = []) {
+  const diff = { renamed: [], defaults: [], coerced: [], types: [], icons: [], changed: [], removed: [] };
+  const normalized = structuredClone(source ?? {});
+  normalizeRenames(normalized, payload ?? {}, renames, '', diff.renamed);
+
+  const before = flatten(normalized);
+  const after = flatten(payload ?? {});
+
+  for (const [path, value] of after) {
+    if (!before.has(path)) {
+      diff.defaults.push({ path, value });
+      continue;
+    }
+    const previous = before.get(path);
+    if (same(previous, value)) {
+      continue;
+    }
+    const change = { path, from: previous, to: value };
+    if (path === 'type' || path.endsWith('.type')) {
+      diff.types.push(change);
+    } else if (ICON_PATHS.some((end) => path === end || path.endsWith(`.${end}`))) {
+      diff.icons.push(change);
+    } else if (typeof previous !== typeof value) {
+      diff.coerced.push(change);
+    } else {
+      diff.changed.push(change);
+    }
+  }
+
+  for (const [path, value] of before) {
+    if (!after.has(path)) {
+      diff.removed.push({ path, value });
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Count the changes in a diff
+ *
+ * @param {Object} diff - Result of diffTransformed
+ * @returns {number} Total number of changes
+ */
+export function countChanges(diff) {
+  return Object.values(diff ?? {}).reduce((sum, list) => sum + (list?.length ?? 0), 0);
+}
+
+/**
+ * Move renamed fields in the source copy to where the payload has them
+ * A rule counts only when the payload dropped the old path and has the new one.
+ * @private
+ */
+function normalizeRenames(doc, payload, renames, prefix, renamed) {
+  for (const { from, to } of renames) {
+    const value = getByPath(doc, from);
+    if (value === undefined || getByPath(payload, from) !== undefined || getByPath(payload, to) === undefined) {
+      continue;
+    }
+    deleteByPath(doc, from);
+    setByPath(doc, to, value);
+    renamed.push({ from: `${prefix}${from}`, to: `${prefix}${to}` });
+  }
+
+  if (Array.isArray(doc.items) && Array.isArray(payload.items)) {
+    doc.items.forEach((item, index) => {
+      const match = item?._id ? payload.items.find((p) => p?._id === item._id) : payload.items[index];
+      if (item && typeof item === 'object' && match) {
+        normalizeRenames(item, match, renames, `${prefix}items.${item._id ?? index}.`, renamed);
+      }
+    });
+  }
+}
+
+/**
+ * Flatten a value into leaf paths; arrays are keyed by element `_id` where present
+ * Empty objects and arrays count as leaves.
+ * @private
+ */
+function flatten(value, prefix = '', leaves = new Map()) {
+  const isContainer = value && typeof value === 'object';
+  const entries = !isContainer
+    ? []
+    : Array.isArray(value)
+      ? value.map((v, i) => [v?._id ?? String(i), v])
+      : Object.entries(value);
+
+  if (!isContainer || entries.length === 0) {
+    if (prefix) {
+      leaves.set(prefix, value);
+    }
+    return leaves;
+  }
+
+  for (const [key, child] of entries) {
+    flatten(child, prefix ? `${prefix}.${key}` : key, leaves);
+  }
+  return leaves;
+}
+
+/**
+ * Compare two leaf values
+ * @private
+ */
+function same(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview System Reference Rewriting Utilities
+ *
+ * Rewrites text that points at the legacy l5r4 system so it points at l5r4-enhanced:
+ * journal pages, item descriptions, special rules and any other string in the export.
+ *
+ * **Rewritten references:**
+ * - `@UUID[Compendium.l5r4.<pack>.<Type>.<id>]{label}` links and bare `Compendium.l5r4.…`
+ *   UUIDs (including the older form without a document type)
+ * - Legacy `@Compendium[l5r4.<pack>.<id or name>]{label}` links, converted to `@UUID` links
+ * - `systems/l5r4/...` asset paths, e.g. in `<img src="...">`
+ *
+ * Compendium links are resolved by the caller (pack and document lookup) and asset paths
+ * by the icon mapping. References that can't be resolved are left unchanged and reported.
+ * Image and texture fields are skipped; document images are migrated with their type and
+ * scene textures by the scene asset migration.
+ */
+
+/**
+ * System that legacy references are rewritten to
+ */
+export const TARGET_SYSTEM_ID = 'l5r4-enhanced';
+
+/**
+ * Compendium links: `@UUID[Compendium.l5r4.…]{label}`, `@Compendium[l5r4.…]{label}`, or a bare UUID
+ */
+const COMPENDIUM_PATTERN = new RegExp(
+  [
+    /@UUID\[Compendium\.l5r4\.([^\]]+)\](?:\{([^}]*)\})?/.source,
+    /@Compendium\[l5r4\.([^\]]+)\](?:\{([^}]*)\})?/.source,
+    /(?<![\w.])Compendium\.l5r4\.([\w-]+(?:\.[\w-]+)+)/.source
+  ].join('|'),
+  'g'
+);
+
+/**
+ * Asset paths inside the legacy system directory
+ */
+const ASSET_PATTERN = /(?<![\w-])systems\/l5r4\/[^"'\s)<>]+/g;
+
+/**
+ * Fields holding document images and scene textures, migrated separately
+ */
+const SKIPPED_FIELDS = ['img', 'src', 'texture', 'foreground', 'overlay', 'thumb'];
+
+/**
+ * Rewrite legacy compendium links and asset paths in a string
+ *
+ * @param {string} text - Text to rewrite
+ * @param {Object} resolvers - Reference resolvers
+ * @param {Function} resolvers.compendium - Called with ({ pack, type, id, label }); returns
+ *   `{ uuid }` for the target document or `{ reason }` when it can't be found
+ * @param {Function} resolvers.asset - Called with a legacy asset path; returns the new path or null
+ * @returns {{text: string, rewritten: number, unresolved: Array<{reference: string, reason: string}>}}
+ *
+ * @example
+ * rewriteSystemReferences('<img src="systems/l5r4/assets/icons/helm.png">', { asset: () => 'systems/l5r4-enhanced/assets/icons/pc.webp' });
+ * // { text: '<img src="systems/l5r4-enhanced/assets/icons/pc.webp">', rewritten: 1, unresolved: [] }
+ */
+export function rewriteSystemReferences(text, resolvers = {}) {
+  const { compendium = () => ({ reason: 'No compendium resolver' }), asset = () => null } = resolvers;
+  let rewritten = 0;
+  const unresolved = [];
+
+  if (typeof text !== 'string' || !text.includes('l5r4')) {
+    return { text, rewritten, unresolved };
+  }
+
+  const linked = text.replace(COMPENDIUM_PATTERN, (match, uuidPath, uuidLabel, legacyPath, legacyLabel, barePath) => {
+    const path = uuidPath ?? legacyPath ?? barePath;
+    const label = uuidLabel ?? legacyLabel;
+    const parts = path.split('.');
+    const [pack] = parts;
+    // Legacy links and old UUIDs have no document type: pack.id; current UUIDs: pack.Type.id[.Embedded.id]
+    const typed = parts.length >= 3;
+    const type = typed ? parts[1] : null;
+    const id = typed ? parts[2] : parts.slice(1).join('.');
+    const suffix = typed ? parts.slice(3).join('.') : '';
+
+    const resolved = compendium({ pack, type, id, label });
+    if (!resolved?.uuid) {
+      unresolved.push({ reference: match, reason: resolved?.reason ?? 'Unresolved compendium link' });
+      return match;
+    }
+
+    rewritten++;
+    const uuid = suffix ? `${resolved.uuid}.${suffix}` : resolved.uuid;
+    if (barePath) {
+      return uuid;
+    }
+    return label === undefined ? `@UUID[${uuid}]` : `@UUID[${uuid}]{${label}}`;
+  });
+
+  const result = linked.replace(ASSET_PATTERN, (path) => {
+    const replacement = asset(path);
+    if (!replacement || replacement === path) {
+      unresolved.push({ reference: path, reason: `No ${TARGET_SYSTEM_ID} equivalent for this asset` });
+      return path;
+    }
+    rewritten++;
+    return replacement;
+  });
+
+  return { text: result, rewritten, unresolved };
+}
+
+/**
+ * Rewrite legacy references in every string of the export's documents
+ * Returns a copy when anything changed; the input is not modified.
+ *
+ * @param {Object} data - Export data
+ * @param {Object} resolvers - Reference resolvers (see rewriteSystemReferences)
+ * @param {string[]} collections - Export collection keys to rewrite; compendium pack
+ *   documents (`packs[].documents`) are always included
+ * @returns {{data: Object, stats: {rewritten: number, unresolved: Array<Object>}}} Updated data,
+ *   the number of references rewritten, and the unresolved ones
+ *   ({ collection, id, name, reference, reason })
+ */
+export function rewriteDocumentReferences(data, resolvers, collections) {
+  const stats = { rewritten: 0, unresolved: [] };
+  const updated = { ...data };
+  let changed = false;
+
+  const rewriteDocument = (collection, doc) => {
+    const context = { count: 0, unresolved: [] };
+    const copy = rewriteStrings(doc, resolvers, context);
+    stats.rewritten += context.count;
+    for (const entry of context.unresolved) {
+      stats.unresolved.push({ collection, id: doc?._id, name: doc?.name, ...entry });
+    }
+    if (context.count === 0) {
+      return doc;
+    }
+    changed = true;
+    return copy;
+  };
+
+  for (const key of collections) {
+    if (Array.isArray(data?.[key])) {
+      updated[key] = data[key].map((doc) => rewriteDocument(key, doc));
+    }
+  }
+
+  if (Array.isArray(data?.packs)) {
+    updated.packs = data.packs.map((pack) => {
+      if (!Array.isArray(pack?.documents)) {
+        return pack;
+      }
+      const collection = `packs.${pack.metadata?.name}`;
+      return { ...pack, documents: pack.documents.map((doc) => rewriteDocument(collection, doc)) };
+    });
+  }
+
+  return { data: changed ? updated : data, stats };
+}
+
+/**
+ * Deep-copy a value, rewriting legacy references in every string
+ * @private
+ */
+function rewriteStrings(value, resolvers, context) {
+  if (typeof value === 'string') {
+    const { text, rewritten, unresolved } = rewriteSystemReferences(value, resolvers);
+    context.count += rewritten;
+    context.unresolved.push(...unresolved);
+    return text;
+  }
+  if (Array.isArray(value)) {
+    return value.map((v) => rewriteStrings(v, resolvers, context));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, SKIPPED_FIELDS.includes(k) ? v : rewriteStrings(v, resolvers, context)])
+    );
+  }
+  return value;
+}
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Target Schema Utilities
+ *
+ * Reads the declared data shape of the active (target) system so import steps
+ * can check field paths and defaults without hard-coding the l5r4-enhanced schema.
+ *
+ * Sources are tried in order:
+ * 1. Registered DataModels (`CONFIG[docType].dataModels[type]`)
+ * 2. Foundry's resolved template data (`game.model[docType][type]`)
+ * 3. The raw template (`game.system.template`), resolved with {@link resolveTemplateType}
+ *
+ * All functions return plain copies, so callers may mutate the results freely.
+ * {@link fillMissingDefaults} is the exception: it fills the given data in place.
+ */
+
+import { hasPath } from './path-utils.js';
+
+/**
+ * Resolve one type's default system data from a raw template.json object.
+ * Merges the shared `templates` blocks listed by the type, then the type's own fields.
+ *
+ * @param {Object} template - Raw template.json contents ({ Actor: {...}, Item: {...} })
+ * @param {string} docType - Document type ("Actor" or "Item")
+ * @param {string} type - Document subtype ("pc", "weapon", ...)
+ * @returns {Object|null} Resolved default system data, or null if the type isn't declared
+ *
+ * @example
+ * resolveTemplateType(template, 'Item', 'weapon');
+ * // { description: '', specialRules: '', damageRoll: 0, ..., fallbackTrait: 'agi' }
+ */
+export function resolveTemplateType(template, docType, type) {
+  const section = template?.[docType];
+  const entry = section?.[type];
+  if (!entry || typeof entry !== 'object' || !section.types?.includes(type)) {
+    return null;
+  }
+
+  const resolved = {};
+  for (const name of entry.templates ?? []) {
+    deepMerge(resolved, section.templates?.[name] ?? {});
+  }
+
+  const { templates: _templates, ...own } = entry;
+  deepMerge(resolved, own);
+
+  return JSON.parse(JSON.stringify(resolved));
+}
+
+/**
+ * Get the target system's default system data for a document type.
+ *
+ * @param {string} docType - Document type ("Actor" or "Item")
+ * @param {string} type - Document subtype
+ * @returns {Object|null} Default system data, or null if no schema source is available
+ */
+export function getTargetSystemModel(docType, type) {
+  if (!type) {
+    return null;
+  }
+
+  // Registered DataModel
+  const dataModel = globalThis.CONFIG?.[docType]?.dataModels?.[type];
+  if (dataModel?.schema?.getInitialValue) {
+    try {
+      return JSON.parse(JSON.stringify(dataModel.schema.getInitialValue({})));
+    } catch (_e) {
+      // Fall through to template-based sources
+    }
+  }
+
+  // Foundry's resolved template data
+  const model = globalThis.game?.model?.[docType]?.[type];
+  if (model && typeof model === 'object') {
+    return JSON.parse(JSON.stringify(model));
+  }
+
+  // Raw template.json
+  return resolveTemplateType(globalThis.game?.system?.template, docType, type);
+}
+
+/**
+ * List the subtypes the target system declares for a document type.
+ *
+ * @param {string} docType - Document type ("Actor" or "Item")
+ * @returns {string[]} Declared subtypes (empty if no schema source is available)
+ */
+export function getTargetTypes(docType) {
+  const types = new Set();
+
+  for (const type of Object.keys(globalThis.CONFIG?.[docType]?.dataModels ?? {})) {
+    types.add(type);
+  }
+  for (const type of Object.keys(globalThis.game?.model?.[docType] ?? {})) {
+    types.add(type);
+  }
+  for (const type of globalThis.game?.system?.template?.[docType]?.types ?? []) {
+    types.add(type);
+  }
+
+  return [...types];
+}
+
+/**
+ * Check whether a system-relative path is declared by the target schema.
+ *
+ * @param {string} docType - Document type ("Actor" or "Item")
+ * @param {string|null} type - Document subtype, or null to accept a match in any subtype
+ * @param {string} path - Path relative to `system` (e.g., "armor.armorTn")
+ * @returns {boolean|null} True/false, or null if the target schema is unavailable
+ *
+ * @example
+ * targetPathExists('Actor', 'pc', 'armor.armorTn'); // true
+ * targetPathExists('Actor', 'pc', 'armor.armor_tn'); // false
+ */
+export function targetPathExists(docType, type, path) {
+  const types = type ? [type] : getTargetTypes(docType);
+  let checked = false;
+
+  for (const t of types) {
+    const model = getTargetSystemModel(docType, t);
+    if (!model) {
+      continue;
+    }
+    checked = true;
+    if (hasPath(model, path)) {
+      return true;
+    }
+  }
+
+  return checked ? false : null;
+}
+
+/**
+ * Deep-fill fields missing from system data with the target schema's defaults.
+ * Existing values are never replaced, including nulls and values of a different shape.
+ * Arrays are treated as single values.
+ *
+ * @param {Object} system - System data to fill (mutated in place)
+ * @param {Object} defaults - Default system data (e.g., from {@link getTargetSystemModel})
+ * @param {string} [prefix='system'] - Prefix for the returned paths
+ * @returns {string[]} Paths that were filled
+ *
+ * @example
+ * const system = { cost: undefined, ring: 'fire' };
+ * fillMissingDefaults(system, { cost: 0, ring: 'void', element: '' });
+ * // ['system.cost', 'system.element'] - system.ring stays 'fire'
+ */
+export function fillMissingDefaults(system, defaults, prefix = 'system') {
+  const filled = [];
+  if (!system || typeof system !== 'object' || !defaults || typeof defaults !== 'object') {
+    return filled;
+  }
+
+  for (const [key, value] of Object.entries(defaults)) {
+    const path = `${prefix}.${key}`;
+    if (value === undefined) {
+      continue;
+    }
+    if (system[key] === undefined) {
+      system[key] = JSON.parse(JSON.stringify(value));
+      filled.push(path);
+    } else if (isPlainObject(value) && isPlainObject(system[key])) {
+      filled.push(...fillMissingDefaults(system[key], value, path));
+    }
+  }
+
+  return filled;
+}
+
+/**
+ * Check for a non-array object
+ * @private
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Recursively merge plain objects from source into target
+ * @private
+ */
+function deepMerge(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      if (!target[key] || typeof target[key] !== 'object' || Array.isArray(target[key])) {
+        target[key] = {};
+      }
+      deepMerge(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Document Class Mocks
+ *
+ * Minimal stand-ins for Foundry document classes in import tests.
+ * `createDocuments` creates each document through `create`, so tests can
+ * inspect or fail individual documents via the `create` mock.
+ */
+
+import { vi } from 'vitest';
+
+/**
+ * Create a mock document class with `create`, `createDocuments`, `updateDocuments` and `deleteDocuments`
+ * @returns {{create: Function, createDocuments: Function, updateDocuments: Function, deleteDocuments: Function}}
+ *   Mock class
+ */
+export function mockDocumentClass() {
+  const DocumentClass = { create: vi.fn().mockResolvedValue({}) };
+  DocumentClass.createDocuments = vi.fn(async (data, options) => {
+    const created = [];
+    for (const docData of data) {
+      created.push(await DocumentClass.create(docData, options));
+    }
+    return created;
+  });
+  DocumentClass.updateDocuments = vi.fn(async (updates) => updates);
+  DocumentClass.deleteDocuments = vi.fn(async (ids) => ids);
+  return DocumentClass;
+}
@@ -79,6 +79,18 @@ export function setup() {
     playlists: {
       contents: [],
       get: vi.fn()
+    },
+    macros: {
+      contents: [],
+      get: vi.fn()
+    },
+    cards: {
+      contents: [],
+      get: vi.fn()
+    },
+    combats: {
+      contents: [],
+      get: vi.fn()
     }
   };
 
@@ -106,6 +118,7 @@ export function setup() {
     utils: {
       mergeObject: vi.fn((original, other = {}) => Object.assign({}, original, other)),
       duplicate: vi.fn((original) => JSON.parse(JSON.stringify(original))),
+      randomID: vi.fn(() => Math.random().toString(36).substring(2, 18)),
       getProperty: vi.fn((object, path) => {
         return path.split('.').reduce((obj, key) => obj?.[key], object);
       }),
@@ -176,9 +189,19 @@ export function setup() {
     static create(data) {
       return new this(data);
     }
+    static async createDocuments(data, options) {
+      const created = [];
+      for (const docData of data) {
+        created.push(await this.create(docData, options));
+      }
+      return created;
+    }
     static deleteDocuments(ids) {
       return Promise.resolve([]);
     }
+    static updateDocuments(updates) {
+      return Promise.resolve(updates);
+    }
     toObject() {
       return { ...this };
     }
@@ -191,9 +214,19 @@ export function setup() {
     static create(data) {
       return new this(data);
     }
+    static async createDocuments(data, options) {
+      const created = [];
+      for (const docData of data) {
+        created.push(await this.create(docData, options));
+      }
+      return created;
+    }
     static deleteDocuments(ids) {
       return Promise.resolve([]);
     }
+    static updateDocuments(updates) {
+      return Promise.resolve(updates);
+    }
     toObject() {
       return { ...this };
     }
@@ -206,9 +239,19 @@ export function setup() {
     static create(data) {
       return new this(data);
     }
+    static async createDocuments(data, options) {
+      const created = [];
+      for (const docData of data) {
+        created.push(await this.create(docData, options));
+      }
+      return created;
+    }
     static deleteDocuments(ids) {
       return Promise.resolve([]);
     }
+    static updateDocuments(updates) {
+      return Promise.resolve(updates);
+    }
     toObject() {
       return { ...this };
     }
@@ -221,9 +264,19 @@ export function setup() {
     static create(data) {
       return new this(data);
     }
+    static async createDocuments(data, options) {
+      const created = [];
+      for (const docData of data) {
+        created.push(await this.create(docData, options));
+      }
+      return created;
+    }
     static deleteDocuments(ids) {
       return Promise.resolve([]);
     }
+    static updateDocuments(updates) {
+      return Promise.resolve(updates);
+    }
     toObject() {
       return { ...this };
     }
@@ -236,9 +289,19 @@ export function setup() {
     static create(data) {
       return new this(data);
     }
+    static async createDocuments(data, options) {
+      const created = [];
+      for (const docData of data) {
+        created.push(await this.create(docData, options));
+      }
+      return created;
+    }
     static deleteDocuments(ids) {
       return Promise.resolve([]);
     }
+    static updateDocuments(updates) {
+      return Promise.resolve(updates);
+    }
     toObject() {
       return { ...this };
     }
@@ -251,14 +314,66 @@ export function setup() {
     static create(data) {
       return new this(data);
     }
+    static async createDocuments(data, options) {
+      const created = [];
+      for (const docData of data) {
+        created.push(await this.create(docData, options));
+      }
+      return created;
+    }
     static deleteDocuments(ids) {
       return Promise.resolve([]);
     }
+    static updateDocuments(updates) {
+      return Promise.resolve(updates);
+    }
+    toObject() {
+      return { ...this };
+    }
+  };
+
+  globalThis.Macro = class MockMacro {
+    constructor(data) {
+      Object.assign(this, data);
+    }
+    static create(data) {
+      return new this(data);
+    }
+    static async createDocuments(data, options) {
+      const created = [];
+      for (const docData of data) {
+        created.push(await this.create(docData, options));
+      }
+      return created;
+    }
+    static deleteDocuments(_ids) {
+      return Promise.resolve([]);
+    }
+    static updateDocuments(updates) {
+      return Promise.resolve(updates);
+    }
     toObject() {
       return { ...this };
     }
   };
 
+  // Playlists, card stacks and combats behave like macros in tests
+  globalThis.Playlist = class MockPlaylist extends globalThis.Macro {};
+  globalThis.Cards = class MockCards extends globalThis.Macro {};
+  globalThis.Combat = class MockCombat extends globalThis.Macro {};
+
+  // World collections know their document class
+  mockGame.folders.documentClass = globalThis.Folder;
+  mockGame.actors.documentClass = globalThis.Actor;
+  mockGame.items.documentClass = globalThis.Item;
+  mockGame.scenes.documentClass = globalThis.Scene;
+  mockGame.journal.documentClass = globalThis.JournalEntry;
+  mockGame.tables.documentClass = globalThis.RollTable;
+  mockGame.macros.documentClass = globalThis.Macro;
+  mockGame.playlists.documentClass = globalThis.Playlist;
+  mockGame.cards.documentClass = globalThis.Cards;
+  mockGame.combats.documentClass = globalThis.Combat;
+
   // Mock utility functions
   globalThis.fromUuid = vi.fn((uuid) => Promise.resolve(null));
   globalThis.fromUuidSync = vi.fn((uuid) => null);
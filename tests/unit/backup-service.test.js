@@ -53,6 +53,11 @@ describe('Backup Service', () => {
       game.playlists = {
         contents: [{ toObject: () => ({ _id: 'playlist1', name: 'Test Playlist' }) }]
       };
+
+      // Mock macros
+      game.macros = {
+        contents: [{ toObject: () => ({ _id: 'macro1', name: 'Roll Stance', type: 'script' }) }]
+      };
     });
 
     it('should collect basic world data', async () => {
@@ -116,6 +121,13 @@ describe('Backup Service', () => {
       expect(data.playlists[0].name).toBe('Test Playlist');
     });
 
+    it('should include macros when requested', async () => {
+      const data = await BackupService._collectWorldData({ includeMacros: true, includeSettings: false });
+
+      expect(data.macros).toEqual([{ _id: 'macro1', name: 'Roll Stance', type: 'script' }]);
+      expect(data.metadata.stats.macros).toBe(1);
+    });
+
     it('should generate statistics', async () => {
       const data = await BackupService._collectWorldData({
         includeScenes: true,
@@ -251,6 +263,9 @@ describe('Backup Service', () => {
       game.folders = {
         contents: [{ id: 'folder1' }]
       };
+      game.macros = {
+        contents: [{ id: 'macro1' }]
+      };
 
       // Mock delete methods
       globalThis.Actor.deleteDocuments = vi.fn().mockResolvedValue([]);
@@ -258,6 +273,7 @@ describe('Backup Service', () => {
       globalThis.Scene.deleteDocuments = vi.fn().mockResolvedValue([]);
       globalThis.JournalEntry.deleteDocuments = vi.fn().mockResolvedValue([]);
       globalThis.Folder.deleteDocuments = vi.fn().mockResolvedValue([]);
+      globalThis.Macro.deleteDocuments = vi.fn().mockResolvedValue([]);
     });
 
     it('should delete all world data', async () => {
@@ -268,12 +284,14 @@ describe('Backup Service', () => {
       expect(Scene.deleteDocuments).toHaveBeenCalledWith(['scene1']);
       expect(JournalEntry.deleteDocuments).toHaveBeenCalledWith(['journal1']);
       expect(Folder.deleteDocuments).toHaveBeenCalledWith(['folder1']);
+      expect(globalThis.Macro.deleteDocuments).toHaveBeenCalledWith(['macro1']);
 
       expect(stats.actors).toBe(2);
       expect(stats.items).toBe(1);
       expect(stats.scenes).toBe(1);
       expect(stats.journals).toBe(1);
       expect(stats.folders).toBe(1);
+      expect(stats.macros).toBe(1);
     });
 
     it('should handle empty collections', async () => {
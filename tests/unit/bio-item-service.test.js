@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Unit Tests for Bio Item Service
+ *
+ * Tests building clan/family/school items from legacy actor strings.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { BioItemService } from '@module/services/bio-item-service.js';
+import { ImportService } from '@module/services/import-service.js';
+
+describe('Bio Item Service', () => {
+  const legacyPC = (overrides = {}) => ({
+    _id: 'actor1',
+    type: 'pc',
+    name: 'Hida Kisada',
+    system: { clan: 'Crab', school: 'Hida Bushi' },
+    items: [],
+    ...overrides
+  });
+
+  describe('buildBioItems', () => {
+    it('should match existing world items by name (case-insensitive)', () => {
+      const items = [
+        { _id: 'clan1', type: 'clan', name: 'crab', system: {} },
+        { _id: 'school1', type: 'school', name: 'Hida Bushi', system: {} }
+      ];
+
+      const {
+        actors,
+        items: created,
+        stats
+      } = BioItemService.buildBioItems([legacyPC()], items, {
+        existingItems: []
+      });
+
+      expect(created).toHaveLength(0);
+      expect(stats.matched).toBe(2);
+      expect(stats.actorsLinked).toBe(1);
+
+      const actor = actors[0];
+      const clan = actor.items.find((i) => i.type === 'clan');
+      const school = actor.items.find((i) => i.type === 'school');
+      expect(clan.name).toBe('crab');
+      expect(clan._id).not.toBe('clan1');
+      expect(actor.flags['l5r4-enhanced'].clanItemUuid).toBe(`Actor.actor1.Item.${clan._id}`);
+      expect(actor.flags['l5r4-enhanced'].schoolItemUuid).toBe(`Actor.actor1.Item.${school._id}`);
+    });
+
+    it('should create world items when no match exists and reuse them', () => {
+      const actors = [legacyPC(), legacyPC({ _id: 'actor2', name: 'Hida Yakamo' })];
+
+      const { items: created, stats } = BioItemService.buildBioItems(actors, [], { existingItems: [] });
+
+      expect(created.map((i) => `${i.type}:${i.name}`)).toEqual(['clan:Crab', 'school:Hida Bushi']);
+      expect(stats.created).toBe(2);
+      expect(stats.matched).toBe(2);
+    });
+
+    it('should link families by actor name prefix and keep their effects', () => {
+      const family = {
+        _id: 'fam1',
+        type: 'family',
+        name: 'Hida',
+        system: {},
+        effects: [{ name: 'Hida Stamina', transfer: true, changes: [{ key: 'system.traits.sta', value: '1' }] }]
+      };
+
+      const { actors } = BioItemService.buildBioItems([legacyPC()], [family], { existingItems: [] });
+
+      const flags = actors[0].flags['l5r4-enhanced'];
+      const embedded = actors[0].items.find((i) => i.type === 'family');
+      expect(flags.familyItemUuid).toBe(`Actor.actor1.Item.${embedded._id}`);
+      expect(flags.familyName).toBe('Hida');
+      expect(flags.familyBaseName).toBe('Kisada');
+      expect(embedded.effects[0].changes[0].key).toBe('system.traits.sta');
+    });
+
+    it('should not invent families without a matching item', () => {
+      const { actors, items } = BioItemService.buildBioItems([legacyPC()], [], { existingItems: [] });
+
+      expect(actors[0].items.some((i) => i.type === 'family')).toBe(false);
+      expect(items.some((i) => i.type === 'family')).toBe(false);
+    });
+
+    it('should match items already in the target world', () => {
+      game.items.contents = [{ toObject: () => ({ _id: 'w1', type: 'clan', name: 'Crab', system: {} }) }];
+
+      const { items, stats } = BioItemService.buildBioItems([legacyPC({ system: { clan: 'Crab' } })], []);
+
+      expect(items).toHaveLength(0);
+      expect(stats.matched).toBe(1);
+      game.items.contents = [];
+    });
+
+    it('should leave actors with existing bio items, NPCs and empty strings alone', () => {
+      const actors = [
+        legacyPC({ items: [{ _id: 'c1', type: 'clan', name: 'Lion' }], system: { clan: 'Crab', school: '' } }),
+        { _id: 'npc1', type: 'npc', name: 'Bandit', system: { clan: 'Crab' } }
+      ];
+
+      const result = BioItemService.buildBioItems(actors, [], { existingItems: [] });
+
+      expect(result.stats.actorsLinked).toBe(0);
+      expect(result.items).toHaveLength(0);
+      expect(result.actors[0].items).toHaveLength(1);
+      expect(result.actors[1]).toBe(actors[1]);
+    });
+
+    it('should derive the same embedded IDs for the same actor on every run', () => {
+      const first = BioItemService.buildBioItems([legacyPC()], [], { existingItems: [] }).actors[0];
+      const second = BioItemService.buildBioItems([legacyPC()], [], { existingItems: [] }).actors[0];
+      const other = BioItemService.buildBioItems([legacyPC({ _id: 'actor2' })], [], { existingItems: [] }).actors[0];
+
+      const ids = (actor) => actor.items.map((i) => i._id);
+      expect(ids(second)).toEqual(ids(first));
+      expect(ids(first)[0]).toMatch(/^[a-zA-Z0-9]{16}$/);
+      expect(ids(first)[0]).not.toBe(ids(first)[1]);
+      expect(ids(other)).not.toEqual(ids(first));
+      expect(second.flags).toEqual(first.flags);
+    });
+
+    it('should not modify the input data', () => {
+      const actor = legacyPC();
+
+      BioItemService.buildBioItems([actor], [], { existingItems: [] });
+
+      expect(actor.items).toHaveLength(0);
+      expect(actor.flags).toBeUndefined();
+    });
+  });
+
+  describe('ImportService integration', () => {
+    beforeEach(() => {
+      Actor.create = vi.fn().mockResolvedValue({});
+      Item.create = vi.fn().mockResolvedValue({});
+    });
+
+    it('should import created bio items and linked actors when enabled', async () => {
+      const data = { actors: [legacyPC()], items: [] };
+
+      const result = await ImportService.importWorld(data, { skipDetection: true, createBioItems: true });
+
+      expect(result.bioItems.actorsLinked).toBe(1);
+      expect(result.stats.items.created).toBe(2);
+      const actorData = Actor.create.mock.calls[0][0];
+      expect(actorData.items.map((i) => i.type)).toEqual(['clan', 'school']);
+      expect(actorData.flags['l5r4-enhanced'].clanItemUuid).toMatch(/^Actor\.actor1\.Item\./);
+    });
+
+    it('should not build bio items by default', async () => {
+      const data = { actors: [legacyPC()], items: [] };
+
+      const result = await ImportService.importWorld(data, { skipDetection: true });
+
+      expect(result.bioItems).toBeUndefined();
+      expect(Actor.create.mock.calls[0][0].items).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Unit Tests for Import Checkpoint Service
+ *
+ * Tests persisting import progress and skipping documents when resuming.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { CheckpointService } from '@module/services/checkpoint-service.js';
+
+describe('Checkpoint Service', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = new Map();
+    vi.spyOn(game.settings, 'get').mockImplementation((ns, key) => stored.get(`${ns}.${key}`));
+    vi.spyOn(game.settings, 'set').mockImplementation(async (ns, key, value) => {
+      stored.set(`${ns}.${key}`, value === null ? null : JSON.parse(JSON.stringify(value)));
+    });
+  });
+
+  const docs = (...ids) => ids.map((id) => ({ _id: id, name: id }));
+
+  describe('hashExport', () => {
+    it('should hash equal data to the same value and different data to different values', () => {
+      const a = CheckpointService.hashExport({ actors: [{ _id: 'a1' }] });
+      const b = CheckpointService.hashExport({ actors: [{ _id: 'a1' }] });
+      const c = CheckpointService.hashExport({ actors: [{ _id: 'a2' }] });
+
+      expect(a).toMatch(/^[0-9a-f]{8}$/);
+      expect(a).toBe(b);
+      expect(a).not.toBe(c);
+    });
+  });
+
+  describe('start / findResumable / clear', () => {
+    it('should persist a checkpoint in the hidden world setting', async () => {
+      const data = { actors: docs('a1') };
+
+      await CheckpointService.start(data, { conflictPolicy: 'skip', onProgress: () => {} });
+
+      const checkpoint = stored.get('l5r4-migrator.importCheckpoint');
+      expect(checkpoint).toMatchObject({ status: 'in-progress', options: { conflictPolicy: 'skip' } });
+      expect(checkpoint.options.onProgress).toBeUndefined();
+    });
+
+    it('should only offer a checkpoint for matching export data', async () => {
+      const data = { actors: docs('a1') };
+      await CheckpointService.start(data);
+
+      expect(CheckpointService.findResumable({ actors: docs('a1') })).not.toBeNull();
+      expect(CheckpointService.findResumable({ actors: docs('a2') })).toBeNull();
+    });
+
+    it('should not offer a cleared checkpoint', async () => {
+      const data = { actors: docs('a1') };
+      await CheckpointService.start(data);
+
+      await CheckpointService.clear();
+
+      expect(CheckpointService.findResumable(data)).toBeNull();
+    });
+  });
+
+  describe('advance / skipCompleted', () => {
+    it('should record the documents handled and the last ID per collection', async () => {
+      const checkpoint = await CheckpointService.start({});
+
+      await CheckpointService.advance(checkpoint, 'actors', docs('a1', 'a2'));
+      await CheckpointService.advance(checkpoint, 'actors', docs('a3'));
+
+      expect(stored.get('l5r4-migrator.importCheckpoint').collections.actors).toEqual({ processed: 3, lastId: 'a3' });
+    });
+
+    it('should skip the documents the interrupted run handled', async () => {
+      const previous = { startedAt: 1, collections: { actors: { processed: 2, lastId: 'a2' } }, idRemap: [] };
+      const checkpoint = await CheckpointService.start({}, {}, previous);
+
+      const { pending, skipped } = CheckpointService.skipCompleted(checkpoint, 'actors', docs('a1', 'a2', 'a3'));
+
+      expect(pending.map((d) => d._id)).toEqual(['a3']);
+      expect(skipped).toBe(2);
+      expect(checkpoint.collections.actors).toEqual({ processed: 2, lastId: 'a2' });
+      expect(checkpoint.phase).toBe('actors');
+    });
+
+    it('should carry skipping across several calls for the same collection', async () => {
+      const previous = { startedAt: 1, collections: { folders: { processed: 3, lastId: 'f3' } }, idRemap: [] };
+      const checkpoint = await CheckpointService.start({}, {}, previous);
+
+      const level0 = CheckpointService.skipCompleted(checkpoint, 'folders', docs('f1', 'f2'));
+      const level1 = CheckpointService.skipCompleted(checkpoint, 'folders', docs('f3', 'f4'));
+
+      expect(level0.pending).toEqual([]);
+      expect(level1.pending.map((d) => d._id)).toEqual(['f4']);
+    });
+
+    it('should only skip existing documents when the boundary ID does not match', async () => {
+      const previous = { startedAt: 1, collections: { items: { processed: 2, lastId: 'i2' } }, idRemap: [] };
+      const checkpoint = await CheckpointService.start({}, {}, previous);
+
+      const { pending, skipped } = CheckpointService.skipCompleted(checkpoint, 'items', docs('i1', 'x', 'i2'), (id) =>
+        ['i1', 'i2'].includes(id)
+      );
+
+      expect(pending.map((d) => d._id)).toEqual(['x']);
+      expect(skipped).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,273 @@
+/**
+ * @fileoverview Unit Tests for Compendium Pack Service
+ *
+ * Tests exporting world-owned packs and recreating them in the target world.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CompendiumService } from '@module/services/compendium-service.js';
+
+describe('Compendium Service', () => {
+  const mockPack = (id, options = {}) => {
+    const { type = 'Item', packageType = 'world', locked = false, documents = [], folders = [] } = options;
+    const [packageName, name] = id.split('.');
+    return {
+      collection: id,
+      locked,
+      metadata: { id, name, label: `Label ${name}`, type, packageType, packageName, ownership: { PLAYER: 'OBSERVER' } },
+      getDocuments: vi.fn(async () => documents.map((d) => ({ toObject: () => d }))),
+      folders: {
+        contents: folders.map((f) => ({ toObject: () => f })),
+        get: vi.fn((folderId) => folders.find((f) => f._id === folderId))
+      },
+      index: new Map(documents.map((d) => [d._id, d])),
+      documentClass: {
+        createDocuments: vi.fn(async (docs) => docs),
+        create: vi.fn(async (doc) => doc)
+      }
+    };
+  };
+
+  const packMap = (...packs) => {
+    const map = new Map(packs.map((p) => [p.collection, p]));
+    return { get: (id) => map.get(id), [Symbol.iterator]: () => map.values() };
+  };
+
+  afterEach(() => {
+    delete game.packs;
+    delete foundry.documents;
+  });
+
+  describe('exportPacks', () => {
+    it('should export world packs with metadata, folders and documents', async () => {
+      game.packs = packMap(
+        mockPack('world.schools', {
+          documents: [{ _id: 'i1', name: 'Hida Bushi', type: 'school' }],
+          folders: [{ _id: 'f1', name: 'Crab', type: 'Item' }]
+        })
+      );
+
+      const { packs, report } = await CompendiumService.exportPacks();
+
+      expect(packs).toEqual([
+        {
+          metadata: {
+            name: 'schools',
+            label: 'Label schools',
+            type: 'Item',
+            ownership: { PLAYER: 'OBSERVER' },
+            flags: undefined
+          },
+          folders: [{ _id: 'f1', name: 'Crab', type: 'Item' }],
+          documents: [{ _id: 'i1', name: 'Hida Bushi', type: 'school' }]
+        }
+      ]);
+      expect(report).toEqual([]);
+    });
+
+    it('should report locked world packs and packs owned by modules', async () => {
+      game.packs = packMap(
+        mockPack('world.bestiary', { type: 'Actor', locked: true }),
+        mockPack('l5r-extras.spells', { packageType: 'module' }),
+        mockPack('world.scenes', { type: 'Scene' })
+      );
+
+      const { packs, report } = await CompendiumService.exportPacks();
+
+      expect(packs.map((p) => p.metadata.name)).toEqual(['bestiary']);
+      expect(report).toEqual([
+        { pack: 'world.bestiary', label: 'Label bestiary', type: 'Actor', status: 'exported', reason: 'Locked' },
+        {
+          pack: 'l5r-extras.spells',
+          label: 'Label spells',
+          type: 'Item',
+          status: 'skipped',
+          reason: 'Owned by module "l5r-extras"'
+        }
+      ]);
+    });
+  });
+
+  describe('importPacks', () => {
+    let created;
+    let createCompendium;
+
+    beforeEach(() => {
+      created = mockPack('world.schools');
+      created.index = new Map();
+      created.folders.get = vi.fn(() => undefined);
+      game.packs = packMap();
+      createCompendium = vi.fn(async () => created);
+      foundry.documents = { collections: { CompendiumCollection: { createCompendium } } };
+      vi.spyOn(Folder, 'createDocuments').mockResolvedValue([]);
+    });
+
+    const exported = (overrides = {}) => ({
+      metadata: { name: 'schools', label: 'Schools', type: 'Item' },
+      folders: [
+        { _id: 'f2', name: 'Bushi', folder: 'f1' },
+        { _id: 'f1', name: 'Crab', folder: null }
+      ],
+      documents: [
+        { _id: 'i1', name: 'Hida Bushi' },
+        { _id: 'i2', name: 'Kuni Shugenja' }
+      ],
+      ...overrides
+    });
+
+    it('should create the pack, its folders and its documents', async () => {
+      const transform = vi.fn((type, doc) => ({ ...doc, transformed: type }));
+
+      const stats = await CompendiumService.importPacks([exported()], { transform });
+
+      expect(createCompendium).toHaveBeenCalledWith({ name: 'schools', label: 'Schools', type: 'Item' });
+      expect(Folder.createDocuments.mock.calls[0][0].map((f) => f._id)).toEqual(['f1', 'f2']);
+      expect(Folder.createDocuments.mock.calls[0][1]).toEqual({ pack: 'world.schools', keepId: true });
+      expect(created.documentClass.createDocuments).toHaveBeenCalledWith(
+        [
+          { _id: 'i1', name: 'Hida Bushi', transformed: 'Item' },
+          { _id: 'i2', name: 'Kuni Shugenja', transformed: 'Item' }
+        ],
+        { pack: 'world.schools', keepId: true }
+      );
+      expect(stats).toMatchObject({ attempted: 2, created: 2, skipped: 0, failed: 0 });
+      expect(stats.packs[0]).toMatchObject({ pack: 'world.schools', status: 'created', created: 2 });
+    });
+
+    it('should add to an existing pack, leaving documents it already has', async () => {
+      const existing = mockPack('world.schools', { documents: [{ _id: 'i1', name: 'Hida Bushi' }] });
+      game.packs = packMap(existing);
+
+      const stats = await CompendiumService.importPacks([exported()]);
+
+      expect(createCompendium).not.toHaveBeenCalled();
+      expect(existing.documentClass.createDocuments.mock.calls[0][0].map((d) => d._id)).toEqual(['i2']);
+      expect(stats.packs[0]).toMatchObject({ status: 'imported', created: 1, skipped: 1 });
+    });
+
+    it('should skip locked target packs and packs of another type', async () => {
+      game.packs = packMap(
+        mockPack('world.schools', { locked: true }),
+        mockPack('world.bestiary', { type: 'JournalEntry' })
+      );
+
+      const stats = await CompendiumService.importPacks([
+        exported(),
+        exported({ metadata: { name: 'bestiary', label: 'Bestiary', type: 'Actor' } })
+      ]);
+
+      expect(stats.packs.map((p) => [p.status, p.reason])).toEqual([
+        ['skipped', 'Target pack is locked'],
+        ['skipped', 'Target pack holds JournalEntry documents']
+      ]);
+      expect(stats.skipped).toBe(4);
+    });
+
+    it('should retry a failed batch one by one', async () => {
+      created.documentClass.createDocuments.mockRejectedValue(new Error('Batch failed'));
+      created.documentClass.create.mockImplementation(async (doc) => {
+        if (doc._id === 'i2') {
+          throw new Error('Invalid');
+        }
+        return doc;
+      });
+
+      const stats = await CompendiumService.importPacks([exported()]);
+
+      expect(stats.packs[0]).toMatchObject({ created: 1, failed: 1 });
+    });
+
+    it('should record a created pack for rollback, but not its contents', async () => {
+      const log = [];
+
+      await CompendiumService.importPacks([exported()], { created: log });
+
+      expect(log).toEqual([{ collection: 'packs', id: 'world.schools', name: 'Schools' }]);
+    });
+
+    it('should record folders and documents added to an existing pack', async () => {
+      const existing = mockPack('world.schools');
+      existing.folders.get = vi.fn(() => undefined);
+      game.packs = packMap(existing);
+      const log = [];
+
+      await CompendiumService.importPacks([exported()], { created: log });
+
+      expect(log.map((e) => [e.collection, e.pack, e.documentName, e.id])).toEqual([
+        ['packContents', 'world.schools', 'Folder', 'f1'],
+        ['packContents', 'world.schools', 'Folder', 'f2'],
+        ['packContents', 'world.schools', 'Item', 'i1'],
+        ['packContents', 'world.schools', 'Item', 'i2']
+      ]);
+    });
+
+    it('should report failed packs and documents in the error report', async () => {
+      const errors = [];
+      created.documentClass.createDocuments.mockRejectedValue(new Error('Batch failed'));
+      created.documentClass.create.mockImplementation(async (doc) => {
+        if (doc._id === 'i2') {
+          throw new Error('Invalid');
+        }
+        return doc;
+      });
+      createCompendium.mockImplementationOnce(async () => created).mockRejectedValueOnce(new Error('No permission'));
+
+      await CompendiumService.importPacks(
+        [exported(), exported({ metadata: { name: 'spells', label: 'Spells', type: 'Item' } })],
+        { errors }
+      );
+
+      expect(errors).toEqual([
+        {
+          collection: 'world.schools',
+          id: 'i2',
+          name: 'Kuni Shugenja',
+          type: null,
+          phase: 'create',
+          message: 'Invalid',
+          validation: null
+        },
+        {
+          collection: 'world.spells',
+          id: null,
+          name: 'Spells',
+          type: 'Item',
+          phase: 'create',
+          message: 'No permission',
+          validation: null
+        }
+      ]);
+    });
+
+    it('should retry folders one by one and move documents out of folders that failed', async () => {
+      Folder.createDocuments.mockRejectedValue(new Error('Batch failed'));
+      vi.spyOn(Folder, 'create').mockImplementation(async (folder) => {
+        if (folder._id === 'f2') {
+          throw new Error('Invalid folder');
+        }
+        return folder;
+      });
+      const errors = [];
+      const source = exported({
+        documents: [
+          { _id: 'i1', name: 'Hida Bushi', folder: 'f2' },
+          { _id: 'i2', name: 'Kuni Shugenja', folder: 'f1' }
+        ]
+      });
+
+      await CompendiumService.importPacks([source], { errors });
+
+      expect(Folder.create).toHaveBeenCalledTimes(2);
+      expect(created.documentClass.createDocuments.mock.calls[0][0].map((d) => d.folder)).toEqual([null, 'f1']);
+      expect(errors).toMatchObject([{ collection: 'world.schools', id: 'f2', message: 'Invalid folder' }]);
+    });
+
+    it('should only count documents on a dry run', async () => {
+      const stats = await CompendiumService.importPacks([exported()], { dryRun: true });
+
+      expect(createCompendium).not.toHaveBeenCalled();
+      expect(Folder.createDocuments).not.toHaveBeenCalled();
+      expect(stats.packs[0]).toMatchObject({ status: 'created', created: 2 });
+    });
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Unit Tests for Document Diff Utilities
+ *
+ * Tests finding the fields of incoming data that differ from an existing document.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { diffDocument } from '@module/utils/diff-utils.js';
+
+describe('Document Diff Utilities', () => {
+  describe('diffDocument', () => {
+    it('should return nested changes and their paths', () => {
+      const existing = { name: 'Kisada', system: { honor: 2, glory: 1 } };
+      const incoming = { name: 'Kisada', system: { honor: 3, glory: 1 } };
+
+      expect(diffDocument(existing, incoming)).toEqual({
+        changes: { system: { honor: 3 } },
+        paths: ['system.honor']
+      });
+    });
+
+    it('should ignore fields only the existing document has', () => {
+      const existing = { name: 'Sword', system: { damage: '2k2', addedByTarget: true } };
+
+      expect(diffDocument(existing, { name: 'Sword', system: { damage: '2k2' } }).paths).toEqual([]);
+    });
+
+    it('should ignore IDs, stats and ownership', () => {
+      const existing = { _id: 'a', _stats: { modifiedTime: 1 }, ownership: { default: 0 } };
+      const incoming = { _id: 'b', _stats: { modifiedTime: 2 }, ownership: { default: 3 } };
+
+      expect(diffDocument(existing, incoming).paths).toEqual([]);
+    });
+
+    it('should write a changed array whole', () => {
+      const existing = { items: [{ _id: 'i1', name: 'Katana', _stats: {} }] };
+      const incoming = {
+        items: [
+          { _id: 'i1', name: 'Katana' },
+          { _id: 'i2', name: 'Wakizashi' }
+        ]
+      };
+
+      expect(diffDocument(existing, incoming)).toEqual({ changes: { items: incoming.items }, paths: ['items'] });
+    });
+
+    it('should treat matching array elements as unchanged', () => {
+      const existing = { items: [{ _id: 'i1', name: 'Katana', sort: 100, _stats: {} }] };
+
+      expect(diffDocument(existing, { items: [{ _id: 'i1', name: 'Katana' }] }).paths).toEqual([]);
+    });
+
+    it('should report fields missing from the existing document', () => {
+      expect(diffDocument({ name: 'Lore' }, { name: 'Lore', img: 'lore.webp' }).changes).toEqual({ img: 'lore.webp' });
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Unit Tests for Import Error Report Utilities
+ *
+ * Tests building error entries, serializing validation failures and CSV output.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createErrorEntry,
+  getValidationTree,
+  flattenValidationTree,
+  toErrorReportCsv
+} from '@module/utils/error-report.js';
+
+describe('Import Error Report Utilities', () => {
+  // Shaped like Foundry's DataModelValidationFailure
+  const failure = {
+    invalidValue: { system: {} },
+    fields: {
+      system: {
+        invalidValue: {},
+        fields: { rank: { message: 'must be a number', invalidValue: 'x' } }
+      },
+      items: {
+        elements: [{ id: 'e1', name: 'Katana', failure: { fields: { type: { message: 'is not a valid type' } } } }]
+      }
+    }
+  };
+  const validationError = () => Object.assign(new Error('validation errors'), { getFailure: () => failure });
+
+  describe('getValidationTree', () => {
+    it('should serialize the failure tree, keeping invalid values on leaves only', () => {
+      expect(getValidationTree(validationError())).toEqual({
+        fields: {
+          system: { fields: { rank: { message: 'must be a number', invalidValue: 'x' } } },
+          items: {
+            elements: [{ id: 'e1', name: 'Katana', failure: { fields: { type: { message: 'is not a valid type' } } } }]
+          }
+        }
+      });
+    });
+
+    it('should return null for errors without a validation failure', () => {
+      expect(getValidationTree(new Error('Network error'))).toBeNull();
+      expect(getValidationTree(undefined)).toBeNull();
+    });
+  });
+
+  describe('createErrorEntry', () => {
+    it('should describe the document and where it failed', () => {
+      const entry = createErrorEntry({ _id: 'a1', name: 'Hida Kisada', type: 'pc' }, new Error('Invalid'), {
+        collection: 'actors',
+        phase: 'create'
+      });
+
+      expect(entry).toEqual({
+        collection: 'actors',
+        id: 'a1',
+        name: 'Hida Kisada',
+        type: 'pc',
+        phase: 'create',
+        message: 'Invalid',
+        validation: null
+      });
+    });
+  });
+
+  describe('flattenValidationTree', () => {
+    it('should list leaf failures with their paths', () => {
+      expect(flattenValidationTree(getValidationTree(validationError()))).toEqual([
+        { path: 'system.rank', message: 'must be a number' },
+        { path: 'items.e1.type', message: 'is not a valid type' }
+      ]);
+    });
+
+    it('should return nothing for a missing tree', () => {
+      expect(flattenValidationTree(null)).toEqual([]);
+    });
+  });
+
+  describe('toErrorReportCsv', () => {
+    it('should write a header and quote cells that need it', () => {
+      const csv = toErrorReportCsv([
+        {
+          collection: 'actors',
+          id: 'a1',
+          name: 'Kisada, the "Great Bear"',
+          type: 'pc',
+          phase: 'create',
+          message: 'validation errors',
+          validation: getValidationTree(validationError())
+        }
+      ]);
+
+      expect(csv.split('\n')).toEqual([
+        'collection,id,name,type,phase,message,validation',
+        'actors,a1,"Kisada, the ""Great Bear""",pc,create,validation errors,system.rank: must be a number; items.e1.type: is not a valid type'
+      ]);
+    });
+  });
+});
@@ -6,6 +6,7 @@
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { ExportService } from '@module/services/export-service.js';
+import { CompendiumService } from '@module/services/compendium-service.js';
 
 describe('Export Service', () => {
   beforeEach(() => {
@@ -266,6 +267,22 @@ describe('Export Service', () => {
       game.folders = {
         contents: [{ toObject: () => ({ _id: 'folder1', name: 'Actors Folder' }) }]
       };
+
+      // Mock macros
+      game.macros = {
+        contents: [
+          {
+            toObject: () => ({
+              _id: 'macro1',
+              name: 'Roll Stance',
+              type: 'script',
+              command: 'actor.system.armor_tn',
+              folder: 'folder1',
+              ownership: { default: 0, user1: 3 }
+            })
+          }
+        ]
+      };
     });
 
     it('should export all world data', async () => {
@@ -299,6 +316,63 @@ describe('Export Service', () => {
       expect(result.data.actors).toHaveLength(2);
     });
 
+    it('should export macros with their folder and ownership', async () => {
+      const result = await ExportService.exportWorld({ validate: false });
+
+      expect(result.data.macros).toEqual([
+        expect.objectContaining({ _id: 'macro1', folder: 'folder1', ownership: { default: 0, user1: 3 } })
+      ]);
+      expect(result.stats.macros).toBe(1);
+    });
+
+    it('should export playlists, card stacks and combat encounters', async () => {
+      game.playlists = { contents: [{ toObject: () => ({ _id: 'p1', name: 'Battle Drums', folder: 'folder1' }) }] };
+      game.cards = { contents: [{ toObject: () => ({ _id: 'c1', name: 'Fortune Deck', cards: [] }) }] };
+      game.combats = { contents: [{ toObject: () => ({ _id: 'cb1', scene: 'scene1', combatants: [] }) }] };
+
+      const result = await ExportService.exportWorld({ validate: false });
+
+      expect(result.data.playlists).toEqual([{ _id: 'p1', name: 'Battle Drums', folder: 'folder1' }]);
+      expect(result.data.cards).toHaveLength(1);
+      expect(result.data.combats).toHaveLength(1);
+      expect(result.stats).toMatchObject({ playlists: 1, cards: 1, combats: 1 });
+
+      const excluded = await ExportService.exportWorld({
+        includePlaylists: false,
+        includeCards: false,
+        includeCombats: false,
+        validate: false
+      });
+
+      expect(excluded.data.playlists).toEqual([]);
+      expect(excluded.data.cards).toEqual([]);
+      expect(excluded.data.combats).toEqual([]);
+    });
+
+    it('should export world compendium packs and report the others', async () => {
+      const report = [
+        { pack: 'mod.spells', label: 'Spells', type: 'Item', status: 'skipped', reason: 'Owned by module' }
+      ];
+      const exportPacks = vi
+        .spyOn(CompendiumService, 'exportPacks')
+        .mockResolvedValue({ packs: [{ metadata: { name: 'schools' }, folders: [], documents: [] }], report });
+
+      const result = await ExportService.exportWorld({ validate: false });
+      const excluded = await ExportService.exportWorld({ includePacks: false, validate: false });
+
+      expect(result.data.packs).toHaveLength(1);
+      expect(result.stats.packs).toBe(1);
+      expect(result.packReport).toEqual(report);
+      expect(exportPacks).toHaveBeenCalledTimes(1);
+      expect(excluded.data.packs).toEqual([]);
+    });
+
+    it('should exclude macros when requested', async () => {
+      const result = await ExportService.exportWorld({ includeMacros: false, validate: false });
+
+      expect(result.data.macros).toHaveLength(0);
+    });
+
     it('should export specific actors only', async () => {
       const result = await ExportService.exportWorld({
         actorIds: ['actor1'],
@@ -319,6 +393,33 @@ describe('Export Service', () => {
       expect(result.data.items[0].name).toBe('World Item');
     });
 
+    it('should export user flags only', async () => {
+      game.users = {
+        contents: [
+          {
+            toObject: () => ({
+              _id: 'user1',
+              name: 'GM',
+              role: 4,
+              password: 'secret',
+              flags: { l5r4: { sortByActor: { actor1: {} } } }
+            })
+          }
+        ]
+      };
+
+      const result = await ExportService.exportWorld({ validate: false });
+
+      expect(result.data.users).toEqual([
+        { _id: 'user1', name: 'GM', flags: { l5r4: { sortByActor: { actor1: {} } } } }
+      ]);
+      expect(result.data.metadata.stats.users).toBe(1);
+
+      const withoutUsers = await ExportService.exportWorld({ validate: false, includeUsers: false });
+      expect(withoutUsers.data.users).toEqual([]);
+      game.users = [];
+    });
+
     it('should include metadata', async () => {
       const result = await ExportService.exportWorld({ validate: false });
 
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Unit Tests for Flag Namespace Utilities
+ *
+ * Tests moving flags from the l5r4 namespace to l5r4-enhanced.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_FLAG_KEY_MAP, remapFlagNamespace } from '@module/utils/flag-utils.js';
+
+describe('Flag Namespace Utilities', () => {
+  describe('remapFlagNamespace', () => {
+    it('should move mapped keys to the target namespace', () => {
+      const flags = { l5r4: { xpManual: [{ delta: 5 }], xpRetroactiveVersion: 3 } };
+
+      const { flags: result, remapped } = remapFlagNamespace(flags);
+
+      expect(result['l5r4-enhanced']).toEqual({ xpManual: [{ delta: 5 }], xpRetroactiveVersion: 3 });
+      expect(result.l5r4).toBeUndefined();
+      expect(remapped).toEqual(['xpManual', 'xpRetroactiveVersion']);
+    });
+
+    it('should leave unmapped keys and other modules untouched', () => {
+      const flags = { l5r4: { xpSpent: [], legacy: true }, 'dice-so-nice': { colorset: 'red' } };
+
+      const { flags: result } = remapFlagNamespace(flags);
+
+      expect(result.l5r4).toEqual({ legacy: true });
+      expect(result['dice-so-nice']).toEqual({ colorset: 'red' });
+      expect(result['l5r4-enhanced']).toEqual({ xpSpent: [] });
+    });
+
+    it('should keep existing target values', () => {
+      const flags = { l5r4: { fullDefenseRoll: { total: 10 } }, 'l5r4-enhanced': { fullDefenseRoll: { total: 25 } } };
+
+      const { flags: result, remapped } = remapFlagNamespace(flags);
+
+      expect(result).toBe(flags);
+      expect(remapped).toEqual([]);
+    });
+
+    it('should rename keys using a custom key map', () => {
+      const keyMap = { source: 'l5r4', target: 'l5r4-enhanced', keys: { sortPrefs: 'sortByActor' } };
+
+      const { flags: result } = remapFlagNamespace({ l5r4: { sortPrefs: { a1: {} } } }, keyMap);
+
+      expect(result['l5r4-enhanced'].sortByActor).toEqual({ a1: {} });
+    });
+
+    it('should not modify the input flags', () => {
+      const flags = { l5r4: { xpManual: [] } };
+
+      remapFlagNamespace(flags);
+
+      expect(flags).toEqual({ l5r4: { xpManual: [] } });
+    });
+
+    it('should handle missing flags', () => {
+      expect(remapFlagNamespace(undefined).remapped).toEqual([]);
+      expect(remapFlagNamespace({}).flags).toEqual({});
+    });
+
+    it('should map the user sort preferences', () => {
+      expect(DEFAULT_FLAG_KEY_MAP.keys.sortByActor).toBe('sortByActor');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Unit Tests for Folder Depth Utilities
+ *
+ * Tests fitting over-deep folders into the depth limit and reassigning their documents.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { flattenFolderOverflow } from '@module/utils/folder-utils.js';
+
+describe('Folder Depth Utilities', () => {
+  describe('flattenFolderOverflow', () => {
+    // Crab (0) › Hida (1) › Bushi (2) › Elite (3) › Veterans (4)
+    const data = () => ({
+      folders: [
+        { _id: 'f0', name: 'Crab', type: 'Actor', folder: null },
+        { _id: 'f1', name: 'Hida', type: 'Actor', folder: 'f0' },
+        { _id: 'f2', name: 'Bushi', type: 'Actor', folder: 'f1' },
+        { _id: 'f3', name: 'Elite', type: 'Actor', folder: 'f2' },
+        { _id: 'f4', name: 'Veterans', type: 'Actor', folder: 'f3' }
+      ],
+      actors: [
+        { _id: 'a1', name: 'Kisada', folder: 'f3' },
+        { _id: 'a2', name: 'Yakamo', folder: 'f4' },
+        { _id: 'a3', name: 'Sukune', folder: 'f1' }
+      ],
+      items: [{ _id: 'i1', name: 'Tetsubo', folder: null }]
+    });
+
+    it('should merge over-deep folders into the deepest allowed ancestor', () => {
+      const source = data();
+
+      const { data: result, decisions } = flattenFolderOverflow(source, { strategy: 'reparent', maxDepth: 2 });
+
+      expect(result.folders.map((f) => f._id)).toEqual(['f0', 'f1', 'f2']);
+      expect(result.actors.map((a) => a.folder)).toEqual(['f2', 'f2', 'f1']);
+      expect(result.items).toEqual(source.items);
+      expect(decisions).toEqual([
+        {
+          folderId: 'f3',
+          name: 'Elite',
+          type: 'Actor',
+          path: 'Crab › Hida › Bushi › Elite',
+          depth: 3,
+          action: 'merged',
+          targetId: 'f2',
+          targetName: 'Bushi',
+          documents: 1
+        },
+        {
+          folderId: 'f4',
+          name: 'Veterans',
+          type: 'Actor',
+          path: 'Crab › Hida › Bushi › Elite › Veterans',
+          depth: 4,
+          action: 'merged',
+          targetId: 'f2',
+          targetName: 'Bushi',
+          documents: 1
+        }
+      ]);
+      expect(source.actors[0].folder).toBe('f3');
+    });
+
+    it('should collapse over-deep folders into path-named folders at the deepest allowed level', () => {
+      const { data: result, decisions } = flattenFolderOverflow(data(), { strategy: 'collapse', maxDepth: 2 });
+
+      expect(result.folders.slice(3)).toEqual([
+        { _id: 'f3', name: 'Crab › Hida › Bushi › Elite', type: 'Actor', folder: 'f1' },
+        { _id: 'f4', name: 'Crab › Hida › Bushi › Elite › Veterans', type: 'Actor', folder: 'f1' }
+      ]);
+      expect(result.actors.map((a) => a.folder)).toEqual(['f3', 'f4', 'f1']);
+      expect(decisions.map((d) => [d.folderId, d.action, d.targetId, d.documents])).toEqual([
+        ['f3', 'collapsed', 'f1', 1],
+        ['f4', 'collapsed', 'f1', 1]
+      ]);
+    });
+
+    it('should return the input when every folder fits', () => {
+      const source = data();
+
+      expect(flattenFolderOverflow(source, { strategy: 'reparent', maxDepth: 4 })).toEqual({
+        data: source,
+        decisions: []
+      });
+    });
+
+    it('should leave folders alone with the skip strategy', () => {
+      const source = data();
+
+      expect(flattenFolderOverflow(source, { strategy: 'skip', maxDepth: 1 }).data).toBe(source);
+    });
+
+    it('should reject unknown strategies', () => {
+      expect(() => flattenFolderOverflow(data(), { strategy: 'drop', maxDepth: 1 })).toThrow(
+        "Unknown folder overflow strategy 'drop'"
+      );
+    });
+  });
+});
@@ -4,7 +4,7 @@
  * Tests automatic migration of default system icons from PNG to WEBP.
  */
 
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { ImportService } from '@module/services/import-service.js';
 
 describe('Icon Migration', () => {
@@ -255,4 +255,105 @@ describe('Icon Migration', () => {
       expect(transformed.img).toBe('modules/my-module/custom-weapon.png');
     });
   });
+
+  describe('verified icon paths', () => {
+    const root = 'systems/l5r4-enhanced/assets/icons';
+    let browse;
+
+    beforeEach(() => {
+      const folders = {
+        [root]: [`${root}/pc.webp`, `${root}/skill.webp`],
+        [`${root}/status`]: [`${root}/status/weapon.webp`, `${root}/status/pc.webp`],
+        [`${root}/rings`]: [],
+        [`${root}/traits`]: []
+      };
+      browse = vi.fn(async (_source, folder) => ({ files: folders[folder] ?? [] }));
+      foundry.applications = { apps: { FilePicker: { implementation: { browse } } } };
+    });
+
+    afterEach(() => {
+      delete foundry.applications;
+    });
+
+    const importIcons = async (options) => {
+      const createActors = vi.spyOn(Actor, 'createDocuments').mockImplementation(async (docs) => docs);
+      const createItems = vi.spyOn(Item, 'createDocuments').mockImplementation(async (docs) => docs);
+      const data = {
+        actors: [{ _id: 'a1', name: 'Kisada', type: 'pc', img: 'systems/l5r4/assets/icons/helm.png', system: {} }],
+        items: [
+          { _id: 'i1', name: 'Katana', type: 'weapon', img: 'sword.png', system: {} },
+          { _id: 'i2', name: 'Do', type: 'armor', img: 'hat.png', system: {} },
+          { _id: 'i3', name: 'Yari', type: 'weapon', img: 'sword.png', system: {} }
+        ]
+      };
+      const result = await ImportService.importWorld(data, { skipDetection: true, ...options });
+      return {
+        result,
+        actor: createActors.mock.calls[0][0][0],
+        items: createItems.mock.calls[0][0]
+      };
+    };
+
+    it('should browse each icon folder once per import', async () => {
+      await importIcons({ verifyIcons: true });
+
+      expect(browse.mock.calls.map(([, folder]) => folder)).toEqual([
+        root,
+        `${root}/rings`,
+        `${root}/status`,
+        `${root}/traits`
+      ]);
+    });
+
+    it('should resolve icons in subfolders, preferring the top folder', async () => {
+      const { actor, items } = await importIcons({ verifyIcons: true });
+
+      expect(actor.img).toBe(`${root}/pc.webp`);
+      expect(items[0].img).toBe(`${root}/status/weapon.webp`);
+    });
+
+    it('should keep the original path and report icons that do not exist', async () => {
+      const { result, items } = await importIcons({ verifyIcons: true });
+
+      expect(items[1].img).toBe('hat.png');
+      expect(result.missingAssets).toEqual([{ path: 'hat.png', expected: `${root}/armor.webp`, count: 1 }]);
+    });
+
+    it('should not verify unless asked', async () => {
+      const { result, items } = await importIcons();
+
+      expect(browse).not.toHaveBeenCalled();
+      expect(items[1].img).toBe(`${root}/armor.webp`);
+      expect(result.missingAssets).toBeUndefined();
+    });
+
+    it('should stop verifying after the import', async () => {
+      await importIcons({ verifyIcons: true });
+
+      expect(ImportService._migrateIconPath('hat.png', 'armor')).toBe(`${root}/armor.webp`);
+    });
+
+    it('should keep the icon index to its own import when imports overlap', async () => {
+      const createItems = vi.spyOn(Item, 'createDocuments').mockImplementation(async (docs) => docs);
+      const data = { items: [{ _id: 'i2', name: 'Do', type: 'armor', img: 'hat.png', system: {} }] };
+
+      const [verified, unverified] = await Promise.all([
+        ImportService.importWorld(data, { skipDetection: true, verifyIcons: true }),
+        ImportService.importWorld(data, { skipDetection: true })
+      ]);
+
+      const imgs = createItems.mock.calls.map(([docs]) => docs[0].img).sort();
+      expect(imgs).toEqual(['hat.png', `${root}/armor.webp`]);
+      expect(verified.missingAssets).toHaveLength(1);
+      expect(unverified.missingAssets).toBeUndefined();
+    });
+
+    it('should record missing icons in the index it is given', () => {
+      const index = { files: new Map([['pc.webp', `${root}/pc.webp`]]), missing: new Map() };
+
+      expect(ImportService._migrateIconPath('helm.png', 'pc', index)).toBe(`${root}/pc.webp`);
+      expect(ImportService._migrateIconPath('hat.png', 'armor', index)).toBe('hat.png');
+      expect([...index.missing.values()]).toEqual([{ path: 'hat.png', expected: `${root}/armor.webp`, count: 1 }]);
+    });
+  });
 });
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Unit Tests for ID Remapping Utilities
+ *
+ * Tests assigning new IDs to export documents and rewriting references to them.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { remapDocumentIds, rewriteUuidReferences } from '@module/utils/id-remap.js';
+
+describe('ID Remapping Utilities', () => {
+  beforeEach(() => {
+    let next = 0;
+    vi.spyOn(foundry.utils, 'randomID').mockImplementation(() => `new${next++}`);
+  });
+
+  const takenActor = (key, id) => key === 'actors' && id === 'kisada';
+
+  describe('remapDocumentIds', () => {
+    it('should return the data unchanged when nothing needs a new ID', () => {
+      const data = { actors: [{ _id: 'kisada', name: 'Hida Kisada' }] };
+
+      const result = remapDocumentIds(data);
+
+      expect(result.data).toBe(data);
+      expect(result.entries).toEqual([]);
+      expect(result.references).toBe(0);
+    });
+
+    it('should give taken IDs a new ID and record them in the remap table', () => {
+      const data = { actors: [{ _id: 'kisada', name: 'Hida Kisada' }] };
+
+      const result = remapDocumentIds(data, { isTaken: takenActor });
+
+      expect(result.data.actors[0]._id).toBe('new0');
+      expect(result.entries).toEqual([
+        {
+          collection: 'actors',
+          documentName: 'Actor',
+          name: 'Hida Kisada',
+          index: 0,
+          oldId: 'kisada',
+          newId: 'new0',
+          reason: 'conflict'
+        }
+      ]);
+      expect(data.actors[0]._id).toBe('kisada');
+    });
+
+    it('should rewrite token actor IDs and UUID links to a remapped actor', () => {
+      const data = {
+        actors: [{ _id: 'kisada', name: 'Hida Kisada' }],
+        scenes: [{ _id: 's1', name: 'Wall', tokens: [{ actorId: 'kisada' }, { actorId: 'other' }] }],
+        journals: [
+          {
+            _id: 'j1',
+            name: 'Notes',
+            pages: [{ text: { content: '<p>@UUID[Actor.kisada]{Kisada} and @Actor[kisada]{him}</p>' } }]
+          }
+        ]
+      };
+
+      const result = remapDocumentIds(data, { isTaken: takenActor });
+
+      expect(result.data.scenes[0].tokens.map((t) => t.actorId)).toEqual(['new0', 'other']);
+      expect(result.data.journals[0].pages[0].text.content).toBe(
+        '<p>@UUID[Actor.new0]{Kisada} and @Actor[new0]{him}</p>'
+      );
+      expect(result.references).toBe(3);
+    });
+
+    it('should rewrite folder parents and document folders', () => {
+      const data = {
+        folders: [
+          { _id: 'f1', name: 'NPCs', folder: null },
+          { _id: 'f2', name: 'Bandits', folder: 'f1' }
+        ],
+        actors: [{ _id: 'a1', name: 'Bandit', folder: 'f1' }],
+        items: [{ _id: 'i1', name: 'Sword', folder: 'f2' }]
+      };
+
+      const result = remapDocumentIds(data, { isTaken: (key, id) => key === 'folders' && id === 'f1' });
+
+      expect(result.data.folders.map((f) => [f._id, f.folder])).toEqual([
+        ['new0', null],
+        ['f2', 'new0']
+      ]);
+      expect(result.data.actors[0].folder).toBe('new0');
+      expect(result.data.items[0].folder).toBe('f2');
+    });
+
+    it('should rewrite roll table results, scene journals and notes', () => {
+      const data = {
+        journals: [{ _id: 'j1', name: 'Lore' }],
+        scenes: [{ _id: 's1', name: 'Map', journal: 'j1', notes: [{ entryId: 'j1' }] }],
+        tables: [
+          {
+            _id: 't1',
+            name: 'Encounters',
+            results: [
+              { documentCollection: 'JournalEntry', documentId: 'j1' },
+              { documentCollection: 'l5r4.lore', documentId: 'j1' },
+              { documentUuid: 'JournalEntry.j1' }
+            ]
+          }
+        ]
+      };
+
+      const result = remapDocumentIds(data, { isTaken: (key) => key === 'journals' });
+
+      expect(result.data.scenes[0].journal).toBe('new0');
+      expect(result.data.scenes[0].notes[0].entryId).toBe('new0');
+      expect(result.data.tables[0].results.map((r) => r.documentId ?? r.documentUuid)).toEqual([
+        'new0',
+        'j1',
+        'JournalEntry.new0'
+      ]);
+    });
+
+    it('should rewrite combat scenes and combatants', () => {
+      const data = {
+        actors: [{ _id: 'kisada', name: 'Hida Kisada' }],
+        scenes: [{ _id: 's1', name: 'Wall', playlist: 'p1' }],
+        playlists: [{ _id: 'p1', name: 'Battle Drums' }],
+        combats: [{ _id: 'c1', scene: 's1', combatants: [{ actorId: 'kisada', sceneId: 's1', tokenId: 't1' }] }]
+      };
+
+      const result = remapDocumentIds(data, { isTaken: (key) => ['actors', 'scenes', 'playlists'].includes(key) });
+
+      expect(result.data.scenes[0].playlist).toBe('new2');
+      expect(result.data.combats[0].scene).toBe('new1');
+      expect(result.data.combats[0].combatants[0]).toEqual({ actorId: 'new0', sceneId: 'new1', tokenId: 't1' });
+    });
+
+    it('should rewrite bio item UUID flags that start with a remapped actor', () => {
+      const data = {
+        actors: [
+          {
+            _id: 'kisada',
+            name: 'Hida Kisada',
+            flags: { 'l5r4-enhanced': { clanItemUuid: 'Actor.kisada.Item.clan1', familyItemUuid: 'Item.fam1' } }
+          }
+        ]
+      };
+
+      const result = remapDocumentIds(data, { isTaken: takenActor });
+
+      expect(result.data.actors[0].flags['l5r4-enhanced']).toEqual({
+        clanItemUuid: 'Actor.new0.Item.clan1',
+        familyItemUuid: 'Item.fam1'
+      });
+    });
+
+    it('should reuse new IDs from a previous remap table', () => {
+      const data = { actors: [{ _id: 'kisada', name: 'Hida Kisada' }] };
+      const previous = [{ collection: 'actors', index: 0, oldId: 'kisada', newId: 'fromLastRun' }];
+
+      const result = remapDocumentIds(data, { isTaken: takenActor, previous });
+
+      expect(result.data.actors[0]._id).toBe('fromLastRun');
+      expect(result.entries[0].newId).toBe('fromLastRun');
+    });
+
+    it('should give duplicate IDs a new ID without redirecting references', () => {
+      const data = {
+        actors: [
+          { _id: 'dup', name: 'First' },
+          { _id: 'dup', name: 'Second' }
+        ],
+        scenes: [{ _id: 's1', name: 'Map', tokens: [{ actorId: 'dup' }] }]
+      };
+
+      const result = remapDocumentIds(data);
+
+      expect(result.data.actors.map((a) => a._id)).toEqual(['dup', 'new0']);
+      expect(result.data.scenes[0].tokens[0].actorId).toBe('dup');
+      expect(result.entries[0]).toMatchObject({ name: 'Second', oldId: 'dup', reason: 'duplicate' });
+    });
+  });
+
+  describe('rewriteUuidReferences', () => {
+    const maps = { Actor: new Map([['abc', 'xyz']]) };
+
+    it('should rewrite world UUIDs and count them', () => {
+      expect(rewriteUuidReferences('@UUID[Actor.abc]{A} @UUID[Actor.abc]', maps)).toEqual({
+        text: '@UUID[Actor.xyz]{A} @UUID[Actor.xyz]',
+        count: 2
+      });
+    });
+
+    it('should leave compendium UUIDs and other document types alone', () => {
+      const text = '@UUID[Compendium.world.npcs.Actor.abc] @UUID[Item.abc]';
+
+      expect(rewriteUuidReferences(text, maps)).toEqual({ text, count: 0 });
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Unit Tests for Import Filter Utilities
+ *
+ * Tests narrowing an export to selected collections, subtypes, folder subtrees and names.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { applyImportFilter, hasImportFilter } from '@module/utils/import-filter.js';
+
+describe('Import Filter Utilities', () => {
+  // Campaigns › Scorpion Campaign › NPCs, plus an unrelated Crab folder
+  const data = () => ({
+    folders: [
+      { _id: 'f0', name: 'Campaigns', type: 'Actor', folder: null },
+      { _id: 'f1', name: 'Scorpion Campaign', type: 'Actor', folder: 'f0' },
+      { _id: 'f2', name: 'NPCs', type: 'Actor', folder: 'f1' },
+      { _id: 'f3', name: 'Empty', type: 'Actor', folder: 'f1' },
+      { _id: 'f4', name: 'Crab', type: 'Actor', folder: null },
+      { _id: 'j1', name: 'Scorpion Campaign', type: 'JournalEntry', folder: null }
+    ],
+    actors: [
+      { _id: 'a1', name: 'Bayushi Kachiko', type: 'npc', folder: 'f2' },
+      { _id: 'a2', name: 'Shosuro Hametsu', type: 'pc', folder: 'f1' },
+      { _id: 'a3', name: 'Hida Kisada', type: 'pc', folder: 'f4' },
+      { _id: 'a4', name: 'Bayushi Shoju', type: 'npc', folder: null }
+    ],
+    items: [
+      { _id: 'i1', name: 'Katana', type: 'weapon', folder: null },
+      { _id: 'i2', name: 'Do', type: 'armor', folder: null }
+    ],
+    journals: [{ _id: 'je1', name: 'Session 1', folder: 'j1' }],
+    packs: [{ metadata: { name: 'armory' }, documents: [] }]
+  });
+
+  describe('hasImportFilter', () => {
+    it('should detect whether any part of the filter is set', () => {
+      expect(hasImportFilter(null)).toBe(false);
+      expect(hasImportFilter({ folders: [], names: [] })).toBe(false);
+      expect(hasImportFilter({ collections: [] })).toBe(true);
+      expect(hasImportFilter({ types: { actors: ['pc'] } })).toBe(true);
+      expect(hasImportFilter({ names: ['Bayushi *'] })).toBe(true);
+    });
+  });
+
+  describe('applyImportFilter', () => {
+    it('should return the input without a filter', () => {
+      const source = data();
+
+      expect(applyImportFilter(source, null)).toEqual({ data: source, stats: {} });
+    });
+
+    it('should select folder subtrees by name, keeping descendants and ancestors', () => {
+      const { data: result, stats } = applyImportFilter(data(), { folders: ['Scorpion Campaign'] });
+
+      expect(result.actors.map((a) => a._id)).toEqual(['a1', 'a2']);
+      expect(result.journals.map((j) => j._id)).toEqual(['je1']);
+      expect(result.items).toEqual([]);
+      expect(result.folders.map((f) => f._id)).toEqual(['f0', 'f1', 'f2', 'f3', 'j1']);
+      expect(stats.actors).toEqual({ kept: 2, dropped: 2 });
+      expect(stats.folders).toEqual({ kept: 5, dropped: 1 });
+      expect(result.packs).toEqual(data().packs);
+    });
+
+    it('should select folders by ID', () => {
+      const { data: result } = applyImportFilter(data(), { folders: ['f2'] });
+
+      expect(result.actors.map((a) => a._id)).toEqual(['a1']);
+      expect(result.folders.map((f) => f._id)).toEqual(['f0', 'f1', 'f2']);
+    });
+
+    it('should filter by collection and subtype, keeping only the folders documents need', () => {
+      const { data: result } = applyImportFilter(data(), { collections: ['actors'], types: { actors: ['pc'] } });
+
+      expect(result.actors.map((a) => a._id)).toEqual(['a2', 'a3']);
+      expect(result.items).toEqual([]);
+      expect(result.journals).toEqual([]);
+      expect(result.folders.map((f) => f._id)).toEqual(['f0', 'f1', 'f4']);
+    });
+
+    it('should match names with wildcards or regular expressions', () => {
+      expect(applyImportFilter(data(), { names: ['bayushi *'] }).data.actors.map((a) => a._id)).toEqual(['a1', 'a4']);
+      expect(applyImportFilter(data(), { names: ['/^(Katana|Do)$/g'] }).data.items.map((i) => i._id)).toEqual([
+        'i1',
+        'i2'
+      ]);
+    });
+
+    it('should combine every part of the filter', () => {
+      const { data: result } = applyImportFilter(data(), {
+        folders: ['Scorpion Campaign'],
+        types: { actors: ['npc'] },
+        names: ['Bayushi*']
+      });
+
+      expect(result.actors.map((a) => a._id)).toEqual(['a1']);
+    });
+
+    it('should reject unknown folders and invalid patterns', () => {
+      expect(() => applyImportFilter(data(), { folders: ['Lion'] })).toThrow("Folder 'Lion' is not in the export");
+      expect(() => applyImportFilter(data(), { names: ['/([/'] })).toThrow("Invalid name pattern '/([/'");
+    });
+  });
+});
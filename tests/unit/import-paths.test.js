@@ -3,17 +3,18 @@
  * Tests the routing logic between with-transform and as-is import paths
  */
 
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach } from 'vitest';
 import { ImportService } from '@module/services/import-service.js';
+import { mockDocumentClass } from '../helpers/document-mocks.js';
 
 describe('ImportService - Dual Import Paths', () => {
   beforeEach(() => {
     // Mock Actor, Item, Scene, JournalEntry, Folder
-    global.Actor = { create: vi.fn().mockResolvedValue({}) };
-    global.Item = { create: vi.fn().mockResolvedValue({}) };
-    global.Scene = { create: vi.fn().mockResolvedValue({}) };
-    global.JournalEntry = { create: vi.fn().mockResolvedValue({}) };
-    global.Folder = { create: vi.fn().mockResolvedValue({}) };
+    global.Actor = mockDocumentClass();
+    global.Item = mockDocumentClass();
+    global.Scene = mockDocumentClass();
+    global.JournalEntry = mockDocumentClass();
+    global.Folder = mockDocumentClass();
   });
 
   describe('Schema Detection and Routing', () => {
@@ -364,8 +365,8 @@ describe('ImportService - Dual Import Paths', () => {
 
       const createdActor = Actor.create.mock.calls[0][0];
       expect(createdActor.flags).toBeDefined();
-      expect(createdActor.flags.l5r4.xpSpent).toHaveLength(1);
-      expect(createdActor.flags.l5r4.xpSpent[0].note).toBe('Test XP');
+      expect(createdActor.flags['l5r4-enhanced'].xpSpent).toHaveLength(1);
+      expect(createdActor.flags['l5r4-enhanced'].xpSpent[0].note).toBe('Test XP');
       expect(createdActor.flags.l5r4.customData).toBe('preserved');
     });
 
@@ -396,7 +397,9 @@ describe('ImportService - Dual Import Paths', () => {
 
   describe('Error Handling', () => {
     it('should handle individual document failures gracefully (with-transform)', async () => {
-      global.Actor.create.mockRejectedValueOnce(new Error('Creation failed'));
+      global.Actor.create.mockImplementation((data) =>
+        data._id === 'a1' ? Promise.reject(new Error('Creation failed')) : Promise.resolve({})
+      );
 
       const originalData = {
         metadata: { sourceSystem: 'l5r4', worldId: 'test', worldTitle: 'Test World' },
@@ -415,7 +418,9 @@ describe('ImportService - Dual Import Paths', () => {
     });
 
     it('should handle individual document failures gracefully (as-is)', async () => {
-      global.Item.create.mockRejectedValueOnce(new Error('Creation failed'));
+      global.Item.create.mockImplementation((data) =>
+        data._id === 'i1' ? Promise.reject(new Error('Creation failed')) : Promise.resolve({})
+      );
 
       const newV13Data = {
         metadata: { sourceSystem: 'l5r4', worldId: 'test', worldTitle: 'Test World' },
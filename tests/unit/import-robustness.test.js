@@ -3,16 +3,17 @@
  * Tests edge cases, malformed data, and real-world failure scenarios
  */
 
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach } from 'vitest';
 import { ImportService } from '@module/services/import-service.js';
+import { mockDocumentClass } from '../helpers/document-mocks.js';
 
 describe('Import Service - Robustness Tests', () => {
   beforeEach(() => {
-    global.Actor = { create: vi.fn().mockResolvedValue({}) };
-    global.Item = { create: vi.fn().mockResolvedValue({}) };
-    global.Scene = { create: vi.fn().mockResolvedValue({}) };
-    global.JournalEntry = { create: vi.fn().mockResolvedValue({}) };
-    global.Folder = { create: vi.fn().mockResolvedValue({}) };
+    global.Actor = mockDocumentClass();
+    global.Item = mockDocumentClass();
+    global.Scene = mockDocumentClass();
+    global.JournalEntry = mockDocumentClass();
+    global.Folder = mockDocumentClass();
   });
 
   describe('Data Corruption Scenarios', () => {
@@ -516,10 +517,8 @@ describe('Import Service - Robustness Tests', () => {
 
   describe('Real-World Failure Recovery', () => {
     it('should continue import even if some actors fail', async () => {
-      let callCount = 0;
-      global.Actor.create.mockImplementation(() => {
-        callCount++;
-        if (callCount === 2) {
+      global.Actor.create.mockImplementation((data) => {
+        if (data._id === 'a2') {
           return Promise.reject(new Error('Database error'));
         }
         return Promise.resolve({});
@@ -4,8 +4,13 @@
  * Tests data transformation and import logic.
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { ImportService } from '@module/services/import-service.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { ImportService, WEAPON_DEFAULTS, BOW_DEFAULTS } from '@module/services/import-service.js';
+import { CheckpointService } from '@module/services/checkpoint-service.js';
+import { CompendiumService } from '@module/services/compendium-service.js';
+import { resolveTemplateType } from '@module/utils/target-schema.js';
 
 describe('Import Service', () => {
   beforeEach(() => {
@@ -115,6 +120,66 @@ describe('Import Service', () => {
       expect(transformed.system.fear).toEqual({ rank: 0 });
     });
 
+    it('should migrate legacy NPC wound tables to manual wound levels', () => {
+      const oldNPC = {
+        type: 'npc',
+        name: 'Ronin',
+        system: {
+          nrWoundLvls: '3',
+          armor: { armor_tn: 20, reduction: 4 },
+          wound_lvl: {
+            healthy: { value: '10', penalty: '-5', current: true },
+            nicked: { value: 20, penalty: -10, current: false },
+            grazed: { value: 30, penalty: '15', current: false },
+            hurt: { value: 0, penalty: 10, current: false }
+          }
+        }
+      };
+
+      const transformed = ImportService._transformActor(oldNPC);
+      const system = transformed.system;
+
+      expect(system.nrWoundLvls).toBe(3);
+      expect(system.armor.armorTn).toBe(20);
+      expect(system.woundsMultiplier).toBe(2);
+      expect(system.woundsPenaltyMod).toBe(0);
+      expect(system.woundLevels.healthy).toEqual({ value: 10, penalty: 5, current: true });
+      expect(system.woundLevels.nicked.penalty).toBe(10);
+      expect(Object.keys(system.manualWoundLevels)).toEqual([
+        'healthy',
+        'nicked',
+        'grazed',
+        'hurt',
+        'injured',
+        'crippled',
+        'down',
+        'out'
+      ]);
+      expect(system.manualWoundLevels.healthy).toEqual({ value: 10, penalty: 5, active: true });
+      expect(system.manualWoundLevels.grazed).toEqual({ value: 30, penalty: 15, active: true });
+      expect(system.manualWoundLevels.hurt).toEqual({ value: 0, penalty: 10, active: false });
+      expect(system.manualWoundLevels.out).toEqual({ value: 0, penalty: 0, active: false });
+    });
+
+    it('should keep existing NPC manual wound levels and wound settings', () => {
+      const npc = {
+        type: 'npc',
+        name: 'Oni',
+        system: {
+          woundsMultiplier: 3,
+          woundsPenaltyMod: 1,
+          woundLevels: { healthy: { value: 99 } },
+          manualWoundLevels: { healthy: { value: '40', penalty: '-2', active: true } }
+        }
+      };
+
+      const transformed = ImportService._transformActor(npc);
+
+      expect(transformed.system.woundsMultiplier).toBe(3);
+      expect(transformed.system.woundsPenaltyMod).toBe(1);
+      expect(transformed.system.manualWoundLevels).toEqual({ healthy: { value: 40, penalty: 2, active: true } });
+    });
+
     it('should transform embedded items', () => {
       const oldPC = {
         type: 'pc',
@@ -276,6 +341,42 @@ describe('Import Service', () => {
       expect(transformed.system.size).toBe('large');
       expect(transformed.system.str).toBe(3);
       expect(transformed.system.range).toBe(250);
+      expect(transformed.system.damageKeep).toBe(0);
+      expect(transformed.system.fallbackTrait).toBe('ref');
+    });
+
+    it('should fill bow defaults like the enhanced bow migration', () => {
+      const bowItem = { type: 'bow', name: 'Hankyu', system: { str: 0, range: 0, arrow: '', size: 'Small' } };
+
+      const transformed = ImportService._transformItem(bowItem);
+
+      expect(transformed.system).toMatchObject({
+        isBow: true,
+        damageKeep: 0,
+        str: 1,
+        range: 100,
+        arrow: 'willow',
+        explodesOn: 10,
+        associatedSkill: '',
+        fallbackTrait: 'ref'
+      });
+    });
+
+    it('should keep bow skill and trait choices', () => {
+      const bowItem = { type: 'bow', name: 'Yumi', system: { associatedSkill: 'kyujutsu', fallbackTrait: 'agi' } };
+
+      const transformed = ImportService._transformItem(bowItem);
+
+      expect(transformed.system.associatedSkill).toBe('kyujutsu');
+      expect(transformed.system.fallbackTrait).toBe('agi');
+    });
+
+    it('should default already-converted bows to Reflexes', () => {
+      const weapon = { type: 'weapon', name: 'Dai-kyu', system: { isBow: true, fallbackTrait: '' } };
+
+      const transformed = ImportService._transformItem(weapon);
+
+      expect(transformed.system.fallbackTrait).toBe('ref');
     });
 
     it('should add new weapon fields', () => {
@@ -293,6 +394,34 @@ describe('Import Service', () => {
       expect(transformed.system.size).toBe('medium');
     });
 
+    it('should keep existing weapon values', () => {
+      const weapon = { type: 'weapon', name: 'Tetsubo', system: { damageRoll: 3, damageKeep: 0, explodesOn: 9 } };
+
+      const transformed = ImportService._transformItem(weapon);
+
+      expect(transformed.system.damageRoll).toBe(3);
+      expect(transformed.system.damageKeep).toBe(0);
+      expect(transformed.system.explodesOn).toBe(9);
+      expect(transformed.system.size).toBe('medium');
+    });
+
+    describe('weapon defaults table', () => {
+      const template = JSON.parse(
+        readFileSync(resolve(import.meta.dirname, '../../for-research/l5r4-enhanced/template.json'), 'utf8')
+      );
+      const { description: _d, specialRules: _s, ...weaponTemplate } = resolveTemplateType(template, 'Item', 'weapon');
+
+      it('should match the enhanced weapon template', () => {
+        expect(WEAPON_DEFAULTS).toEqual(weaponTemplate);
+      });
+
+      it('should only override bow fields the weapon template declares', () => {
+        for (const key of [...Object.keys(BOW_DEFAULTS.forced), ...Object.keys(BOW_DEFAULTS.fallback)]) {
+          expect(weaponTemplate).toHaveProperty(key);
+        }
+      });
+    });
+
     it('should apply armor transformations', () => {
       const armor = {
         type: 'armor',
@@ -312,6 +441,303 @@ describe('Import Service', () => {
     });
   });
 
+  describe('effect change keys', () => {
+    afterEach(() => {
+      delete game.model;
+    });
+
+    it('should rewrite actor effect keys targeting legacy paths', () => {
+      const oldPC = {
+        type: 'pc',
+        name: 'Test PC',
+        system: {},
+        effects: [
+          {
+            _id: 'eff1',
+            name: 'Armored',
+            changes: [
+              { key: 'system.armor.armor_tn', mode: 2, value: '5' },
+              { key: 'system.initiative.roll_mod', mode: 2, value: '1' },
+              { key: 'system.traits.str', mode: 2, value: '1' }
+            ]
+          }
+        ]
+      };
+
+      const transformed = ImportService._transformActor(oldPC);
+
+      const keys = transformed.effects[0].changes.map((c) => c.key);
+      expect(keys).toEqual(['system.armor.armorTn', 'system.initiative.rollMod', 'system.traits.str']);
+      expect(transformed.effects[0].changes[0].value).toBe('5');
+    });
+
+    it('should rewrite sub-paths of renamed fields', () => {
+      expect(ImportService._rewriteEffectKey('system.wound_lvl.hurt.penalty', 'Actor', 'npc')).toBe(
+        'system.woundLevels.hurt.penalty'
+      );
+      expect(ImportService._rewriteEffectKey('system.wound_lvl_extra', 'Actor', 'npc')).toBe('system.wound_lvl_extra');
+    });
+
+    it('should target the owning actor for transferred item effects', () => {
+      const oldPC = {
+        type: 'pc',
+        name: 'Test PC',
+        system: {},
+        items: [
+          {
+            type: 'armor',
+            name: 'Ashigaru Armor',
+            system: {},
+            effects: [
+              { name: 'Transfer', transfer: true, changes: [{ key: 'system.armor_tn.mod', value: '3' }] },
+              { name: 'Local', transfer: false, changes: [{ key: 'system.equiped', value: 'true' }] }
+            ]
+          }
+        ]
+      };
+
+      const transformed = ImportService._transformActor(oldPC);
+      const [transfer, local] = transformed.items[0].effects;
+
+      expect(transfer.changes[0].key).toBe('system.armorTn.mod');
+      expect(local.changes[0].key).toBe('system.equipped');
+    });
+
+    it('should match any actor type for world item effects', () => {
+      const item = {
+        type: 'advantage',
+        name: 'Strength of the Earth',
+        system: {},
+        effects: [{ name: 'Wounds', changes: [{ key: 'system.shadow_taint.rank', value: '1' }] }]
+      };
+
+      const transformed = ImportService._transformItem(item);
+
+      expect(transformed.effects[0].changes[0].key).toBe('system.shadowTaint.rank');
+    });
+
+    it('should rewrite token delta effects', () => {
+      const scene = {
+        tokens: [
+          {
+            actorId: 'npc1',
+            actorLink: false,
+            delta: { effects: [{ name: 'Healing', changes: [{ key: 'system.wounds.heal_rate', value: '2' }] }] }
+          }
+        ]
+      };
+
+      const { scene: transformed } = ImportService._transformScene(scene, new Map([['npc1', 'npc']]));
+
+      expect(transformed.tokens[0].delta.effects[0].changes[0].key).toBe('system.wounds.healRate');
+    });
+
+    it('should report keys not declared by the target schema', async () => {
+      game.model = {
+        Actor: {
+          pc: { armor: { armorTn: 10 }, traits: { str: 2 } },
+          npc: { armor: { armorTn: 10 } }
+        }
+      };
+
+      const actors = [
+        {
+          _id: 'a1',
+          type: 'pc',
+          name: 'Test PC',
+          system: {},
+          effects: [
+            {
+              _id: 'eff1',
+              name: 'Mixed',
+              changes: [
+                { key: 'system.armor.armor_tn', value: '5' },
+                { key: 'system.homebrew.bonus', value: '1' },
+                { key: 'flags.some-module.value', value: '1' }
+              ]
+            }
+          ]
+        }
+      ];
+
+      const stats = await ImportService.importActors(actors, true);
+
+      expect(stats.effectKeysRewritten).toBe(1);
+      expect(stats.unknownEffectKeys).toEqual([
+        {
+          documentName: 'Actor',
+          id: 'a1',
+          name: 'Test PC',
+          effectId: 'eff1',
+          effectName: 'Mixed',
+          key: 'system.homebrew.bonus'
+        }
+      ]);
+    });
+
+    it('should collect unknown keys into the import result', async () => {
+      game.model = { Actor: { pc: {} }, Item: {} };
+
+      const data = {
+        actors: [
+          {
+            type: 'pc',
+            name: 'Test PC',
+            system: {},
+            effects: [{ name: 'Odd', changes: [{ key: 'system.missing', value: '1' }] }]
+          }
+        ],
+        items: []
+      };
+
+      const result = await ImportService.importWorld(data, { dryRun: true, skipDetection: true });
+
+      expect(result.unknownEffectKeys).toHaveLength(1);
+      expect(result.unknownEffectKeys[0].key).toBe('system.missing');
+    });
+  });
+
+  describe('_transformScene', () => {
+    it('should transform unlinked token deltas', () => {
+      const scene = {
+        _id: 'scene1',
+        name: 'Bandit Camp',
+        tokens: [
+          {
+            _id: 'tok1',
+            actorId: 'npc1',
+            actorLink: false,
+            delta: {
+              system: { wound_lvl: { healthy: { value: 10 } }, armor: { armor_tn: 20 } },
+              items: [{ type: 'bow', name: 'Hankyu', system: { size: 'Small' } }]
+            }
+          }
+        ]
+      };
+
+      const { scene: transformed, tokensTransformed } = ImportService._transformScene(
+        scene,
+        new Map([['npc1', 'npc']])
+      );
+
+      expect(tokensTransformed).toBe(1);
+      const delta = transformed.tokens[0].delta;
+      expect(delta.system.woundLevels).toEqual({ healthy: { value: 10 } });
+      expect(delta.system.wound_lvl).toBeUndefined();
+      expect(delta.system.manualWoundLevels.healthy).toEqual({ value: 10, penalty: 0, active: true });
+      expect(delta.system.woundsMultiplier).toBeUndefined();
+      expect(delta.system.armor.armorTn).toBe(20);
+      expect(delta.items[0].type).toBe('weapon');
+      expect(delta.items[0].system.isBow).toBe(true);
+
+      // Source data is not mutated
+      expect(scene.tokens[0].delta.system.wound_lvl).toBeDefined();
+    });
+
+    it('should apply type-specific rules from the base actor type', () => {
+      const scene = {
+        tokens: [
+          { actorId: 'pc1', actorLink: false, delta: { system: { shadow_taint: { rank: 1 } } } },
+          { actorId: 'unknown', actorLink: false, delta: { system: { shadow_taint: { rank: 1 } } } }
+        ]
+      };
+
+      const { scene: transformed } = ImportService._transformScene(scene, new Map([['pc1', 'pc']]));
+
+      expect(transformed.tokens[0].delta.system.shadowTaint).toEqual({ rank: 1 });
+      // PC-only rule is not applied when the actor type cannot be resolved
+      expect(transformed.tokens[1].delta.system.shadow_taint).toEqual({ rank: 1 });
+    });
+
+    it('should not add new-field defaults to deltas', () => {
+      const scene = {
+        tokens: [{ actorId: 'npc1', actorLink: false, delta: { system: { wounds: { heal_rate: 2 } } } }]
+      };
+
+      const { scene: transformed } = ImportService._transformScene(scene, new Map([['npc1', 'npc']]));
+
+      expect(transformed.tokens[0].delta.system.wounds.healRate).toBe(2);
+      expect(transformed.tokens[0].delta.system.woundMode).toBeUndefined();
+      expect(transformed.tokens[0].delta.system.fear).toBeUndefined();
+    });
+
+    it('should skip linked tokens and tokens without a delta', () => {
+      const scene = {
+        tokens: [
+          { actorId: 'pc1', actorLink: true, delta: { system: { wound_lvl: {} } } },
+          { actorId: 'npc1', actorLink: false }
+        ]
+      };
+
+      const { scene: transformed, tokensTransformed } = ImportService._transformScene(scene);
+
+      expect(tokensTransformed).toBe(0);
+      expect(transformed.tokens[0].delta.system.wound_lvl).toBeDefined();
+    });
+  });
+
+  describe('_migrateSceneAssets', () => {
+    const scene = () => ({
+      _id: 'scene1',
+      name: 'Shrine',
+      background: { src: 'systems/l5r4/assets/maps/shrine.webp' },
+      foreground: 'worlds/rokugan/shrine-roof.webp',
+      tokens: [
+        {
+          _id: 'tok1',
+          actorId: 'npc1',
+          texture: { src: 'systems/l5r4/assets/icons/ninja.png' },
+          delta: { img: 'systems/l5r4/assets/icons/helm.png', items: [{ _id: 'k1', type: 'kiho', img: 'tori.png' }] }
+        }
+      ],
+      tiles: [{ _id: 'tile1', texture: { src: 'systems/l5r4/assets/icons/sword.png' } }],
+      notes: [{ _id: 'note1', texture: { src: 'systems/l5r4/assets/icons/scroll2.png' } }],
+      drawings: [{ _id: 'draw1', texture: 'systems/l5r4/assets/textures/paper.png' }]
+    });
+
+    it('should rewrite legacy system textures and icons', () => {
+      const { scene: migrated, rewritten } = ImportService._migrateSceneAssets(scene(), new Map([['npc1', 'npc']]));
+
+      expect(migrated.tokens[0].texture.src).toBe('systems/l5r4-enhanced/assets/icons/npc.webp');
+      expect(migrated.tokens[0].delta.img).toBe('systems/l5r4-enhanced/assets/icons/pc.webp');
+      expect(migrated.tokens[0].delta.items[0].img).toBe('systems/l5r4-enhanced/assets/icons/kiho.webp');
+      expect(migrated.tiles[0].texture.src).toBe('systems/l5r4-enhanced/assets/icons/weapon.webp');
+      expect(migrated.notes[0].texture.src).toBe('systems/l5r4-enhanced/assets/icons/spell.webp');
+      expect(migrated.foreground).toBe('worlds/rokugan/shrine-roof.webp');
+      expect(rewritten.map((r) => r.field)).toEqual([
+        'tokens.tok1.texture.src',
+        'tokens.tok1.delta.img',
+        'tokens.tok1.delta.items.k1.img',
+        'tiles.tile1.texture.src',
+        'notes.note1.texture.src'
+      ]);
+      expect(rewritten[3]).toEqual({
+        field: 'tiles.tile1.texture.src',
+        from: 'systems/l5r4/assets/icons/sword.png',
+        to: 'systems/l5r4-enhanced/assets/icons/weapon.webp'
+      });
+    });
+
+    it('should report legacy system paths without a replacement', () => {
+      const source = scene();
+
+      const { missing } = ImportService._migrateSceneAssets(source);
+
+      expect(missing).toEqual([
+        { field: 'background.src', path: 'systems/l5r4/assets/maps/shrine.webp' },
+        { field: 'drawings.draw1.texture', path: 'systems/l5r4/assets/textures/paper.png' }
+      ]);
+      expect(source.tiles[0].texture.src).toBe('systems/l5r4/assets/icons/sword.png');
+    });
+
+    it('should return the source scene when nothing changed', () => {
+      const source = { _id: 'scene2', background: { src: 'worlds/rokugan/map.webp' }, tokens: [] };
+
+      expect(ImportService._migrateSceneAssets(source)).toEqual({ scene: source, rewritten: [], missing: [] });
+      expect(ImportService._migrateSceneAssets(source).scene).toBe(source);
+    });
+  });
+
   describe('importActors', () => {
     it('should import actors with transformations', async () => {
       const actors = [
@@ -329,7 +755,9 @@ describe('Import Service', () => {
     });
 
     it('should handle import failures gracefully', async () => {
-      Actor.create = vi.fn().mockResolvedValueOnce({}).mockRejectedValueOnce(new Error('Import failed'));
+      Actor.create = vi.fn((data) =>
+        data.name === 'PC 2' ? Promise.reject(new Error('Import failed')) : Promise.resolve({})
+      );
 
       const actors = [
         { type: 'pc', name: 'PC 1', system: {} },
@@ -377,7 +805,9 @@ describe('Import Service', () => {
     });
 
     it('should handle import failures gracefully', async () => {
-      Item.create = vi.fn().mockResolvedValueOnce({}).mockRejectedValueOnce(new Error('Import failed'));
+      Item.create = vi.fn((data) =>
+        data.name === 'Item 2' ? Promise.reject(new Error('Import failed')) : Promise.resolve({})
+      );
 
       const items = [
         { type: 'skill', name: 'Item 1', system: {} },
@@ -424,6 +854,70 @@ describe('Import Service', () => {
       expect(result.stats.journals.created).toBe(1);
     });
 
+    it('should transform scene token deltas and report per-scene counts', async () => {
+      const data = {
+        metadata: { worldId: 'test' },
+        actors: [{ _id: 'npc1', type: 'npc', name: 'Bandit', system: {} }],
+        items: [],
+        scenes: [
+          {
+            _id: 'scene1',
+            name: 'Road',
+            tokens: [
+              { actorId: 'npc1', actorLink: false, delta: { system: { armor: { armor_tn: 15 } } } },
+              { actorId: 'npc1', actorLink: false, delta: { system: {} } }
+            ]
+          },
+          { _id: 'scene2', name: 'Empty', tokens: [] }
+        ]
+      };
+
+      const result = await ImportService.importWorld(data, { skipDetection: true });
+
+      expect(result.stats.scenes.tokensTransformed).toBe(2);
+      expect(result.stats.scenes.tokens).toEqual([
+        { sceneId: 'scene1', sceneName: 'Road', tokensTransformed: 2 },
+        { sceneId: 'scene2', sceneName: 'Empty', tokensTransformed: 0 }
+      ]);
+
+      const createdScene = Scene.create.mock.calls[0][0];
+      expect(createdScene.tokens[0].delta.system.armor.armorTn).toBe(15);
+    });
+
+    it('should migrate scene assets and report missing ones', async () => {
+      const data = {
+        metadata: { worldId: 'test' },
+        actors: [],
+        items: [],
+        scenes: [
+          {
+            _id: 'scene1',
+            name: 'Road',
+            background: { src: 'systems/l5r4/assets/maps/road.webp' },
+            tiles: [{ _id: 'tile1', texture: { src: 'systems/l5r4/assets/icons/coins.png' } }]
+          }
+        ]
+      };
+
+      const result = await ImportService.importWorld(data, { skipDetection: true });
+
+      expect(result.stats.scenes.assets).toEqual({
+        rewritten: [
+          {
+            sceneId: 'scene1',
+            sceneName: 'Road',
+            field: 'tiles.tile1.texture.src',
+            from: 'systems/l5r4/assets/icons/coins.png',
+            to: 'systems/l5r4-enhanced/assets/icons/item.webp'
+          }
+        ],
+        missing: [
+          { sceneId: 'scene1', sceneName: 'Road', field: 'background.src', path: 'systems/l5r4/assets/maps/road.webp' }
+        ]
+      });
+      expect(Scene.create.mock.calls[0][0].tiles[0].texture.src).toBe('systems/l5r4-enhanced/assets/icons/item.webp');
+    });
+
     it('should skip folders when requested', async () => {
       const data = {
         metadata: { worldId: 'test' },
@@ -545,93 +1039,1420 @@ describe('Import Service', () => {
     });
   });
 
-  describe('_importFolders', () => {
-    it('should import folders up to depth 4', async () => {
-      const root = { _id: 'root', name: 'Root', folder: null };
-      const l1 = { _id: 'l1', name: 'Level 1', folder: 'root' };
-      const l2 = { _id: 'l2', name: 'Level 2', folder: 'l1' };
-      const l3 = { _id: 'l3', name: 'Level 3', folder: 'l2' };
-      const l4 = { _id: 'l4', name: 'Level 4', folder: 'l3' };
-      const folders = [root, l1, l2, l3, l4];
+  describe('batched creation', () => {
+    const actors = (count) =>
+      Array.from({ length: count }, (_, i) => ({ _id: `a${i}`, type: 'pc', name: `PC ${i}`, system: {} }));
 
-      const stats = await ImportService._importFolders(folders, false);
+    it('should create documents in chunks of the batch size', async () => {
+      const createDocuments = vi.spyOn(Actor, 'createDocuments');
 
-      expect(stats.attempted).toBe(5);
+      const stats = await ImportService.importActors(actors(5), false, { batchSize: 2 });
+
+      expect(createDocuments.mock.calls.map(([batch]) => batch.length)).toEqual([2, 2, 1]);
+      expect(createDocuments.mock.calls[0][1]).toEqual({ keepId: true });
       expect(stats.created).toBe(5);
-      expect(stats.failed).toBe(0);
-      expect(stats.skipped).toBe(0);
-      expect(Folder.create).toHaveBeenCalledTimes(5);
+      expect(stats.durationMs).toBeGreaterThanOrEqual(0);
     });
 
-    it('should skip folders exceeding depth 4', async () => {
-      const root = { _id: 'root', name: 'Root', folder: null, type: 'Actor' };
-      const l1 = { _id: 'l1', name: 'Level 1', folder: 'root', type: 'Actor' };
-      const l2 = { _id: 'l2', name: 'Level 2', folder: 'l1', type: 'Actor' };
-      const l3 = { _id: 'l3', name: 'Level 3', folder: 'l2', type: 'Actor' };
-      const l4 = { _id: 'l4', name: 'Level 4', folder: 'l3', type: 'Actor' };
-      const l5 = { _id: 'l5', name: 'Level 5 - Too Deep', folder: 'l4', type: 'Actor' };
-      const folders = [root, l1, l2, l3, l4, l5];
+    it('should fall back to one-by-one creation when a batch fails', async () => {
+      vi.spyOn(Actor, 'createDocuments').mockRejectedValue(new Error('Batch rejected'));
+      Actor.create = vi.fn((data) => (data._id === 'a1' ? Promise.reject(new Error('Invalid')) : Promise.resolve({})));
 
-      const stats = await ImportService._importFolders(folders, false);
+      const stats = await ImportService.importActors(actors(3), false, { batchSize: 10 });
 
-      expect(stats.attempted).toBe(6);
-      expect(stats.created).toBe(5);
+      expect(Actor.create).toHaveBeenCalledTimes(3);
+      expect(stats.created).toBe(2);
       expect(stats.failed).toBe(1);
-      expect(stats.skipped).toBe(1);
-      expect(Folder.create).toHaveBeenCalledTimes(5);
     });
 
-    it('should handle folders sorted by depth correctly', async () => {
-      // Provide folders in reverse order to test sorting
-      const l2 = { _id: 'l2', name: 'Level 2', folder: 'l1' };
-      const root = { _id: 'root', name: 'Root', folder: null };
-      const l1 = { _id: 'l1', name: 'Level 1', folder: 'root' };
-      const folders = [l2, root, l1];
+    it('should not create anything during a dry run', async () => {
+      const createDocuments = vi.spyOn(Actor, 'createDocuments');
 
-      const stats = await ImportService._importFolders(folders, false);
+      const stats = await ImportService._importDocumentsAsIs(Actor, actors(3), true);
 
+      expect(createDocuments).not.toHaveBeenCalled();
       expect(stats.created).toBe(3);
-      expect(Folder.create).toHaveBeenCalledTimes(3);
+    });
 
-      // Verify creation order: root, l1, l2
-      expect(Folder.create.mock.calls[0][0]._id).toBe('root');
-      expect(Folder.create.mock.calls[1][0]._id).toBe('l1');
-      expect(Folder.create.mock.calls[2][0]._id).toBe('l2');
+    it('should pass the batch size through importWorld and report timing per collection', async () => {
+      const createDocuments = vi.spyOn(Item, 'createDocuments');
+      const items = Array.from({ length: 3 }, (_, i) => ({
+        _id: `i${i}`,
+        type: 'skill',
+        name: `Skill ${i}`,
+        system: {}
+      }));
+
+      const result = await ImportService.importWorld(
+        { actors: actors(1), items, journals: [{ name: 'Journal' }] },
+        { skipDetection: true, batchSize: 1 }
+      );
+
+      expect(createDocuments).toHaveBeenCalledTimes(3);
+      expect(result.stats.actors.durationMs).toBeGreaterThanOrEqual(0);
+      expect(result.stats.items.durationMs).toBeGreaterThanOrEqual(0);
+      expect(result.stats.journals.durationMs).toBeGreaterThanOrEqual(0);
     });
 
-    it('should work in dry run mode', async () => {
-      const root = { _id: 'root', name: 'Root', folder: null };
-      const l1 = { _id: 'l1', name: 'Level 1', folder: 'root' };
-      const folders = [root, l1];
+    it('should create folders one depth level at a time', async () => {
+      const createDocuments = vi.spyOn(Folder, 'createDocuments');
+      const folders = [
+        { _id: 'child', name: 'Child', folder: 'root' },
+        { _id: 'root', name: 'Root', folder: null },
+        { _id: 'other', name: 'Other', folder: null }
+      ];
 
-      const stats = await ImportService._importFolders(folders, true);
+      await ImportService._importFolders(folders, false);
 
-      expect(stats.attempted).toBe(2);
-      expect(stats.created).toBe(2);
-      expect(stats.failed).toBe(0);
-      expect(Folder.create).not.toHaveBeenCalled();
+      expect(createDocuments.mock.calls.map(([batch]) => batch.map((f) => f._id))).toEqual([
+        ['root', 'other'],
+        ['child']
+      ]);
     });
   });
 
-  describe('Integration scenarios', () => {
-    it('should handle complete migration pipeline', async () => {
-      const legacyData = {
-        metadata: { worldId: 'legacy-world' },
-        actors: [
-          {
-            type: 'pc',
-            name: 'Samurai',
-            system: {
-              wounds: { heal_rate: 5 },
-              shadow_taint: { rank: 0 },
-              initiative: { roll_mod: 2 }
-            },
-            items: [
-              {
-                type: 'bow',
-                name: 'Yumi',
-                system: { str: 3, size: 'Large' }
-              }
+  describe('document error report', () => {
+    const validationError = () => {
+      const error = new Error('Actor validation errors: system.traits.str: must be a number');
+      error.getFailure = () => ({
+        fields: {
+          system: { fields: { traits: { fields: { str: { message: 'must be a number', invalidValue: 'two' } } } } }
+        }
+      });
+      return error;
+    };
+
+    it('should record each document that failed to create with its validation tree', async () => {
+      vi.spyOn(Actor, 'createDocuments').mockRejectedValue(new Error('Batch rejected'));
+      Actor.create = vi.fn((data) => (data._id === 'a1' ? Promise.reject(validationError()) : Promise.resolve({})));
+
+      const result = await ImportService.importWorld(
+        {
+          actors: [
+            { _id: 'a1', name: 'Hida Kisada', type: 'pc', system: {} },
+            { _id: 'a2', name: 'Hida Yakamo', type: 'pc', system: {} }
+          ]
+        },
+        { skipDetection: true }
+      );
+
+      expect(result.errors).toEqual([
+        {
+          collection: 'actors',
+          id: 'a1',
+          name: 'Hida Kisada',
+          type: 'pc',
+          phase: 'create',
+          message: 'Actor validation errors: system.traits.str: must be a number',
+          validation: {
+            fields: {
+              system: { fields: { traits: { fields: { str: { message: 'must be a number', invalidValue: 'two' } } } } }
+            }
+          }
+        }
+      ]);
+    });
+
+    it('should record transform failures', async () => {
+      vi.spyOn(ImportService, '_transformItem').mockImplementation(() => {
+        throw new Error('Cannot read properties of undefined');
+      });
+      const errors = [];
+
+      const stats = await ImportService.importItems([{ _id: 'i1', name: 'Broken', type: 'weapon' }], true, { errors });
+
+      expect(stats.failed).toBe(1);
+      expect(errors).toEqual([
+        {
+          collection: 'items',
+          id: 'i1',
+          name: 'Broken',
+          type: 'weapon',
+          phase: 'transform',
+          message: 'Cannot read properties of undefined',
+          validation: null
+        }
+      ]);
+    });
+
+    it('should record failures on the as-is path', async () => {
+      vi.spyOn(Actor, 'createDocuments').mockRejectedValue(new Error('Batch rejected'));
+      Actor.create = vi.fn().mockRejectedValue(new Error('Invalid'));
+      const errors = [];
+
+      await ImportService._importDocumentsAsIs(Actor, [{ _id: 'a1', name: 'Broken', type: 'npc' }], false, {
+        collection: 'actors',
+        errors
+      });
+
+      expect(errors).toMatchObject([{ collection: 'actors', id: 'a1', phase: 'create', message: 'Invalid' }]);
+    });
+
+    it('should download the report as JSON or CSV', () => {
+      const errors = [
+        { collection: 'actors', id: 'a1', name: 'Broken', type: 'npc', phase: 'create', message: 'Invalid' }
+      ];
+
+      ImportService.downloadErrorReport(errors, 'csv');
+      ImportService.downloadErrorReport(errors);
+
+      const [csv, json] = globalThis.saveDataToFile.mock.calls;
+      expect(csv[0]).toBe('collection,id,name,type,phase,message,validation\nactors,a1,Broken,npc,create,Invalid,');
+      expect(csv[1]).toBe('text/csv');
+      expect(csv[2]).toMatch(/^l5r4-import-errors-.+\.csv$/);
+      expect(JSON.parse(json[0])).toEqual(errors);
+    });
+  });
+
+  describe('post-import verification', () => {
+    const data = () => ({
+      actors: [
+        {
+          _id: 'a1',
+          name: 'Hida Kisada',
+          type: 'npc',
+          system: { wounds: { value: '3' }, legacy: true },
+          items: [{ _id: 'e1', name: 'Tetsubo', type: 'weapon', system: {} }]
+        },
+        { _id: 'a2', name: 'Hida Yakamo', type: 'npc', system: {} }
+      ]
+    });
+
+    it('should report what Foundry stored differently than the payload', async () => {
+      const stored = new Map();
+      vi.spyOn(Actor, 'createDocuments').mockImplementation(async (docs) => {
+        for (const doc of docs) {
+          const kept = structuredClone(doc);
+          if (kept._id === 'a1') {
+            kept.system = { wounds: { value: 3 } };
+            kept.items = [];
+          }
+          stored.set(kept._id, { toObject: () => kept });
+        }
+        return docs;
+      });
+      game.actors.get.mockImplementation((id) => stored.get(id));
+
+      const result = await ImportService.importWorld(data(), { skipDetection: true });
+
+      expect(result.verification.checked).toBe(2);
+      expect(result.verification.notFound).toEqual([]);
+      expect(result.verification.documents).toHaveLength(1);
+      expect(result.verification.documents[0]).toMatchObject({
+        collection: 'actors',
+        id: 'a1',
+        name: 'Hida Kisada',
+        changed: [{ path: 'system.wounds.value', sent: '3', stored: 3 }],
+        missingEmbedded: [{ path: 'items.e1', collection: 'items', id: 'e1', name: 'Tetsubo' }]
+      });
+      expect(result.verification.documents[0].dropped).toContain('system.legacy');
+    });
+
+    it('should report created documents that are gone', () => {
+      game.actors.get.mockReturnValue(undefined);
+
+      const report = ImportService.verifyImport([{ collection: 'actors', id: 'a1', name: 'Gone', payload: {} }]);
+
+      expect(report).toEqual({
+        checked: 0,
+        notFound: [{ collection: 'actors', id: 'a1', name: 'Gone', action: 'created' }],
+        documents: []
+      });
+    });
+
+    it('should verify overwritten and updated documents too', async () => {
+      const existing = {
+        toObject: () => ({ _id: 'a1', name: 'Hida Kisada', system: { wounds: { value: 3 } } }),
+        update: vi.fn()
+      };
+      game.actors.get.mockImplementation((id) => (id === 'a1' ? existing : undefined));
+      vi.spyOn(Actor, 'createDocuments').mockImplementation(async (docs) => docs);
+      vi.spyOn(Actor, 'deleteDocuments').mockResolvedValue([]);
+      const sent = [];
+
+      await ImportService.importActors([data().actors[0]], false, { conflictPolicy: 'overwrite', sent });
+      await ImportService.importActors([data().actors[0]], false, { conflictPolicy: 'update', sent });
+
+      expect(sent.map((entry) => entry.action)).toEqual(['overwritten', 'updated']);
+      const report = ImportService.verifyImport(sent);
+      expect(report.checked).toBe(2);
+      expect(report.documents.map((d) => d.action)).toEqual(['overwritten', 'updated']);
+      expect(report.documents[0].changed).toContainEqual({ path: 'system.wounds.value', sent: '3', stored: 3 });
+    });
+
+    it('should skip verification for dry runs and when turned off', async () => {
+      const verify = vi.spyOn(ImportService, 'verifyImport');
+
+      const dryRun = await ImportService.importWorld(data(), { skipDetection: true, dryRun: true });
+      const off = await ImportService.importWorld(data(), { skipDetection: true, verify: false });
+
+      expect(verify).not.toHaveBeenCalled();
+      expect(dryRun.verification).toBeUndefined();
+      expect(off.verification).toBeUndefined();
+    });
+  });
+
+  describe('ID conflicts', () => {
+    const actors = () => [
+      { _id: 'a0', type: 'pc', name: 'Hida Kisada', system: {} },
+      { _id: 'a1', type: 'pc', name: 'Doji Satsume', system: {} },
+      { _id: 'a2', type: 'npc', name: 'Bandit', system: {} }
+    ];
+    const existing = { name: 'Old Doji', update: vi.fn() };
+
+    beforeEach(() => {
+      vi.spyOn(game.actors, 'get').mockImplementation((id) => (id === 'a1' ? existing : undefined));
+    });
+
+    it('should list export documents whose ID exists in the world', () => {
+      const conflicts = ImportService.detectConflicts({ actors: actors(), items: [{ _id: 'i0', name: 'Sword' }] });
+
+      expect(conflicts.total).toBe(1);
+      expect(conflicts.collections.actors).toEqual([{ _id: 'a1', name: 'Doji Satsume', existingName: 'Old Doji' }]);
+      expect(conflicts.collections.items).toEqual([]);
+    });
+
+    it('should skip conflicting documents by default', async () => {
+      const createDocuments = vi.spyOn(Actor, 'createDocuments');
+
+      const stats = await ImportService._importDocumentsAsIs(Actor, actors(), false, { collection: 'actors' });
+
+      expect(createDocuments.mock.calls[0][0].map((a) => a._id)).toEqual(['a0', 'a2']);
+      expect(stats.created).toBe(2);
+      expect(stats.failed).toBe(0);
+      expect(stats.conflicts).toEqual({ detected: 1, skipped: 1, overwritten: 0, updated: 0, copied: 0 });
+    });
+
+    it('should delete and recreate conflicting documents with overwrite', async () => {
+      const deleteDocuments = vi.spyOn(Actor, 'deleteDocuments');
+      const createDocuments = vi.spyOn(Actor, 'createDocuments');
+
+      const stats = await ImportService.importActors(actors(), false, { conflictPolicy: 'overwrite' });
+
+      expect(deleteDocuments).toHaveBeenCalledWith(['a1']);
+      expect(createDocuments.mock.calls[0][0].map((a) => a._id)).toEqual(['a0', 'a2', 'a1']);
+      expect(stats.created).toBe(3);
+      expect(stats.conflicts.overwritten).toBe(1);
+    });
+
+    it('should restore the existing document when its overwrite cannot be created', async () => {
+      const snapshot = { _id: 'a1', type: 'pc', name: 'Old Doji', system: {} };
+      existing.toObject = () => snapshot;
+      vi.spyOn(Actor, 'deleteDocuments').mockResolvedValue([]);
+      vi.spyOn(Actor, 'createDocuments').mockRejectedValue(new Error('Batch rejected'));
+      // Only the replacement for a1 is invalid; the restored snapshot is created
+      const create = vi.spyOn(Actor, 'create').mockImplementation(async (docData) => {
+        if (docData._id === 'a1' && docData !== snapshot) {
+          throw new Error('Invalid');
+        }
+        return docData;
+      });
+      const errors = [];
+
+      try {
+        const stats = await ImportService.importActors(actors(), false, { conflictPolicy: 'overwrite', errors });
+
+        expect(create).toHaveBeenLastCalledWith(snapshot, { keepId: true });
+        expect(stats.created).toBe(2);
+        expect(stats.failed).toBe(1);
+        expect(stats.conflicts.overwritten).toBe(0);
+        expect(errors).toEqual([expect.objectContaining({ id: 'a1', phase: 'create', message: 'Invalid' })]);
+      } finally {
+        delete existing.toObject;
+      }
+    });
+
+    it('should update conflicting documents in place with update', async () => {
+      const updateDocuments = vi.spyOn(Actor, 'updateDocuments');
+
+      const stats = await ImportService.importActors(actors(), false, { conflictPolicy: 'update' });
+
+      expect(updateDocuments).toHaveBeenCalledTimes(1);
+      expect(updateDocuments.mock.calls[0][0].map((a) => a._id)).toEqual(['a1']);
+      expect(stats.created).toBe(2);
+      expect(stats.conflicts.updated).toBe(1);
+    });
+
+    it('should fall back to updating documents one by one when an update batch fails', async () => {
+      vi.spyOn(Actor, 'updateDocuments').mockRejectedValue(new Error('Batch rejected'));
+      existing.update.mockRejectedValue(new Error('Invalid'));
+
+      const stats = await ImportService.importActors(actors(), false, { conflictPolicy: 'update' });
+
+      expect(existing.update).toHaveBeenCalledTimes(1);
+      expect(stats.conflicts.updated).toBe(0);
+      expect(stats.failed).toBe(1);
+    });
+
+    it('should leave new IDs for copies to the remap step', async () => {
+      const randomID = vi.spyOn(foundry.utils, 'randomID');
+      const createDocuments = vi.spyOn(Actor, 'createDocuments');
+
+      const stats = await ImportService.importActors(actors(), false, { conflictPolicy: 'copy' });
+
+      expect(randomID).not.toHaveBeenCalled();
+      expect(createDocuments.mock.calls[0][0].map((a) => a._id)).toEqual(['a0', 'a2']);
+      expect(stats.conflicts).toMatchObject({ detected: 1, skipped: 1, copied: 0 });
+    });
+
+    it('should copy conflicting documents through importWorld under their remapped ID', async () => {
+      vi.spyOn(foundry.utils, 'randomID').mockReturnValue('newId');
+      const createDocuments = vi.spyOn(Actor, 'createDocuments');
+
+      const result = await ImportService.importWorld(
+        { actors: actors() },
+        { skipDetection: true, conflictPolicy: 'copy' }
+      );
+
+      const created = createDocuments.mock.calls[0][0];
+      expect(created.map((a) => a._id)).toEqual(['a0', 'newId', 'a2']);
+      expect(created[1].name).toBe('Doji Satsume');
+      expect(result.conflicts).toEqual({ detected: 1, skipped: 0, overwritten: 0, updated: 0, copied: 1 });
+    });
+
+    it('should update existing folders instead of overwriting them', async () => {
+      vi.spyOn(game.folders, 'get').mockImplementation((id) => (id === 'root' ? { name: 'Root' } : undefined));
+      const deleteDocuments = vi.spyOn(Folder, 'deleteDocuments');
+      const updateDocuments = vi.spyOn(Folder, 'updateDocuments');
+
+      const stats = await ImportService._importFolders([{ _id: 'root', name: 'Root', folder: null }], false, {
+        conflictPolicy: 'overwrite'
+      });
+
+      expect(deleteDocuments).not.toHaveBeenCalled();
+      expect(updateDocuments).toHaveBeenCalledTimes(1);
+      expect(stats.conflicts.updated).toBe(1);
+    });
+
+    it('should count conflicts without writing during a dry run', async () => {
+      const deleteDocuments = vi.spyOn(Actor, 'deleteDocuments');
+      const createDocuments = vi.spyOn(Actor, 'createDocuments');
+
+      const stats = await ImportService.importActors(actors(), true, { conflictPolicy: 'overwrite' });
+
+      expect(deleteDocuments).not.toHaveBeenCalled();
+      expect(createDocuments).not.toHaveBeenCalled();
+      expect(stats.created).toBe(3);
+      expect(stats.conflicts.overwritten).toBe(1);
+    });
+
+    it('should summarize conflicts and the policy in the importWorld result', async () => {
+      const result = await ImportService.importWorld({ actors: actors() }, { skipDetection: true });
+
+      expect(result.conflictPolicy).toBe('skip');
+      expect(result.conflicts).toEqual({ detected: 1, skipped: 1, overwritten: 0, updated: 0, copied: 0 });
+    });
+
+    it('should remap copied IDs and their references through importWorld', async () => {
+      vi.spyOn(foundry.utils, 'randomID').mockReturnValue('newId');
+      const createScenes = vi.spyOn(Scene, 'createDocuments');
+      const scenes = [{ _id: 's1', name: 'Wall', tokens: [{ actorId: 'a1', actorLink: true }] }];
+
+      const result = await ImportService.importWorld(
+        { actors: actors(), scenes },
+        { skipDetection: true, conflictPolicy: 'copy' }
+      );
+
+      expect(createScenes.mock.calls[0][0][0].tokens[0].actorId).toBe('newId');
+      expect(result.idRemap.entries).toEqual([
+        {
+          collection: 'actors',
+          documentName: 'Actor',
+          name: 'Doji Satsume',
+          index: 1,
+          oldId: 'a1',
+          newId: 'newId',
+          reason: 'conflict'
+        }
+      ]);
+      expect(result.idRemap.references).toBe(1);
+      expect(result.conflicts).toMatchObject({ detected: 1, copied: 1 });
+    });
+
+    it('should list documents remapped as duplicates in the result', async () => {
+      vi.spyOn(foundry.utils, 'randomID').mockReturnValue('newId');
+      const journals = [
+        { _id: 'j1', name: 'Lore' },
+        { _id: 'j1', name: 'Lore (second)' }
+      ];
+
+      const result = await ImportService.importWorld({ journals }, { skipDetection: true });
+
+      expect(result.idRemap.duplicates).toEqual([
+        expect.objectContaining({ name: 'Lore (second)', reason: 'duplicate' })
+      ]);
+      expect(result.idRemap.entries).toEqual(result.idRemap.duplicates);
+    });
+
+    it('should reject an unknown conflict policy', async () => {
+      await expect(ImportService.importWorld({ actors: actors() }, { conflictPolicy: 'merge' })).rejects.toThrow(
+        "Unknown conflict policy 'merge'"
+      );
+    });
+  });
+
+  describe('rollback', () => {
+    const data = () => ({
+      folders: [{ _id: 'f1', name: 'NPCs', folder: null }],
+      actors: [
+        { _id: 'a1', type: 'npc', name: 'Bandit', folder: 'f1', system: {} },
+        { _id: 'a2', type: 'npc', name: 'Ronin', folder: 'f1', system: {} }
+      ],
+      scenes: [{ _id: 's1', name: 'Road' }]
+    });
+
+    it('should record every document the run created', async () => {
+      const result = await ImportService.importWorld(data(), { skipDetection: true });
+
+      expect(result.created).toEqual([
+        { collection: 'folders', id: 'f1', name: 'NPCs' },
+        { collection: 'actors', id: 'a1', name: 'Bandit' },
+        { collection: 'actors', id: 'a2', name: 'Ronin' },
+        { collection: 'scenes', id: 's1', name: 'Road' }
+      ]);
+    });
+
+    it('should not record skipped, overwritten or dry-run documents', async () => {
+      vi.spyOn(game.actors, 'get').mockImplementation((id) => (id === 'a1' ? { name: 'Bandit' } : undefined));
+
+      const overwrite = await ImportService.importWorld(data(), { skipDetection: true, conflictPolicy: 'overwrite' });
+      const skip = await ImportService.importWorld(data(), { skipDetection: true });
+      const dryRun = await ImportService.importWorld(data(), { skipDetection: true, dryRun: true });
+
+      expect(overwrite.created.map((c) => c.id)).toEqual(['f1', 'a2', 's1']);
+      expect(skip.created.map((c) => c.id)).toEqual(['f1', 'a2', 's1']);
+      expect(dryRun.created).toEqual([]);
+    });
+
+    it('should delete created documents in reverse creation order', async () => {
+      const { created } = await ImportService.importWorld(data(), { skipDetection: true });
+      for (const collection of [game.folders, game.actors, game.scenes]) {
+        vi.spyOn(collection, 'get').mockReturnValue({});
+      }
+      const deleteFolders = vi.spyOn(Folder, 'deleteDocuments');
+      const deleteActors = vi.spyOn(Actor, 'deleteDocuments');
+      const deleteScenes = vi.spyOn(Scene, 'deleteDocuments');
+
+      const stats = await ImportService.rollbackImport(created);
+
+      expect(deleteScenes).toHaveBeenCalledWith(['s1']);
+      expect(deleteActors).toHaveBeenCalledWith(['a2', 'a1']);
+      expect(deleteFolders).toHaveBeenCalledWith(['f1']);
+      expect(deleteScenes.mock.invocationCallOrder[0]).toBeLessThan(deleteActors.mock.invocationCallOrder[0]);
+      expect(deleteActors.mock.invocationCallOrder[0]).toBeLessThan(deleteFolders.mock.invocationCallOrder[0]);
+      expect(stats).toEqual({ attempted: 4, deleted: 4, missing: 0, failed: 0 });
+    });
+
+    it('should count documents that no longer exist as missing', async () => {
+      vi.spyOn(game.actors, 'get').mockImplementation((id) => (id === 'a1' ? {} : undefined));
+      const deleteActors = vi.spyOn(Actor, 'deleteDocuments');
+
+      const stats = await ImportService.rollbackImport([
+        { collection: 'actors', id: 'a1', name: 'Bandit' },
+        { collection: 'actors', id: 'a2', name: 'Ronin' }
+      ]);
+
+      expect(deleteActors).toHaveBeenCalledWith(['a1']);
+      expect(stats).toEqual({ attempted: 2, deleted: 1, missing: 1, failed: 0 });
+    });
+
+    it('should delete created packs and contents added to existing packs', async () => {
+      const createdPack = { deleteCompendium: vi.fn() };
+      const existingPack = {
+        folders: new Map([['pf1', {}]]),
+        index: new Map([['pi1', {}]]),
+        documentClass: { deleteDocuments: vi.fn() }
+      };
+      game.packs = new Map([
+        ['world.new', createdPack],
+        ['world.old', existingPack]
+      ]);
+      const deleteFolders = vi.spyOn(Folder, 'deleteDocuments');
+
+      const stats = await ImportService.rollbackImport([
+        { collection: 'packs', id: 'world.new', name: 'New' },
+        { collection: 'packContents', pack: 'world.old', documentName: 'Folder', id: 'pf1', name: 'Crab' },
+        { collection: 'packContents', pack: 'world.old', documentName: 'Item', id: 'pi1', name: 'Katana' },
+        { collection: 'packContents', pack: 'world.old', documentName: 'Item', id: 'gone', name: 'Gone' }
+      ]);
+
+      expect(createdPack.deleteCompendium).toHaveBeenCalled();
+      expect(existingPack.documentClass.deleteDocuments).toHaveBeenCalledWith(['pi1'], { pack: 'world.old' });
+      expect(deleteFolders).toHaveBeenCalledWith(['pf1'], { pack: 'world.old' });
+      expect(stats).toEqual({ attempted: 4, deleted: 3, missing: 1, failed: 0 });
+      delete game.packs;
+    });
+
+    it('should roll back automatically when the import fails with a fatal error', async () => {
+      vi.spyOn(ImportService, '_importScenes').mockRejectedValue(new Error('Scene import crashed'));
+      // Documents exist in the world once created
+      const world = new Set();
+      for (const [DocumentClass, collection] of [
+        [Actor, game.actors],
+        [Folder, game.folders]
+      ]) {
+        DocumentClass.create = vi.fn(async (docData) => world.add(docData._id) && docData);
+        vi.spyOn(collection, 'get').mockImplementation((id) => (world.has(id) ? {} : undefined));
+      }
+      const deleteActors = vi.spyOn(Actor, 'deleteDocuments');
+
+      const error = await ImportService.importWorld(data(), { skipDetection: true }).catch((e) => e);
+
+      expect(error.message).toBe('Scene import crashed');
+      expect(deleteActors).toHaveBeenCalledWith(['a2', 'a1']);
+      expect(error.rollback).toEqual({ attempted: 3, deleted: 3, missing: 0, failed: 0 });
+    });
+
+    it('should leave created documents in place when rollbackOnError is off', async () => {
+      vi.spyOn(ImportService, '_importScenes').mockRejectedValue(new Error('Scene import crashed'));
+      const deleteActors = vi.spyOn(Actor, 'deleteDocuments');
+
+      const error = await ImportService.importWorld(data(), { skipDetection: true, rollbackOnError: false }).catch(
+        (e) => e
+      );
+
+      expect(deleteActors).not.toHaveBeenCalled();
+      expect(error.rollback).toBeUndefined();
+    });
+  });
+
+  describe('resumable imports', () => {
+    let stored;
+
+    beforeEach(() => {
+      stored = null;
+      vi.spyOn(game.settings, 'get').mockImplementation(() => stored);
+      vi.spyOn(game.settings, 'set').mockImplementation(async (ns, key, value) => {
+        stored = value === null ? null : JSON.parse(JSON.stringify(value));
+      });
+    });
+
+    const data = () => ({
+      actors: [
+        { _id: 'a1', type: 'npc', name: 'Bandit', system: {} },
+        { _id: 'a2', type: 'npc', name: 'Ronin', system: {} },
+        { _id: 'a3', type: 'npc', name: 'Ninja', system: {} }
+      ],
+      journals: [{ _id: 'j1', name: 'Notes' }]
+    });
+
+    it('should save progress after each batch and clear the checkpoint when done', async () => {
+      const saved = [];
+      game.settings.set.mockImplementation(async (ns, key, value) => {
+        saved.push(value && JSON.parse(JSON.stringify(value)));
+      });
+
+      await ImportService.importWorld(data(), { skipDetection: true, batchSize: 2 });
+
+      const progress = saved.filter(Boolean).map((c) => c.collections.actors?.processed ?? 0);
+      expect(progress).toEqual([0, 2, 3, 3]);
+      expect(saved.at(-1)).toBeNull();
+    });
+
+    it('should keep the checkpoint when the import is interrupted', async () => {
+      vi.spyOn(ImportService, '_importJournals').mockRejectedValue(new Error('Connection lost'));
+
+      await expect(
+        ImportService.importWorld(data(), { skipDetection: true, rollbackOnError: false, conflictPolicy: 'update' })
+      ).rejects.toThrow('Connection lost');
+
+      expect(stored).toMatchObject({
+        status: 'in-progress',
+        phase: 'actors',
+        options: { conflictPolicy: 'update' },
+        collections: { actors: { processed: 3, lastId: 'a3' } }
+      });
+    });
+
+    it('should roll back and clear the checkpoint when a later phase fails', async () => {
+      vi.spyOn(CompendiumService, 'importPacks').mockRejectedValue(new Error('Pack import crashed'));
+      const world = new Set();
+      Actor.create = vi.fn(async (docData) => world.add(docData._id) && docData);
+      vi.spyOn(Actor, 'createDocuments').mockRejectedValue(new Error('Batch rejected'));
+      vi.spyOn(game.actors, 'get').mockImplementation((id) => (world.has(id) ? {} : undefined));
+      const deleteActors = vi.spyOn(Actor, 'deleteDocuments');
+
+      const error = await ImportService.importWorld(
+        { ...data(), packs: [{ metadata: { name: 'armory', type: 'Item' }, documents: [] }] },
+        { skipDetection: true }
+      ).catch((e) => e);
+
+      expect(error.message).toBe('Pack import crashed');
+      expect(deleteActors).toHaveBeenCalledWith(['a3', 'a2', 'a1']);
+      expect(stored).toBeNull();
+    });
+
+    it('should keep the checkpoint when a later phase fails without rollback', async () => {
+      vi.spyOn(ImportService, '_importUserFlags').mockRejectedValue(new Error('User update failed'));
+
+      await expect(
+        ImportService.importWorld(
+          { ...data(), users: [{ _id: 'u1', name: 'GM' }] },
+          { skipDetection: true, rollbackOnError: false }
+        )
+      ).rejects.toThrow('User update failed');
+
+      expect(stored).toMatchObject({ status: 'in-progress', phase: 'users' });
+    });
+
+    it('should clear the checkpoint when verification fails after a rollback', async () => {
+      vi.spyOn(ImportService, 'verifyImport').mockImplementation(() => {
+        throw new Error('Verification crashed');
+      });
+
+      await expect(ImportService.importWorld(data(), { skipDetection: true })).rejects.toThrow('Verification crashed');
+
+      expect(stored).toBeNull();
+    });
+
+    it('should skip handled documents and reuse the stored options when resuming', async () => {
+      stored = {
+        version: 1,
+        exportHash: CheckpointService.hashExport(data()),
+        status: 'in-progress',
+        phase: 'actors',
+        startedAt: 1,
+        options: { skipDetection: true, batchSize: 2 },
+        collections: { actors: { processed: 2, lastId: 'a2' } },
+        idRemap: []
+      };
+      const checkpoint = CheckpointService.findResumable(data());
+      const createActors = vi.spyOn(Actor, 'createDocuments');
+
+      const result = await ImportService.importWorld(data(), { resume: checkpoint });
+
+      expect(createActors.mock.calls.flatMap(([batch]) => batch.map((a) => a._id))).toEqual(['a3']);
+      expect(result.stats.actors).toMatchObject({ attempted: 3, created: 1, resumed: 2 });
+      expect(result.stats.journals.created).toBe(1);
+      expect(result.resumed).toBe(true);
+      expect(stored).toBeNull();
+    });
+
+    it('should reject a checkpoint from a different export', async () => {
+      const checkpoint = { exportHash: 'deadbeef', options: {}, collections: {} };
+
+      await expect(ImportService.importWorld(data(), { resume: checkpoint })).rejects.toThrow(
+        'Import checkpoint does not match this export data.'
+      );
+    });
+
+    it('should not write a checkpoint during a dry run', async () => {
+      await ImportService.importWorld(data(), { skipDetection: true, dryRun: true });
+
+      expect(game.settings.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sync', () => {
+    let settings;
+    let world;
+
+    beforeEach(() => {
+      settings = new Map();
+      vi.spyOn(game.settings, 'get').mockImplementation((ns, key) => settings.get(key));
+      vi.spyOn(game.settings, 'set').mockImplementation(async (ns, key, value) => {
+        settings.set(key, value === null ? null : JSON.parse(JSON.stringify(value)));
+      });
+
+      world = new Map();
+      vi.spyOn(game.journal, 'get').mockImplementation((id) => world.get(id));
+      vi.spyOn(JournalEntry, 'createDocuments').mockImplementation(async (docs) => {
+        docs.forEach((d) => world.set(d._id, { ...d, id: d._id }));
+        return docs.map((d) => ({ id: d._id }));
+      });
+    });
+
+    const exportData = (journals) => ({ metadata: { worldId: 'source-world' }, journals });
+
+    it('should update only the changed fields of existing documents', async () => {
+      world.set('j1', { id: 'j1', name: 'Lore', flags: { core: { sheet: 'a' } }, pages: [{ name: 'One' }] });
+      world.set('j2', { id: 'j2', name: 'Notes', pages: [] });
+      const updateDocuments = vi.spyOn(JournalEntry, 'updateDocuments').mockResolvedValue([]);
+
+      const result = await ImportService.syncWorld(
+        exportData([
+          { _id: 'j1', name: 'Lore', flags: { core: { sheet: 'b' } }, pages: [{ name: 'One' }] },
+          { _id: 'j2', name: 'Notes', pages: [] },
+          { _id: 'j3', name: 'New', pages: [] }
+        ]),
+        { skipDetection: true }
+      );
+
+      expect(updateDocuments).toHaveBeenCalledWith([{ _id: 'j1', flags: { core: { sheet: 'b' } } }]);
+      expect(result.changelog).toEqual([
+        { collection: 'journals', id: 'j3', name: 'New', action: 'created' },
+        { collection: 'journals', id: 'j2', name: 'Notes', action: 'unchanged' },
+        { collection: 'journals', id: 'j1', name: 'Lore', action: 'updated', changes: ['flags.core.sheet'] }
+      ]);
+      expect(result.sync).toEqual({ created: 1, updated: 1, unchanged: 1, deleted: 0, failed: 0 });
+      expect(result.conflictPolicy).toBe('sync');
+    });
+
+    it('should log failed updates with the error', async () => {
+      world.set('j1', { id: 'j1', name: 'Lore', update: vi.fn().mockRejectedValue(new Error('Locked')) });
+      vi.spyOn(JournalEntry, 'updateDocuments').mockRejectedValue(new Error('Batch failed'));
+
+      const result = await ImportService.syncWorld(exportData([{ _id: 'j1', name: 'Lore (revised)' }]), {
+        skipDetection: true
+      });
+
+      expect(result.changelog).toEqual([
+        { collection: 'journals', id: 'j1', name: 'Lore (revised)', action: 'failed', error: 'Locked' }
+      ]);
+      expect(result.sync.failed).toBe(1);
+    });
+
+    it('should delete documents removed at the source since the last sync when asked', async () => {
+      await ImportService.syncWorld(
+        exportData([
+          { _id: 'j1', name: 'Lore' },
+          { _id: 'j2', name: 'Notes' }
+        ]),
+        { skipDetection: true }
+      );
+      world.set('local', { id: 'local', name: 'Created here' });
+      const deleteDocuments = vi.spyOn(JournalEntry, 'deleteDocuments').mockResolvedValue([]);
+
+      const result = await ImportService.syncWorld(exportData([{ _id: 'j1', name: 'Lore' }]), {
+        skipDetection: true,
+        deleteRemoved: true
+      });
+
+      expect(deleteDocuments).toHaveBeenCalledWith(['j2']);
+      expect(result.changelog).toContainEqual({ collection: 'journals', id: 'j2', name: 'Notes', action: 'deleted' });
+      expect(settings.get('syncState')['source-world'].collections.journals).toEqual(['j1']);
+    });
+
+    it('should keep removed documents unless deleteRemoved is set', async () => {
+      await ImportService.syncWorld(exportData([{ _id: 'j1', name: 'Lore' }]), { skipDetection: true });
+      const deleteDocuments = vi.spyOn(JournalEntry, 'deleteDocuments');
+
+      const result = await ImportService.syncWorld(exportData([]), { skipDetection: true });
+
+      expect(deleteDocuments).not.toHaveBeenCalled();
+      expect(result.sync.deleted).toBe(0);
+    });
+
+    it('should not delete from collections the sync skipped', async () => {
+      await ImportService.syncWorld(exportData([{ _id: 'j1', name: 'Lore' }]), { skipDetection: true });
+      const deleteDocuments = vi.spyOn(JournalEntry, 'deleteDocuments');
+
+      await ImportService.syncWorld(exportData([]), { skipDetection: true, skipJournals: true, deleteRemoved: true });
+
+      expect(deleteDocuments).not.toHaveBeenCalled();
+      expect(settings.get('syncState')['source-world'].collections.journals).toEqual(['j1']);
+    });
+
+    it('should keep bio item links stable across syncs', async () => {
+      const actors = new Map();
+      const items = new Map();
+      const store = (target) => async (docs) => {
+        docs.forEach((d) => target.set(d._id, { ...foundry.utils.duplicate(d), id: d._id }));
+        return docs.map((d) => ({ id: d._id }));
+      };
+      vi.spyOn(game.actors, 'get').mockImplementation((id) => actors.get(id));
+      vi.spyOn(game.items, 'get').mockImplementation((id) => items.get(id));
+      vi.spyOn(Actor, 'createDocuments').mockImplementation(store(actors));
+      vi.spyOn(Item, 'createDocuments').mockImplementation(store(items));
+      const updateActors = vi.spyOn(Actor, 'updateDocuments').mockResolvedValue([]);
+      const data = {
+        metadata: { worldId: 'source-world' },
+        actors: [{ _id: 'a1', name: 'Hida Kisada', type: 'pc', system: { clan: 'Crab' }, items: [] }],
+        items: []
+      };
+
+      await ImportService.syncWorld(data, { skipDetection: true, createBioItems: true });
+      // World items as toObject() gives them (no `id`)
+      game.items.contents = [...items.values()].map(({ id: _id, ...item }) => item);
+      try {
+        const result = await ImportService.syncWorld(data, { skipDetection: true, createBioItems: true });
+
+        const stored = actors.get('a1');
+        expect(stored.flags['l5r4-enhanced'].clanItemUuid).toBe(`Actor.a1.Item.${stored.items[0]._id}`);
+        expect(updateActors).not.toHaveBeenCalled();
+        expect(result.changelog).toContainEqual({
+          collection: 'actors',
+          id: 'a1',
+          name: 'Hida Kisada',
+          action: 'unchanged'
+        });
+        expect(result.sync).toMatchObject({ created: 0, updated: 0 });
+      } finally {
+        game.items.contents = [];
+      }
+    });
+
+    it('should keep deleteRemoved in the checkpoint and apply it when resuming', async () => {
+      await ImportService.syncWorld(
+        exportData([
+          { _id: 'j1', name: 'Lore' },
+          { _id: 'j2', name: 'Notes' }
+        ]),
+        { skipDetection: true }
+      );
+      const data = exportData([{ _id: 'j1', name: 'Lore' }]);
+      const checkpoint = {
+        version: 1,
+        exportHash: CheckpointService.hashExport(data),
+        status: 'in-progress',
+        phase: 'journals',
+        startedAt: 1,
+        options: { skipDetection: true, conflictPolicy: 'sync', deleteRemoved: true },
+        collections: {},
+        idRemap: []
+      };
+      const start = vi.spyOn(CheckpointService, 'start');
+      const deleteDocuments = vi.spyOn(JournalEntry, 'deleteDocuments').mockResolvedValue([]);
+
+      await ImportService.syncWorld(data, { resume: checkpoint });
+
+      expect(start.mock.calls[0][1]).toMatchObject({ conflictPolicy: 'sync', deleteRemoved: true });
+      expect(deleteDocuments).toHaveBeenCalledWith(['j2']);
+    });
+
+    it('should only report changes on a dry run', async () => {
+      world.set('j1', { id: 'j1', name: 'Lore' });
+      const updateDocuments = vi.spyOn(JournalEntry, 'updateDocuments');
+
+      const result = await ImportService.syncWorld(exportData([{ _id: 'j1', name: 'Lore (revised)' }]), {
+        skipDetection: true,
+        dryRun: true
+      });
+
+      expect(updateDocuments).not.toHaveBeenCalled();
+      expect(result.changelog).toEqual([
+        { collection: 'journals', id: 'j1', name: 'Lore (revised)', action: 'updated', changes: ['name'] }
+      ]);
+      expect(settings.has('syncState')).toBe(false);
+    });
+  });
+
+  describe('macros', () => {
+    const macro = (overrides = {}) => ({
+      _id: 'm1',
+      name: 'Roll Stance',
+      type: 'script',
+      author: 'srcGM',
+      folder: 'f1',
+      ownership: { default: 0, srcGM: 3, srcPlayer: 2, gone: 1 },
+      command: 'return actor.system.armor_tn;',
+      ...overrides
+    });
+
+    beforeEach(() => {
+      const users = [
+        { id: 'gm', name: 'Gamemaster' },
+        { id: 'player', name: 'Player' }
+      ];
+      game.users = {
+        get: vi.fn((id) => users.find((u) => u.id === id)),
+        getName: vi.fn((name) => users.find((u) => u.name === name))
+      };
+    });
+
+    afterEach(() => {
+      game.users = [];
+    });
+
+    it('should map author and ownership to matching users of this world', async () => {
+      const createDocuments = vi.spyOn(globalThis.Macro, 'createDocuments');
+      const users = [
+        { _id: 'srcGM', name: 'Gamemaster' },
+        { _id: 'srcPlayer', name: 'Player' }
+      ];
+
+      await ImportService._importMacros([macro()], false, { users });
+
+      expect(createDocuments.mock.calls[0][0][0]).toMatchObject({
+        author: 'gm',
+        folder: 'f1',
+        ownership: { default: 0, gm: 3, player: 2 }
+      });
+    });
+
+    it('should make the importing user the author when no user matches', async () => {
+      const createDocuments = vi.spyOn(globalThis.Macro, 'createDocuments');
+
+      await ImportService._importMacros([macro()], false);
+
+      expect(createDocuments.mock.calls[0][0][0]).toMatchObject({ author: 'testuser', ownership: { default: 0 } });
+    });
+
+    it('should rewrite legacy fields in script macros and collect warnings', async () => {
+      const createDocuments = vi.spyOn(globalThis.Macro, 'createDocuments');
+      const macros = [
+        macro(),
+        macro({ _id: 'm2', name: 'Config', command: 'CONFIG.l5r4.stances' }),
+        macro({ _id: 'm3', name: 'Chat', type: 'chat', command: '/r 1d10 game.l5r4' })
+      ];
+
+      const stats = await ImportService._importMacros(macros, false);
+
+      expect(createDocuments.mock.calls[0][0].map((m) => m.command)).toEqual([
+        'return actor.system.armorTn;',
+        'CONFIG.l5r4.stances',
+        '/r 1d10 game.l5r4'
+      ]);
+      expect(stats).toMatchObject({ attempted: 3, created: 3, failed: 0, rewritten: 1 });
+      expect(stats.warnings).toEqual([
+        {
+          id: 'm2',
+          name: 'Config',
+          line: 1,
+          match: 'CONFIG.l5r4',
+          message: 'Uses the legacy system config (CONFIG.l5r4)'
+        }
+      ]);
+    });
+
+    it('should import macros in a world import unless skipped', async () => {
+      const data = { actors: [], macros: [macro({ command: 'game.l5r4.roll()' })] };
+
+      const result = await ImportService.importWorld(data, { skipDetection: true });
+      const skipped = await ImportService.importWorld(data, { skipDetection: true, skipMacros: true });
+
+      expect(result.stats.macros.created).toBe(1);
+      expect(result.macroWarnings).toHaveLength(1);
+      expect(skipped.stats.macros.attempted).toBe(0);
+    });
+  });
+
+  describe('playlists, cards and combats', () => {
+    const data = () => ({
+      actors: [],
+      playlists: [{ _id: 'p1', name: 'Battle Drums', folder: 'f1' }],
+      cards: [{ _id: 'c1', name: 'Fortune Deck' }],
+      combats: [{ _id: 'cb1', scene: 's1', combatants: [{ actorId: 'a1' }] }]
+    });
+
+    it('should import them as-is on both import paths', async () => {
+      const createPlaylists = vi.spyOn(globalThis.Playlist, 'createDocuments');
+      const createCombats = vi.spyOn(globalThis.Combat, 'createDocuments');
+
+      const transformed = await ImportService.importWorld(data(), { skipDetection: true });
+      const asIs = await ImportService._importAsIs(data(), {});
+
+      for (const result of [transformed, asIs]) {
+        expect(result.stats.playlists).toMatchObject({ attempted: 1, created: 1, failed: 0 });
+        expect(result.stats.cards).toMatchObject({ attempted: 1, created: 1, failed: 0 });
+        expect(result.stats.combats).toMatchObject({ attempted: 1, created: 1, failed: 0 });
+      }
+      expect(createPlaylists.mock.calls[0][0]).toEqual([{ _id: 'p1', name: 'Battle Drums', folder: 'f1' }]);
+      expect(createCombats.mock.calls[0][0][0].combatants).toEqual([{ actorId: 'a1' }]);
+      expect(transformed.created.map((c) => c.collection)).toEqual(['playlists', 'cards', 'combats']);
+    });
+
+    it('should skip each collection on request', async () => {
+      const result = await ImportService.importWorld(data(), {
+        skipDetection: true,
+        skipPlaylists: true,
+        skipCards: true,
+        skipCombats: true
+      });
+
+      expect(result.stats.playlists.attempted).toBe(0);
+      expect(result.stats.cards.attempted).toBe(0);
+      expect(result.stats.combats.attempted).toBe(0);
+    });
+
+    it('should check their IDs for conflicts', () => {
+      vi.spyOn(game.playlists, 'get').mockImplementation((id) => (id === 'p1' ? { name: 'Old Drums' } : undefined));
+
+      const conflicts = ImportService.detectConflicts(data());
+
+      expect(conflicts.collections.playlists).toEqual([{ _id: 'p1', name: 'Battle Drums', existingName: 'Old Drums' }]);
+    });
+  });
+
+  describe('compendium packs', () => {
+    const packs = () => [
+      {
+        metadata: { name: 'armory', label: 'Armory', type: 'Item' },
+        folders: [],
+        documents: [{ _id: 'b1', name: 'Yumi', type: 'bow', system: {}, flags: { l5r4: { xpManual: true } } }]
+      }
+    ];
+
+    it('should transform Actor and Item pack documents on the with-transform path', async () => {
+      const importPacks = vi.spyOn(CompendiumService, 'importPacks').mockResolvedValue({ attempted: 1, created: 1 });
+
+      const result = await ImportService.importWorld({ actors: [], packs: packs() }, { skipDetection: true });
+
+      const [passed, options] = importPacks.mock.calls[0];
+      expect(passed[0].documents[0].flags).toEqual({ 'l5r4-enhanced': { xpManual: true } });
+      expect(options.transform('Item', passed[0].documents[0])).toMatchObject({
+        type: 'weapon',
+        system: { isBow: true }
+      });
+      expect(options.transform('JournalEntry', { name: 'Lore' })).toEqual({ name: 'Lore' });
+      expect(result.stats.packs).toEqual({ attempted: 1, created: 1 });
+    });
+
+    it('should skip packs on request', async () => {
+      const importPacks = vi.spyOn(CompendiumService, 'importPacks');
+
+      await ImportService.importWorld({ actors: [], packs: packs() }, { skipDetection: true, skipPacks: true });
+
+      expect(importPacks).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('system references', () => {
+    const skillsPack = () => ({
+      documentName: 'Item',
+      index: new Map([
+        ['aaaaaaaaaaaaaaaa', { _id: 'aaaaaaaaaaaaaaaa', name: 'Kenjutsu' }],
+        ['ffffffffffffffff', { _id: 'ffffffffffffffff', name: 'Jiujutsu' }]
+      ])
+    });
+
+    beforeEach(() => {
+      const packs = new Map([['l5r4-enhanced.skills', skillsPack()]]);
+      game.packs = { get: (id) => packs.get(id) };
+    });
+
+    afterEach(() => {
+      delete game.packs;
+    });
+
+    it('should rewrite links and asset paths in document text during import', async () => {
+      const createDocuments = vi.spyOn(JournalEntry, 'createDocuments').mockImplementation(async (docs) => docs);
+      const data = {
+        actors: [],
+        journals: [
+          {
+            _id: 'j1',
+            name: 'Lore',
+            pages: [
+              {
+                _id: 'p1',
+                text: {
+                  content:
+                    '@Compendium[l5r4.skills.Jiujutsu]{Jiujutsu} <img src="systems/l5r4/assets/icons/helm.png"> @UUID[Compendium.l5r4.spells.Item.dddddddddddddddd]'
+                }
+              }
+            ]
+          }
+        ]
+      };
+
+      const result = await ImportService.importWorld(data, { skipDetection: true });
+
+      expect(createDocuments.mock.calls[0][0][0].pages[0].text.content).toBe(
+        '@UUID[Compendium.l5r4-enhanced.skills.Item.ffffffffffffffff]{Jiujutsu} <img src="systems/l5r4-enhanced/assets/icons/pc.webp"> @UUID[Compendium.l5r4.spells.Item.dddddddddddddddd]'
+      );
+      expect(result.systemReferences.rewritten).toBe(2);
+      expect(result.systemReferences.unresolved).toEqual([
+        {
+          collection: 'journals',
+          id: 'j1',
+          name: 'Lore',
+          reference: '@UUID[Compendium.l5r4.spells.Item.dddddddddddddddd]',
+          reason: 'Compendium l5r4-enhanced.spells not found'
+        }
+      ]);
+    });
+
+    describe('_resolveCompendiumLink', () => {
+      it('should match documents by ID, then by name or label', () => {
+        expect(ImportService._resolveCompendiumLink({ pack: 'skills', type: 'Item', id: 'aaaaaaaaaaaaaaaa' })).toEqual({
+          uuid: 'Compendium.l5r4-enhanced.skills.Item.aaaaaaaaaaaaaaaa'
+        });
+        expect(ImportService._resolveCompendiumLink({ pack: 'skills', type: null, id: 'Jiujutsu' })).toEqual({
+          uuid: 'Compendium.l5r4-enhanced.skills.Item.ffffffffffffffff'
+        });
+        expect(
+          ImportService._resolveCompendiumLink({
+            pack: 'skills',
+            type: 'Item',
+            id: 'zzzzzzzzzzzzzzzz',
+            label: 'Kenjutsu'
+          })
+        ).toEqual({ uuid: 'Compendium.l5r4-enhanced.skills.Item.aaaaaaaaaaaaaaaa' });
+      });
+
+      it('should use the pack map', () => {
+        const link = { pack: 'techniques', type: 'Item', id: 'aaaaaaaaaaaaaaaa' };
+
+        expect(ImportService._resolveCompendiumLink(link, { 'l5r4.techniques': 'l5r4-enhanced.skills' })).toEqual({
+          uuid: 'Compendium.l5r4-enhanced.skills.Item.aaaaaaaaaaaaaaaa'
+        });
+      });
+
+      it('should explain links it cannot resolve', () => {
+        expect(ImportService._resolveCompendiumLink({ pack: 'skills', type: 'Actor', id: 'aaaaaaaaaaaaaaaa' })).toEqual(
+          {
+            reason: 'Compendium l5r4-enhanced.skills holds Item documents, not Actor'
+          }
+        );
+        expect(
+          ImportService._resolveCompendiumLink({
+            pack: 'skills',
+            type: 'Item',
+            id: 'zzzzzzzzzzzzzzzz',
+            label: 'Iaijutsu'
+          })
+        ).toEqual({ reason: 'No document "Iaijutsu" in l5r4-enhanced.skills' });
+      });
+    });
+  });
+
+  describe('_importFolders', () => {
+    it('should import folders up to four levels deep', async () => {
+      const root = { _id: 'root', name: 'Root', folder: null };
+      const l1 = { _id: 'l1', name: 'Level 1', folder: 'root' };
+      const l2 = { _id: 'l2', name: 'Level 2', folder: 'l1' };
+      const l3 = { _id: 'l3', name: 'Level 3', folder: 'l2' };
+      const folders = [root, l1, l2, l3];
+
+      const stats = await ImportService._importFolders(folders, false);
+
+      expect(stats.attempted).toBe(4);
+      expect(stats.created).toBe(4);
+      expect(stats.failed).toBe(0);
+      expect(stats.skipped).toBe(0);
+      expect(Folder.create).toHaveBeenCalledTimes(4);
+    });
+
+    it('should skip folders nested deeper than four levels', async () => {
+      const root = { _id: 'root', name: 'Root', folder: null, type: 'Actor' };
+      const l1 = { _id: 'l1', name: 'Level 1', folder: 'root', type: 'Actor' };
+      const l2 = { _id: 'l2', name: 'Level 2', folder: 'l1', type: 'Actor' };
+      const l3 = { _id: 'l3', name: 'Level 3', folder: 'l2', type: 'Actor' };
+      const l4 = { _id: 'l4', name: 'Level 4 - Too Deep', folder: 'l3', type: 'Actor' };
+      const folders = [root, l1, l2, l3, l4];
+
+      const stats = await ImportService._importFolders(folders, false);
+
+      expect(stats.attempted).toBe(5);
+      expect(stats.created).toBe(4);
+      expect(stats.failed).toBe(1);
+      expect(stats.skipped).toBe(1);
+      expect(Folder.create).toHaveBeenCalledTimes(4);
+    });
+
+    it('should handle folders sorted by depth correctly', async () => {
+      // Provide folders in reverse order to test sorting
+      const l2 = { _id: 'l2', name: 'Level 2', folder: 'l1' };
+      const root = { _id: 'root', name: 'Root', folder: null };
+      const l1 = { _id: 'l1', name: 'Level 1', folder: 'root' };
+      const folders = [l2, root, l1];
+
+      const stats = await ImportService._importFolders(folders, false);
+
+      expect(stats.created).toBe(3);
+      expect(Folder.create).toHaveBeenCalledTimes(3);
+
+      // Verify creation order: root, l1, l2
+      expect(Folder.create.mock.calls[0][0]._id).toBe('root');
+      expect(Folder.create.mock.calls[1][0]._id).toBe('l1');
+      expect(Folder.create.mock.calls[2][0]._id).toBe('l2');
+    });
+
+    it('should work in dry run mode', async () => {
+      const root = { _id: 'root', name: 'Root', folder: null };
+      const l1 = { _id: 'l1', name: 'Level 1', folder: 'root' };
+      const folders = [root, l1];
+
+      const stats = await ImportService._importFolders(folders, true);
+
+      expect(stats.attempted).toBe(2);
+      expect(stats.created).toBe(2);
+      expect(stats.failed).toBe(0);
+      expect(Folder.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('import filter', () => {
+    const data = () => ({
+      folders: [
+        { _id: 'f1', name: 'Scorpion Campaign', type: 'Actor', folder: null },
+        { _id: 'f2', name: 'Crab Campaign', type: 'Actor', folder: null }
+      ],
+      actors: [
+        { _id: 'a1', name: 'Bayushi Kachiko', type: 'npc', folder: 'f1', system: {} },
+        { _id: 'a2', name: 'Hida Kisada', type: 'pc', folder: 'f2', system: {} }
+      ],
+      items: [{ _id: 'i1', name: 'Katana', type: 'weapon', system: {} }]
+    });
+
+    it('should import only the selected documents and their folders', async () => {
+      const createActors = vi.spyOn(Actor, 'createDocuments').mockImplementation(async (docs) => docs);
+      const createFolders = vi.spyOn(Folder, 'createDocuments').mockImplementation(async (docs) => docs);
+
+      const result = await ImportService.importWorld(data(), {
+        skipDetection: true,
+        filter: { folders: ['Scorpion Campaign'] }
+      });
+
+      expect(createActors.mock.calls[0][0].map((a) => a._id)).toEqual(['a1']);
+      expect(createFolders.mock.calls[0][0].map((f) => f._id)).toEqual(['f1']);
+      expect(result.stats.items.attempted).toBe(0);
+      expect(result.filter).toEqual({
+        actors: { kept: 1, dropped: 1 },
+        items: { kept: 0, dropped: 1 },
+        folders: { kept: 1, dropped: 1 }
+      });
+    });
+
+    it('should not report a filter when none is given', async () => {
+      const result = await ImportService.importWorld(data(), { skipDetection: true });
+
+      expect(result.filter).toBeUndefined();
+    });
+
+    it('should keep earlier synced IDs and delete nothing on a filtered sync', async () => {
+      vi.spyOn(game.settings, 'get').mockImplementation((ns, key) =>
+        key === 'syncState' ? { test: { syncedAt: 1, collections: { actors: ['a1', 'old'] }, idRemap: [] } } : null
+      );
+      const set = vi.spyOn(game.settings, 'set').mockResolvedValue(undefined);
+      const deleteRemoved = vi.spyOn(ImportService, '_deleteRemoved');
+
+      await ImportService.syncWorld(
+        { ...data(), metadata: { worldId: 'test' } },
+        { skipDetection: true, deleteRemoved: true, filter: { names: ['Hida *'] } }
+      );
+
+      expect(deleteRemoved).not.toHaveBeenCalled();
+      const [, , states] = set.mock.calls.find(([, key]) => key === 'syncState');
+      expect(states.test.collections.actors).toEqual(['a1', 'old', 'a2']);
+    });
+  });
+
+  describe('folder overflow', () => {
+    const data = () => ({
+      actors: [{ _id: 'a1', name: 'Yakamo', type: 'pc', folder: 'l5', system: {} }],
+      folders: [
+        { _id: 'root', name: 'Root', folder: null, type: 'Actor' },
+        { _id: 'l1', name: 'Level 1', folder: 'root', type: 'Actor' },
+        { _id: 'l2', name: 'Level 2', folder: 'l1', type: 'Actor' },
+        { _id: 'l3', name: 'Level 3', folder: 'l2', type: 'Actor' },
+        { _id: 'l4', name: 'Level 4', folder: 'l3', type: 'Actor' },
+        { _id: 'l5', name: 'Level 5', folder: 'l4', type: 'Actor' }
+      ]
+    });
+
+    it('should move documents out of over-deep folders by default', async () => {
+      const createActors = vi.spyOn(Actor, 'createDocuments').mockImplementation(async (docs) => docs);
+
+      const result = await ImportService.importWorld(data(), { skipDetection: true });
+
+      // Root → Level 3 is four levels, the deepest Foundry allows
+      expect(result.stats.folders).toMatchObject({ attempted: 4, created: 4, failed: 0 });
+      expect(createActors.mock.calls[0][0][0].folder).toBe('l3');
+      expect(result.folderOverflow.strategy).toBe('reparent');
+      expect(result.folderOverflow.decisions).toMatchObject([
+        { folderId: 'l4', action: 'merged', targetId: 'l3', documents: 0 },
+        { folderId: 'l5', action: 'merged', targetId: 'l3', documents: 1 }
+      ]);
+    });
+
+    it('should collapse over-deep folders into the fourth level', async () => {
+      const createFolders = vi.spyOn(Folder, 'createDocuments');
+
+      const result = await ImportService.importWorld(data(), { skipDetection: true, folderOverflow: 'collapse' });
+
+      const created = createFolders.mock.calls.flatMap(([docs]) => docs);
+      expect(created.find((f) => f._id === 'l5')).toMatchObject({
+        folder: 'l2',
+        name: 'Root › Level 1 › Level 2 › Level 3 › Level 4 › Level 5'
+      });
+      expect(result.stats.folders).toMatchObject({ attempted: 6, created: 6, failed: 0, skipped: 0 });
+    });
+
+    it('should keep the previous behavior with the skip strategy', async () => {
+      const result = await ImportService.importWorld(data(), { skipDetection: true, folderOverflow: 'skip' });
+
+      expect(result.stats.folders).toMatchObject({ attempted: 6, created: 4, failed: 2, skipped: 2 });
+      expect(result.folderOverflow.decisions).toEqual([]);
+    });
+
+    it('should reject an unknown strategy', async () => {
+      await expect(ImportService.importWorld(data(), { skipDetection: true, folderOverflow: 'drop' })).rejects.toThrow(
+        "Unknown folder overflow strategy 'drop'"
+      );
+    });
+  });
+
+  describe('dry-run preview', () => {
+    const data = () => ({
+      actors: [
+        {
+          _id: 'a1',
+          name: 'Akodo Toturi',
+          type: 'pc',
+          img: 'systems/l5r4/assets/icons/helm.png',
+          system: { shadow_taint: { rank: 0 } },
+          flags: { l5r4: { xpSpent: 12 } },
+          items: [{ _id: 'e1', name: 'Yumi', type: 'bow', system: {} }]
+        }
+      ],
+      items: [{ _id: 'i1', name: 'Kenjutsu', type: 'skill', system: { mastery_3: 'Extra attack' } }]
+    });
+
+    it('should return each document payload with its diff against the export', async () => {
+      const create = vi.spyOn(Actor, 'createDocuments');
+
+      const result = await ImportService.importWorld(data(), { skipDetection: true, dryRun: true });
+
+      expect(create).not.toHaveBeenCalled();
+      const actor = result.preview.find((p) => p.id === 'a1');
+      expect(actor).toMatchObject({ collection: 'actors', name: 'Akodo Toturi', action: 'create' });
+      expect(actor.payload.system.shadowTaint).toEqual({ rank: 0 });
+      expect(actor.diff.renamed).toEqual(
+        expect.arrayContaining([
+          { from: 'system.shadow_taint', to: 'system.shadowTaint' },
+          { from: 'flags.l5r4.xpSpent', to: 'flags.l5r4-enhanced.xpSpent' }
+        ])
+      );
+      expect(actor.diff.types).toContainEqual({ path: 'items.e1.type', from: 'bow', to: 'weapon' });
+      expect(actor.diff.icons[0]).toMatchObject({ path: 'img', from: 'systems/l5r4/assets/icons/helm.png' });
+      expect(actor.changes).toBeGreaterThan(0);
+
+      const skill = result.preview.find((p) => p.id === 'i1');
+      expect(skill.diff.renamed).toEqual([{ from: 'system.mastery_3', to: 'system.mastery3' }]);
+    });
+
+    it('should find the export document of a remapped duplicate', async () => {
+      const source = data();
+      source.items.push({ ...source.items[0], name: 'Kenjutsu (copy)' });
+
+      const result = await ImportService.importWorld(source, { skipDetection: true, dryRun: true });
+
+      const copy = result.preview.find((p) => p.name === 'Kenjutsu (copy)');
+      expect(copy.id).not.toBe('i1');
+      expect(copy.diff.changed).toEqual([{ path: '_id', from: 'i1', to: copy.id }]);
+    });
+
+    it('should not build a preview for a real import', async () => {
+      vi.spyOn(Actor, 'createDocuments').mockImplementation(async (docs) => docs);
+      vi.spyOn(Item, 'createDocuments').mockImplementation(async (docs) => docs);
+
+      const result = await ImportService.importWorld(data(), { skipDetection: true });
+
+      expect(result.preview).toBeUndefined();
+    });
+  });
+
+  describe('Integration scenarios', () => {
+    it('should handle complete migration pipeline', async () => {
+      const legacyData = {
+        metadata: { worldId: 'legacy-world' },
+        actors: [
+          {
+            type: 'pc',
+            name: 'Samurai',
+            system: {
+              wounds: { heal_rate: 5 },
+              shadow_taint: { rank: 0 },
+              initiative: { roll_mod: 2 }
+            },
+            items: [
+              {
+                type: 'bow',
+                name: 'Yumi',
+                system: { str: 3, size: 'Large' }
+              }
             ]
           }
         ],
@@ -726,14 +2547,147 @@ describe('Import Service', () => {
       expect(result.path).toBe('as-is');
       expect(result.stats.actors.created).toBe(1);
 
-      // Verify Actor.create was called with flags intact
+      // Verify Actor.create was called with flags moved to the target namespace
       expect(Actor.create).toHaveBeenCalledTimes(1);
       const createdActorData = Actor.create.mock.calls[0][0];
       expect(createdActorData.flags).toBeDefined();
-      expect(createdActorData.flags.l5r4).toBeDefined();
-      expect(createdActorData.flags.l5r4.xpManual).toHaveLength(2);
-      expect(createdActorData.flags.l5r4.xpManual[0].note).toBe('Session 1');
-      expect(createdActorData.flags.l5r4.xpManual[1].delta).toBe(4);
+      expect(createdActorData.flags.l5r4).toBeUndefined();
+      expect(createdActorData.flags['l5r4-enhanced'].xpManual).toHaveLength(2);
+      expect(createdActorData.flags['l5r4-enhanced'].xpManual[0].note).toBe('Session 1');
+      expect(createdActorData.flags['l5r4-enhanced'].xpManual[1].delta).toBe(4);
+    });
+  });
+
+  describe('schema default filling', () => {
+    afterEach(() => {
+      delete game.system.template;
+    });
+
+    const template = {
+      Actor: { types: ['pc'], pc: { suffered: 0, armor: { armorTn: 10, reduction: 0 } } },
+      Item: { types: ['kata'], kata: { ring: 'earth', mastery: 1, cost: 0 } }
+    };
+
+    it('should fill missing fields from the target template', () => {
+      game.system.template = template;
+      const actor = {
+        _id: 'a1',
+        type: 'pc',
+        name: 'PC',
+        system: { armor: { armor_tn: 25 } },
+        items: [{ _id: 'k1', type: 'kata', name: 'Striking as Fire', system: { ring: 'fire', mastery: 3 } }]
+      };
+      const report = ImportService._createTransformReport();
+
+      const transformed = ImportService._transformActor(actor, { report });
+
+      expect(transformed.system.suffered).toBe(0);
+      expect(transformed.system.armor).toEqual({ armorTn: 25, reduction: 0 });
+      expect(transformed.items[0].system).toEqual({ ring: 'fire', mastery: 3, cost: 0 });
+      expect(report.filledDefaults).toEqual([
+        { documentName: 'Actor', id: 'a1', name: 'PC', paths: ['system.suffered', 'system.armor.reduction'] },
+        { documentName: 'Item', id: 'k1', name: 'Striking as Fire', paths: ['system.cost'] }
+      ]);
+    });
+
+    it('should record filled paths in the import result', async () => {
+      game.system.template = template;
+      const data = { actors: [], items: [{ _id: 'k1', type: 'kata', name: 'Kata', system: {} }] };
+
+      const result = await ImportService.importWorld(data, { skipDetection: true });
+
+      expect(result.filledDefaults).toEqual([
+        { documentName: 'Item', id: 'k1', name: 'Kata', paths: ['system.ring', 'system.mastery', 'system.cost'] }
+      ]);
+      expect(Item.create.mock.calls[0][0].system.cost).toBe(0);
+    });
+
+    it('should leave data alone without a target schema', () => {
+      const transformed = ImportService._transformItem({ type: 'kata', name: 'Kata', system: {} });
+
+      expect(transformed.system).toEqual({});
+    });
+  });
+
+  describe('flag namespace remapping', () => {
+    const xpManual = [{ id: 'x1', delta: 4, note: 'Session 1' }];
+
+    it('should remap flags on actors, embedded documents and token deltas', () => {
+      const data = {
+        actors: [
+          {
+            _id: 'a1',
+            flags: { l5r4: { xpManual }, 'other-module': { keep: true } },
+            items: [{ _id: 'i1', flags: { l5r4: { xpSpent: [] } } }],
+            effects: [{ _id: 'e1', flags: { l5r4: { fullDefenseRoll: { total: 20 } } } }]
+          }
+        ],
+        items: [{ _id: 'w1', flags: { l5r4: { legacy: 1 } } }],
+        scenes: [{ tokens: [{ actorLink: false, delta: { flags: { l5r4: { xpRetroactiveVersion: 2 } } } }, {}] }]
+      };
+
+      const { data: result, stats } = ImportService._remapWorldFlags(data);
+
+      const actor = result.actors[0];
+      expect(actor.flags['l5r4-enhanced'].xpManual).toEqual(xpManual);
+      expect(actor.flags['other-module']).toEqual({ keep: true });
+      expect(actor.items[0].flags['l5r4-enhanced'].xpSpent).toEqual([]);
+      expect(actor.effects[0].flags['l5r4-enhanced'].fullDefenseRoll.total).toBe(20);
+      expect(result.items[0]).toBe(data.items[0]);
+      expect(result.scenes[0].tokens[0].delta.flags['l5r4-enhanced'].xpRetroactiveVersion).toBe(2);
+      expect(stats.documents).toBe(4);
+      expect(stats.keys).toEqual({ xpManual: 1, xpSpent: 1, fullDefenseRoll: 1, xpRetroactiveVersion: 1 });
+      expect(data.actors[0].flags.l5r4.xpManual).toBe(xpManual);
+    });
+
+    it('should remap flags on the with-transform path and report counts', async () => {
+      const data = { actors: [{ _id: 'a1', type: 'pc', name: 'PC', system: {}, flags: { l5r4: { xpManual } } }] };
+
+      const result = await ImportService.importWorld(data, { skipDetection: true });
+
+      expect(Actor.create.mock.calls[0][0].flags['l5r4-enhanced'].xpManual).toEqual(xpManual);
+      expect(result.flags.documents).toBe(1);
+    });
+
+    it('should use a custom flag key map', async () => {
+      const data = { actors: [{ _id: 'a1', type: 'pc', name: 'PC', system: {}, flags: { l5r4: { xpManual } } }] };
+      const flagKeyMap = { source: 'l5r4', target: 'l5r4-enhanced', keys: {} };
+
+      await ImportService.importWorld(data, { skipDetection: true, flagKeyMap });
+
+      expect(Actor.create.mock.calls[0][0].flags.l5r4.xpManual).toEqual(xpManual);
+    });
+
+    it('should apply user flags to matching users', async () => {
+      const user = { update: vi.fn().mockResolvedValue({}) };
+      game.users = { get: vi.fn((id) => (id === 'u1' ? user : undefined)), getName: vi.fn(() => undefined) };
+      const data = {
+        actors: [],
+        users: [
+          { _id: 'u1', name: 'GM', flags: { l5r4: { sortByActor: { a1: { skills: { key: 'name' } } } } } },
+          { _id: 'u2', name: 'Gone', flags: { l5r4: { sortByActor: {} } } }
+        ]
+      };
+
+      const result = await ImportService.importWorld(data, { skipDetection: true });
+
+      expect(user.update).toHaveBeenCalledWith({
+        flags: { 'l5r4-enhanced': { sortByActor: { a1: { skills: { key: 'name' } } } } }
+      });
+      expect(result.users).toEqual({ attempted: 2, updated: 1, skipped: 1, failed: 0 });
+      game.users = [];
+    });
+
+    it('should not update users during a dry run', async () => {
+      const user = { update: vi.fn() };
+      game.users = { get: vi.fn(() => user) };
+      const data = { actors: [], users: [{ _id: 'u1', name: 'GM', flags: { l5r4: { sortByActor: {} } } }] };
+
+      const result = await ImportService.importWorld(data, { skipDetection: true, dryRun: true });
+
+      expect(user.update).not.toHaveBeenCalled();
+      expect(result.users.updated).toBe(1);
+      game.users = [];
     });
   });
 });
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Unit Tests for Import Verification Utilities
+ *
+ * Tests comparing sent payloads with the documents Foundry stored.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { verifyDocument, hasDifferences } from '@module/utils/import-verification.js';
+
+describe('Import Verification Utilities', () => {
+  describe('verifyDocument', () => {
+    it('should report nothing when the document was stored as sent', () => {
+      const payload = { name: 'Hida Kisada', system: { traits: { str: 4 } }, items: [] };
+      const stored = { ...payload, _stats: { createdTime: 1 }, system: { traits: { str: 4, ref: 2 } } };
+
+      const report = verifyDocument(payload, stored);
+
+      expect(report).toEqual({ dropped: [], changed: [], missingEmbedded: [] });
+      expect(hasDifferences(report)).toBe(false);
+    });
+
+    it('should report dropped paths and coerced values', () => {
+      const report = verifyDocument(
+        { system: { rank: '2', legacy: { a: 1 }, tags: ['x', 'y'] } },
+        { system: { rank: 2, tags: ['x'] } }
+      );
+
+      expect(report.dropped).toEqual(['system.legacy', 'system.tags.1']);
+      expect(report.changed).toEqual([{ path: 'system.rank', sent: '2', stored: 2 }]);
+      expect(hasDifferences(report)).toBe(true);
+    });
+
+    it('should report embedded items and effects that were not stored', () => {
+      const report = verifyDocument(
+        {
+          items: [
+            { _id: 'e1', name: 'Katana', system: { damage: '3k2' } },
+            { _id: 'e2', name: 'Yumi', effects: [{ _id: 'x1', name: 'Blessed' }] }
+          ],
+          effects: [{ _id: 'x2', name: 'Fatigued' }]
+        },
+        { items: [{ _id: 'e2', name: 'Yumi', effects: [] }], effects: [] }
+      );
+
+      expect(report.missingEmbedded).toEqual([
+        { path: 'items.e1', collection: 'items', id: 'e1', name: 'Katana' },
+        { path: 'items.e2.effects.x1', collection: 'effects', id: 'x1', name: 'Blessed' },
+        { path: 'effects.x2', collection: 'effects', id: 'x2', name: 'Fatigued' }
+      ]);
+      expect(report.dropped).toEqual([]);
+    });
+
+    it('should compare embedded documents by ID regardless of order', () => {
+      const report = verifyDocument(
+        {
+          items: [
+            { _id: 'e1', system: { rank: 1 } },
+            { _id: 'e2', system: { rank: 2 } }
+          ]
+        },
+        {
+          items: [
+            { _id: 'e2', system: { rank: 2 } },
+            { _id: 'e1', system: { rank: '1' } }
+          ]
+        }
+      );
+
+      expect(report.changed).toEqual([{ path: 'items.e1.system.rank', sent: 1, stored: '1' }]);
+    });
+
+    it('should report a value stored with a different shape as changed', () => {
+      const report = verifyDocument({ system: { wounds: { value: 3 } } }, { system: { wounds: 3 } });
+
+      expect(report.changed).toEqual([{ path: 'system.wounds', sent: { value: 3 }, stored: 3 }]);
+    });
+
+    it('should skip _stats and ownership at every depth', () => {
+      const exported = { createdTime: 1, systemId: 'l5r4', coreVersion: '12.331' };
+      const rewritten = { createdTime: 2, systemId: 'l5r4-enhanced', coreVersion: '13.345', lastModifiedBy: 'gm' };
+
+      const report = verifyDocument(
+        {
+          _stats: exported,
+          ownership: { default: 0, oldUser: 3 },
+          items: [{ _id: 'e1', _stats: exported, effects: [{ _id: 'x1', _stats: exported }] }]
+        },
+        {
+          _stats: rewritten,
+          ownership: { default: 0 },
+          items: [{ _id: 'e1', _stats: rewritten, effects: [{ _id: 'x1', _stats: rewritten }] }]
+        }
+      );
+
+      expect(hasDifferences(report)).toBe(false);
+    });
+
+    it('should ignore empty objects and arrays Foundry left out', () => {
+      expect(verifyDocument({ flags: {}, system: { list: [] } }, { system: {} }).dropped).toEqual([]);
+    });
+  });
+});
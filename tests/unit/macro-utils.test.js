@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Unit Tests for Macro Script Analysis Utilities
+ *
+ * Tests rewriting legacy field names in macro scripts and flagging other legacy references.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { analyzeMacroScript } from '@module/utils/macro-utils.js';
+
+describe('Macro Script Analysis Utilities', () => {
+  describe('analyzeMacroScript', () => {
+    it('should rewrite full system paths to renamed fields', () => {
+      const command = [
+        'const tn = actor.system.armor.armor_tn;',
+        'const wounds = actor.system.wound_lvl.hurt;',
+        "await actor.update({ 'system.wound_lvl.hurt.current': true });"
+      ].join('\n');
+
+      const result = analyzeMacroScript(command);
+
+      expect(result.command).toBe(
+        [
+          'const tn = actor.system.armor.armorTn;',
+          'const wounds = actor.system.woundLevels.hurt;',
+          "await actor.update({ 'system.woundLevels.hurt.current': true });"
+        ].join('\n')
+      );
+      expect(result.rewrites).toEqual([
+        { from: 'system.armor.armor_tn', to: 'system.armor.armorTn', count: 1 },
+        { from: 'system.wound_lvl', to: 'system.woundLevels', count: 2 }
+      ]);
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('should warn about the legacy system API, config and ID', () => {
+      const command = "game.l5r4.rollSkill(actor);\nconst rings = CONFIG.l5r4.rings;\nactor.getFlag('l5r4', 'stance');";
+
+      const { command: rewritten, warnings } = analyzeMacroScript(command);
+
+      expect(rewritten).toBe(command);
+      expect(warnings.map((w) => [w.line, w.match])).toEqual([
+        [1, 'game.l5r4'],
+        [2, 'CONFIG.l5r4'],
+        [3, "'l5r4'"]
+      ]);
+    });
+
+    it('should warn about renamed fields it cannot rewrite', () => {
+      const { warnings } = analyzeMacroScript("const tn = actor.system['armor_tn'];");
+
+      expect(warnings).toEqual([
+        { line: 1, match: 'armor_tn', message: 'Refers to the renamed field "armor_tn" (now "armorTn")' }
+      ]);
+    });
+
+    it('should warn about dotted access that is not a full system path', () => {
+      const command = [
+        'const init = actor.system.initiative;',
+        'const mod = init.roll_mod + init.keep_mod;',
+        'if (item.equiped) return;',
+        'const tn = token.document.armor_tn;'
+      ].join('\n');
+
+      const result = analyzeMacroScript(command);
+
+      expect(result.command).toBe(command);
+      expect(result.rewrites).toEqual([]);
+      expect(result.warnings.map((w) => [w.line, w.match])).toEqual([
+        [2, 'roll_mod'],
+        [2, 'keep_mod'],
+        [3, 'equiped'],
+        [4, 'armor_tn']
+      ]);
+      expect(result.warnings[2].message).toBe('Refers to the renamed field "equiped" (now "equipped")');
+    });
+
+    it('should only rewrite system paths that SCHEMA_MAP renames', () => {
+      const command = 'actor.system.skills.roll_mod; item.system.equiped; actor.system.initiative.total_mod;';
+
+      const result = analyzeMacroScript(command);
+
+      expect(result.command).toBe(
+        'actor.system.skills.roll_mod; item.system.equipped; actor.system.initiative.totalMod;'
+      );
+      expect(result.rewrites).toEqual([
+        { from: 'system.equiped', to: 'system.equipped', count: 1 },
+        { from: 'system.initiative.total_mod', to: 'system.initiative.totalMod', count: 1 }
+      ]);
+      expect(result.warnings.map((w) => w.match)).toEqual(['roll_mod']);
+    });
+
+    it('should leave current names and other systems alone', () => {
+      const command = "actor.system.woundLevels; game.system.id === 'l5r4-enhanced'; game.l5r4e;";
+
+      expect(analyzeMacroScript(command)).toEqual({ command, rewrites: [], warnings: [] });
+    });
+
+    it('should handle macros without a command', () => {
+      expect(analyzeMacroScript(undefined)).toEqual({ command: undefined, rewrites: [], warnings: [] });
+    });
+  });
+});
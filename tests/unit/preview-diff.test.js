@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Unit Tests for Dry-Run Preview Diff Utilities
+ *
+ * Tests sorting the differences between an export document and its import payload.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { diffTransformed, countChanges } from '@module/utils/preview-diff.js';
+
+describe('Preview Diff Utilities', () => {
+  describe('diffTransformed', () => {
+    it('should report renamed fields instead of a removal and an addition', () => {
+      const diff = diffTransformed({ system: { mastery_3: 'x' } }, { system: { mastery3: 'x' } }, [
+        { from: 'system.mastery_3', to: 'system.mastery3' }
+      ]);
+
+      expect(diff.renamed).toEqual([{ from: 'system.mastery_3', to: 'system.mastery3' }]);
+      expect(diff.defaults).toEqual([]);
+      expect(diff.removed).toEqual([]);
+    });
+
+    it('should only count renames the payload actually made', () => {
+      const diff = diffTransformed({ system: { mastery_3: 'x' } }, { system: { mastery_3: 'x' } }, [
+        { from: 'system.mastery_3', to: 'system.mastery3' }
+      ]);
+
+      expect(countChanges(diff)).toBe(0);
+    });
+
+    it('should show a rename whose value also changed as a rename and a change', () => {
+      const diff = diffTransformed(
+        { system: { armor_tn: { current: '20' } } },
+        { system: { armorTn: { current: 20 } } },
+        [{ from: 'system.armor_tn', to: 'system.armorTn' }]
+      );
+
+      expect(diff.renamed).toEqual([{ from: 'system.armor_tn', to: 'system.armorTn' }]);
+      expect(diff.coerced).toEqual([{ path: 'system.armorTn.current', from: '20', to: 20 }]);
+    });
+
+    it('should sort added fields, type changes, icons and other changes', () => {
+      const diff = diffTransformed(
+        { type: 'bow', img: 'icons/bow.png', system: { damage: '2k2', notes: 'old' } },
+        {
+          type: 'weapon',
+          img: 'systems/l5r4-enhanced/assets/icons/bow.webp',
+          system: { damage: '2k2', notes: 'new', isBow: true }
+        }
+      );
+
+      expect(diff.types).toEqual([{ path: 'type', from: 'bow', to: 'weapon' }]);
+      expect(diff.icons).toEqual([
+        { path: 'img', from: 'icons/bow.png', to: 'systems/l5r4-enhanced/assets/icons/bow.webp' }
+      ]);
+      expect(diff.defaults).toEqual([{ path: 'system.isBow', value: true }]);
+      expect(diff.changed).toEqual([{ path: 'system.notes', from: 'old', to: 'new' }]);
+    });
+
+    it('should compare embedded items by ID and apply renames to them', () => {
+      const diff = diffTransformed(
+        {
+          items: [
+            { _id: 'e1', type: 'bow', system: { mastery_3: 'x' } },
+            { _id: 'e2', type: 'skill' }
+          ]
+        },
+        {
+          items: [
+            { _id: 'e2', type: 'skill' },
+            { _id: 'e1', type: 'weapon', system: { mastery3: 'x' } }
+          ]
+        },
+        [{ from: 'system.mastery_3', to: 'system.mastery3' }]
+      );
+
+      expect(diff.types).toEqual([{ path: 'items.e1.type', from: 'bow', to: 'weapon' }]);
+      expect(diff.renamed).toEqual([{ from: 'items.e1.system.mastery_3', to: 'items.e1.system.mastery3' }]);
+      expect(diff.changed).toEqual([]);
+    });
+
+    it('should report token texture rewrites as icons and dropped fields as removed', () => {
+      const diff = diffTransformed(
+        { prototypeToken: { texture: { src: 'a.png' } }, system: { legacy: 1 } },
+        { prototypeToken: { texture: { src: 'b.webp' } }, system: {} }
+      );
+
+      expect(diff.icons).toEqual([{ path: 'prototypeToken.texture.src', from: 'a.png', to: 'b.webp' }]);
+      expect(diff.removed).toEqual([{ path: 'system.legacy', value: 1 }]);
+    });
+
+    it('should not modify the source document', () => {
+      const source = { system: { mastery_3: 'x' } };
+
+      diffTransformed(source, { system: { mastery3: 'x' } }, [{ from: 'system.mastery_3', to: 'system.mastery3' }]);
+
+      expect(source).toEqual({ system: { mastery_3: 'x' } });
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Unit Tests for System Reference Rewriting Utilities
+ *
+ * Tests rewriting legacy compendium links and asset paths in document text.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { rewriteSystemReferences, rewriteDocumentReferences } from '@module/utils/system-references.js';
+
+describe('System Reference Rewriting Utilities', () => {
+  const compendium = ({ pack, id, label }) =>
+    pack === 'skills'
+      ? { uuid: `Compendium.l5r4-enhanced.skills.Item.${id === 'Jiujutsu' ? 'newJiujutsu00001' : id}` }
+      : { reason: `Compendium l5r4-enhanced.${pack} not found (${label ?? id})` };
+  const asset = (path) => (path.endsWith('helm.png') ? 'systems/l5r4-enhanced/assets/icons/pc.webp' : null);
+
+  describe('rewriteSystemReferences', () => {
+    it('should rewrite @UUID links, keeping labels and embedded paths', () => {
+      const text =
+        '<p>@UUID[Compendium.l5r4.skills.Item.aaaaaaaaaaaaaaaa]{Kenjutsu} and @UUID[Compendium.l5r4.skills.Actor.bbbbbbbbbbbbbbbb.Item.cccccccccccccccc]</p>';
+
+      const result = rewriteSystemReferences(text, { compendium });
+
+      expect(result.text).toBe(
+        '<p>@UUID[Compendium.l5r4-enhanced.skills.Item.aaaaaaaaaaaaaaaa]{Kenjutsu} and @UUID[Compendium.l5r4-enhanced.skills.Item.bbbbbbbbbbbbbbbb.Item.cccccccccccccccc]</p>'
+      );
+      expect(result.rewritten).toBe(2);
+      expect(result.unresolved).toEqual([]);
+    });
+
+    it('should convert legacy @Compendium links to @UUID links', () => {
+      const resolver = vi.fn(compendium);
+
+      const result = rewriteSystemReferences('See @Compendium[l5r4.skills.Jiujutsu]{Unarmed}.', {
+        compendium: resolver
+      });
+
+      expect(resolver).toHaveBeenCalledWith({ pack: 'skills', type: null, id: 'Jiujutsu', label: 'Unarmed' });
+      expect(result.text).toBe('See @UUID[Compendium.l5r4-enhanced.skills.Item.newJiujutsu00001]{Unarmed}.');
+    });
+
+    it('should rewrite bare compendium UUIDs', () => {
+      const result = rewriteSystemReferences('Compendium.l5r4.skills.Item.aaaaaaaaaaaaaaaa', { compendium });
+
+      expect(result.text).toBe('Compendium.l5r4-enhanced.skills.Item.aaaaaaaaaaaaaaaa');
+    });
+
+    it('should rewrite mapped asset paths', () => {
+      const result = rewriteSystemReferences('<img src="systems/l5r4/assets/icons/helm.png" width="32">', { asset });
+
+      expect(result.text).toBe('<img src="systems/l5r4-enhanced/assets/icons/pc.webp" width="32">');
+      expect(result.rewritten).toBe(1);
+    });
+
+    it('should leave and report references it cannot resolve', () => {
+      const text =
+        '@UUID[Compendium.l5r4.spells.Item.dddddddddddddddd]{Fires of Purity} <img src="systems/l5r4/assets/images/map.jpg">';
+
+      const result = rewriteSystemReferences(text, { compendium, asset });
+
+      expect(result.text).toBe(text);
+      expect(result.rewritten).toBe(0);
+      expect(result.unresolved).toEqual([
+        {
+          reference: '@UUID[Compendium.l5r4.spells.Item.dddddddddddddddd]{Fires of Purity}',
+          reason: 'Compendium l5r4-enhanced.spells not found (Fires of Purity)'
+        },
+        { reference: 'systems/l5r4/assets/images/map.jpg', reason: 'No l5r4-enhanced equivalent for this asset' }
+      ]);
+    });
+
+    it('should ignore references that already point at the target system', () => {
+      const text =
+        '@UUID[Compendium.l5r4-enhanced.skills.Item.aaaaaaaaaaaaaaaa] systems/l5r4-enhanced/assets/icons/pc.webp';
+
+      expect(rewriteSystemReferences(text, { compendium, asset })).toEqual({ text, rewritten: 0, unresolved: [] });
+    });
+
+    it('should pass non-strings through', () => {
+      expect(rewriteSystemReferences(undefined)).toEqual({ text: undefined, rewritten: 0, unresolved: [] });
+    });
+  });
+
+  describe('rewriteDocumentReferences', () => {
+    const data = () => ({
+      items: [
+        {
+          _id: 'i1',
+          name: 'Katana',
+          img: 'systems/l5r4/assets/icons/helm.png',
+          system: {
+            description: '<img src="systems/l5r4/assets/icons/helm.png">',
+            specialRules: '@Compendium[l5r4.skills.Jiujutsu]'
+          }
+        },
+        { _id: 'i2', name: 'Plain', system: { description: 'No links' } }
+      ],
+      journals: [
+        {
+          _id: 'j1',
+          name: 'Lore',
+          pages: [{ _id: 'p1', text: { content: '@UUID[Compendium.l5r4.bestiary.Actor.eeeeeeeeeeeeeeee]' } }]
+        }
+      ],
+      packs: [
+        {
+          metadata: { name: 'armory' },
+          documents: [{ _id: 'k1', name: 'Wakizashi', system: { description: 'systems/l5r4/assets/icons/helm.png' } }]
+        }
+      ]
+    });
+
+    it('should rewrite strings in documents and compendium pack documents', () => {
+      const source = data();
+
+      const { data: result, stats } = rewriteDocumentReferences(source, { compendium, asset }, ['items', 'journals']);
+
+      expect(result.items[0].system).toEqual({
+        description: '<img src="systems/l5r4-enhanced/assets/icons/pc.webp">',
+        specialRules: '@UUID[Compendium.l5r4-enhanced.skills.Item.newJiujutsu00001]'
+      });
+      expect(result.items[1]).toBe(source.items[1]);
+      expect(result.packs[0].documents[0].system.description).toBe('systems/l5r4-enhanced/assets/icons/pc.webp');
+      expect(stats.rewritten).toBe(3);
+      expect(source.items[0].system.description).toBe('<img src="systems/l5r4/assets/icons/helm.png">');
+    });
+
+    it('should leave image fields to the icon migration', () => {
+      const { data: result } = rewriteDocumentReferences(data(), { compendium, asset }, ['items']);
+
+      expect(result.items[0].img).toBe('systems/l5r4/assets/icons/helm.png');
+    });
+
+    it('should report unresolved references with their document', () => {
+      const { stats } = rewriteDocumentReferences(data(), { compendium, asset }, ['items', 'journals']);
+
+      expect(stats.unresolved).toEqual([
+        {
+          collection: 'journals',
+          id: 'j1',
+          name: 'Lore',
+          reference: '@UUID[Compendium.l5r4.bestiary.Actor.eeeeeeeeeeeeeeee]',
+          reason: 'Compendium l5r4-enhanced.bestiary not found (eeeeeeeeeeeeeeee)'
+        }
+      ]);
+    });
+
+    it('should return the input when nothing changed', () => {
+      const source = { items: [{ _id: 'i1', name: 'Plain', system: { description: 'No links' } }] };
+
+      expect(rewriteDocumentReferences(source, { compendium, asset }, ['items']).data).toBe(source);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Unit Tests for Target Schema Utilities
+ *
+ * Tests template resolution and path checks against the l5r4-enhanced template.
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import {
+  resolveTemplateType,
+  getTargetSystemModel,
+  getTargetTypes,
+  targetPathExists,
+  fillMissingDefaults
+} from '@module/utils/target-schema.js';
+
+const enhancedTemplate = JSON.parse(
+  readFileSync(resolve(import.meta.dirname, '../../for-research/l5r4-enhanced/template.json'), 'utf8')
+);
+
+describe('Target Schema Utilities', () => {
+  afterEach(() => {
+    delete game.system.template;
+    delete game.model;
+  });
+
+  describe('resolveTemplateType', () => {
+    it('should merge shared templates into the type', () => {
+      const pc = resolveTemplateType(enhancedTemplate, 'Actor', 'pc');
+
+      expect(pc.armor.armorTn).toBe(10);
+      expect(pc.woundsPenaltyMod).toBe(0);
+      expect(pc.templates).toBeUndefined();
+    });
+
+    it('should resolve item types with itemDescription', () => {
+      const weapon = resolveTemplateType(enhancedTemplate, 'Item', 'weapon');
+
+      expect(weapon.description).toBe('');
+      expect(weapon.fallbackTrait).toBe('agi');
+    });
+
+    it('should return null for undeclared types', () => {
+      expect(resolveTemplateType(enhancedTemplate, 'Item', 'nonexistent')).toBeNull();
+      expect(resolveTemplateType(null, 'Item', 'weapon')).toBeNull();
+    });
+
+    it('should return copies that do not affect the template', () => {
+      const pc = resolveTemplateType(enhancedTemplate, 'Actor', 'pc');
+      pc.armor.armorTn = 99;
+
+      expect(enhancedTemplate.Actor.templates.common.armor.armorTn).toBe(10);
+    });
+  });
+
+  describe('getTargetSystemModel', () => {
+    it('should return null when no schema source is available', () => {
+      expect(getTargetSystemModel('Actor', 'pc')).toBeNull();
+    });
+
+    it('should prefer game.model over the raw template', () => {
+      game.system.template = enhancedTemplate;
+      game.model = { Actor: { pc: { fromModel: true } } };
+
+      expect(getTargetSystemModel('Actor', 'pc')).toEqual({ fromModel: true });
+      expect(getTargetSystemModel('Actor', 'npc').woundMode).toBe('manual');
+    });
+  });
+
+  describe('getTargetTypes', () => {
+    it('should list declared types', () => {
+      game.system.template = enhancedTemplate;
+
+      expect(getTargetTypes('Actor')).toEqual(['pc', 'npc']);
+    });
+  });
+
+  describe('targetPathExists', () => {
+    it('should return null when no schema source is available', () => {
+      expect(targetPathExists('Actor', 'pc', 'armor.armorTn')).toBeNull();
+    });
+
+    it('should check paths for a specific type', () => {
+      game.system.template = enhancedTemplate;
+
+      expect(targetPathExists('Actor', 'pc', 'armor.armorTn')).toBe(true);
+      expect(targetPathExists('Actor', 'pc', 'armor.armor_tn')).toBe(false);
+      expect(targetPathExists('Actor', 'npc', 'shadowTaint.rank')).toBe(false);
+    });
+
+    it('should accept a match in any type when type is null', () => {
+      game.system.template = enhancedTemplate;
+
+      expect(targetPathExists('Actor', null, 'shadowTaint.rank')).toBe(true);
+      expect(targetPathExists('Actor', null, 'shadow_taint.rank')).toBe(false);
+    });
+  });
+
+  describe('fillMissingDefaults', () => {
+    it('should deep-fill missing fields and return their paths', () => {
+      const system = { ring: 'fire', bonuses: { skill: { kenjutsu: 1 } } };
+      const defaults = { ring: 'void', cost: 0, bonuses: { skill: {}, trait: {} } };
+
+      const filled = fillMissingDefaults(system, defaults);
+
+      expect(filled).toEqual(['system.cost', 'system.bonuses.trait']);
+      expect(system).toEqual({ ring: 'fire', cost: 0, bonuses: { skill: { kenjutsu: 1 }, trait: {} } });
+    });
+
+    it('should not replace nulls or values of a different shape', () => {
+      const system = { wounds: null, armor: 5, tags: ['a'] };
+
+      const filled = fillMissingDefaults(system, { wounds: { value: 0 }, armor: { armorTn: 10 }, tags: [] });
+
+      expect(filled).toEqual([]);
+      expect(system).toEqual({ wounds: null, armor: 5, tags: ['a'] });
+    });
+
+    it('should copy default objects', () => {
+      const defaults = { bonuses: { skill: {} } };
+      const system = {};
+
+      fillMissingDefaults(system, defaults);
+      system.bonuses.skill.iaijutsu = 2;
+
+      expect(defaults.bonuses.skill).toEqual({});
+    });
+
+    it('should fill kata and kiho cost from the enhanced template', () => {
+      const kata = { ring: 'fire', mastery: 3 };
+
+      const filled = fillMissingDefaults(kata, resolveTemplateType(enhancedTemplate, 'Item', 'kata'));
+
+      expect(filled).toContain('system.cost');
+      expect(kata.mastery).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Unit Tests for Transform Registry
+ *
+ * Tests rule registration, ordering and application, including the built-in
+ * rules registered by ImportService.
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { TransformRegistry } from '@module/services/transform-registry.js';
+import { ImportService } from '@module/services/import-service.js';
+
+describe('Transform Registry', () => {
+  afterEach(() => {
+    TransformRegistry.reset();
+  });
+
+  const homebrewRule = {
+    id: 'homebrew-points',
+    docType: 'Item',
+    type: 'advantage',
+    description: 'Rename houseRulePoints to cost',
+    condition: (item) => item.system.houseRulePoints !== undefined,
+    apply: (item) => {
+      item.system.cost = item.system.houseRulePoints;
+      delete item.system.houseRulePoints;
+    }
+  };
+
+  describe('built-in rules', () => {
+    it('should list the built-in pipeline in order', () => {
+      const ids = TransformRegistry.list('Item').map((r) => r.id);
+
+      expect(ids).toEqual([
+        'item-icon',
+        'bow-to-weapon',
+        'item-schema-map',
+        'skill-coercion',
+        'skill-new-fields',
+        'weapon-defaults',
+        'item-schema-defaults'
+      ]);
+      expect(TransformRegistry.list().every((r) => r.builtIn && r.description)).toBe(true);
+    });
+
+    it('should report only the rules that changed the document', () => {
+      const item = { type: 'bow', name: 'Yumi', img: 'worlds/test/yumi.webp', system: { size: 'Large' } };
+
+      const fired = TransformRegistry.apply(item, { docType: 'Item', source: item, report: null });
+
+      expect(fired).toEqual(['bow-to-weapon', 'weapon-defaults']);
+      expect(item.type).toBe('weapon');
+    });
+  });
+
+  describe('register', () => {
+    it('should append rules and run them on matching documents', () => {
+      TransformRegistry.register(homebrewRule);
+      const item = { type: 'advantage', name: 'Large', system: { houseRulePoints: 3 } };
+
+      const fired = TransformRegistry.apply(item, { docType: 'Item', source: item });
+
+      expect(fired).toContain('homebrew-points');
+      expect(item.system).toEqual({ cost: 3 });
+      expect(TransformRegistry.list('Item').at(-1)).toMatchObject({ id: 'homebrew-points', builtIn: false });
+    });
+
+    it('should skip rules whose type or condition does not match', () => {
+      TransformRegistry.register(homebrewRule);
+      const skill = { type: 'skill', system: { houseRulePoints: 3 } };
+      const advantage = { type: 'advantage', system: {} };
+
+      expect(TransformRegistry.apply(skill, { docType: 'Item' })).not.toContain('homebrew-points');
+      expect(TransformRegistry.apply(advantage, { docType: 'Item' })).not.toContain('homebrew-points');
+    });
+
+    it('should place rules before or after existing rules', () => {
+      TransformRegistry.register({ ...homebrewRule, id: 'first' }, { before: 'item-icon' });
+      TransformRegistry.register({ ...homebrewRule, id: 'after-bows' }, { after: 'bow-to-weapon' });
+
+      const ids = TransformRegistry.list('Item').map((r) => r.id);
+
+      expect(ids[0]).toBe('first');
+      expect(ids.indexOf('after-bows')).toBe(ids.indexOf('bow-to-weapon') + 1);
+    });
+
+    it('should match subtype arrays against the current type', () => {
+      const seen = [];
+      TransformRegistry.register(
+        { id: 'ranged', docType: 'Item', type: ['weapon'], apply: (item) => seen.push(item.type) },
+        { after: 'bow-to-weapon' }
+      );
+
+      TransformRegistry.apply({ type: 'bow', system: {} }, { docType: 'Item' });
+
+      expect(seen).toEqual(['weapon']);
+    });
+
+    it('should replace a rule in place when requested', () => {
+      TransformRegistry.register({ id: 'skill-new-fields', docType: 'Item', apply: () => false }, { replace: true });
+
+      const ids = TransformRegistry.list('Item').map((r) => r.id);
+      const skill = { type: 'skill', system: {} };
+      TransformRegistry.apply(skill, { docType: 'Item' });
+
+      expect(ids.indexOf('skill-new-fields')).toBe(4);
+      expect(skill.system.freeRanks).toBeUndefined();
+    });
+
+    it('should reject invalid or duplicate rules', () => {
+      expect(() => TransformRegistry.register({ docType: 'Item', apply: () => {} })).toThrow('string id');
+      expect(() => TransformRegistry.register({ id: 'x', docType: 'Scene', apply: () => {} })).toThrow('docType');
+      expect(() => TransformRegistry.register({ id: 'x', docType: 'Item' })).toThrow('apply function');
+      expect(() => TransformRegistry.register({ ...homebrewRule, id: 'item-icon' })).toThrow('already registered');
+      expect(() => TransformRegistry.register(homebrewRule, { before: 'missing' })).toThrow('not registered');
+    });
+  });
+
+  describe('unregister and reset', () => {
+    it('should remove rules and restore built-ins', () => {
+      expect(TransformRegistry.unregister('bow-to-weapon')).toBe(true);
+      expect(TransformRegistry.unregister('bow-to-weapon')).toBe(false);
+      TransformRegistry.register(homebrewRule);
+
+      TransformRegistry.reset();
+
+      const ids = TransformRegistry.list().map((r) => r.id);
+      expect(ids).toContain('bow-to-weapon');
+      expect(ids).not.toContain('homebrew-points');
+    });
+  });
+
+  describe('ImportService integration', () => {
+    it('should name the failing rule when a rule throws', () => {
+      TransformRegistry.register({
+        id: 'broken',
+        docType: 'Actor',
+        apply: () => {
+          throw new Error('boom');
+        }
+      });
+
+      expect(() => ImportService._transformActor({ type: 'pc', name: 'PC', system: {} })).toThrow(
+        "Transform rule 'broken' failed: boom"
+      );
+    });
+
+    it('should record the rules fired per document in the import result', async () => {
+      Actor.create = vi.fn().mockResolvedValue({});
+      Item.create = vi.fn().mockResolvedValue({});
+      TransformRegistry.register(homebrewRule);
+      const data = {
+        actors: [
+          {
+            _id: 'a1',
+            type: 'pc',
+            name: 'PC',
+            system: { wounds: { heal_rate: 2 } },
+            items: [{ _id: 'i1', type: 'advantage', name: 'Large', system: { houseRulePoints: 3 } }]
+          }
+        ],
+        items: []
+      };
+
+      const result = await ImportService.importWorld(data, { skipDetection: true });
+
+      expect(result.rulesFired).toEqual([
+        { documentName: 'Actor', id: 'a1', name: 'PC', rules: ['actor-schema-map', 'pc-new-fields'] },
+        { documentName: 'Item', id: 'i1', name: 'Large', rules: ['homebrew-points'] }
+      ]);
+      expect(Actor.create.mock.calls[0][0].items[0].system.cost).toBe(3);
+    });
+
+    it('should run Actor rules on token deltas, flagged as deltas', () => {
+      const seen = [];
+      TransformRegistry.register({
+        id: 'homebrew-honor',
+        docType: 'Actor',
+        type: 'npc',
+        condition: (actor, context) => {
+          seen.push(context.delta);
+          return actor.system.honour !== undefined;
+        },
+        apply: (actor) => {
+          actor.system.honor = actor.system.honour;
+          delete actor.system.honour;
+        }
+      });
+      const report = ImportService._createTransformReport();
+      const scene = {
+        tokens: [{ _id: 't1', name: 'Bandit', actorId: 'n1', actorLink: false, delta: { system: { honour: 2 } } }]
+      };
+
+      const { scene: transformed } = ImportService._transformScene(scene, new Map([['n1', 'npc']]), report);
+
+      expect(seen).toEqual([true]);
+      expect(transformed.tokens[0].delta.system).toEqual({ honor: 2 });
+      expect(report.rulesFired).toEqual([
+        { documentName: 'Token', id: 't1', name: 'Bandit', rules: ['homebrew-honor'] }
+      ]);
+    });
+  });
+});